@@ -0,0 +1,88 @@
+/**
+ * 群聊问答功能
+ */
+import plugin from '../../../lib/plugins/plugin.js'
+import { getMessageCollector, getChatQAService, getUsageService } from '../components/index.js'
+import { logger } from '#lib'
+
+export class AskPlugin extends plugin {
+  constructor() {
+    super({
+      name: '群聊洞见',
+      dsc: '根据聊天记录回答问题',
+      event: 'message.group',
+      priority: 5000,
+      rule: [
+        {
+          reg: '^#问群聊\\s*(.+)$',
+          fnc: 'askChat',
+          permission: 'all'
+        }
+      ]
+    })
+  }
+
+  /**
+   * 初始化
+   */
+  async init() {
+    await getMessageCollector()
+  }
+
+  /**
+   * 根据聊天记录回答问题
+   */
+  async askChat(e) {
+    const [messageCollector, chatQAService, usageService] = await Promise.all([
+      getMessageCollector(),
+      getChatQAService(),
+      getUsageService()
+    ])
+
+    if (!messageCollector) {
+      return this.reply('消息收集功能未启用', true)
+    }
+
+    if (!chatQAService) {
+      return this.reply('群聊问答功能未启用或 AI 服务未配置', true)
+    }
+
+    const question = e.msg.match(/^#问群聊\s*(.+)$/)?.[1]?.trim()
+    if (!question) {
+      return this.reply('请输入问题，如：#问群聊 昨天大家决定几点开黑？', true)
+    }
+
+    const budget = await usageService.checkBudget(e.group_id)
+    if (budget.exceeded) {
+      return this.reply(budget.message, true)
+    }
+
+    try {
+      const { days, date } = chatQAService.resolveScope(question)
+      const messages = await messageCollector.getMessages(e.group_id, days, date)
+
+      if (messages.length === 0) {
+        return this.reply('没有可供检索的聊天记录', true)
+      }
+
+      logger.info(`[群聊问答] 用户 ${e.user_id} 在群 ${e.group_id} 提问: ${question} (检索 ${messages.length} 条消息)`)
+
+      const result = await chatQAService.ask(question, messages)
+      await usageService.record(e.group_id, 'askChat', result.usage)
+
+      if (result.keywords.length === 0) {
+        return this.reply('没能从问题中提取到关键词，换个更具体的问法试试', true)
+      }
+
+      if (!result.answer) {
+        return this.reply(`聊天记录中没有找到与「${result.keywords.join('、')}」相关的消息`, true)
+      }
+
+      const footer = `\n\n📎 关键词: ${result.keywords.join('、')} · 参考 ${result.contextCount} 条消息`
+      return this.reply(result.answer + footer, true)
+    } catch (err) {
+      logger.error(`[群聊问答] 回答失败: ${err}`)
+      return this.reply(`群聊问答失败: ${err.message}`, true)
+    }
+  }
+}
@@ -0,0 +1,136 @@
+/**
+ * 我错过了什么功能
+ */
+import plugin from '../../../lib/plugins/plugin.js'
+import moment from 'moment'
+import { getMessageCollector, getCatchUpService, getUsageService } from '../components/index.js'
+import { logger } from '#lib'
+
+const COMMAND_PATTERN = /^#我错过了(什么|啥)$/
+
+export class CatchUpPlugin extends plugin {
+  constructor() {
+    super({
+      name: '群聊洞见',
+      dsc: '总结上次发言之后的群聊',
+      event: 'message.group',
+      priority: 5000,
+      rule: [
+        {
+          reg: '^#我错过了(什么|啥)$',
+          fnc: 'whatDidIMiss',
+          permission: 'all'
+        }
+      ]
+    })
+  }
+
+  /**
+   * 初始化
+   */
+  async init() {
+    await getMessageCollector()
+  }
+
+  /**
+   * 总结自己上次发言之后的群聊
+   */
+  async whatDidIMiss(e) {
+    const [messageCollector, catchUpService] = await Promise.all([
+      getMessageCollector(),
+      getCatchUpService()
+    ])
+
+    if (!messageCollector) {
+      return this.reply('消息收集功能未启用', true)
+    }
+
+    if (!catchUpService) {
+      return this.reply('消息补课功能未启用', true)
+    }
+
+    try {
+      // 查找本条指令之前的最后一次发言（跳过之前发送的同一指令）
+      const recentMessages = await messageCollector.getRecentUserMessages(e.group_id, e.user_id, 5, e.time)
+      const lastMessage = recentMessages.find(msg => !COMMAND_PATTERN.test(msg.message?.trim()))
+
+      if (!lastMessage) {
+        return this.reply(`最近 ${messageCollector.redisHelper.retentionDays} 天没有找到你的发言记录，可以发送 #群聊报告 查看今天的群聊`, true)
+      }
+
+      // 读取上次发言当天至今的消息
+      const lastDate = moment.unix(lastMessage.time).startOf('day')
+      const days = moment().startOf('day').diff(lastDate, 'days') + 1
+      const messages = (await messageCollector.getMessages(e.group_id, days))
+        .filter(msg => msg.time > lastMessage.time && msg.time < e.time && String(msg.user_id) !== String(e.user_id))
+
+      const since = moment.unix(lastMessage.time)
+      const sinceLabel = since.isSame(moment(), 'day') ? since.format('HH:mm') : since.format('MM-DD HH:mm')
+      const awayLabel = this.formatDuration(e.time - lastMessage.time)
+
+      if (messages.length === 0) {
+        return this.reply(`你上次发言在 ${sinceLabel}（${awayLabel}前），之后群里没有新消息，什么都没错过~`, true)
+      }
+
+      logger.info(`[消息补课] 用户 ${e.user_id} 在群 ${e.group_id} 补课 ${messages.length} 条消息 (自 ${sinceLabel})`)
+
+      const atRecords = await messageCollector.getAtRecords(e.group_id, String(e.user_id))
+      const summary = catchUpService.collect(messages, atRecords, lastMessage.time)
+      const nickname = e.sender?.card || e.sender?.nickname || String(e.user_id)
+
+      // 群 AI 预算已用完时只给出统计，不生成摘要
+      const usageService = await getUsageService()
+      const budget = await usageService.checkBudget(e.group_id)
+      const { digest, usage } = budget.exceeded
+        ? { digest: null, usage: null }
+        : await catchUpService.summarize(messages, nickname)
+      await usageService.record(e.group_id, 'catchUp', usage)
+
+      const lines = [
+        `📭 你上次发言在 ${sinceLabel}（${awayLabel}前）`,
+        `之后群里有 ${summary.messageCount} 条消息，${summary.userCount} 人发言`,
+        `🔥 最活跃: ${summary.topUsers.map(user => `${user.nickname}(${user.count})`).join('、')}`
+      ]
+
+      if (summary.mentions.length > 0) {
+        lines.push('', `📣 有 ${summary.mentions.length} 条消息艾特了你:`)
+        for (const mention of summary.mentions.slice(0, 5)) {
+          lines.push(`${mention.time} ${mention.nickname}: ${mention.message}`)
+        }
+        if (summary.mentions.length > 5) {
+          lines.push('发送 谁艾特我 查看全部')
+        }
+      }
+
+      if (digest) {
+        lines.push('', '📝 错过的内容:', digest)
+      } else if (budget.exceeded) {
+        lines.push('', `📝 ${budget.message}，暂不生成摘要`)
+      } else if (messages.length < catchUpService.minMessages) {
+        lines.push('', '📝 错过的消息:')
+        for (const msg of messages) {
+          lines.push(`${moment.unix(msg.time).format('HH:mm')} ${msg.nickname}: ${msg.message}`)
+        }
+      }
+
+      return this.reply(lines.join('\n'), true)
+    } catch (err) {
+      logger.error(`[消息补课] 生成失败: ${err}`)
+      return this.reply(`生成失败: ${err.message}`, true)
+    }
+  }
+
+  /**
+   * 格式化时长
+   * @param {number} seconds - 秒数
+   */
+  formatDuration(seconds) {
+    const minutes = Math.max(1, Math.floor(seconds / 60))
+    if (minutes < 60) return `${minutes}分钟`
+
+    const hours = Math.floor(minutes / 60)
+    if (hours < 24) return `${hours}小时${minutes % 60 > 0 ? `${minutes % 60}分钟` : ''}`
+
+    return `${Math.floor(hours / 24)}天${hours % 24 > 0 ? `${hours % 24}小时` : ''}`
+  }
+}
@@ -0,0 +1,263 @@
+/**
+ * 合并转发总结功能
+ */
+import plugin from '../../../lib/plugins/plugin.js'
+import moment from 'moment'
+import {
+  Config,
+  getMessageCollector,
+  getTopicAnalyzer,
+  getGoldenQuoteAnalyzer,
+  getUsageService,
+  addTokenUsage
+} from '../components/index.js'
+import { logger } from '#lib'
+
+export class ForwardSummaryPlugin extends plugin {
+  constructor() {
+    super({
+      name: '群聊洞见',
+      dsc: '总结合并转发的聊天记录',
+      event: 'message',
+      priority: 5000,
+      rule: [
+        {
+          reg: '^#总结(这段|一下|转发)$',
+          fnc: 'summarizeReply',
+          permission: 'all'
+        },
+        {
+          // 私聊直接发送合并转发给机器人时自动总结（合并转发没有文本，只能在处理函数中判断消息段）
+          reg: '',
+          event: 'message.private',
+          fnc: 'summarizePrivateForward',
+          log: false
+        }
+      ]
+    })
+  }
+
+  /**
+   * 回复合并转发消息并发送 #总结这段
+   */
+  async summarizeReply(e) {
+    const config = Config.get()?.forwardSummary || {}
+    if (config.enabled === false) {
+      return false
+    }
+
+    const messageCollector = await getMessageCollector()
+    if (!messageCollector) {
+      return this.reply('消息收集功能未启用', true)
+    }
+
+    // 当前消息本身带有转发时直接使用，否则读取被回复的消息
+    let forward = messageCollector.extractMessage(e).forwards[0]
+    if (!forward) {
+      const reply = await this.getReplyMessage(e)
+      if (reply?.message) {
+        forward = messageCollector.extractMessage({ message: reply.message }).forwards[0]
+      }
+    }
+
+    if (!forward) {
+      return this.reply('请回复一条合并转发消息并发送 #总结这段', true)
+    }
+
+    return this.summarize(e, forward)
+  }
+
+  /**
+   * 私聊收到合并转发时自动总结
+   */
+  async summarizePrivateForward(e) {
+    // 先按消息段轻量判断，其他私聊消息直接放行
+    if (!e.isPrivate || !this.hasForward(e.message)) {
+      return false
+    }
+
+    const config = Config.get()?.forwardSummary || {}
+    if (config.enabled === false || config.private_auto === false) {
+      return false
+    }
+
+    const messageCollector = await getMessageCollector()
+    const forward = messageCollector?.extractMessage(e).forwards[0]
+    if (!forward) {
+      return false
+    }
+
+    return this.summarize(e, forward)
+  }
+
+  /**
+   * 消息是否带有合并转发（转发消息段或合并转发 JSON 卡片）
+   * @param {Array} message - 消息段
+   * @returns {boolean}
+   */
+  hasForward(message) {
+    if (!Array.isArray(message)) return false
+    return message.some(segment => {
+      if (segment?.type === 'forward') return true
+      if (segment?.type !== 'json') return false
+      const data = typeof segment.data === 'string' ? segment.data : JSON.stringify(segment.data ?? '')
+      return data.includes('com.tencent.multimsg')
+    })
+  }
+
+  /**
+   * 展开转发节点并生成话题与金句总结
+   * @param {Object} e - 消息事件
+   * @param {Object} forward - { id, content }
+   */
+  async summarize(e, forward) {
+    const config = Config.get()
+    const maxNodes = config?.forwardSummary?.max_nodes || 500
+
+    const [messageCollector, topicAnalyzer, goldenQuoteAnalyzer, usageService] = await Promise.all([
+      getMessageCollector(),
+      getTopicAnalyzer(),
+      getGoldenQuoteAnalyzer(),
+      getUsageService()
+    ])
+
+    if (!topicAnalyzer && !goldenQuoteAnalyzer) {
+      return this.reply('AI 服务未配置，无法总结聊天记录', true)
+    }
+
+    if (e.isGroup) {
+      const budget = await usageService.checkBudget(e.group_id)
+      if (budget.exceeded) {
+        return this.reply(budget.message, true)
+      }
+    }
+
+    try {
+      const nodes = await messageCollector.resolveForward(e, forward)
+      if (nodes.length === 0) {
+        return this.reply('无法读取这条合并转发的内容（协议端可能不支持）', true)
+      }
+
+      const messages = this.normalizeNodes(nodes.slice(-maxNodes))
+      const userCount = new Set(messages.map(msg => msg.user_id)).size
+
+      logger.info(`[转发总结] 用户 ${e.user_id} 总结合并转发 (${nodes.length} 条消息, ${userCount} 人)`)
+      await this.reply(`正在总结这段聊天记录（${messages.length} 条消息），请稍候...`)
+
+      // 群内总结时使用该群的提示词模板
+      const analyzeOptions = { groupId: e.isGroup ? e.group_id : null }
+      const [topicResult, quoteResult] = await Promise.all([
+        config?.analysis?.topic?.enabled !== false && topicAnalyzer
+          ? topicAnalyzer.analyze(messages, null, analyzeOptions).catch(err => {
+              logger.error(`[转发总结] 话题分析失败: ${err}`)
+              return { topics: [] }
+            })
+          : { topics: [] },
+        config?.analysis?.goldenQuote?.enabled !== false && goldenQuoteAnalyzer
+          ? goldenQuoteAnalyzer.analyze(messages, null, analyzeOptions).catch(err => {
+              logger.error(`[转发总结] 金句提取失败: ${err}`)
+              return { goldenQuotes: [] }
+            })
+          : { goldenQuotes: [] }
+      ])
+
+      // 私聊中的用量统一记在 private 下
+      const usageTarget = e.isGroup ? e.group_id : 'private'
+      await usageService.record(usageTarget, 'forwardSummary', addTokenUsage(addTokenUsage({}, topicResult?.usage), quoteResult?.usage))
+
+      const topics = topicResult?.topics || []
+      const goldenQuotes = quoteResult?.goldenQuotes || []
+
+      if (topics.length === 0 && goldenQuotes.length === 0) {
+        return this.reply('没能从这段聊天记录中总结出内容', true)
+      }
+
+      const start = moment.unix(messages[0].time)
+      const end = moment.unix(messages[messages.length - 1].time)
+      const range = start.isSame(end, 'day')
+        ? `${start.format('MM-DD HH:mm')} ~ ${end.format('HH:mm')}`
+        : `${start.format('MM-DD HH:mm')} ~ ${end.format('MM-DD HH:mm')}`
+
+      const lines = [`📜 聊天记录总结`, `${messages.length} 条消息 · ${userCount} 人参与 · ${range}`]
+
+      if (topics.length > 0) {
+        lines.push('', '💬 话题:')
+        topics.forEach((topic, index) => {
+          lines.push(`${index + 1}. ${topic.topic}`)
+          lines.push(`   ${this.stripHtml(topic.detail)}`)
+        })
+      }
+
+      if (goldenQuotes.length > 0) {
+        lines.push('', '💎 金句:')
+        goldenQuotes.forEach((quote, index) => {
+          lines.push(`${index + 1}. 「${quote.quote}」—— ${quote.sender?.nickname || '未知'}`)
+        })
+      }
+
+      return this.reply(lines.join('\n'), true)
+    } catch (err) {
+      logger.error(`[转发总结] 总结失败: ${err}`)
+      return this.reply(`总结失败: ${err.message}`, true)
+    }
+  }
+
+  /**
+   * 获取被回复的消息
+   * @param {Object} e - 消息事件
+   * @returns {Promise<Object|null>}
+   */
+  async getReplyMessage(e) {
+    try {
+      if (typeof e.getReply === 'function') {
+        return await e.getReply()
+      }
+
+      if (e.source) {
+        const target = e.isGroup ? e.group : e.friend
+        const history = await target?.getChatHistory?.(e.isGroup ? e.source.seq : e.source.time, 1)
+        return history?.pop() || null
+      }
+    } catch (err) {
+      logger.debug(`[转发总结] 获取回复消息失败: ${err}`)
+    }
+    return null
+  }
+
+  /**
+   * 将转发节点整理为分析器可用的消息格式
+   * 来自其他群的转发可能缺少 user_id，按昵称分配临时 ID 以便分析器区分发言人
+   * @param {Array} nodes - resolveForward 返回的节点
+   */
+  normalizeNodes(nodes) {
+    const nicknameIds = new Map()
+
+    return nodes.map(node => {
+      let userId = node.user_id ? String(node.user_id) : null
+      if (!userId) {
+        if (!nicknameIds.has(node.nickname)) {
+          nicknameIds.set(node.nickname, String(10000 + nicknameIds.size))
+        }
+        userId = nicknameIds.get(node.nickname)
+      }
+
+      return {
+        user_id: userId,
+        nickname: node.nickname,
+        message: node.message,
+        time: node.time
+      }
+    })
+  }
+
+  /**
+   * 去除话题描述中的用户胶囊 HTML，保留昵称
+   * @param {string} html - 话题描述
+   */
+  stripHtml(html = '') {
+    return String(html)
+      .replace(/<span class="user-capsule">[\s\S]*?<span class="user-capsule-name">([\s\S]*?)<\/span>\s*<\/span>/g, '$1')
+      .replace(/<[^>]+>/g, '')
+      .trim()
+  }
+}
@@ -0,0 +1,125 @@
+/**
+ * 个人报告功能
+ */
+import plugin from '../../../lib/plugins/plugin.js'
+import moment from 'moment'
+import {
+  getMessageCollector,
+  getStatisticsService,
+  getWordCloudGenerator,
+  getPersonalReportService
+} from '../components/index.js'
+import { logger } from '#lib'
+
+export class PersonalPlugin extends plugin {
+  constructor() {
+    super({
+      name: '群聊洞见',
+      dsc: '个人报告卡片',
+      event: 'message.group',
+      priority: 5000,
+      rule: [
+        {
+          reg: '^#我的报告\\s*(今天|昨天|前天|\\d{4}-\\d{2}-\\d{2})?$',
+          fnc: 'generatePersonalReport',
+          permission: 'all'
+        }
+      ]
+    })
+  }
+
+  /**
+   * 初始化
+   */
+  async init() {
+    await Promise.all([
+      getMessageCollector(),
+      getStatisticsService(),
+      getPersonalReportService()
+    ])
+  }
+
+  /**
+   * 生成个人报告卡片
+   */
+  async generatePersonalReport(e) {
+    const [messageCollector, statisticsService, wordCloudGenerator, personalReportService] = await Promise.all([
+      getMessageCollector(),
+      getStatisticsService(),
+      getWordCloudGenerator(),
+      getPersonalReportService()
+    ])
+
+    if (!messageCollector || !statisticsService || !personalReportService) {
+      return this.reply('个人报告功能未就绪', true)
+    }
+
+    // 解析日期
+    const dateStr = e.msg.match(/(今天|昨天|前天|\d{4}-\d{2}-\d{2})/)?.[1] || '今天'
+    let date
+    let dateLabel = dateStr
+    if (dateStr === '今天') {
+      date = moment().format('YYYY-MM-DD')
+    } else if (dateStr === '昨天') {
+      date = moment().subtract(1, 'days').format('YYYY-MM-DD')
+    } else if (dateStr === '前天') {
+      date = moment().subtract(2, 'days').format('YYYY-MM-DD')
+    } else {
+      const parsed = moment(dateStr, 'YYYY-MM-DD', true)
+      if (!parsed.isValid()) {
+        return this.reply('日期格式错误，请使用：YYYY-MM-DD（如 2024-11-01）', true)
+      }
+      date = parsed.format('YYYY-MM-DD')
+      dateLabel = parsed.format('YYYY年MM月DD日')
+    }
+
+    try {
+      const [messages, report] = await Promise.all([
+        messageCollector.getMessages(e.group_id, 1, date),
+        messageCollector.redisHelper.getReport(e.group_id, date)
+      ])
+
+      // 消息仍在保留期内时实时统计，否则使用已保存报告中的统计
+      const stats = messages.length > 0 ? statisticsService.analyze(messages) : report?.stats
+      if (!stats) {
+        return this.reply(`${dateLabel}没有消息记录，也没有已保存的报告`, true)
+      }
+
+      const data = personalReportService.build(e.user_id, { stats, report })
+      if (!data) {
+        return this.reply(`你在${dateLabel}还没有发言哦`, true)
+      }
+
+      logger.info(`[个人报告] 用户 ${e.user_id} 查询群 ${e.group_id} 的${dateLabel}个人报告 (消息数: ${data.messageCount})`)
+
+      // 个人词云（仅在原始消息可用且数量足够时生成）
+      let wordList = []
+      const userMessages = messages.filter(msg => String(msg.user_id) === String(e.user_id))
+      if (wordCloudGenerator && userMessages.length >= personalReportService.minWordCloudMessages) {
+        try {
+          wordList = await wordCloudGenerator.buildWordList(userMessages, { maxWords: 60 })
+        } catch (err) {
+          logger.warn(`[个人报告] 个人词云统计失败: ${err}`)
+        }
+      }
+
+      let groupName = `群${e.group_id}`
+      try {
+        const groupInfo = await e.group.getInfo?.()
+        groupName = groupInfo?.group_name || e.group?.name || e.group?.group_name || groupName
+      } catch (err) {
+        logger.debug(`获取群名失败: ${err}，使用群号作为群名`)
+      }
+
+      const img = await personalReportService.render(data, { groupName, dateLabel, wordList })
+      if (!img) {
+        return this.reply('个人报告渲染失败，请查看日志', true)
+      }
+
+      return this.reply(img)
+    } catch (err) {
+      logger.error(`[个人报告] 生成错误: ${err}`)
+      return this.reply(`个人报告生成失败: ${err.message}`, true)
+    }
+  }
+}
@@ -0,0 +1,167 @@
+/**
+ * 群圣经功能
+ */
+import plugin from '../../../lib/plugins/plugin.js'
+import { getQuoteArchiveService } from '../components/index.js'
+import { logger } from '#lib'
+
+export class QuotePlugin extends plugin {
+  constructor() {
+    super({
+      name: '群聊洞见',
+      dsc: '群圣经金句归档',
+      event: 'message.group',
+      priority: 5000,
+      rule: [
+        {
+          reg: '^#群圣经\\s*(榜|排行|排行榜)$',
+          fnc: 'quoteRanking',
+          permission: 'all'
+        },
+        {
+          reg: '^#群圣经\\s*搜索\\s*(.+)$',
+          fnc: 'searchQuotes',
+          permission: 'all'
+        },
+        {
+          reg: '^#群圣经\\s*(@.*)?$',
+          fnc: 'randomQuote',
+          permission: 'all'
+        }
+      ]
+    })
+  }
+
+  /**
+   * 初始化
+   */
+  async init() {
+    await getQuoteArchiveService()
+  }
+
+  /**
+   * 随机一条金句；@某人时列出该成员的金句
+   */
+  async randomQuote(e) {
+    const quoteArchiveService = await getQuoteArchiveService()
+    if (!quoteArchiveService?.enabled) {
+      return this.reply('群圣经功能未启用', true)
+    }
+
+    try {
+      if (e.at) {
+        const quotes = await quoteArchiveService.getByUser(e.group_id, e.at)
+        if (quotes.length === 0) {
+          return this.reply('TA 还没有金句入选群圣经', true)
+        }
+
+        const nickname = quotes[0].sender.nickname
+        return this.sendQuoteList(e, `📖 ${nickname} 的群圣经（共 ${quotes.length} 条）`, quotes)
+      }
+
+      const quote = await quoteArchiveService.random(e.group_id)
+      if (!quote) {
+        return this.reply('群圣经还是空的，生成群聊报告后会自动收录金句', true)
+      }
+
+      return this.reply(quoteArchiveService.formatQuote(quote))
+    } catch (err) {
+      logger.error(`[群圣经] 查询失败: ${err}`)
+      return this.reply(`群圣经查询失败: ${err.message}`, true)
+    }
+  }
+
+  /**
+   * 搜索金句
+   */
+  async searchQuotes(e) {
+    const quoteArchiveService = await getQuoteArchiveService()
+    if (!quoteArchiveService?.enabled) {
+      return this.reply('群圣经功能未启用', true)
+    }
+
+    const keyword = e.msg.match(/^#群圣经\s*搜索\s*(.+)$/)?.[1]?.trim()
+    if (!keyword) {
+      return this.reply('请输入要搜索的关键词，如：#群圣经 搜索 摸鱼', true)
+    }
+
+    try {
+      const quotes = await quoteArchiveService.search(e.group_id, keyword)
+      if (quotes.length === 0) {
+        return this.reply(`群圣经中没有找到「${keyword}」相关的金句`, true)
+      }
+
+      return this.sendQuoteList(e, `🔍 「${keyword}」共找到 ${quotes.length} 条金句`, quotes)
+    } catch (err) {
+      logger.error(`[群圣经] 搜索失败: ${err}`)
+      return this.reply(`群圣经搜索失败: ${err.message}`, true)
+    }
+  }
+
+  /**
+   * 群圣经排行榜
+   */
+  async quoteRanking(e) {
+    const quoteArchiveService = await getQuoteArchiveService()
+    if (!quoteArchiveService?.enabled) {
+      return this.reply('群圣经功能未启用', true)
+    }
+
+    try {
+      const { total, ranking } = await quoteArchiveService.ranking(e.group_id)
+      if (ranking.length === 0) {
+        return this.reply('群圣经还是空的，生成群聊报告后会自动收录金句', true)
+      }
+
+      const medals = ['🥇', '🥈', '🥉']
+      const lines = [`📖 群圣经排行榜（共收录 ${total} 条）`, '']
+      ranking.forEach((item, index) => {
+        lines.push(`${medals[index] || `${index + 1}.`} ${item.nickname} - ${item.count} 条`)
+      })
+
+      return this.reply(lines.join('\n'))
+    } catch (err) {
+      logger.error(`[群圣经] 排行榜查询失败: ${err}`)
+      return this.reply(`群圣经排行榜查询失败: ${err.message}`, true)
+    }
+  }
+
+  /**
+   * 以合并转发发送金句列表
+   * @param {Object} e - 消息事件
+   * @param {string} title - 列表标题
+   * @param {Array} quotes - 金句列表
+   */
+  async sendQuoteList(e, title, quotes) {
+    const quoteArchiveService = await getQuoteArchiveService()
+    const shown = quotes.slice(0, quoteArchiveService.listSize)
+    const botId = e.self_id || (Array.isArray(Bot.uin) ? Bot.uin[0] : Bot.uin)
+
+    const msgList = [{ message: title, user_id: botId, nickname: '群圣经' }]
+    for (const quote of shown) {
+      msgList.push({
+        message: quoteArchiveService.formatQuote(quote),
+        user_id: quote.sender.user_id || botId,
+        nickname: quote.sender.nickname
+      })
+    }
+
+    if (quotes.length > shown.length) {
+      msgList.push({ message: `仅展示最近的 ${shown.length} 条`, user_id: botId, nickname: '群圣经' })
+    }
+
+    try {
+      let forwardMsg
+      if (e.group && e.group.makeForwardMsg) {
+        forwardMsg = await e.group.makeForwardMsg(msgList)
+      } else {
+        forwardMsg = await Bot.makeForwardMsg(msgList)
+      }
+
+      return this.reply(forwardMsg)
+    } catch (err) {
+      logger.error(`发送合并转发消息失败: ${err}`)
+      return this.reply('发送消息失败，请查看日志', true)
+    }
+  }
+}
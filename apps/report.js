@@ -2,6 +2,8 @@
  * 群聊报告功能
  */
 import plugin from '../../../lib/plugins/plugin.js'
+import fs from 'node:fs/promises'
+import path from 'node:path'
 import moment from 'moment'
 import puppeteer from '../../../lib/puppeteer/puppeteer.js'
 import {
@@ -10,13 +12,37 @@ import {
   getAIService,
   getStatisticsService,
   getActivityVisualizer,
+  getComparisonService,
+  getReportExporter,
+  getQuoteArchiveService,
+  getTitleHistoryService,
+  getUsageService,
+  getTopicMergeService,
+  getJobQueue,
+  registerJobHandler,
+  JobState,
   getTopicAnalyzer,
   getGoldenQuoteAnalyzer,
-  getUserTitleAnalyzer
+  getUserTitleAnalyzer,
+  getAnalyzerRegistry,
+  getExtensionAnalyzers,
+  addTokenUsage
 } from '../components/index.js'
-import { RESOURCES_DIR, getSummaryTemplatePath, getSummaryTemplateDir } from '#paths'
+import { RESOURCES_DIR, YUNZAI_TEMP_DIR, PLUGIN_NAME, getSummaryTemplatePath, getSummaryTemplateDir } from '#paths'
 import { logger } from '#lib'
 
+// 报告日期参数：今天/昨天/前天、相对区间（上周/本周/最近N天）、单日或日期区间
+const REPORT_DATE_PATTERN = '今天|昨天|前天|上周|本周|最近\\d{1,2}天|\\d{4}-\\d{2}-\\d{2}(?:\\s*[~～至到]\\s*\\d{4}-\\d{2}-\\d{2})?'
+
+// 区间报告最多覆盖的天数
+const MAX_RANGE_DAYS = 31
+
+// 日报对比时向前查找已保存报告的最大天数
+const COMPARISON_LOOKBACK_DAYS = 7
+
+// 定时报告单个群单次生成的最长预计时间（秒），用于计算等待任务结束的上限
+const SCHEDULED_REPORT_ATTEMPT_SECONDS = 15 * 60
+
 export class ReportPlugin extends plugin {
   constructor() {
     super({
@@ -26,14 +52,24 @@ export class ReportPlugin extends plugin {
       priority: 5000,
       rule: [
         {
-          reg: '^#群聊(总结|报告)\\s*(\\d{5,12})?\\s*(今天|昨天|前天|\\d{4}-\\d{2}-\\d{2})?$',
+          reg: `^#群聊(总结|报告)\\s*(\\d{5,12})?\\s*(${REPORT_DATE_PATTERN})?$`,
           fnc: 'generateReport',
           permission: 'all'
         },
         {
-          reg: '^#强制生成报告\\s*(\\d{5,12})?\\s*(今天|昨天|前天|\\d{4}-\\d{2}-\\d{2})?$',
+          reg: `^#强制生成报告\\s*(\\d{5,12})?\\s*(${REPORT_DATE_PATTERN})?$`,
           fnc: 'forceGenerateReport',
           permission: 'master'
+        },
+        {
+          reg: '^#群聊(周报|月报)\\s*(\\d{5,12})?\\s*(上周|上月)?$',
+          fnc: 'generatePeriodReport',
+          permission: 'all'
+        },
+        {
+          reg: `^#导出报告\\s*(\\d{5,12})?\\s*(${REPORT_DATE_PATTERN})?\\s*(md|markdown|html|json)?$`,
+          fnc: 'exportReport',
+          permission: 'all'
         }
       ]
     })
@@ -100,6 +136,9 @@ export class ReportPlugin extends plugin {
       ])
     }
 
+    // 注册定时报告任务处理器（继续执行上次中断的任务）
+    await this.registerScheduledReportJob()
+
     // 显示功能状态
     const enabledFeatures = []
     if (aiService) {
@@ -146,9 +185,10 @@ export class ReportPlugin extends plugin {
    * 检查群聊报告生成冷却状态
    * @param {number} groupId - 群号
    * @param {boolean} ignoreCooldown - 是否忽略冷却限制（主人/定时任务使用）
+   * @param {string} date - 报告日期或区间键（默认今天），日报与各区间报告分别冷却
    * @returns {Object} { inCooldown, remainingMinutes, lastGenerated }
    */
-  async checkCooldown(groupId, ignoreCooldown = false) {
+  async checkCooldown(groupId, ignoreCooldown = false, date = moment().format('YYYY-MM-DD')) {
     if (ignoreCooldown) {
       return { inCooldown: false, remainingMinutes: 0, lastGenerated: null }
     }
@@ -156,8 +196,7 @@ export class ReportPlugin extends plugin {
     try {
       const config = Config.get()
       const cooldownMinutes = config?.schedule?.cooldownMinutes || 60
-      const today = moment().format('YYYY-MM-DD')
-      const cooldownKey = `Yz:groupManager:cooldown:${groupId}:${today}`
+      const cooldownKey = `Yz:groupManager:cooldown:${groupId}:${date}`
 
       // 检查 Redis 中的冷却记录
       const cooldownData = await redis.hGetAll(cooldownKey)
@@ -197,11 +236,11 @@ export class ReportPlugin extends plugin {
    * @param {number} groupId - 群号
    * @param {string} generatedBy - 生成来源 ('user' | 'scheduled' | 'master')
    * @param {number} messageCount - 消息数量
+   * @param {string} date - 报告日期或区间键（默认今天）
    */
-  async setCooldown(groupId, generatedBy = 'user', messageCount = 0) {
+  async setCooldown(groupId, generatedBy = 'user', messageCount = 0, date = moment().format('YYYY-MM-DD')) {
     try {
-      const today = moment().format('YYYY-MM-DD')
-      const cooldownKey = `Yz:groupManager:cooldown:${groupId}:${today}`
+      const cooldownKey = `Yz:groupManager:cooldown:${groupId}:${date}`
 
       await redis.hSet(cooldownKey, {
         generatedAt: Date.now().toString(),
@@ -212,12 +251,24 @@ export class ReportPlugin extends plugin {
       // 设置过期时间为24小时（跨日自动清理）
       await redis.expire(cooldownKey, 86400)
 
-      logger.debug(`[报告] 已设置冷却标记: 群 ${groupId}, 来源: ${generatedBy}`)
+      logger.debug(`[报告] 已设置冷却标记: 群 ${groupId} ${date}, 来源: ${generatedBy}`)
     } catch (err) {
       logger.error(`[报告] 设置冷却标记失败: ${err}`)
     }
   }
 
+  /**
+   * 检查群 AI 预算是否禁止生成报告
+   * 超出预算时按配置拒绝执行（block），或交由 performAnalysis 降级为只生成基础统计（stats_only）
+   * @param {number} groupId - 群号
+   * @returns {Promise<string|null>} 拒绝执行时返回提示，否则为 null
+   */
+  async checkBudgetBlocked(groupId) {
+    const usageService = await getUsageService()
+    const budget = await usageService.checkBudget(groupId)
+    return budget.exceeded && budget.action === 'block' ? budget.message : null
+  }
+
   /**
    * 获取生成锁（开始生成前调用）
    * @param {number} groupId - 群号
@@ -258,11 +309,31 @@ export class ReportPlugin extends plugin {
   }
 
   /**
-   * 定时任务：每天23:59生成群聊报告（带并发控制）
+   * 将单日报告的金句收录到群圣经、称号记录到称号历史（区间报告的内容来自日报，不重复收录）
+   * @param {number} groupId - 群号
+   * @param {string} date - 报告日期 (YYYY-MM-DD)
+   * @param {Object} analysisResults - 分析结果
+   */
+  async archiveReport(groupId, date, analysisResults) {
+    try {
+      const [quoteArchiveService, titleHistoryService] = await Promise.all([
+        getQuoteArchiveService(),
+        getTitleHistoryService()
+      ])
+      await quoteArchiveService?.archive(groupId, date, analysisResults.goldenQuotes)
+      await titleHistoryService?.record(groupId, date, analysisResults.userTitles)
+    } catch (err) {
+      logger.error(`[报告] 归档报告内容失败: ${err}`)
+    }
+  }
+
+  /**
+   * 定时任务：每天23:59生成群聊报告（每个群一个后台任务，失败按退避重试，进程重启后继续执行）
    */
   async scheduledReport() {
     const messageCollector = await getMessageCollector()
-    if (!messageCollector) {
+    const jobQueue = await getJobQueue()
+    if (!messageCollector || !jobQueue) {
       logger.warn('[报告] 定时报告功能未就绪')
       return
     }
@@ -272,7 +343,6 @@ export class ReportPlugin extends plugin {
     const sendConfig = scheduleConfig.send || {}
     const enabled = scheduleConfig.enabled !== false
     const whitelist = scheduleConfig.whitelist || []
-    const minMessages = scheduleConfig.minMessages || 99
     const concurrency = scheduleConfig.concurrency || 3
     const sendMode = sendConfig.mode || 'disabled'
 
@@ -282,94 +352,32 @@ export class ReportPlugin extends plugin {
       return
     }
 
+    // 按最新配置更新并发数
+    await this.registerScheduledReportJob()
+
     // 固定目标日期为任务触发时的"今天"，避免跨日边界问题
     const targetDate = moment().format('YYYY-MM-DD')
     logger.mark(`[报告] 开始执行定时报告任务 (目标日期: ${targetDate}, 白名单群数: ${whitelist.length}, 并发数: ${concurrency}, 发送模式: ${sendMode})`)
 
-    // 使用并发限制处理白名单群
-    const results = await this.runWithConcurrency(
-      whitelist,
-      async (groupId) => {
-        try {
-          // 获取目标日期的消息（使用固定日期，避免处理过程中跨日导致日期错误）
-          const messages = await messageCollector.getMessages(groupId, 1, targetDate)
-
-          if (messages.length < minMessages) {
-            logger.debug(`[报告] 群 ${groupId} ${targetDate} 消息数 (${messages.length}) 少于阈值 (${minMessages})，跳过报告`)
-            return { groupId, status: 'skipped', reason: 'insufficient_messages' }
-          }
-
-          // 尝试获取生成锁
-          if (!await this.acquireGeneratingLock(groupId, targetDate)) {
-            logger.info(`[报告] 群 ${groupId} ${targetDate} 报告正在生成中，跳过定时任务`)
-            return { groupId, status: 'skipped', reason: 'already_generating' }
-          }
-
-          try {
-            // 获取群名
-            let groupName = `群${groupId}`
-            try {
-              const group = Bot.pickGroup?.(groupId)
-              if (group) {
-                const groupInfo = await group.getInfo?.()
-                groupName = groupInfo?.group_name || groupInfo?.name || groupName
-              }
-            } catch (err) {
-              logger.debug(`[报告] 获取群 ${groupId} 名称失败，使用默认名称`)
-            }
-
-            // 执行分析
-            logger.info(`[报告] 正在为群 ${groupId} (${groupName}) 生成 ${targetDate} 报告 (消息数: ${messages.length})`)
-            const analysisResults = await this.performAnalysis(messages, 1, groupId, targetDate)
-
-            if (!analysisResults) {
-              logger.warn(`[报告] 群 ${groupId} 报告生成失败：分析失败`)
-              return { groupId, status: 'failed', error: 'analysis_failed' }
-            }
-
-            // 保存报告到 Redis（使用固定的目标日期）
-            await messageCollector.redisHelper.saveReport(groupId, targetDate, {
-              stats: analysisResults.stats,
-              topics: analysisResults.topics,
-              goldenQuotes: analysisResults.goldenQuotes,
-              userTitles: analysisResults.userTitles,
-              messageCount: messages.length,
-              tokenUsage: analysisResults.tokenUsage
-            })
-
-            // 设置冷却标记（防止定时任务后1小时内频繁手动触发）
-            await this.setCooldown(groupId, 'scheduled', messages.length)
-
-            logger.mark(`[报告] 群 ${groupId} ${targetDate} 报告生成成功 (${messages.length} 条消息)`)
-
-            // immediate 模式：生成后立即发送
-            let sendResult = null
-            if (sendMode === 'immediate') {
-              sendResult = await this.sendReportToGroup(groupId, targetDate, { groupName })
-              if (sendResult.success) {
-                logger.info(`[报告] 群 ${groupId} 报告已立即发送`)
-              } else {
-                logger.warn(`[报告] 群 ${groupId} 报告立即发送失败: ${sendResult.error}`)
-              }
-            }
+    // 每个群一个任务，由任务队列按并发数限制执行
+    const jobIds = []
+    for (const groupId of whitelist) {
+      const job = await jobQueue.enqueue('scheduledReport', { groupId, date: targetDate }, {
+        id: `report:${groupId}:${targetDate}`
+      })
+      jobIds.push(job.id)
+    }
 
-            return {
-              groupId,
-              status: 'success',
-              messageCount: messages.length,
-              sent: sendMode === 'immediate' ? sendResult?.success : undefined
-            }
-          } finally {
-            // 无论成功失败都释放锁
-            await this.releaseGeneratingLock(groupId, targetDate)
-          }
-        } catch (err) {
-          logger.error(`[报告] 群 ${groupId} 定时报告异常: ${err}`)
-          return { groupId, status: 'error', error: err.message }
-        }
-      },
-      concurrency
-    )
+    // 等待上限按重试次数和退避时间计算，超时后未结束的任务留在队列中继续执行
+    const timeout = jobQueue.getMaxWaitTime('scheduledReport', SCHEDULED_REPORT_ATTEMPT_SECONDS, jobIds.length)
+    const jobs = await jobQueue.waitFor(jobIds, timeout)
+    const results = jobs.map((job, index) => {
+      if (job?.state === JobState.DONE) return job.result
+      if (job && job.state !== JobState.FAILED) {
+        return { groupId: whitelist[index], status: 'unfinished', state: job.state, attempts: job.attempts }
+      }
+      return { groupId: whitelist[index], status: 'failed', error: job?.error || 'job_expired' }
+    })
 
     // 统计结果
     const summary = {
@@ -377,18 +385,139 @@ export class ReportPlugin extends plugin {
       success: results.filter(r => r.status === 'success').length,
       failed: results.filter(r => r.status === 'failed').length,
       skipped: results.filter(r => r.status === 'skipped').length,
-      error: results.filter(r => r.status === 'error').length
+      unfinished: results.filter(r => r.status === 'unfinished').length
+    }
+
+    const unfinished = results.filter(r => r.status === 'unfinished')
+    if (unfinished.length > 0) {
+      const details = unfinished.map(r => `${r.groupId}(${r.state}, 已尝试${r.attempts}次)`).join(', ')
+      logger.warn(`[报告] 等待 ${timeout} 秒后仍有 ${unfinished.length} 个群的定时报告未完成，任务将在后台继续执行: ${details}`)
     }
 
     // immediate 模式下统计发送情况
     if (sendMode === 'immediate') {
       const sentCount = results.filter(r => r.sent === true).length
-      logger.mark(`[报告] 定时报告任务执行完成 - 总数: ${summary.total}, 成功: ${summary.success}, 失败: ${summary.failed}, 跳过: ${summary.skipped}, 异常: ${summary.error}, 已发送: ${sentCount}`)
+      logger.mark(`[报告] 定时报告任务执行完成 - 总数: ${summary.total}, 成功: ${summary.success}, 失败: ${summary.failed}, 跳过: ${summary.skipped}, 未完成: ${summary.unfinished}, 已发送: ${sentCount}`)
     } else {
-      logger.mark(`[报告] 定时报告任务执行完成 - 总数: ${summary.total}, 成功: ${summary.success}, 失败: ${summary.failed}, 跳过: ${summary.skipped}, 异常: ${summary.error}`)
+      logger.mark(`[报告] 定时报告任务执行完成 - 总数: ${summary.total}, 成功: ${summary.success}, 失败: ${summary.failed}, 跳过: ${summary.skipped}, 未完成: ${summary.unfinished}`)
     }
+
+    return summary
   }
 
+  /**
+   * 注册定时报告任务处理器
+   * 启动时注册以便继续执行中断的任务，每次定时任务执行前按最新配置更新并发数
+   */
+  async registerScheduledReportJob() {
+    const concurrency = Config.get()?.schedule?.concurrency || 3
+    await registerJobHandler(
+      'scheduledReport',
+      ({ groupId, date }) => this.generateScheduledReport(groupId, date),
+      { concurrency }
+    )
+  }
+
+  /**
+   * 为单个群生成定时报告（scheduledReport 任务处理器）
+   * 分析失败或出错时抛出异常，由任务队列重试
+   * @param {number} groupId - 群号
+   * @param {string} targetDate - 目标日期 (YYYY-MM-DD)
+   * @returns {Promise<Object>} 执行结果 { groupId, status: 'success'|'skipped', ... }
+   */
+  async generateScheduledReport(groupId, targetDate) {
+    const messageCollector = await getMessageCollector()
+    if (!messageCollector) {
+      throw new Error('消息收集器未就绪')
+    }
+
+    const config = Config.get()
+    const minMessages = config?.schedule?.minMessages || 99
+    const sendMode = config?.schedule?.send?.mode || 'disabled'
+
+    // 获取目标日期的消息（使用固定日期，避免处理过程中跨日导致日期错误）
+    const messages = await messageCollector.getMessages(groupId, 1, targetDate)
+
+    if (messages.length < minMessages) {
+      logger.debug(`[报告] 群 ${groupId} ${targetDate} 消息数 (${messages.length}) 少于阈值 (${minMessages})，跳过报告`)
+      return { groupId, status: 'skipped', reason: 'insufficient_messages' }
+    }
+
+    const budgetMessage = await this.checkBudgetBlocked(groupId)
+    if (budgetMessage) {
+      logger.warn(`[报告] 群 ${groupId} ${budgetMessage}，跳过定时任务`)
+      return { groupId, status: 'skipped', reason: 'budget_exceeded' }
+    }
+
+    // 尝试获取生成锁
+    if (!await this.acquireGeneratingLock(groupId, targetDate)) {
+      logger.info(`[报告] 群 ${groupId} ${targetDate} 报告正在生成中，跳过定时任务`)
+      return { groupId, status: 'skipped', reason: 'already_generating' }
+    }
+
+    try {
+      // 获取群名
+      let groupName = `群${groupId}`
+      try {
+        const group = Bot.pickGroup?.(groupId)
+        if (group) {
+          const groupInfo = await group.getInfo?.()
+          groupName = groupInfo?.group_name || groupInfo?.name || groupName
+        }
+      } catch (err) {
+        logger.debug(`[报告] 获取群 ${groupId} 名称失败，使用默认名称`)
+      }
+
+      // 执行分析
+      logger.info(`[报告] 正在为群 ${groupId} (${groupName}) 生成 ${targetDate} 报告 (消息数: ${messages.length})`)
+      const analysisResults = await this.performAnalysis(messages, 1, groupId, targetDate)
+
+      if (!analysisResults) {
+        throw new Error('analysis_failed')
+      }
+
+      // 保存报告到 Redis（使用固定的目标日期）
+      await messageCollector.redisHelper.saveReport(groupId, targetDate, {
+        stats: analysisResults.stats,
+        topics: analysisResults.topics,
+        goldenQuotes: analysisResults.goldenQuotes,
+        userTitles: analysisResults.userTitles,
+        extensions: analysisResults.extensions,
+        messageCount: messages.length,
+        tokenUsage: analysisResults.tokenUsage,
+        coverage: analysisResults.coverage
+      })
+      await this.archiveReport(groupId, targetDate, analysisResults)
+
+      // 设置冷却标记（防止定时任务后1小时内频繁手动触发）
+      await this.setCooldown(groupId, 'scheduled', messages.length, targetDate)
+
+      logger.mark(`[报告] 群 ${groupId} ${targetDate} 报告生成成功 (${messages.length} 条消息)`)
+
+      // immediate 模式：生成后立即发送
+      let sendResult = null
+      if (sendMode === 'immediate') {
+        sendResult = await this.sendReportToGroup(groupId, targetDate, { groupName })
+        if (sendResult.success) {
+          logger.info(`[报告] 群 ${groupId} 报告已立即发送`)
+        } else {
+          logger.warn(`[报告] 群 ${groupId} 报告立即发送失败: ${sendResult.error}`)
+        }
+      }
+
+      return {
+        groupId,
+        status: 'success',
+        messageCount: messages.length,
+        sent: sendMode === 'immediate' ? sendResult?.success : undefined
+      }
+    } finally {
+      // 无论成功失败都释放锁
+      await this.releaseGeneratingLock(groupId, targetDate)
+    }
+  }
+
+
   /**
    * 并发限制执行器
    */
@@ -472,6 +601,7 @@ export class ReportPlugin extends plugin {
 
       // 渲染报告
       const img = await this.renderReport(report, {
+        groupId,
         groupName,
         model: aiService?.model || '',
         tokenUsage: report.tokenUsage,
@@ -552,10 +682,11 @@ export class ReportPlugin extends plugin {
   }
 
   /**
-   * 解析报告命令参数（群号、日期、权限）
+   * 解析报告命令参数（群号、日期/日期区间、权限）
    * @param {Object} e - 消息事件对象
    * @param {RegExp} regex - 匹配正则
    * @returns {Object|null} 解析结果，权限不足或参数错误时已自动回复并返回 null
+   *   区间查询时 queryDate 为 "YYYY-MM-DD~YYYY-MM-DD" 形式的缓存键，days 为覆盖天数
    */
   async parseReportParams(e, regex) {
     const match = e.msg.match(regex)
@@ -573,7 +704,7 @@ export class ReportPlugin extends plugin {
         if (!match[i]) continue
         if (/^\d{5,12}$/.test(match[i])) {
           specifiedGroupId = Number(match[i])
-        } else if (/^(今天|昨天|前天|\d{4}-\d{2}-\d{2})$/.test(match[i])) {
+        } else if (new RegExp(`^(${REPORT_DATE_PATTERN})$`).test(match[i])) {
           dateStr = match[i]
         }
       }
@@ -606,35 +737,67 @@ export class ReportPlugin extends plugin {
       return null
     }
 
-    let queryDate = moment().format('YYYY-MM-DD')
+    const today = moment().format('YYYY-MM-DD')
+    let startDate = today
+    let endDate = today
     let dateLabel = '今天'
-    let isToday = true
 
     if (dateStr) {
       if (dateStr === '昨天') {
-        queryDate = moment().subtract(1, 'days').format('YYYY-MM-DD')
+        startDate = endDate = moment().subtract(1, 'days').format('YYYY-MM-DD')
         dateLabel = '昨天'
-        isToday = false
       } else if (dateStr === '前天') {
-        queryDate = moment().subtract(2, 'days').format('YYYY-MM-DD')
+        startDate = endDate = moment().subtract(2, 'days').format('YYYY-MM-DD')
         dateLabel = '前天'
-        isToday = false
-      } else if (/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) {
-        const date = moment(dateStr, 'YYYY-MM-DD', true)
-        if (date.isValid()) {
-          queryDate = date.format('YYYY-MM-DD')
-          dateLabel = moment(queryDate).format('YYYY年MM月DD日')
-          isToday = queryDate === moment().format('YYYY-MM-DD')
-        } else {
-          await this.reply('日期格式错误，请使用：YYYY-MM-DD（如 2024-11-01）', true)
+      } else if (dateStr === '上周' || dateStr === '本周') {
+        const period = this.getPeriodRange('week', dateStr === '上周')
+        startDate = period.startDate
+        endDate = period.endDate
+        dateLabel = period.label
+      } else if (/^最近\d{1,2}天$/.test(dateStr)) {
+        const days = parseInt(dateStr.match(/\d+/)[0])
+        if (days < 1 || days > MAX_RANGE_DAYS) {
+          await this.reply(`最近天数需在 1~${MAX_RANGE_DAYS} 天之间`, true)
           return null
         }
-      } else if (dateStr === '今天') {
-        dateLabel = '今天'
-        isToday = true
+        startDate = moment().subtract(days - 1, 'days').format('YYYY-MM-DD')
+        dateLabel = `最近${days}天`
+      } else if (/^\d{4}-\d{2}-\d{2}/.test(dateStr)) {
+        // 单日或日期区间（2024-11-01~2024-11-07）
+        const [startStr, endStr = startStr] = dateStr.split(/\s*[~～至到]\s*/)
+        const start = moment(startStr, 'YYYY-MM-DD', true)
+        const end = moment(endStr, 'YYYY-MM-DD', true)
+
+        if (!start.isValid() || !end.isValid()) {
+          await this.reply('日期格式错误，请使用：YYYY-MM-DD（如 2024-11-01）或 YYYY-MM-DD~YYYY-MM-DD', true)
+          return null
+        }
+
+        if (start.isAfter(end)) {
+          await this.reply('开始日期不能晚于结束日期', true)
+          return null
+        }
+
+        if (end.diff(start, 'days') + 1 > MAX_RANGE_DAYS) {
+          await this.reply(`日期区间最多支持 ${MAX_RANGE_DAYS} 天`, true)
+          return null
+        }
+
+        startDate = start.format('YYYY-MM-DD')
+        endDate = end.format('YYYY-MM-DD')
+        dateLabel = startDate === endDate
+          ? moment(startDate).format('YYYY年MM月DD日')
+          : `${moment(startDate).format('YYYY年MM月DD日')}至${moment(endDate).format('YYYY年MM月DD日')}`
       }
     }
 
+    // 区间报告使用 "开始~结束" 作为缓存键，避免与日报冲突；单日区间退化为日报
+    const days = moment(endDate).diff(moment(startDate), 'days') + 1
+    const isRange = days > 1
+    const queryDate = isRange ? `${startDate}~${endDate}` : endDate
+    // 包含今天的报告（今天、本周、最近N天、结束于今天的区间）消息仍在增加，按当天报告处理
+    const isLive = endDate >= today
+
     let groupName = `群${targetGroupId}`
     try {
       const groupInfo = await group.getInfo?.()
@@ -642,7 +805,7 @@ export class ReportPlugin extends plugin {
     } catch (err) {
     }
 
-    return { targetGroupId, queryDate, dateLabel, isToday, isRemote, groupName, group }
+    return { targetGroupId, queryDate, startDate, endDate, days, isRange, dateLabel, isLive, isRemote, groupName, group }
   }
 
   /**
@@ -658,26 +821,27 @@ export class ReportPlugin extends plugin {
 
     try {
       // 解析查询参数（群号、日期、权限校验）
-      const params = await this.parseReportParams(e, /群聊(?:总结|报告)\s*(\d{5,12})?\s*(今天|昨天|前天|\d{4}-\d{2}-\d{2})?/)
+      const params = await this.parseReportParams(e, new RegExp(`群聊(?:总结|报告)\\s*(\\d{5,12})?\\s*(${REPORT_DATE_PATTERN})?`))
       if (!params) return
 
-      const { targetGroupId, queryDate, dateLabel, isToday, isRemote, groupName } = params
+      const { targetGroupId, queryDate, endDate, days, dateLabel, isLive, isRemote, groupName } = params
       const groupHint = isRemote ? ` [${groupName}]` : ''
 
       // 从 Redis 获取指定日期的报告
       let report = await messageCollector.redisHelper.getReport(targetGroupId, queryDate)
 
       // ===== 当天报告逻辑 =====
-      // 当天的报告：即使有缓存，不在冷却期也要重新生成（可能有新消息）
-      if (isToday) {
-        const cooldown = await this.checkCooldown(targetGroupId, false)
+      // 包含今天的报告：即使有缓存，不在冷却期也要重新生成（可能有新消息）
+      if (isLive) {
+        const cooldown = await this.checkCooldown(targetGroupId, false, queryDate)
 
         // 在冷却期内且有缓存 → 直接返回缓存
         if (cooldown.inCooldown && report) {
           const elapsedMinutes = cooldown.lastGenerated?.elapsedMinutes || 0
-          logger.info(`[报告] 用户 ${e.user_id} 查询群 ${targetGroupId} 的今天报告（冷却中，${elapsedMinutes}分钟前已生成）`)
+          logger.info(`[报告] 用户 ${e.user_id} 查询群 ${targetGroupId} 的${dateLabel}报告（冷却中，${elapsedMinutes}分钟前已生成）`)
 
           const img = await this.renderReport(report, {
+            groupId: targetGroupId,
             groupName,
             model: aiService?.model || '',
             tokenUsage: report.tokenUsage,
@@ -691,11 +855,16 @@ export class ReportPlugin extends plugin {
           }
         }
 
-        // 不在冷却期（或无缓存）→ 触发生成
-        const messages = await messageCollector.getMessages(targetGroupId, 1, queryDate)
+        // 不在冷却期（或无缓存）→ 触发生成（区间报告取以结束日期为基准向前 days 天的消息）
+        const messages = await messageCollector.getMessages(targetGroupId, days, endDate)
 
         if (messages.length === 0) {
-          return this.reply('今天还没有消息，无法生成报告', true)
+          return this.reply(`${dateLabel}还没有消息，无法生成报告`, true)
+        }
+
+        const budgetMessage = await this.checkBudgetBlocked(targetGroupId)
+        if (budgetMessage) {
+          return this.reply(budgetMessage, true)
         }
 
         // 尝试获取生成锁
@@ -704,11 +873,11 @@ export class ReportPlugin extends plugin {
         }
 
         try {
-          await this.reply(`正在生成今天的群聊报告${groupHint}（${messages.length}条消息），请稍候...`)
+          await this.reply(`正在生成${dateLabel}的群聊报告${groupHint}（${messages.length}条消息），请稍候...`)
 
-          logger.info(`[报告] 用户 ${e.user_id} 触发生成群 ${targetGroupId} (${groupName}) 的今天报告 (消息数: ${messages.length})`)
+          logger.info(`[报告] 用户 ${e.user_id} 触发生成群 ${targetGroupId} (${groupName}) 的${dateLabel}报告 (消息数: ${messages.length})`)
 
-          const analysisResults = await this.performAnalysis(messages, 1, targetGroupId, queryDate)
+          const analysisResults = await this.performAnalysis(messages, days, targetGroupId, endDate)
 
           if (!analysisResults) {
             return this.reply('分析失败，请查看日志', true)
@@ -719,16 +888,22 @@ export class ReportPlugin extends plugin {
             topics: analysisResults.topics,
             goldenQuotes: analysisResults.goldenQuotes,
             userTitles: analysisResults.userTitles,
+            extensions: analysisResults.extensions,
             messageCount: messages.length,
-            tokenUsage: analysisResults.tokenUsage
+            tokenUsage: analysisResults.tokenUsage,
+            coverage: analysisResults.coverage
           })
+          if (days === 1) {
+            await this.archiveReport(targetGroupId, queryDate, analysisResults)
+          }
 
-          await this.setCooldown(targetGroupId, 'user', messages.length)
+          await this.setCooldown(targetGroupId, 'user', messages.length, queryDate)
 
-          logger.mark(`[报告] 用户触发今天报告生成成功 - 群 ${targetGroupId}, 消息数: ${messages.length}`)
+          logger.mark(`[报告] 用户触发${dateLabel}报告生成成功 - 群 ${targetGroupId}, 消息数: ${messages.length}`)
 
           const savedReport = await messageCollector.redisHelper.getReport(targetGroupId, queryDate)
           const img = await this.renderReport(savedReport || analysisResults, {
+            groupId: targetGroupId,
             groupName,
             model: aiService?.model || '',
             tokenUsage: (savedReport || analysisResults).tokenUsage,
@@ -750,10 +925,11 @@ export class ReportPlugin extends plugin {
       // 保留期内：消息还在，可以比较差异、按需重新生成
       // 保留期外：消息已过期，只能查询已缓存的报告
 
-      const messages = await messageCollector.getMessages(targetGroupId, 1, queryDate)
+      // 区间报告：取区间内所有消息（以结束日期为基准向前 days 天）
+      const messages = await messageCollector.getMessages(targetGroupId, days, endDate)
       const config = Config.get()
       const retentionDays = config?.retentionDays || 7
-      const daysSinceQuery = moment().startOf('day').diff(moment(queryDate, 'YYYY-MM-DD').startOf('day'), 'days')
+      const daysSinceQuery = moment().startOf('day').diff(moment(endDate, 'YYYY-MM-DD').startOf('day'), 'days')
       const isWithinRetention = daysSinceQuery < retentionDays
 
       if (messages.length === 0) {
@@ -762,6 +938,7 @@ export class ReportPlugin extends plugin {
           logger.info(`[报告] 用户 ${e.user_id} 查询群 ${targetGroupId} 的${dateLabel}报告（消息已过期，返回缓存报告）`)
 
           const img = await this.renderReport(report, {
+            groupId: targetGroupId,
             groupName,
             model: aiService?.model || '',
             tokenUsage: report.tokenUsage,
@@ -789,6 +966,7 @@ export class ReportPlugin extends plugin {
           logger.info(`[报告] 用户 ${e.user_id} 查询群 ${targetGroupId} 的${dateLabel}报告（缓存有效，消息差异: ${messageDiff}条）`)
 
           const img = await this.renderReport(report, {
+            groupId: targetGroupId,
             groupName,
             model: aiService?.model || '',
             tokenUsage: report.tokenUsage,
@@ -809,6 +987,11 @@ export class ReportPlugin extends plugin {
       // 无缓存或差异过大 → 生成报告
       // 历史日期不检查冷却，因为生成后即为定型报告，再次触发会直接使用缓存
 
+      const budgetMessage = await this.checkBudgetBlocked(targetGroupId)
+      if (budgetMessage) {
+        return this.reply(budgetMessage, true)
+      }
+
       // 尝试获取生成锁
       if (!await this.acquireGeneratingLock(targetGroupId, queryDate)) {
         return this.reply('报告正在生成中，请稍后再试', true)
@@ -819,7 +1002,7 @@ export class ReportPlugin extends plugin {
 
         logger.info(`[报告] 用户 ${e.user_id} 触发生成群 ${targetGroupId} (${groupName}) 的${dateLabel}报告 (消息数: ${messages.length})`)
 
-        const analysisResults = await this.performAnalysis(messages, 1, targetGroupId, queryDate)
+        const analysisResults = await this.performAnalysis(messages, days, targetGroupId, endDate)
 
         if (!analysisResults) {
           return this.reply('分析失败，请查看日志', true)
@@ -830,9 +1013,14 @@ export class ReportPlugin extends plugin {
           topics: analysisResults.topics,
           goldenQuotes: analysisResults.goldenQuotes,
           userTitles: analysisResults.userTitles,
+          extensions: analysisResults.extensions,
           messageCount: messages.length,
-          tokenUsage: analysisResults.tokenUsage
+          tokenUsage: analysisResults.tokenUsage,
+          coverage: analysisResults.coverage
         })
+        if (days === 1) {
+          await this.archiveReport(targetGroupId, queryDate, analysisResults)
+        }
 
         // 历史日期不设置冷却，生成后即为定型报告，再次触发会直接使用缓存
 
@@ -840,6 +1028,7 @@ export class ReportPlugin extends plugin {
 
         const savedReport = await messageCollector.redisHelper.getReport(targetGroupId, queryDate)
         const img = await this.renderReport(savedReport || analysisResults, {
+          groupId: targetGroupId,
           groupName,
           model: aiService?.model || '',
           tokenUsage: (savedReport || analysisResults).tokenUsage,
@@ -912,16 +1101,16 @@ export class ReportPlugin extends plugin {
 
     try {
       // 解析参数（群号、日期、权限校验）
-      const params = await this.parseReportParams(e, /强制生成报告\s*(\d{5,12})?\s*(今天|昨天|前天|\d{4}-\d{2}-\d{2})?/)
+      const params = await this.parseReportParams(e, new RegExp(`强制生成报告\\s*(\\d{5,12})?\\s*(${REPORT_DATE_PATTERN})?`))
       if (!params) return // Permission denied or invalid params, already replied
 
-      const { targetGroupId, queryDate: targetDate, dateLabel, isRemote, groupName } = params
+      const { targetGroupId, queryDate: targetDate, endDate, days, dateLabel, isRemote, groupName } = params
       const groupHint = isRemote ? ` [${groupName}]` : ''
 
       await this.reply(`正在强制生成${dateLabel}的群聊报告${groupHint}，请稍候...`)
 
-      // 获取指定日期的消息（直接传入目标日期）
-      const messages = await messageCollector.getMessages(targetGroupId, 1, targetDate)
+      // 获取指定日期（或日期区间）的消息
+      const messages = await messageCollector.getMessages(targetGroupId, days, endDate)
 
       if (messages.length === 0) {
         return this.reply(`${dateLabel}还没有消息，无法生成报告`, true)
@@ -936,7 +1125,7 @@ export class ReportPlugin extends plugin {
         logger.info(`[报告] 主人 ${e.user_id} 强制生成群 ${targetGroupId} (${groupName}) 的${dateLabel}报告 (消息数: ${messages.length})`)
 
         // 执行分析（强制重新生成，不使用批次缓存）
-        const analysisResults = await this.performAnalysis(messages, 1, targetGroupId, targetDate, { forceRegenerate: true })
+        const analysisResults = await this.performAnalysis(messages, days, targetGroupId, endDate, { forceRegenerate: true })
 
         if (!analysisResults) {
           return this.reply('分析失败，请查看日志', true)
@@ -948,18 +1137,24 @@ export class ReportPlugin extends plugin {
           topics: analysisResults.topics,
           goldenQuotes: analysisResults.goldenQuotes,
           userTitles: analysisResults.userTitles,
+          extensions: analysisResults.extensions,
           messageCount: messages.length,
-          tokenUsage: analysisResults.tokenUsage
+          tokenUsage: analysisResults.tokenUsage,
+          coverage: analysisResults.coverage
         })
+        if (days === 1) {
+          await this.archiveReport(targetGroupId, targetDate, analysisResults)
+        }
 
         // 设置冷却标记（主人下次触发依然会无视冷却）
-        await this.setCooldown(targetGroupId, 'master', messages.length)
+        await this.setCooldown(targetGroupId, 'master', messages.length, targetDate)
 
         logger.mark(`[报告] 主人强制生成${dateLabel}报告成功 - 群 ${targetGroupId}, 消息数: ${messages.length}`)
 
         // 渲染并发送报告
         const savedReport = await messageCollector.redisHelper.getReport(targetGroupId, targetDate)
         const img = await this.renderReport(savedReport || analysisResults, {
+          groupId: targetGroupId,
           groupName,
           model: aiService?.model || '',
           tokenUsage: (savedReport || analysisResults).tokenUsage,
@@ -981,6 +1176,345 @@ export class ReportPlugin extends plugin {
     }
   }
 
+  /**
+   * 查询群聊周报/月报（汇总周期内已保存的日报，不调用 AI）
+   */
+  async generatePeriodReport(e) {
+    const messageCollector = await getMessageCollector()
+    const aiService = await getAIService()
+
+    if (!messageCollector) {
+      return this.reply('报告功能未就绪', true)
+    }
+
+    try {
+      const params = await this.parseReportParams(e, /群聊(?:周报|月报)\s*(\d{5,12})?/)
+      if (!params) return
+
+      const { targetGroupId, isRemote, groupName } = params
+      const groupHint = isRemote ? ` [${groupName}]` : ''
+
+      const match = e.msg.match(/群聊(周报|月报)\s*(?:\d{5,12})?\s*(上周|上月)?/)
+      const type = match?.[1] === '月报' ? 'month' : 'week'
+      const period = this.getPeriodRange(type, !!match?.[2])
+
+      const reports = await messageCollector.redisHelper.getReports(targetGroupId, period.startDate, period.endDate)
+
+      if (reports.length === 0) {
+        return this.reply(`${period.label}还没有已保存的日报，无法生成${period.title}`, true)
+      }
+
+      await this.reply(`正在汇总${period.label}的${period.title}${groupHint}（${reports.length} 份日报），请稍候...`)
+
+      logger.info(`[报告] 用户 ${e.user_id} 查询群 ${targetGroupId} (${groupName}) 的${period.label}${period.title} (${period.startDate} ~ ${period.endDate}, 日报数: ${reports.length})`)
+
+      const periodReport = await this.aggregatePeriodReports(reports, period)
+
+      const img = await this.renderReport(periodReport, {
+        groupId: targetGroupId,
+        groupName,
+        model: aiService?.model || '',
+        tokenUsage: periodReport.tokenUsage,
+        date: period.endDate
+      })
+
+      if (img) {
+        return this.reply(img)
+      } else {
+        return this.sendTextSummary(periodReport, period.label, `${period.startDate} ~ ${period.endDate}`)
+      }
+    } catch (err) {
+      logger.error(`[报告] 查询周期报告错误: ${err}`)
+      return this.reply(`查询周期报告失败: ${err.message}`, true)
+    }
+  }
+
+  /**
+   * 导出已保存的报告为 Markdown / HTML / JSON 文件
+   */
+  async exportReport(e) {
+    const messageCollector = await getMessageCollector()
+    const [aiService, reportExporter] = await Promise.all([getAIService(), getReportExporter()])
+
+    if (!messageCollector || !reportExporter) {
+      return this.reply('报告功能未就绪', true)
+    }
+
+    try {
+      const params = await this.parseReportParams(e, new RegExp(`导出报告\\s*(\\d{5,12})?\\s*(${REPORT_DATE_PATTERN})?`))
+      if (!params) return
+
+      const { targetGroupId, queryDate, dateLabel, groupName } = params
+      const format = reportExporter.resolveFormat(e.msg.match(/(md|markdown|html|json)\s*$/)?.[1])
+
+      const report = await messageCollector.redisHelper.getReport(targetGroupId, queryDate)
+      if (!report) {
+        return this.reply(`${dateLabel}还没有已保存的报告，请先发送 #群聊报告 生成`, true)
+      }
+
+      logger.info(`[报告] 用户 ${e.user_id} 导出群 ${targetGroupId} 的${dateLabel}报告 (${format})`)
+
+      let content
+      if (format === 'json') {
+        content = reportExporter.toJSON(report)
+      } else {
+        const { templatePath, templateData } = await this.buildTemplateData(report, {
+          groupId: targetGroupId,
+          groupName,
+          model: aiService?.model || '',
+          tokenUsage: report.tokenUsage,
+          date: queryDate
+        })
+        const markdown = reportExporter.toMarkdown(templateData, await getAnalyzerRegistry())
+        content = format === 'md'
+          ? markdown
+          : await reportExporter.toHTML(templatePath, templateData, markdown)
+      }
+
+      // 写入临时文件后以群文件/私聊文件发送
+      const exportDir = path.join(YUNZAI_TEMP_DIR, PLUGIN_NAME)
+      const filePath = path.join(exportDir, `群聊报告_${targetGroupId}_${queryDate.replace('~', '_')}.${format}`)
+      await fs.mkdir(exportDir, { recursive: true })
+      await fs.writeFile(filePath, content, 'utf8')
+
+      try {
+        await this.sendFile(e, filePath)
+      } finally {
+        await fs.unlink(filePath).catch(() => {})
+      }
+    } catch (err) {
+      logger.error(`[报告] 导出报告错误: ${err}`)
+      return this.reply(`导出报告失败: ${err.message}`, true)
+    }
+  }
+
+  /**
+   * 发送文件（优先使用群文件/好友文件接口，不支持时回退为文件消息段）
+   * @param {Object} e - 消息事件对象
+   * @param {string} filePath - 文件路径
+   */
+  async sendFile(e, filePath) {
+    const target = e.isGroup ? e.group : e.friend
+    if (typeof target?.sendFile === 'function') {
+      return await target.sendFile(filePath)
+    }
+    return await this.reply(segment.file(filePath, path.basename(filePath)))
+  }
+
+  /**
+   * 计算周报/月报的日期范围
+   * 周报按自然周（周一至周日），月报按自然月，当前周期截止到今天
+   * @param {string} type - 周期类型 ('week' | 'month')
+   * @param {boolean} previous - 是否为上一个周期
+   * @returns {Object} { type, title, label, startDate, endDate }
+   */
+  getPeriodRange(type, previous = false) {
+    const unit = type === 'month' ? 'month' : 'isoWeek'
+    const base = previous
+      ? moment().subtract(1, type === 'month' ? 'months' : 'weeks')
+      : moment()
+
+    const start = base.clone().startOf(unit)
+    const end = previous ? base.clone().endOf(unit) : moment()
+
+    return {
+      type,
+      title: type === 'month' ? '群聊月报' : '群聊周报',
+      label: type === 'month' ? (previous ? '上月' : '本月') : (previous ? '上周' : '本周'),
+      startDate: start.format('YYYY-MM-DD'),
+      endDate: end.format('YYYY-MM-DD')
+    }
+  }
+
+  /**
+   * 汇总周期内的日报
+   * 话题和金句复用 mergeTopics / mergeGoldenQuotes 合并，称号按用户聚合，统计数据累加
+   * @param {Array} reports - 日报数组（来自 RedisHelper.getReports，按日期正序）
+   * @param {Object} period - 周期信息（来自 getPeriodRange）
+   * @returns {Object} 与日报结构一致的汇总报告，额外包含 period 趋势数据
+   */
+  async aggregatePeriodReports(reports, period) {
+    const config = Config.get()
+    const periodConfig = config?.summary?.period || {}
+    const maxTopics = periodConfig.maxTopics || 10
+    const maxQuotes = periodConfig.maxQuotes || 8
+    const maxTitles = config?.analysis?.userTitle?.max_user_titles || 9
+    const statisticsService = await getStatisticsService()
+
+    const hourlyCount = new Array(24).fill(0)
+    const userIds = new Set()
+    const linksBySource = {}
+    const topicDays = new Map()
+    const titleMap = new Map()
+    const reportByDate = new Map()
+    const tokenUsage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+    let totalMessages = 0
+    let totalChars = 0
+    let totalEmojis = 0
+    let totalReplies = 0
+    let totalLinks = 0
+    let totalVideos = 0
+    let mergedTopics = []
+    const quoteParts = []
+
+    for (const report of reports) {
+      const stats = report.stats || {}
+      const basic = stats.basic || {}
+      reportByDate.set(report.date, report)
+
+      // 1. 统计数据累加
+      totalMessages += basic.totalMessages || report.messageCount || 0
+      totalChars += basic.totalChars || 0
+      totalEmojis += basic.totalEmojis || 0
+      totalReplies += basic.totalReplies || 0
+      totalLinks += stats.links?.total || 0
+      totalVideos += stats.videos || 0
+
+      for (const [source, count] of Object.entries(stats.links?.bySource || {})) {
+        linksBySource[source] = (linksBySource[source] || 0) + count
+      }
+
+      const dayHourly = stats.hourly?.hourlyCount || []
+      for (let hour = 0; hour < 24; hour++) {
+        hourlyCount[hour] += dayHourly[hour] || 0
+      }
+
+      for (const user of stats.users || []) {
+        userIds.add(String(user.user_id))
+      }
+
+      if (report.tokenUsage) {
+        addTokenUsage(tokenUsage, report.tokenUsage)
+      }
+
+      // 2. 话题合并（复制对象，避免 mergeTopics 修改原始日报数据）
+      const dayTopics = (report.topics || []).map(topic => ({
+        ...topic,
+        contributors: [...(topic.contributors || [])]
+      }))
+      for (const topic of dayTopics) {
+        topicDays.set(topic.topic, (topicDays.get(topic.topic) || 0) + 1)
+      }
+      mergedTopics = this.mergeTopics(mergedTopics, dayTopics)
+
+      // 3. 金句按天收集（记录来源日期），汇总时按天轮流挑选
+      quoteParts.push((report.goldenQuotes || []).map(quote => ({ ...quote, date: report.date })))
+
+      // 4. 称号按用户聚合
+      for (const title of report.userTitles || []) {
+        const key = title.user_id || title.user
+        if (!key) continue
+
+        if (!titleMap.has(key)) {
+          titleMap.set(key, { user: title.user, user_id: title.user_id, titles: [], mbtiCount: new Map() })
+        }
+
+        const entry = titleMap.get(key)
+        entry.user = title.user || entry.user
+        entry.titles.push(title.title)
+        if (title.mbti) {
+          entry.mbtiCount.set(title.mbti, (entry.mbtiCount.get(title.mbti) || 0) + 1)
+        }
+      }
+    }
+
+    // 话题：出现天数多、参与者多的排在前面
+    const topics = mergedTopics
+      .sort((a, b) =>
+        (topicDays.get(b.topic) || 0) - (topicDays.get(a.topic) || 0) ||
+        (b.contributors?.length || 0) - (a.contributors?.length || 0)
+      )
+      .slice(0, maxTopics)
+
+    // 金句：按日期轮流挑选，保证每天都有机会上榜
+    const goldenQuotes = this.selectGoldenQuotes(quoteParts, maxQuotes)
+
+    // 称号：获得次数多的排在前面，MBTI 取出现次数最多的类型
+    const userTitles = Array.from(titleMap.values())
+      .map(entry => {
+        const uniqueTitles = [...new Set(entry.titles)]
+        const mbti = Array.from(entry.mbtiCount.entries()).sort((a, b) => b[1] - a[1])[0]?.[0] || ''
+        return {
+          user: entry.user,
+          user_id: entry.user_id,
+          title: entry.titles[entry.titles.length - 1],
+          mbti,
+          reason: `${period.label}共获得 ${entry.titles.length} 次称号: ${uniqueTitles.join('、')}`,
+          count: entry.titles.length
+        }
+      })
+      .sort((a, b) => b.count - a.count)
+      .slice(0, maxTitles)
+
+    // 每日趋势（包含没有日报的日期，便于看出断档）
+    const trend = []
+    const end = moment(period.endDate, 'YYYY-MM-DD')
+    for (const date = moment(period.startDate, 'YYYY-MM-DD'); date.isSameOrBefore(end, 'day'); date.add(1, 'days')) {
+      const dateStr = date.format('YYYY-MM-DD')
+      const report = reportByDate.get(dateStr)
+      trend.push({
+        date: dateStr,
+        label: period.type === 'month' ? date.format('D') : date.format('MM-DD'),
+        weekday: '日一二三四五六'[date.day()],
+        hasReport: !!report,
+        messageCount: report ? (report.stats?.basic?.totalMessages || report.messageCount || 0) : 0,
+        userCount: report?.stats?.basic?.totalUsers || 0,
+        topicCount: report?.topics?.length || 0
+      })
+    }
+
+    const maxDayCount = Math.max(...trend.map(day => day.messageCount), 0)
+    for (const day of trend) {
+      day.heightPercent = maxDayCount > 0 ? (day.messageCount / maxDayCount) * 100 : 0
+    }
+    const busiestDay = trend.reduce((best, day) => (day.messageCount > (best?.messageCount || 0) ? day : best), null)
+
+    const peakHour = statisticsService.findPeakHour(hourlyCount)
+
+    return {
+      stats: {
+        basic: {
+          totalMessages,
+          totalUsers: userIds.size,
+          totalChars,
+          totalEmojis,
+          totalReplies,
+          replyRatio: totalMessages > 0 ? (totalReplies / totalMessages) : 0,
+          avgCharsPerMsg: totalMessages > 0 ? (totalChars / totalMessages).toFixed(1) : 0,
+          dateRange: {
+            start: moment(period.startDate).toDate().toLocaleDateString('zh-CN'),
+            end: moment(period.endDate).toDate().toLocaleDateString('zh-CN')
+          }
+        },
+        users: [],
+        hourly: {
+          hourlyCount,
+          peakHour,
+          peakCount: hourlyCount[peakHour],
+          peakPeriod: statisticsService.getHourRange(peakHour)
+        },
+        links: {
+          total: totalLinks,
+          bySource: linksBySource
+        },
+        videos: totalVideos
+      },
+      topics,
+      goldenQuotes,
+      userTitles,
+      messageCount: totalMessages,
+      tokenUsage,
+      period: {
+        ...period,
+        trend,
+        reportDays: reports.length,
+        totalDays: trend.length,
+        avgMessages: Math.round(totalMessages / reports.length),
+        busiestDay: busiestDay ? `${busiestDay.date} (${busiestDay.messageCount}条)` : '-'
+      }
+    }
+  }
+
   /**
    * 执行分析
    * @param {Array} messages - 消息数组
@@ -989,9 +1523,12 @@ export class ReportPlugin extends plugin {
    * @param {string} date - 日期（用于增量分析）
    * @param {Object} options - 额外选项
    * @param {boolean} options.forceRegenerate - 是否强制重新生成（忽略批次缓存）
+   * @param {boolean} options.mapOnly - 仅执行话题与金句分析（区间报告逐日分析时使用，称号与扩展分析由外层统一计算）
+   * @returns {Promise<Object|null>} 分析结果，coverage 为话题与金句分析实际覆盖的消息数 { analyzed, total, chunks, days }，
+   *   未覆盖全部消息的扩展分析器记录在 coverage.extensions
    */
   async performAnalysis(messages, days = 1, groupId = null, date = null, options = {}) {
-    const { forceRegenerate = false } = options
+    const { forceRegenerate = false, mapOnly = false } = options
 
     try {
       const config = Config.get()
@@ -1003,6 +1540,9 @@ export class ReportPlugin extends plugin {
       ])
       const maxMessages = config.ai?.maxMessages || 1000
       const contextOverlap = 50 // 上下文重叠消息数
+      // 分段分析合并后最终保留的话题与金句数
+      const maxTopics = config?.analysis?.topic?.max_topics || 10
+      const maxQuotes = config?.analysis?.goldenQuote?.max_golden_quotes || 5
 
       logger.info(`[报告] 开始增强分析 (消息数: ${messages.length}${forceRegenerate ? ', 强制重新生成' : ''})`)
 
@@ -1010,9 +1550,9 @@ export class ReportPlugin extends plugin {
       const stats = statisticsService.analyze(messages)
       logger.info(`[报告] 基础统计完成 - 参与用户: ${stats.basic.totalUsers}`)
 
-      // 检查是否满足最小消息数阈值
+      // 检查是否满足最小消息数阈值（区间逐日分析时外层已检查过整个区间，消息少的日子也要分析）
       const minThreshold = config?.analysis?.min_messages_threshold || 20
-      if (messages.length < minThreshold) {
+      if (messages.length < minThreshold && !mapOnly) {
         logger.warn(`[报告] 消息数 (${messages.length}) 少于阈值 (${minThreshold}), 跳过 AI 分析`)
         return {
           stats,
@@ -1024,18 +1564,90 @@ export class ReportPlugin extends plugin {
         }
       }
 
+      // 群 AI 预算已用完时降级为只生成基础统计
+      const usageService = await getUsageService()
+      if (groupId) {
+        const budget = await usageService.checkBudget(groupId)
+        if (budget.exceeded) {
+          logger.warn(`[报告] 群 ${groupId} ${budget.message}，跳过 AI 分析`)
+          return {
+            stats,
+            topics: [],
+            goldenQuotes: [],
+            userTitles: [],
+            skipped: true,
+            reason: budget.message
+          }
+        }
+      }
+
       // 2. 检查是否需要使用批次缓存+增量分析
       let topics = []
       let goldenQuotes = []
       let topicUsage = null
       let quoteUsage = null
       let useIncrementalAnalysis = false
+      // 分段分析（批次、分段或逐日）得到的话题需要合并相似话题
+      let multiPart = false
+      // 各批次/分段/各日的金句（按时间顺序），reduce 时轮流挑选
+      let quoteParts = []
+      const coverage = { analyzed: 0, total: messages.length, chunks: 1, days: 0 }
       let batchTokenUsage = {
         prompt_tokens: 0,
         completion_tokens: 0,
         total_tokens: 0
       }
 
+      // 多日区间：逐日复用批次缓存+增量分析（map），再合并各日的话题与金句（reduce）
+      if (groupId && date && days > 1) {
+        try {
+          const messageCollector = await getMessageCollector()
+          let mergedTopics = []
+          let mergedQuotes = []
+          let analyzedMessages = 0
+          let analyzedDays = 0
+          let chunks = 0
+
+          // 逐日串行分析，避免同时发起过多 AI 请求
+          for (let i = days - 1; i >= 0; i--) {
+            const dayDate = moment(date).subtract(i, 'days').format('YYYY-MM-DD')
+            // 按天读取原始消息列表，保证批次索引与批次缓存一致
+            const dayMessages = await messageCollector.getMessages(groupId, 1, dayDate)
+            if (dayMessages.length === 0) continue
+
+            logger.info(`[报告] 区间分析 - ${dayDate} (消息数: ${dayMessages.length})`)
+
+            const dayResult = await this.performAnalysis(dayMessages, 1, groupId, dayDate, { forceRegenerate, mapOnly: true })
+            if (!dayResult) continue
+
+            mergedTopics = this.mergeTopics(mergedTopics, dayResult.topics || [])
+            mergedQuotes = this.mergeGoldenQuotes(mergedQuotes, dayResult.goldenQuotes || [])
+            quoteParts.push(dayResult.goldenQuotes || [])
+
+            if (dayResult.tokenUsage) {
+              addTokenUsage(batchTokenUsage, dayResult.tokenUsage)
+            }
+
+            if (dayResult.coverage?.analyzed > 0) {
+              analyzedMessages += dayResult.coverage.analyzed
+              analyzedDays++
+              chunks += dayResult.coverage.chunks
+            }
+          }
+
+          topics = mergedTopics
+          goldenQuotes = mergedQuotes
+          useIncrementalAnalysis = true
+          multiPart = true
+          Object.assign(coverage, { analyzed: analyzedMessages, chunks, days: analyzedDays })
+
+          logger.info(`[报告] 区间分析合并完成 (${days}天) - 话题: ${topics.length}, 金句: ${goldenQuotes.length}, Tokens: ${batchTokenUsage.total_tokens}`)
+        } catch (err) {
+          logger.error(`[报告] 区间逐日分析失败，回退到全量分析: ${err}`)
+          useIncrementalAnalysis = false
+        }
+      }
+
       if (groupId && date && messages.length > maxMessages && days === 1) {
         try {
           // 计算已完成的批次数量
@@ -1069,20 +1681,14 @@ export class ReportPlugin extends plugin {
 
                     // 累加批次的 token 使用情况
                     if (parsed.tokenUsage) {
-                      batchTokenUsage.prompt_tokens += parsed.tokenUsage.prompt_tokens || 0
-                      batchTokenUsage.completion_tokens += parsed.tokenUsage.completion_tokens || 0
-                      batchTokenUsage.total_tokens += parsed.tokenUsage.total_tokens || 0
+                      addTokenUsage(batchTokenUsage, parsed.tokenUsage)
                     }
 
                     logger.info(`[报告] 批次${i}缓存有效 - 话题: ${parsed.topics?.length || 0}, 金句: ${parsed.goldenQuotes?.length || 0}, Tokens: ${parsed.tokenUsage?.total_tokens || 0}`)
                   } else {
-                    // 仅当未重试过时才加入重试列表
-                    if (!parsed.retried) {
-                      failedBatches.push(i)
-                      logger.warn(`[报告] 批次${i}分析曾失败，将尝试重试`)
-                    } else {
-                      logger.warn(`[报告] 批次${i}分析曾失败且已重试过，跳过此批次`)
-                    }
+                    // 失败的批次每次生成报告时都重新分析
+                    failedBatches.push(i)
+                    logger.warn(`[报告] 批次${i}分析曾失败，将重新分析`)
                   }
                 } catch (err) {
                   logger.error(`[报告] 批次${i}缓存解析失败: ${err}`)
@@ -1110,9 +1716,7 @@ export class ReportPlugin extends plugin {
 
               // 累加重试的 token 使用量
               if (successBatch.tokenUsage) {
-                batchTokenUsage.prompt_tokens += successBatch.tokenUsage.prompt_tokens || 0
-                batchTokenUsage.completion_tokens += successBatch.tokenUsage.completion_tokens || 0
-                batchTokenUsage.total_tokens += successBatch.tokenUsage.total_tokens || 0
+                addTokenUsage(batchTokenUsage, successBatch.tokenUsage)
               }
             }
 
@@ -1124,6 +1728,9 @@ export class ReportPlugin extends plugin {
           // 如果有任何成功的批次缓存，就使用增量分析
           if (batchCaches.length > 0) {
             useIncrementalAnalysis = true
+            multiPart = true
+            coverage.chunks = batchCaches.length
+            coverage.analyzed = batchCaches.length * maxMessages
 
             // 按批次索引排序以确保合并顺序正确
             batchCaches.sort((a, b) => a.batchIndex - b.batchIndex)
@@ -1136,6 +1743,7 @@ export class ReportPlugin extends plugin {
               logger.debug(`[报告] 合并批次${batch.batchIndex} - 话题: ${batch.topics?.length || 0}, 金句: ${batch.goldenQuotes?.length || 0}`)
               mergedTopics = this.mergeTopics(mergedTopics, batch.topics || [])
               mergedQuotes = this.mergeGoldenQuotes(mergedQuotes, batch.goldenQuotes || [])
+              quoteParts.push(batch.goldenQuotes || [])
             }
 
             logger.info(`[报告] 已合并${batchCaches.length}/${completedBatches}个批次 - 话题: ${mergedTopics.length}, 金句: ${mergedQuotes.length}, Tokens: ${batchTokenUsage.total_tokens}`)
@@ -1152,7 +1760,7 @@ export class ReportPlugin extends plugin {
 
               const [incrementalTopics, incrementalQuotes] = await Promise.all([
                 config?.analysis?.topic?.enabled !== false && topicAnalyzer
-                  ? topicAnalyzer.analyze(incrementalMessages, stats)
+                  ? topicAnalyzer.analyze(incrementalMessages, stats, { groupId })
                       .then(result => ({ topics: result.topics, usage: result.usage }))
                       .catch(err => {
                         logger.error(`[报告] 增量话题分析失败: ${err}`)
@@ -1161,7 +1769,7 @@ export class ReportPlugin extends plugin {
                   : Promise.resolve({ topics: [], usage: null }),
 
                 config?.analysis?.goldenQuote?.enabled !== false && goldenQuoteAnalyzer
-                  ? goldenQuoteAnalyzer.analyze(incrementalMessages, stats)
+                  ? goldenQuoteAnalyzer.analyze(incrementalMessages, stats, { groupId })
                       .then(result => ({ goldenQuotes: result.goldenQuotes, usage: result.usage }))
                       .catch(err => {
                         logger.error(`[报告] 增量金句分析失败: ${err}`)
@@ -1176,8 +1784,13 @@ export class ReportPlugin extends plugin {
 
               topics = this.mergeTopics(mergedTopics, incrementalTopics.topics || [])
               goldenQuotes = this.mergeGoldenQuotes(mergedQuotes, incrementalQuotes.goldenQuotes || [])
+              quoteParts.push(incrementalQuotes.goldenQuotes || [])
               topicUsage = incrementalTopics.usage
               quoteUsage = incrementalQuotes.usage
+              if (topicUsage || quoteUsage) {
+                coverage.analyzed += remainingMessages
+                coverage.chunks++
+              }
 
               logger.info(`[报告] 增量合并完成 - 最终话题: ${topics.length}, 金句: ${goldenQuotes.length}`)
             } else {
@@ -1193,67 +1806,97 @@ export class ReportPlugin extends plugin {
         }
       }
 
-      // 3. 如果未使用增量分析，则执行常规全量分析
+      // 3. 如果未使用增量分析，则执行常规全量分析（消息数超过 maxMessages 时分段分析后合并）
       if (!useIncrementalAnalysis) {
-        // 全量分析时，如果消息数超过maxMessages，只分析最新的maxMessages条
-        let messagesToAnalyze = messages
-        if (messages.length > maxMessages) {
-          messagesToAnalyze = messages.slice(-maxMessages)
-          logger.info(`[报告] 消息数${messages.length}超过阈值，全量分析最新的${maxMessages}条消息`)
-        }
+        const result = await this.analyzeInChunks(messages, stats, {
+          groupId,
+          maxMessages,
+          contextOverlap,
+          concurrency: config.ai?.mapConcurrency || 2,
+          topicAnalyzer: config?.analysis?.topic?.enabled !== false ? topicAnalyzer : null,
+          goldenQuoteAnalyzer: config?.analysis?.goldenQuote?.enabled !== false ? goldenQuoteAnalyzer : null
+        })
 
-        const analysisPromises = []
+        topics = result.topics
+        goldenQuotes = result.goldenQuotes
+        quoteParts = result.quoteParts
+        topicUsage = result.topicUsage
+        quoteUsage = result.quoteUsage
+        multiPart = result.chunks > 1
+        Object.assign(coverage, { analyzed: result.analyzed, chunks: result.chunks })
+      }
 
-        // 话题分析
-        if (config?.analysis?.topic?.enabled !== false && topicAnalyzer) {
-          analysisPromises.push(
-            topicAnalyzer.analyze(messagesToAnalyze, stats)
-              .then(result => ({ type: 'topics', data: result.topics, usage: result.usage }))
-              .catch(err => {
-                logger.error(`[报告] 话题分析失败: ${err}`)
-                return { type: 'topics', data: [], usage: null }
-              })
-          )
+      // 3.5 合并各批次/分段/各日之间名称不同但内容相同的话题（逐日分析时由外层统一合并）
+      let topicMergeUsage = null
+      if (multiPart && !mapOnly && topics.length > 1) {
+        const topicMergeService = await getTopicMergeService()
+        if (topicMergeService) {
+          try {
+            const mergeResult = await topicMergeService.merge(topics, { groupId })
+            topics = mergeResult.topics
+            topicMergeUsage = mergeResult.usage
+          } catch (err) {
+            logger.error(`[报告] 话题合并失败: ${err}`)
+          }
         }
+      }
 
-        // 金句提取
-        if (config?.analysis?.goldenQuote?.enabled !== false && goldenQuoteAnalyzer) {
-          analysisPromises.push(
-            goldenQuoteAnalyzer.analyze(messagesToAnalyze, stats)
-              .then(result => ({ type: 'goldenQuotes', data: result.goldenQuotes, usage: result.usage }))
-              .catch(err => {
-                logger.error(`[报告] 金句提取失败: ${err}`)
-                return { type: 'goldenQuotes', data: [], usage: null }
-              })
-          )
-        }
-
-        // 等待分析完成
-        const results = await Promise.all(analysisPromises)
-
-        for (const result of results) {
-          if (result.type === 'topics') {
-            topics = result.data
-            topicUsage = result.usage
-          } else if (result.type === 'goldenQuotes') {
-            goldenQuotes = result.data
-            quoteUsage = result.usage
-          }
+      // 3.6 reduce: 从各批次/分段/各日的结果中选出最终的话题与金句（逐日分析时只交替排列各段金句，数量由外层控制）
+      if (multiPart) {
+        goldenQuotes = this.selectGoldenQuotes(quoteParts, mapOnly ? Infinity : maxQuotes)
+        if (!mapOnly) {
+          topics = this.selectTopics(topics, maxTopics)
         }
       }
 
-      // 4. 用户称号分析（始终基于统计数据实时计算）
+      // 4. 用户称号分析（始终基于统计数据实时计算）与扩展分析器并行执行
       let userTitles = []
       let titleUsage = null
-
-      if (config?.analysis?.userTitle?.enabled !== false && userTitleAnalyzer) {
-        try {
-          const titleResult = await userTitleAnalyzer.analyze(messages, stats)
-          userTitles = titleResult.userTitles
-          titleUsage = titleResult.usage
-        } catch (err) {
-          logger.error(`[报告] 用户称号分析失败: ${err}`)
+      const extensions = {}
+      const extensionUsages = {}
+      // 未覆盖全部消息的扩展分析器 [{ name, title, analyzed }]
+      const extensionCoverage = []
+
+      if (!mapOnly) {
+        const extensionAnalyzers = await getExtensionAnalyzers()
+        const extensionOptions = { maxMessages, concurrency: config.ai?.mapConcurrency || 2 }
+
+        // 单日报告带入成员过往称号，让称号延续演变而不是每天重复
+        let pastTitles = {}
+        if (groupId && date && days === 1 && userTitleAnalyzer) {
+          const titleHistoryService = await getTitleHistoryService()
+          pastTitles = await titleHistoryService?.getPastTitles(groupId, stats.users.map(user => user.user_id), date) || {}
         }
+
+        await Promise.all([
+          // 称号基于统计数据生成，消息只用于本地检查疑似注入的发言，不发送给 AI，因此传入全部消息
+          config?.analysis?.userTitle?.enabled !== false && userTitleAnalyzer
+            ? userTitleAnalyzer.analyze(messages, stats, { pastTitles, groupId })
+                .then(titleResult => {
+                  userTitles = titleResult.userTitles
+                  titleUsage = titleResult.usage
+                })
+                .catch(err => logger.error(`[报告] 用户称号分析失败: ${err}`))
+            : Promise.resolve(),
+
+          ...extensionAnalyzers.map(entry =>
+            this.runExtensionAnalyzer(entry, messages, stats, extensionOptions)
+              .then(({ result, usage, analyzed }) => {
+                if (result !== undefined && result !== null) {
+                  extensions[entry.name] = result
+                }
+                extensionUsages[entry.name] = usage
+                if (analyzed < messages.length) {
+                  extensionCoverage.push({ name: entry.name, title: entry.title, analyzed })
+                }
+              })
+              .catch(err => logger.error(`[报告] 扩展分析器 ${entry.name} 执行失败: ${err}`))
+          )
+        ])
+      }
+
+      if (extensionCoverage.length > 0) {
+        coverage.extensions = extensionCoverage
       }
 
       // 5. 整合结果
@@ -1262,8 +1905,10 @@ export class ReportPlugin extends plugin {
         topics,
         goldenQuotes,
         userTitles,
+        extensions, // 扩展分析器结果，按分析器名称存放
         skipped: false,
         useIncrementalAnalysis, // 标记是否使用了增量分析
+        coverage: coverage.analyzed > 0 ? coverage : null, // 话题与金句分析覆盖的消息数
         tokenUsage: {
           prompt_tokens: 0,
           completion_tokens: 0,
@@ -1272,16 +1917,31 @@ export class ReportPlugin extends plugin {
       }
 
       // 累加 token 使用情况（包括批次缓存的 token）
-      for (const usage of [batchTokenUsage, topicUsage, quoteUsage, titleUsage]) {
+      for (const usage of [batchTokenUsage, topicUsage, topicMergeUsage, quoteUsage, titleUsage, ...Object.values(extensionUsages)]) {
         if (usage && usage.total_tokens > 0) {
-          analysisResults.tokenUsage.prompt_tokens += usage.prompt_tokens || 0
-          analysisResults.tokenUsage.completion_tokens += usage.completion_tokens || 0
-          analysisResults.tokenUsage.total_tokens += usage.total_tokens || 0
+          addTokenUsage(analysisResults.tokenUsage, usage)
         }
       }
 
+      // 记录本次实际调用的用量（批次缓存和区间逐日分析的用量在生成时已记录）
+      if (groupId) {
+        await usageService.recordAll(groupId, {
+          topic: topicUsage,
+          topicMerge: topicMergeUsage,
+          goldenQuote: quoteUsage,
+          userTitle: titleUsage,
+          ...extensionUsages
+        })
+      }
+
       const analysisMode = useIncrementalAnalysis ? '增量' : '全量'
-      logger.info(`[报告] ${analysisMode}分析完成 - 话题: ${topics.length}, 金句: ${goldenQuotes.length}, 称号: ${userTitles.length}, Tokens: ${analysisResults.tokenUsage.total_tokens}`)
+      if (coverage.analyzed < coverage.total) {
+        logger.warn(`[报告] 话题与金句分析覆盖 ${coverage.analyzed}/${coverage.total} 条消息`)
+      }
+      for (const item of extensionCoverage) {
+        logger.warn(`[报告] 扩展分析器 ${item.name} 覆盖 ${item.analyzed}/${coverage.total} 条消息`)
+      }
+      logger.info(`[报告] ${analysisMode}分析完成 - 话题: ${topics.length}, 金句: ${goldenQuotes.length}, 称号: ${userTitles.length}, 扩展: ${Object.keys(extensions).length}, Tokens: ${analysisResults.tokenUsage.total_tokens}`)
 
       return analysisResults
     } catch (err) {
@@ -1295,72 +1955,7 @@ export class ReportPlugin extends plugin {
    */
   async renderReport(analysisResults, options) {
     try {
-      const config = Config.get()
-      const activityVisualizer = await getActivityVisualizer()
-      const { stats, topics, goldenQuotes, userTitles } = analysisResults
-
-      // 准备活跃度图表数据
-      const activityChartData = config?.analysis?.activity?.enabled !== false && activityVisualizer
-        ? activityVisualizer.prepareChartData(stats.hourly)
-        : null
-
-      // 格式化日期范围
-      const dateRange = stats.basic.dateRange.start === stats.basic.dateRange.end
-        ? stats.basic.dateRange.start
-        : `${stats.basic.dateRange.start} ~ ${stats.basic.dateRange.end}`
-
-      // 获取渲染质量配置
-      const renderConfig = config?.summary?.render || {}
-      const imgType = renderConfig.imgType || 'png'
-      const quality = renderConfig.quality || 100
-
-      // 获取模板配置
-      const templateName = config?.summary?.template || 'default'
-      const templatePath = getSummaryTemplatePath(templateName)
-      const templateDir = getSummaryTemplateDir(templateName)
-
-      // 格式化 token 使用情况
-      const tokenUsage = options.tokenUsage ? {
-        prompt: options.tokenUsage.prompt_tokens || 0,
-        completion: options.tokenUsage.completion_tokens || 0,
-        total: options.tokenUsage.total_tokens || 0
-      } : null
-
-      const templateData = {
-        model: options.model || '',
-        groupName: options.groupName || '未知群聊',
-
-        // 基础统计
-        totalMessages: stats.basic.totalMessages,
-        totalUsers: stats.basic.totalUsers,
-        totalChars: stats.basic.totalChars,
-        totalEmojis: stats.basic.totalEmojis,
-        avgLength: stats.basic.avgCharsPerMsg,
-        dateRange,
-        peakPeriod: stats.hourly.peakPeriod,
-
-        // 链接和视频统计
-        totalLinks: stats.links?.total || 0,
-        linksBySource: stats.links?.bySource || {},
-        totalVideos: stats.videos || 0,
-
-        // 活跃度图表数据
-        enableActivityChart: config?.analysis?.activity?.enabled !== false && activityChartData !== null,
-        activityChart: activityChartData,
-
-        // AI 分析结果
-        topics,
-        goldenQuotes,
-        userTitles,
-
-        // 元数据 - 使用报告数据中的 savedAt 时间戳
-        createTime: analysisResults.savedAt ? moment(analysisResults.savedAt).format('YYYY-MM-DD HH:mm:ss') : moment().format('YYYY-MM-DD HH:mm:ss'),
-        tokenUsage,
-
-        // 路径配置
-        pluResPath: RESOURCES_DIR + '/',
-        templateDir: templateDir + '/'
-      }
+      const { templatePath, templateData, imgType, quality } = await this.buildTemplateData(analysisResults, options)
 
       // 渲染群聊总结报告
       const img = await puppeteer.screenshot('group-insight', {
@@ -1377,6 +1972,178 @@ export class ReportPlugin extends plugin {
     }
   }
 
+  /**
+   * 准备报告模板数据（截图渲染与导出共用）
+   * @param {Object} analysisResults - 分析结果或已保存的报告
+   * @param {Object} options - { groupId, groupName, model, tokenUsage, date }
+   * @returns {Promise<Object>} { templateName, templatePath, templateData, imgType, quality }
+   */
+  async buildTemplateData(analysisResults, options) {
+    const config = Config.get()
+    const activityVisualizer = await getActivityVisualizer()
+    const { stats, topics, goldenQuotes, userTitles } = analysisResults
+
+    // 准备活跃度图表数据
+    const activityChartData = config?.analysis?.activity?.enabled !== false && activityVisualizer
+      ? activityVisualizer.prepareChartData(stats.hourly, analysisResults.extensions?.sentiment?.hourly)
+      : null
+
+    // 与上一份已保存报告的对比（周报/月报自带每日趋势，不参与对比）
+    const comparison = config?.analysis?.comparison?.enabled !== false && options.groupId && !analysisResults.period
+      ? await this.buildComparison(options.groupId, options.date, stats)
+      : null
+
+    // 格式化日期范围
+    const dateRange = stats.basic.dateRange.start === stats.basic.dateRange.end
+      ? stats.basic.dateRange.start
+      : `${stats.basic.dateRange.start} ~ ${stats.basic.dateRange.end}`
+
+    // 获取渲染质量配置
+    const renderConfig = config?.summary?.render || {}
+    const imgType = renderConfig.imgType || 'png'
+    const quality = renderConfig.quality || 100
+
+    // 获取模板配置
+    const templateName = config?.summary?.template || 'default'
+    const templatePath = getSummaryTemplatePath(templateName)
+    const templateDir = getSummaryTemplateDir(templateName)
+
+    // 扩展分析器章节（仅渲染提供了模板片段的结果）
+    const analyzerRegistry = await getAnalyzerRegistry()
+    const extensionSections = await analyzerRegistry.renderSections(analysisResults.extensions, templateName)
+
+    // 格式化 token 使用情况
+    const tokenUsage = options.tokenUsage ? {
+      prompt: options.tokenUsage.prompt_tokens || 0,
+      completion: options.tokenUsage.completion_tokens || 0,
+      total: options.tokenUsage.total_tokens || 0,
+      // 发生故障转移时列出各服务商承担的 token
+      providers: Object.keys(options.tokenUsage.providers || {}).length > 1
+        ? Object.entries(options.tokenUsage.providers).map(([name, item]) => `${name} ${item.total_tokens}`).join(' / ')
+        : ''
+    } : null
+
+    // AI 分析覆盖范围（话题与金句分析实际读过的消息数）
+    const coverage = analysisResults.coverage?.total > 0 ? {
+      ...analysisResults.coverage,
+      percent: Math.floor(analysisResults.coverage.analyzed / analysisResults.coverage.total * 100),
+      partial: analysisResults.coverage.analyzed < analysisResults.coverage.total
+    } : null
+
+    const templateData = {
+      model: options.model || '',
+      groupName: options.groupName || '未知群聊',
+
+      // 基础统计
+      totalMessages: stats.basic.totalMessages,
+      totalUsers: stats.basic.totalUsers,
+      totalChars: stats.basic.totalChars,
+      totalEmojis: stats.basic.totalEmojis,
+      avgLength: stats.basic.avgCharsPerMsg,
+      dateRange,
+      peakPeriod: stats.hourly.peakPeriod,
+
+      // 链接和视频统计
+      totalLinks: stats.links?.total || 0,
+      linksBySource: stats.links?.bySource || {},
+      totalVideos: stats.videos || 0,
+
+      // 活跃度图表数据
+      enableActivityChart: config?.analysis?.activity?.enabled !== false && activityChartData !== null,
+      activityChart: activityChartData,
+
+      // AI 分析结果
+      topics,
+      goldenQuotes,
+      userTitles,
+
+      // 周报/月报的周期信息与每日趋势（日报为 null）
+      period: analysisResults.period || null,
+
+      // 较上一份报告的变化（无可对比报告时为 null）
+      comparison,
+
+      // 扩展分析器结果及其渲染好的章节
+      extensions: analysisResults.extensions || {},
+      extensionSections,
+
+      // 元数据 - 使用报告数据中的 savedAt 时间戳
+      createTime: analysisResults.savedAt ? moment(analysisResults.savedAt).format('YYYY-MM-DD HH:mm:ss') : moment().format('YYYY-MM-DD HH:mm:ss'),
+      tokenUsage,
+      coverage,
+
+      // 路径配置
+      pluResPath: RESOURCES_DIR + '/',
+      templateDir: templateDir + '/'
+    }
+
+    return { templateName, templatePath, templateData, imgType, quality }
+  }
+
+  /**
+   * 查找上一份已保存的报告并生成对比数据
+   * 日报向前回溯最近的已保存日报；区间报告对比紧邻的上一个等长区间
+   * 报告区间包含今天时当天尚未结束，改为与上一期截至同一时刻的消息对比
+   * @param {number} groupId - 群号
+   * @param {string} date - 报告日期或区间键 (YYYY-MM-DD / YYYY-MM-DD~YYYY-MM-DD)
+   * @param {Object} stats - 当前报告的统计结果
+   * @returns {Promise<Object|null>} 对比结果（附带 label），无可对比报告时返回 null
+   */
+  async buildComparison(groupId, date, stats) {
+    try {
+      const [messageCollector, comparisonService] = await Promise.all([
+        getMessageCollector(),
+        getComparisonService()
+      ])
+      if (!messageCollector || !comparisonService || !date) return null
+
+      const [startDate, endDate] = date.includes('~') ? date.split('~') : [date, date]
+      const days = moment(endDate).diff(moment(startDate), 'days') + 1
+      let previousReport = null
+      let previousEndDate = null
+      let label = '较昨日'
+
+      if (date.includes('~')) {
+        // 区间报告：对比上一个等长区间
+        previousEndDate = moment(endDate).subtract(days, 'days').format('YYYY-MM-DD')
+        const previousKey = `${moment(startDate).subtract(days, 'days').format('YYYY-MM-DD')}~${previousEndDate}`
+        previousReport = await messageCollector.redisHelper.getReport(groupId, previousKey)
+        label = `较前${days}天`
+      } else {
+        // 日报：向前回溯最近一份已保存的日报
+        for (let i = 1; i <= COMPARISON_LOOKBACK_DAYS && !previousReport; i++) {
+          previousEndDate = moment(date).subtract(i, 'days').format('YYYY-MM-DD')
+          previousReport = await messageCollector.redisHelper.getReport(groupId, previousEndDate)
+          if (previousReport && i > 1) {
+            label = `较${moment(previousEndDate).format('MM月DD日')}`
+          }
+        }
+      }
+
+      if (!previousReport?.stats) return null
+
+      let previousStats = previousReport.stats
+      if (endDate >= moment().format('YYYY-MM-DD')) {
+        // 当天尚未结束：统计上一期截至同一时刻的消息，避免拿半天的数据和完整的一天比较
+        const cutoff = moment().subtract(moment(endDate).diff(moment(previousEndDate), 'days'), 'days').unix()
+        const previousMessages = (await messageCollector.getMessages(groupId, days, previousEndDate))
+          .filter(msg => msg.time <= cutoff)
+        // 上一期的消息已过期时无法公平对比，不展示对比
+        if (previousMessages.length === 0) return null
+
+        const statisticsService = await getStatisticsService()
+        previousStats = statisticsService.analyze(previousMessages)
+        label = `${label}同时段`
+      }
+
+      const comparison = comparisonService.compare(stats, previousStats)
+      return comparison ? { ...comparison, label } : null
+    } catch (err) {
+      logger.error(`[报告] 生成对比数据失败: ${err}`)
+      return null
+    }
+  }
+
   /**
    * 分析缺失/失败的批次并保存到缓存
    * 用于报告生成时的批次补全
@@ -1404,9 +2171,10 @@ export class ReportPlugin extends plugin {
     }
 
     // 获取分析器
-    const [topicAnalyzer, goldenQuoteAnalyzer] = await Promise.all([
+    const [topicAnalyzer, goldenQuoteAnalyzer, usageService] = await Promise.all([
       getTopicAnalyzer(),
-      getGoldenQuoteAnalyzer()
+      getGoldenQuoteAnalyzer(),
+      getUsageService()
     ])
 
     logger.info(`[报告] 开始补全 ${batchesToRetry.length} 个批次: [${batchesToRetry.join(', ')}]`)
@@ -1438,23 +2206,27 @@ export class ReportPlugin extends plugin {
 
         // 并行分析话题和金句
         const [topicResult, quoteResult] = await Promise.all([
-          topicAnalyzer?.analyze(messagesToAnalyze, stats).catch(err => {
+          topicAnalyzer?.analyze(messagesToAnalyze, stats, { groupId }).catch(err => {
             logger.error(`[报告] 批次${batchIndex}话题分析失败: ${err}`)
             return { topics: [], usage: null }
           }),
-          goldenQuoteAnalyzer?.analyze(messagesToAnalyze, stats).catch(err => {
+          goldenQuoteAnalyzer?.analyze(messagesToAnalyze, stats, { groupId }).catch(err => {
             logger.error(`[报告] 批次${batchIndex}金句分析失败: ${err}`)
             return { goldenQuotes: [], usage: null }
           })
         ])
 
-        // 计算本批次的 token 使用量
-        const batchTokenUsage = {
-          prompt_tokens: (topicResult?.usage?.prompt_tokens || 0) + (quoteResult?.usage?.prompt_tokens || 0),
-          completion_tokens: (topicResult?.usage?.completion_tokens || 0) + (quoteResult?.usage?.completion_tokens || 0),
-          total_tokens: (topicResult?.usage?.total_tokens || 0) + (quoteResult?.usage?.total_tokens || 0)
+        // 分析器调用 AI 失败时返回空结果且没有用量，视为本批次分析失败
+        if ((topicAnalyzer || goldenQuoteAnalyzer) && !topicResult?.usage && !quoteResult?.usage) {
+          throw new Error('话题与金句分析均未得到 AI 响应')
         }
 
+        // 计算本批次的 token 使用量
+        const batchTokenUsage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+        addTokenUsage(batchTokenUsage, topicResult?.usage)
+        addTokenUsage(batchTokenUsage, quoteResult?.usage)
+        await usageService.recordAll(groupId, { topic: topicResult?.usage, goldenQuote: quoteResult?.usage })
+
         // 保存到缓存
         const cacheKey = `Yz:groupManager:batch:${groupId}:${date}:${batchIndex}`
         const cacheData = {
@@ -1466,31 +2238,27 @@ export class ReportPlugin extends plugin {
           goldenQuotes: quoteResult?.goldenQuotes || [],
           tokenUsage: batchTokenUsage,
           analyzedAt: Date.now(),
-          success: true,
-          retried: true  // 标记为重试/补全的批次
+          success: true
         }
 
         await redis.set(cacheKey, JSON.stringify(cacheData), 'EX', 86400)
 
         results.successBatches.push(cacheData)
-        results.tokenUsage.prompt_tokens += batchTokenUsage.prompt_tokens
-        results.tokenUsage.completion_tokens += batchTokenUsage.completion_tokens
-        results.tokenUsage.total_tokens += batchTokenUsage.total_tokens
+        addTokenUsage(results.tokenUsage, batchTokenUsage)
 
         logger.info(`[报告] 批次${batchIndex}补全成功 - 话题: ${cacheData.topics.length}, 金句: ${cacheData.goldenQuotes.length}, Tokens: ${batchTokenUsage.total_tokens}`)
 
       } catch (err) {
         logger.error(`[报告] 批次${batchIndex}补全失败: ${err}`)
 
-        // 保存失败标记，防止本次会话重复尝试
+        // 保存失败标记（避免消息阈值触发时重复入队），下次生成报告时再次补全
         const cacheKey = `Yz:groupManager:batch:${groupId}:${date}:${batchIndex}`
         try {
           await redis.set(cacheKey, JSON.stringify({
             batchIndex,
             success: false,
             error: err.message,
-            analyzedAt: Date.now(),
-            retried: true
+            analyzedAt: Date.now()
           }), 'EX', 86400)
         } catch (cacheErr) {
           logger.error(`[报告] 保存批次${batchIndex}失败标记失败: ${cacheErr}`)
@@ -1507,6 +2275,141 @@ export class ReportPlugin extends plugin {
     return results
   }
 
+  /**
+   * 分段分析话题与金句（map-reduce）
+   * 消息数不超过 maxMessages 时整体分析一次；否则按 maxMessages 分段（后一段带上一段末尾的上下文），
+   * 限制并发分别分析各段（map），再按时间顺序合并各段的话题与金句（reduce）
+   * @param {Array} messages - 消息列表
+   * @param {Object} stats - 统计信息
+   * @param {Object} options - { groupId, maxMessages, contextOverlap, concurrency, topicAnalyzer, goldenQuoteAnalyzer }
+   * @returns {Promise<Object>} { topics, goldenQuotes, quoteParts, topicUsage, quoteUsage, analyzed, chunks }
+   */
+  async analyzeInChunks(messages, stats, options) {
+    const { groupId, maxMessages, contextOverlap = 50, concurrency = 2, topicAnalyzer, goldenQuoteAnalyzer } = options
+
+    const chunks = []
+    for (let start = 0; start < messages.length; start += maxMessages) {
+      const end = Math.min(messages.length, start + maxMessages)
+      chunks.push({ index: chunks.length, start, end, messages: messages.slice(Math.max(0, start - contextOverlap), end) })
+    }
+
+    if (chunks.length > 1) {
+      logger.info(`[报告] 消息数${messages.length}超过阈值，分 ${chunks.length} 段分析 (每段${maxMessages}条，并发数: ${concurrency})`)
+    }
+
+    // map: 各段并行分析话题和金句
+    const results = await this.runWithConcurrency(chunks, async chunk => {
+      const label = chunks.length > 1 ? `第${chunk.index + 1}段` : ''
+      const [topicResult, quoteResult] = await Promise.all([
+        topicAnalyzer
+          ? topicAnalyzer.analyze(chunk.messages, stats, { groupId }).catch(err => {
+              logger.error(`[报告] ${label}话题分析失败: ${err}`)
+              return { topics: [], usage: null }
+            })
+          : { topics: [], usage: null },
+        goldenQuoteAnalyzer
+          ? goldenQuoteAnalyzer.analyze(chunk.messages, stats, { groupId }).catch(err => {
+              logger.error(`[报告] ${label}金句提取失败: ${err}`)
+              return { goldenQuotes: [], usage: null }
+            })
+          : { goldenQuotes: [], usage: null }
+      ])
+
+      if (chunks.length > 1) {
+        logger.debug(`[报告] ${label}分析完成 [${chunk.start}-${chunk.end}] - 话题: ${topicResult.topics?.length || 0}, 金句: ${quoteResult.goldenQuotes?.length || 0}`)
+      }
+      return { chunk, topicResult, quoteResult }
+    }, concurrency)
+
+    // reduce: 按时间顺序合并各段结果（相似话题由 TopicMergeService 进一步合并，最终话题与金句由 performAnalysis 挑选）
+    const reduced = {
+      topics: [],
+      goldenQuotes: [],
+      quoteParts: [], // 各段金句，供最终挑选
+      topicUsage: null,
+      quoteUsage: null,
+      analyzed: 0,
+      chunks: chunks.length
+    }
+
+    for (const { chunk, topicResult, quoteResult } of results) {
+      reduced.topics = results.length > 1
+        ? this.mergeTopics(reduced.topics, topicResult.topics || [])
+        : topicResult.topics || []
+      reduced.goldenQuotes = this.mergeGoldenQuotes(reduced.goldenQuotes, quoteResult.goldenQuotes || [])
+      reduced.quoteParts.push(quoteResult.goldenQuotes || [])
+
+      if (topicResult.usage) {
+        reduced.topicUsage = addTokenUsage(reduced.topicUsage || {}, topicResult.usage)
+      }
+      if (quoteResult.usage) {
+        reduced.quoteUsage = addTokenUsage(reduced.quoteUsage || {}, quoteResult.usage)
+      }
+
+      // AI 有返回的分段才算已覆盖（不计上下文）
+      if (topicResult.usage || quoteResult.usage) {
+        reduced.analyzed += chunk.end - chunk.start
+      }
+    }
+
+    return reduced
+  }
+
+  /**
+   * 执行扩展分析器
+   * 消息数不超过 maxMessages 或分析器声明 fullInput（自行控制发送给 AI 的内容）时整体分析一次；
+   * 分析器提供 reduce(parts) 时按 maxMessages 分段分别分析（map）后合并（reduce）；
+   * 否则只分析最新的 maxMessages 条消息
+   * @param {Object} entry - { name, analyzer }
+   * @param {Array} messages - 消息列表
+   * @param {Object} stats - 统计信息
+   * @param {Object} options - { maxMessages, concurrency }
+   * @returns {Promise<Object>} { result, usage, analyzed }，analyzed 为实际分析的消息数
+   */
+  async runExtensionAnalyzer({ name, analyzer }, messages, stats, options) {
+    const { maxMessages, concurrency = 2 } = options
+
+    if (messages.length <= maxMessages || analyzer.constructor.fullInput) {
+      const output = await analyzer.analyze(messages, stats)
+      return { result: output?.[name], usage: output?.usage || null, analyzed: messages.length }
+    }
+
+    if (typeof analyzer.reduce !== 'function') {
+      const latest = messages.slice(-maxMessages)
+      logger.info(`[报告] 扩展分析器 ${name} 不支持分段合并，只分析最新的 ${latest.length} 条消息`)
+      const output = await analyzer.analyze(latest, stats)
+      return { result: output?.[name], usage: output?.usage || null, analyzed: latest.length }
+    }
+
+    const chunks = []
+    for (let start = 0; start < messages.length; start += maxMessages) {
+      chunks.push(messages.slice(start, start + maxMessages))
+    }
+
+    // map: 各段分别分析，失败的分段不计入覆盖范围
+    const parts = await this.runWithConcurrency(chunks, chunk => analyzer.analyze(chunk, stats)
+      .then(output => ({ messages: chunk, result: output?.[name], usage: output?.usage || null }))
+      .catch(err => {
+        logger.error(`[报告] 扩展分析器 ${name} 第${chunks.indexOf(chunk) + 1}段分析失败: ${err}`)
+        return null
+      }), concurrency)
+
+    let usage = null
+    for (const part of parts) {
+      if (part?.usage) {
+        usage = addTokenUsage(usage || {}, part.usage)
+      }
+    }
+
+    // reduce: 由分析器合并各段结果
+    const succeeded = parts.filter(part => part && part.result !== undefined && part.result !== null)
+    return {
+      result: succeeded.length > 0 ? analyzer.reduce(succeeded) : null,
+      usage,
+      analyzed: succeeded.reduce((sum, part) => sum + part.messages.length, 0)
+    }
+  }
+
   /**
    * 合并话题分析结果
    * @param {Array} cachedTopics - 缓存的话题
@@ -1570,7 +2473,55 @@ export class ReportPlugin extends plugin {
       }
     })
 
-    // 返回所有金句（不限制数量）
+    // 返回所有金句（不限制数量，最终数量由 selectGoldenQuotes 控制）
     return allQuotes
   }
+
+  /**
+   * 从各分段（批次/分段/各日）的金句中选出最终金句（reduce）
+   * 各分段的金句已按精彩程度排序，按分段轮流挑选，保证各时段都有机会上榜
+   * @param {Array<Array>} quoteParts - 按时间顺序排列的各分段金句
+   * @param {number} maxQuotes - 最多保留的金句数
+   * @returns {Array} 去重后的金句
+   */
+  selectGoldenQuotes(quoteParts, maxQuotes) {
+    const quoteSet = new Set()
+    const queues = quoteParts.map(quotes => quotes.filter(quote => {
+      const key = `${quote.sender?.user_id || quote.sender?.nickname || 'unknown'}_${quote.quote || ''}`
+      if (quoteSet.has(key)) return false
+      quoteSet.add(key)
+      return true
+    }))
+
+    const selected = []
+    while (selected.length < maxQuotes && queues.some(queue => queue.length > 0)) {
+      for (const queue of queues) {
+        if (queue.length > 0 && selected.length < maxQuotes) {
+          selected.push(queue.shift())
+        }
+      }
+    }
+    return selected
+  }
+
+  /**
+   * 从合并后的话题中选出最终话题（reduce）
+   * 参与人数多、描述详细的话题优先，入选话题保持原有的时间顺序
+   * @param {Array} topics - 合并后的话题
+   * @param {number} maxTopics - 最多保留的话题数
+   * @returns {Array} 最终话题
+   */
+  selectTopics(topics, maxTopics) {
+    if (topics.length <= maxTopics) return topics
+
+    const selected = new Set(
+      [...topics]
+        .sort((a, b) =>
+          (b.contributors?.length || 0) - (a.contributors?.length || 0) ||
+          (b.detail?.length || 0) - (a.detail?.length || 0)
+        )
+        .slice(0, maxTopics)
+    )
+    return topics.filter(topic => selected.has(topic))
+  }
 }
@@ -0,0 +1,109 @@
+/**
+ * 称号历史功能
+ */
+import plugin from '../../../lib/plugins/plugin.js'
+import { getTitleHistoryService } from '../components/index.js'
+import { logger } from '#lib'
+
+export class TitlePlugin extends plugin {
+  constructor() {
+    super({
+      name: '群聊洞见',
+      dsc: '称号历程与称号榜',
+      event: 'message.group',
+      priority: 5000,
+      rule: [
+        {
+          reg: '^#(我的|他的|她的)?称号\\s*(@.*)?$',
+          fnc: 'myTitles',
+          permission: 'all'
+        },
+        {
+          reg: '^#称号(榜|排行|排行榜)$',
+          fnc: 'titleRanking',
+          permission: 'all'
+        }
+      ]
+    })
+  }
+
+  /**
+   * 初始化
+   */
+  async init() {
+    await getTitleHistoryService()
+  }
+
+  /**
+   * 查看称号历程（可 @ 查看他人）
+   */
+  async myTitles(e) {
+    const titleHistoryService = await getTitleHistoryService()
+    if (!titleHistoryService?.enabled) {
+      return this.reply('称号历史功能未启用', true)
+    }
+
+    const userId = e.at || e.user_id
+    const isSelf = String(userId) === String(e.user_id)
+
+    try {
+      const entry = await titleHistoryService.getUser(e.group_id, userId)
+      if (!entry || entry.history.length === 0) {
+        return this.reply(isSelf ? '你还没有获得过称号，多在群里聊聊吧' : 'TA 还没有获得过称号', true)
+      }
+
+      const { history, mbti } = entry
+      const shown = history.slice(-titleHistoryService.listSize).reverse()
+      const uniqueCount = new Set(history.map(record => record.title)).size
+
+      const lines = [`🏅 ${entry.nickname} 的称号历程`, `共获得 ${history.length} 次称号（${uniqueCount} 种）`]
+      if (mbti) {
+        lines.push(`🧠 MBTI 共识：${mbti.type}（${mbti.count}/${mbti.total} 次）`)
+      }
+      lines.push('')
+
+      for (const record of shown) {
+        lines.push(`${record.date}  ${record.title}${record.mbti ? ` · ${record.mbti}` : ''}`)
+      }
+
+      if (history.length > shown.length) {
+        lines.push(`……仅展示最近 ${shown.length} 次`)
+      }
+
+      return this.reply(lines.join('\n'))
+    } catch (err) {
+      logger.error(`[称号历史] 查询失败: ${err}`)
+      return this.reply(`称号历史查询失败: ${err.message}`, true)
+    }
+  }
+
+  /**
+   * 称号榜
+   */
+  async titleRanking(e) {
+    const titleHistoryService = await getTitleHistoryService()
+    if (!titleHistoryService?.enabled) {
+      return this.reply('称号历史功能未启用', true)
+    }
+
+    try {
+      const ranking = await titleHistoryService.ranking(e.group_id)
+      if (ranking.length === 0) {
+        return this.reply('还没有人获得过称号，生成群聊报告后会自动记录', true)
+      }
+
+      const medals = ['🥇', '🥈', '🥉']
+      const lines = ['🏆 称号榜', '']
+      ranking.forEach((item, index) => {
+        const mbti = item.mbti ? ` · ${item.mbti.type}` : ''
+        lines.push(`${medals[index] || `${index + 1}.`} ${item.nickname} - ${item.count} 次（${item.uniqueCount} 种）${mbti}`)
+        lines.push(`    最近：${item.latest.title}（${item.latest.date}）`)
+      })
+
+      return this.reply(lines.join('\n'))
+    } catch (err) {
+      logger.error(`[称号历史] 称号榜查询失败: ${err}`)
+      return this.reply(`称号榜查询失败: ${err.message}`, true)
+    }
+  }
+}
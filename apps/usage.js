@@ -0,0 +1,228 @@
+/**
+ * AI 用量统计功能
+ */
+import plugin from '../../../lib/plugins/plugin.js'
+import moment from 'moment'
+import { getUsageService, getAnalyzerRegistry } from '../components/index.js'
+import { logger } from '#lib'
+
+// 内置分析器/功能的显示名称（扩展分析器使用其 title）
+const ANALYZER_LABELS = {
+  topic: '话题',
+  topicMerge: '话题合并',
+  goldenQuote: '金句',
+  userTitle: '称号',
+  askChat: '问群聊',
+  catchUp: '消息补课',
+  forwardSummary: '转发总结'
+}
+
+export class UsagePlugin extends plugin {
+  constructor() {
+    super({
+      name: '群聊洞见',
+      dsc: 'AI 用量与费用统计',
+      event: 'message',
+      priority: 5000,
+      rule: [
+        {
+          reg: '^#洞见用量\\s*(\\d{4}-\\d{1,2})?\\s*(\\d{5,12})?$',
+          fnc: 'showUsage',
+          permission: 'master'
+        }
+      ]
+    })
+  }
+
+  /**
+   * 查看月度 AI 用量（可指定月份和群号）
+   */
+  async showUsage(e) {
+    const usageService = await getUsageService()
+    if (!usageService.enabled) {
+      return this.reply('用量统计未启用', true)
+    }
+
+    const match = e.msg.match(/^#洞见用量\s*(\d{4}-\d{1,2})?\s*(\d{5,12})?$/)
+    const month = match?.[1] ? moment(match[1], 'YYYY-M').format('YYYY-MM') : moment().format('YYYY-MM')
+    const groupId = match?.[2] || null
+
+    try {
+      const labels = await this.getAnalyzerLabels()
+      const sections = groupId
+        ? await this.buildGroupSections(usageService, groupId, month, labels)
+        : await this.buildOverviewSections(usageService, month, labels)
+
+      if (!sections) {
+        return this.reply(`${month} 没有${groupId ? `群 ${groupId} 的` : ''} AI 用量记录`, true)
+      }
+
+      return this.sendSections(e, sections)
+    } catch (err) {
+      logger.error(`[用量统计] 查询失败: ${err}`)
+      return this.reply(`查询失败: ${err.message}`, true)
+    }
+  }
+
+  /**
+   * 构建所有群的月度概览
+   * @returns {Promise<Array<string>|null>}
+   */
+  async buildOverviewSections(usageService, month, labels) {
+    const overview = await usageService.getMonthOverview(month)
+    if (overview.length === 0) {
+      return null
+    }
+
+    const rows = overview.flatMap(group => group.rows)
+    const total = usageService.summarize(rows)
+    const sections = [
+      [
+        `📊 AI 用量 · ${month}`,
+        this.formatLine(usageService, '合计', total),
+        `共 ${overview.length} 个群使用 AI`
+      ].join('\n')
+    ]
+
+    const groupLines = ['🏷️ 按群:']
+    for (const [index, group] of overview.slice(0, 20).entries()) {
+      const share = total.total_tokens > 0 ? Math.round(group.total_tokens / total.total_tokens * 100) : 0
+      const name = await this.getGroupName(group.groupId)
+      groupLines.push(`${index + 1}. ${name}\n   ${this.formatLine(usageService, null, group)} · 占 ${share}%`)
+    }
+    if (overview.length > 20) {
+      groupLines.push(`…其余 ${overview.length - 20} 个群未列出`)
+    }
+    sections.push(groupLines.join('\n'))
+
+    sections.push(...this.buildBreakdownSections(usageService, rows, labels))
+    sections.push('发送 #洞见用量 [月份] [群号] 查看单个群的明细，如 #洞见用量 2025-01 123456789')
+    return sections
+  }
+
+  /**
+   * 构建单个群的月度明细
+   * @returns {Promise<Array<string>|null>}
+   */
+  async buildGroupSections(usageService, groupId, month, labels) {
+    const rows = await usageService.getMonthRows(groupId, month)
+    if (rows.length === 0) {
+      return null
+    }
+
+    const total = usageService.summarize(rows)
+    const summary = [
+      `📊 ${await this.getGroupName(groupId)} · ${month}`,
+      this.formatLine(usageService, '合计', total)
+    ]
+
+    // 当月查询时附带预算使用情况
+    if (month === moment().format('YYYY-MM')) {
+      const budget = await usageService.checkBudget(groupId)
+      if (budget.daily.limit) {
+        summary.push(`今日预算: ${usageService.formatAmount(budget.daily.used)} / ${usageService.formatAmount(budget.daily.limit)}`)
+      }
+      if (budget.monthly.limit) {
+        summary.push(`本月预算: ${usageService.formatAmount(budget.monthly.used)} / ${usageService.formatAmount(budget.monthly.limit)}`)
+      }
+      if (budget.exceeded) {
+        summary.push(`⚠️ ${budget.message}`)
+      }
+    }
+
+    return [summary.join('\n'), ...this.buildBreakdownSections(usageService, rows, labels)]
+  }
+
+  /**
+   * 构建按分析器、模型、日期的分项统计
+   * @returns {Array<string>}
+   */
+  buildBreakdownSections(usageService, rows, labels) {
+    const byAnalyzer = usageService.summarize(rows, 'analyzer')
+      .map(item => this.formatLine(usageService, labels[item.analyzer] || item.analyzer, item))
+    const byModel = usageService.summarize(rows, 'model')
+      .map(item => this.formatLine(usageService, item.model, item))
+    const byDate = usageService.summarize(rows, 'date')
+      .map(item => this.formatLine(usageService, moment(item.date).format('MM-DD'), item))
+
+    return [
+      ['🧩 按分析器:', ...byAnalyzer].join('\n'),
+      ['🤖 按模型:', ...byModel].join('\n'),
+      ['📅 按日期:', ...byDate].join('\n')
+    ]
+  }
+
+  /**
+   * 格式化一行用量
+   * @param {UsageService} usageService - 用量统计服务
+   * @param {string|null} label - 行标签
+   * @param {Object} item - 汇总结果 { calls, total_tokens, cost }
+   */
+  formatLine(usageService, label, item) {
+    const parts = [`${item.calls} 次`, `${usageService.formatTokens(item.total_tokens)} tokens`]
+    if (usageService.prices.length > 0) {
+      parts.push(`≈${usageService.formatCost(item.cost)}`)
+    }
+    return label ? `${label}: ${parts.join(' · ')}` : parts.join(' · ')
+  }
+
+  /**
+   * 获取分析器显示名称（含扩展分析器）
+   * @returns {Promise<Object>} { 分析器名称: 显示名称 }
+   */
+  async getAnalyzerLabels() {
+    const labels = { ...ANALYZER_LABELS }
+    try {
+      const analyzerRegistry = await getAnalyzerRegistry()
+      for (const entry of analyzerRegistry.list()) {
+        labels[entry.name] = entry.title
+      }
+    } catch (err) {
+      logger.debug(`[用量统计] 获取扩展分析器名称失败: ${err}`)
+    }
+    return labels
+  }
+
+  /**
+   * 获取群名称
+   * @param {string} groupId - 群号（私聊用量记在 private 下）
+   */
+  async getGroupName(groupId) {
+    if (groupId === 'private') {
+      return '私聊'
+    }
+
+    try {
+      const groupInfo = await Bot.pickGroup?.(Number(groupId))?.getInfo?.()
+      const name = groupInfo?.group_name || groupInfo?.name
+      if (name) return `${name}(${groupId})`
+    } catch (err) {
+      logger.debug(`[用量统计] 获取群 ${groupId} 名称失败`)
+    }
+    return `群${groupId}`
+  }
+
+  /**
+   * 以合并转发发送统计
+   * @param {Object} e - 消息事件
+   * @param {Array<string>} sections - 各段文本
+   */
+  async sendSections(e, sections) {
+    const botId = e.self_id || (Array.isArray(Bot.uin) ? Bot.uin[0] : Bot.uin)
+    const msgList = sections.map(message => ({ message, user_id: botId, nickname: '洞见用量' }))
+
+    try {
+      let forwardMsg
+      if (e.group && e.group.makeForwardMsg) {
+        forwardMsg = await e.group.makeForwardMsg(msgList)
+      } else {
+        forwardMsg = await Bot.makeForwardMsg(msgList)
+      }
+
+      return this.reply(forwardMsg)
+    } catch (err) {
+      logger.error(`发送合并转发消息失败: ${err}`)
+      return this.reply(sections.join('\n\n'), true)
+    }
+  }
+}
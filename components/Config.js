@@ -6,15 +6,21 @@
  * 2. config.yaml 作为实际配置文件
  * 3. 首次启动时，自动复制 default_config.yaml 为 config.yaml
  * 4. 后续只读取 config.yaml，用户可直接修改完整配置
+ *
+ * 提示词模板：
+ * config/prompts/<群号>/<name>.md > config/prompts/<name>.md > config/default_prompts/<name>.md
  */
 import chokidar from 'chokidar'
 import YAML from 'yaml'
 import fs from 'node:fs'
+import path from 'node:path'
 import chalk from 'chalk'
 import {
   USER_CONFIG_PATH,
   DEFAULT_CONFIG_PATH,
-  CONFIG_TEMPLATE_PATH
+  CONFIG_TEMPLATE_PATH,
+  DEFAULT_PROMPTS_DIR,
+  USER_PROMPTS_DIR
 } from '#paths'
 import { errorLogger, logger } from '#lib'
 
@@ -22,7 +28,10 @@ class Config {
   constructor() {
     this.config = null
     this.watcher = null
+    this.promptWatcher = null
     this.callbacks = []
+    // 提示词模板缓存: "群号:模板名" → 模板内容（不存在时为 null）
+    this.promptCache = new Map()
   }
 
   /**
@@ -264,6 +273,22 @@ class Config {
 
       errorLogger.debug('配置文件热重载已启用')
     }
+
+    // 监听提示词模板目录，修改后清空缓存，下次分析时重新读取
+    this.promptWatcher = chokidar.watch([USER_PROMPTS_DIR, DEFAULT_PROMPTS_DIR], {
+      persistent: true,
+      ignoreInitial: true,
+      awaitWriteFinish: {
+        stabilityThreshold: 1000,
+        pollInterval: 100
+      }
+    })
+
+    this.promptWatcher.on('all', (event, filePath) => {
+      if (!filePath.endsWith('.md')) return
+      this.promptCache.clear()
+      errorLogger.mark(`检测到提示词模板修改: ${path.relative(path.dirname(USER_PROMPTS_DIR), filePath)}`)
+    })
   }
 
   /**
@@ -282,6 +307,10 @@ class Config {
       this.watcher = null
       logger.debug('配置监听已停止')
     }
+    if (this.promptWatcher) {
+      this.promptWatcher.close()
+      this.promptWatcher = null
+    }
   }
 
   /**
@@ -290,6 +319,41 @@ class Config {
   get() {
     return this.config
   }
+
+  /**
+   * 获取提示词模板
+   * @param {string} name - 模板名称（不含 .md）
+   * @param {number|string} groupId - 群号（可选，用于读取群专属模板）
+   * @returns {string|null} 模板内容，均不存在时返回 null
+   */
+  getPrompt(name, groupId = null) {
+    const cacheKey = `${groupId || ''}:${name}`
+    if (this.promptCache.has(cacheKey)) {
+      return this.promptCache.get(cacheKey)
+    }
+
+    const candidates = [
+      groupId ? path.join(USER_PROMPTS_DIR, String(groupId), `${name}.md`) : null,
+      path.join(USER_PROMPTS_DIR, `${name}.md`),
+      path.join(DEFAULT_PROMPTS_DIR, `${name}.md`)
+    ].filter(Boolean)
+
+    let template = null
+    for (const file of candidates) {
+      try {
+        if (fs.existsSync(file)) {
+          template = fs.readFileSync(file, 'utf8').trimEnd()
+          logger.debug(`[提示词] ${name} 使用模板: ${file}`)
+          break
+        }
+      } catch (err) {
+        logger.error(`[提示词] 读取模板失败: ${file}, ${err.message}`)
+      }
+    }
+
+    this.promptCache.set(cacheKey, template)
+    return template
+  }
 }
 
 // 单例
@@ -9,9 +9,25 @@ import WordCloudGenerator from '../services/wordCloudGenerator.js'
 import AIService from '../services/aiService.js'
 import StatisticsService from '../services/StatisticsService.js'
 import ActivityVisualizer from '../services/ActivityVisualizer.js'
+import ComparisonService from '../services/ComparisonService.js'
+import ReportExporter from '../services/ReportExporter.js'
+import PersonalReportService from '../services/PersonalReportService.js'
+import QuoteArchiveService from '../services/QuoteArchiveService.js'
+import TitleHistoryService from '../services/TitleHistoryService.js'
+import ChatQAService from '../services/ChatQAService.js'
+import CatchUpService from '../services/CatchUpService.js'
+import TopicMergeService from '../services/TopicMergeService.js'
+import UsageService from '../services/UsageService.js'
+import MockAIServer from '../services/MockAIServer.js'
+import JobQueue from '../services/JobQueue.js'
 import TopicAnalyzer from '../services/analyzers/TopicAnalyzer.js'
 import GoldenQuoteAnalyzer from '../services/analyzers/GoldenQuoteAnalyzer.js'
 import UserTitleAnalyzer from '../services/analyzers/UserTitleAnalyzer.js'
+import SentimentAnalyzer from '../services/analyzers/SentimentAnalyzer.js'
+import UnansweredQuestionAnalyzer from '../services/analyzers/UnansweredQuestionAnalyzer.js'
+import ActionItemAnalyzer from '../services/analyzers/ActionItemAnalyzer.js'
+import SharedLinkAnalyzer from '../services/analyzers/SharedLinkAnalyzer.js'
+import AnalyzerRegistry from '../services/analyzers/AnalyzerRegistry.js'
 import Config from './Config.js'
 
 /**
@@ -46,8 +62,13 @@ class AIServiceManager extends ServiceManager {
     const config = Config.get()
     const aiConfig = config?.ai
 
+    // 使用离线模拟服务时先启动本地服务
+    if (aiConfig?.mock?.enabled) {
+      await mockAIServerManager.getInstance()
+    }
+
     // 检查是否启用
-    const isAIEnabled = aiConfig && aiConfig.apiKey && aiConfig.apiKey.trim() !== ''
+    const isAIEnabled = aiConfig && AIService.resolveProviders(aiConfig).length > 0
     if (!isAIEnabled) {
       logger.debug('AI 服务未启用 (未配置 API Key)')
       return null
@@ -94,6 +115,55 @@ class ActivityVisualizerManager extends ServiceManager {
   }
 }
 
+/**
+ * ComparisonService 服务管理器
+ */
+class ComparisonServiceManager extends ServiceManager {
+  async _doInitialize() {
+    const config = Config.get()
+    return new ComparisonService(config?.analysis?.comparison || {})
+  }
+}
+
+/**
+ * ReportExporter 服务管理器
+ */
+class ReportExporterManager extends ServiceManager {
+  async _doInitialize() {
+    return new ReportExporter()
+  }
+}
+
+/**
+ * PersonalReportService 服务管理器
+ */
+class PersonalReportServiceManager extends ServiceManager {
+  async _doInitialize() {
+    const config = Config.get()
+    return new PersonalReportService({ render: config?.summary?.render || {} })
+  }
+}
+
+/**
+ * QuoteArchiveService 服务管理器
+ */
+class QuoteArchiveServiceManager extends ServiceManager {
+  async _doInitialize() {
+    const config = Config.get()
+    return new QuoteArchiveService(config?.analysis?.goldenQuote || {})
+  }
+}
+
+/**
+ * TitleHistoryService 服务管理器
+ */
+class TitleHistoryServiceManager extends ServiceManager {
+  async _doInitialize() {
+    const config = Config.get()
+    return new TitleHistoryService(config?.analysis?.userTitle || {})
+  }
+}
+
 /**
  * 创建分析器管理器类的工厂函数
  */
@@ -103,9 +173,9 @@ function createAnalyzerManagerClass(AnalyzerClass, configKey) {
       // 获取 AI 服务管理器（从单例获取）
       const aiServiceManager = SingletonServiceManager.getManager('AIService', AIServiceManager)
 
-      // 获取 AI 服务
+      // 获取 AI 服务（声明 requiresAI = false 的分析器可在无 AI 时运行）
       const aiService = await aiServiceManager.getInstance()
-      if (!aiService) {
+      if (!aiService && AnalyzerClass.requiresAI !== false) {
         // AI 服务不可用，返回 null（会被标记为 DISABLED）
         logger.debug(`[${this.name}] AI 服务不可用，分析器无法初始化`)
         return null
@@ -126,12 +196,158 @@ function createAnalyzerManagerClass(AnalyzerClass, configKey) {
   }
 }
 
+/**
+ * ChatQAService 服务管理器（依赖 AI 服务）
+ */
+class ChatQAServiceManager extends ServiceManager {
+  async _doInitialize() {
+    const config = Config.get()
+    if (config?.askChat?.enabled === false) {
+      logger.debug('群聊问答已禁用')
+      return null
+    }
+
+    const aiService = await aiServiceManager.getInstance()
+    if (!aiService) {
+      logger.debug('[ChatQAService] AI 服务不可用，群聊问答无法初始化')
+      return null
+    }
+
+    return new ChatQAService(aiService, {
+      llm_timeout: config?.ai?.llm_timeout || 100,
+      llm_retries: config?.ai?.llm_retries || 2,
+      llm_backoff: config?.ai?.llm_backoff || 2,
+      ...config?.askChat
+    })
+  }
+}
+
+/**
+ * CatchUpService 服务管理器（AI 不可用时仅提供统计与艾特提醒）
+ */
+class CatchUpServiceManager extends ServiceManager {
+  async _doInitialize() {
+    const config = Config.get()
+    if (config?.catchUp?.enabled === false) {
+      logger.debug('消息补课已禁用')
+      return null
+    }
+
+    const aiService = await aiServiceManager.getInstance()
+    return new CatchUpService(aiService, {
+      llm_timeout: config?.ai?.llm_timeout || 100,
+      llm_retries: config?.ai?.llm_retries || 2,
+      llm_backoff: config?.ai?.llm_backoff || 2,
+      ...config?.catchUp
+    })
+  }
+}
+
+/**
+ * TopicMergeService 服务管理器（关键词合并不依赖 AI，AI 整理在 AI 可用时才生效）
+ */
+class TopicMergeServiceManager extends ServiceManager {
+  async _doInitialize() {
+    const config = Config.get()
+    const mergeConfig = config?.analysis?.topic?.merge || {}
+    if (mergeConfig.enabled === false) {
+      logger.debug('话题合并已禁用')
+      return null
+    }
+
+    const aiService = await aiServiceManager.getInstance()
+    return new TopicMergeService(aiService, {
+      llm_timeout: config?.ai?.llm_timeout || 100,
+      llm_retries: config?.ai?.llm_retries || 2,
+      llm_backoff: config?.ai?.llm_backoff || 2,
+      ...mergeConfig
+    })
+  }
+}
+
+/**
+ * UsageService 服务管理器
+ */
+class UsageServiceManager extends ServiceManager {
+  async _doInitialize() {
+    const config = Config.get()
+    return new UsageService(config?.usage || {})
+  }
+}
+
+/**
+ * MockAIServer 服务管理器
+ */
+class MockAIServerManager extends ServiceManager {
+  async _doInitialize() {
+    const config = Config.get()
+    const mockConfig = config?.ai?.mock
+    if (!mockConfig?.enabled) {
+      return null
+    }
+
+    const server = new MockAIServer(mockConfig)
+    await server.start()
+    return server
+  }
+}
+
+/**
+ * 后台任务处理器（任务类型 → { handler, options }）
+ * 独立于队列实例保存，配置变更重建队列后重新注册
+ */
+const jobHandlers = new Map([
+  ['batchAnalysis', {
+    // 消息数达到阈值时的批次预分析
+    handler: async ({ groupId, batchIndex, date }) => {
+      const messageCollector = await messageCollectorManager.getInstance()
+      if (!messageCollector) {
+        throw new Error('消息收集器未启用')
+      }
+      return await messageCollector.triggerPartialAnalysis(groupId, batchIndex, date)
+    },
+    options: {
+      concurrency: 1,
+      onFailed: async ({ groupId, batchIndex, date }, err) => {
+        const messageCollector = await messageCollectorManager.getInstance()
+        await messageCollector?.markBatchFailed(groupId, batchIndex, date, err)
+      }
+    }
+  }]
+])
+
+/**
+ * JobQueue 服务管理器
+ */
+class JobQueueManager extends ServiceManager {
+  async _doInitialize() {
+    const config = Config.get()
+    const queue = new JobQueue(config?.jobQueue || {})
+    for (const [type, { handler, options }] of jobHandlers) {
+      queue.register(type, handler, options)
+    }
+    await queue.start()
+    return queue
+  }
+}
+
 // 创建服务管理器单例
 const messageCollectorManager = SingletonServiceManager.getManager('MessageCollector', MessageCollectorManager)
 const aiServiceManager = SingletonServiceManager.getManager('AIService', AIServiceManager)
 const wordCloudGeneratorManager = SingletonServiceManager.getManager('WordCloudGenerator', WordCloudGeneratorManager)
 const statisticsServiceManager = SingletonServiceManager.getManager('StatisticsService', StatisticsServiceManager)
 const activityVisualizerManager = SingletonServiceManager.getManager('ActivityVisualizer', ActivityVisualizerManager)
+const comparisonServiceManager = SingletonServiceManager.getManager('ComparisonService', ComparisonServiceManager)
+const reportExporterManager = SingletonServiceManager.getManager('ReportExporter', ReportExporterManager)
+const personalReportServiceManager = SingletonServiceManager.getManager('PersonalReportService', PersonalReportServiceManager)
+const quoteArchiveServiceManager = SingletonServiceManager.getManager('QuoteArchiveService', QuoteArchiveServiceManager)
+const titleHistoryServiceManager = SingletonServiceManager.getManager('TitleHistoryService', TitleHistoryServiceManager)
+const chatQAServiceManager = SingletonServiceManager.getManager('ChatQAService', ChatQAServiceManager)
+const catchUpServiceManager = SingletonServiceManager.getManager('CatchUpService', CatchUpServiceManager)
+const topicMergeServiceManager = SingletonServiceManager.getManager('TopicMergeService', TopicMergeServiceManager)
+const usageServiceManager = SingletonServiceManager.getManager('UsageService', UsageServiceManager)
+const mockAIServerManager = SingletonServiceManager.getManager('MockAIServer', MockAIServerManager)
+const jobQueueManager = SingletonServiceManager.getManager('JobQueue', JobQueueManager)
 
 // 创建分析器管理器单例
 const topicAnalyzerManager = SingletonServiceManager.getManager(
@@ -149,6 +365,15 @@ const userTitleAnalyzerManager = SingletonServiceManager.getManager(
   createAnalyzerManagerClass(UserTitleAnalyzer, 'userTitle')
 )
 
+// 扩展分析器注册表（自动发现 services/analyzers/custom/ 下的分析器）
+const analyzerRegistry = new AnalyzerRegistry()
+
+// 内置扩展分析器
+analyzerRegistry.register(SentimentAnalyzer)
+analyzerRegistry.register(UnansweredQuestionAnalyzer)
+analyzerRegistry.register(ActionItemAnalyzer)
+analyzerRegistry.register(SharedLinkAnalyzer)
+
 /**
  * 获取消息收集器实例
  * @returns {Promise<MessageCollector|null>}
@@ -189,6 +414,107 @@ export async function getActivityVisualizer() {
   return await activityVisualizerManager.getInstance()
 }
 
+/**
+ * 获取报告对比服务实例
+ * @returns {Promise<ComparisonService|null>}
+ */
+export async function getComparisonService() {
+  return await comparisonServiceManager.getInstance()
+}
+
+/**
+ * 获取报告导出服务实例
+ * @returns {Promise<ReportExporter|null>}
+ */
+export async function getReportExporter() {
+  return await reportExporterManager.getInstance()
+}
+
+/**
+ * 获取个人报告服务实例
+ * @returns {Promise<PersonalReportService|null>}
+ */
+export async function getPersonalReportService() {
+  return await personalReportServiceManager.getInstance()
+}
+
+/**
+ * 获取群圣经归档服务实例
+ * @returns {Promise<QuoteArchiveService|null>}
+ */
+export async function getQuoteArchiveService() {
+  return await quoteArchiveServiceManager.getInstance()
+}
+
+/**
+ * 获取称号历史服务实例
+ * @returns {Promise<TitleHistoryService|null>}
+ */
+export async function getTitleHistoryService() {
+  return await titleHistoryServiceManager.getInstance()
+}
+
+/**
+ * 获取群聊问答服务实例
+ * @returns {Promise<ChatQAService|null>}
+ */
+export async function getChatQAService() {
+  return await chatQAServiceManager.getInstance()
+}
+
+/**
+ * 获取消息补课服务实例
+ * @returns {Promise<CatchUpService|null>}
+ */
+export async function getCatchUpService() {
+  return await catchUpServiceManager.getInstance()
+}
+
+/**
+ * 获取话题合并服务实例
+ * @returns {Promise<TopicMergeService|null>}
+ */
+export async function getTopicMergeService() {
+  return await topicMergeServiceManager.getInstance()
+}
+
+/**
+ * 获取用量统计服务实例
+ * @returns {Promise<UsageService>}
+ */
+export async function getUsageService() {
+  return await usageServiceManager.getInstance()
+}
+
+/**
+ * 获取离线模拟 AI 服务实例
+ * @returns {Promise<MockAIServer|null>}
+ */
+export async function getMockAIServer() {
+  return await mockAIServerManager.getInstance()
+}
+
+/**
+ * 获取后台任务队列实例
+ * @returns {Promise<JobQueue|null>}
+ */
+export async function getJobQueue() {
+  return await jobQueueManager.getInstance()
+}
+
+/**
+ * 注册后台任务处理器，队列已启动时立即生效
+ * @param {string} type - 任务类型
+ * @param {Function} handler - async (payload, job) => result，抛出异常时按退避重试
+ * @param {Object} options - 选项（concurrency/maxAttempts/onFailed，见 JobQueue.register）
+ */
+export async function registerJobHandler(type, handler, options = {}) {
+  jobHandlers.set(type, { handler, options })
+  const queue = await jobQueueManager.getInstance()
+  queue?.register(type, handler, options)
+  queue?.poll()
+}
+
 /**
  * 获取话题分析器实例
  * @returns {Promise<TopicAnalyzer|null>}
@@ -228,6 +554,42 @@ export async function getUserTitleAnalyzer() {
   }
 }
 
+/**
+ * 获取扩展分析器注册表（会触发一次自定义目录扫描）
+ * @returns {Promise<AnalyzerRegistry>}
+ */
+export async function getAnalyzerRegistry() {
+  await analyzerRegistry.discover()
+  return analyzerRegistry
+}
+
+/**
+ * 获取已启用的扩展分析器
+ * 通过 analysis.<name>.enabled 开关控制，未配置时默认启用
+ * @returns {Promise<Array>} [{ name, title, analyzer }]
+ */
+export async function getExtensionAnalyzers() {
+  const config = Config.get()
+  const entries = await analyzerRegistry.discover()
+  const enabled = entries.filter(entry => config?.analysis?.[entry.name]?.enabled !== false)
+
+  const analyzers = await Promise.all(enabled.map(async entry => {
+    try {
+      const manager = SingletonServiceManager.getManager(
+        `Analyzer:${entry.name}`,
+        createAnalyzerManagerClass(entry.AnalyzerClass, entry.name)
+      )
+      const analyzer = await manager.getInstance()
+      return analyzer ? { name: entry.name, title: entry.title, analyzer } : null
+    } catch (error) {
+      logger.debug(`扩展分析器 ${entry.name} 不可用: ${error.message}`)
+      return null
+    }
+  }))
+
+  return analyzers.filter(Boolean)
+}
+
 /**
  * 重新初始化所有服务（配置变更时调用）
  */
@@ -242,6 +604,9 @@ export async function reinitializeServices(newConfig) {
     await getMessageCollector()
   }
 
+  // 重新启动后台任务队列，继续处理未完成的任务
+  await getJobQueue()
+
   logger.debug('服务重新初始化完成')
 }
 
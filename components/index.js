@@ -5,15 +5,32 @@ import Config from './Config.js'
 
 export { Config }
 
+export { addTokenUsage } from '../services/aiService.js'
+export { JobState } from '../services/JobQueue.js'
+
 export {
   getMessageCollector,
   getWordCloudGenerator,
   getAIService,
   getStatisticsService,
   getActivityVisualizer,
+  getComparisonService,
+  getReportExporter,
+  getPersonalReportService,
+  getQuoteArchiveService,
+  getTitleHistoryService,
+  getChatQAService,
+  getCatchUpService,
+  getTopicMergeService,
+  getUsageService,
+  getMockAIServer,
+  getJobQueue,
+  registerJobHandler,
   getTopicAnalyzer,
   getGoldenQuoteAnalyzer,
   getUserTitleAnalyzer,
+  getAnalyzerRegistry,
+  getExtensionAnalyzers,
   reinitializeServices,
   stopAllServices
 } from './Services.js'
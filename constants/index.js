@@ -10,5 +10,14 @@ export {
   formatErrorMessage
 } from './errorTypes.js'
 
+// 导出情绪词典
+export {
+  POSITIVE_WORDS,
+  NEGATIVE_WORDS,
+  NEGATION_WORDS,
+  POSITIVE_EMOJIS,
+  NEGATIVE_EMOJIS
+} from './sentimentLexicon.js'
+
 // 默认导出
 export { default as errorTypes } from './errorTypes.js'
\ No newline at end of file
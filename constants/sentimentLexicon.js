@@ -0,0 +1,38 @@
+/**
+ * 情绪词典常量定义
+ *
+ * 供 SentimentAnalyzer 在 AI 不可用时进行离线情绪打分
+ * 词条偏向群聊口语，命中即计分，不追求完备
+ */
+
+// ========== 正向词 ==========
+export const POSITIVE_WORDS = [
+  '哈哈', '嘿嘿', '嘻嘻', '笑死', '好耶', '太好了', '开心', '快乐', '高兴', '喜欢', '爱了', '好棒',
+  '厉害', '牛逼', '牛批', 'nb', '优秀', '舒服', '不错', '可以', '好看', '好吃', '好玩', '有趣',
+  '感谢', '谢谢', '多谢', '辛苦了', '恭喜', '祝贺', '加油', '稳', '赞', '棒', '妙', '绝了', '爽',
+  '期待', '幸福', '温暖', '可爱', '羡慕', '完美', '成功', '顺利', '赢了', '欧皇', '好家伙', '233', 'yyds'
+]
+
+// ========== 负向词 ==========
+export const NEGATIVE_WORDS = [
+  '难受', '难过', '伤心', '生气', '烦', '烦死', '讨厌', '无语', '崩溃', '累了', '好累', '心累', '焦虑',
+  '郁闷', '失望', '绝望', '垃圾', '恶心', '离谱', '破防', '寄了', '麻了', '裂开', '痛苦', '完蛋',
+  '糟糕', '倒霉', '非酋', '失败', '输了', '吵架', '傻逼', 'sb', '滚', '气死', '吐了', 'emo', '哭了',
+  '难顶', '顶不住', '心态崩', '无聊', '害怕', '担心', '加班', '头疼', '不行', '差评', '坑'
+]
+
+// ========== 否定词（出现在情绪词前时反转极性） ==========
+export const NEGATION_WORDS = ['不', '没', '别', '不太', '不是', '没有', '并不', '一点也不']
+
+// ========== 表情符号 ==========
+export const POSITIVE_EMOJIS = ['😂', '🤣', '😄', '😁', '😊', '😍', '🥰', '👍', '🎉', '❤', '😆', '😋', '🙏']
+
+export const NEGATIVE_EMOJIS = ['😭', '😢', '😡', '😠', '😤', '💔', '😞', '😩', '😫', '🙄', '😰', '😱', '👎']
+
+export default {
+  POSITIVE_WORDS,
+  NEGATIVE_WORDS,
+  NEGATION_WORDS,
+  POSITIVE_EMOJIS,
+  NEGATIVE_EMOJIS
+}
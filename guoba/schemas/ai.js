@@ -57,8 +57,8 @@ export default [
   },
   {
     field: "groupManager.ai.maxMessages",
-    label: "最大消息处理数",
-    helpMessage: "每次总结最多处理的消息数量",
+    label: "单次分析消息数",
+    helpMessage: "每次 AI 分析最多处理的消息数量，消息更多时分段分析后合并结果",
     component: "InputNumber",
     componentProps: {
       min: 100,
@@ -67,6 +67,17 @@ export default [
       placeholder: "请输入最大消息数"
     }
   },
+  {
+    field: "groupManager.ai.mapConcurrency",
+    label: "分段分析并发数",
+    helpMessage: "消息数超过单次分析消息数时，同时分析的分段数量",
+    component: "InputNumber",
+    componentProps: {
+      min: 1,
+      max: 10,
+      placeholder: "请输入并发数 (1-10)"
+    }
+  },
   {
     field: "groupManager.ai.llm_timeout",
     label: "LLM 请求超时（秒）",
@@ -99,5 +110,120 @@ export default [
       max: 60,
       placeholder: "请输入退避时间 (1-60秒)"
     }
+  },
+  {
+    field: "groupManager.ai.structuredOutput",
+    label: "结构化输出",
+    helpMessage: "使用 response_format: json_schema 约束分析结果格式，服务商不支持时自动改用普通模式",
+    component: "Switch"
+  },
+  {
+    component: "Divider",
+    label: "多服务商故障转移"
+  },
+  {
+    field: "groupManager.ai.providers",
+    label: "服务商列表",
+    helpMessage: "按顺序使用，超时、429 或 5xx 时切换到下一个；留空时使用上面的单一配置",
+    component: "GSubForm",
+    componentProps: {
+      multiple: true,
+      schemas: [
+        {
+          field: "name",
+          label: "名称",
+          component: "Input",
+          required: true,
+          componentProps: {
+            placeholder: "例如: openai"
+          }
+        },
+        {
+          field: "apiKey",
+          label: "API Key",
+          component: "Input",
+          required: true,
+          componentProps: {
+            type: "password",
+            placeholder: "请输入 API Key"
+          }
+        },
+        {
+          field: "baseURL",
+          label: "API 地址",
+          component: "Input",
+          componentProps: {
+            placeholder: "例如: https://api.openai.com/v1"
+          }
+        },
+        {
+          field: "model",
+          label: "模型名称",
+          component: "Input",
+          componentProps: {
+            placeholder: "例如: gpt-4.1"
+          }
+        },
+        {
+          field: "timeout",
+          label: "超时时间（毫秒）",
+          component: "InputNumber",
+          componentProps: {
+            min: 10000,
+            max: 300000,
+            step: 1000,
+            placeholder: "留空沿用上面的超时时间"
+          }
+        },
+        {
+          field: "structuredOutput",
+          label: "结构化输出",
+          component: "Switch"
+        }
+      ]
+    }
+  },
+  {
+    field: "groupManager.ai.provider_cooldown",
+    label: "服务商冷却时间（秒）",
+    helpMessage: "服务商失败后在这段时间内优先使用其他服务商",
+    component: "InputNumber",
+    componentProps: {
+      min: 0,
+      max: 3600,
+      placeholder: "请输入冷却时间 (0-3600秒)"
+    }
+  },
+  {
+    component: "Divider",
+    label: "离线模拟服务"
+  },
+  {
+    field: "groupManager.ai.mock.enabled",
+    label: "启用模拟服务",
+    helpMessage: "本地测试用，启用后将 API Key 填 mock、API 地址填 http://127.0.0.1:端口/v1、模型填 mock",
+    component: "Switch"
+  },
+  {
+    field: "groupManager.ai.mock.port",
+    label: "模拟服务端口",
+    component: "InputNumber",
+    componentProps: {
+      min: 1024,
+      max: 65535,
+      placeholder: "默认 11435"
+    }
+  },
+  {
+    field: "groupManager.ai.mock.latency",
+    label: "模拟延迟（毫秒）",
+    helpMessage: "每次响应前等待的时间",
+    component: "InputNumber",
+    componentProps: {
+      min: 0,
+      max: 60000,
+      step: 100,
+      placeholder: "默认 0"
+    }
   }
 ]
@@ -0,0 +1,45 @@
+export default [
+  {
+    component: "SOFT_GROUP_BEGIN",
+    label: "群聊问答配置"
+  },
+  {
+    field: "groupManager.askChat.enabled",
+    label: "启用群聊问答",
+    helpMessage: "是否启用 #问群聊 功能（需要配置 AI 服务）",
+    component: "Switch"
+  },
+  {
+    field: "groupManager.askChat.days",
+    label: "检索天数",
+    helpMessage: "默认检索最近几天的消息（问题中带有今天/昨天/前天时只检索当天）",
+    component: "InputNumber",
+    componentProps: {
+      min: 1,
+      max: 30,
+      placeholder: "请输入天数 (1-30天)"
+    }
+  },
+  {
+    field: "groupManager.askChat.max_context_messages",
+    label: "最多参考消息数",
+    helpMessage: "交给 AI 的最多消息条数（命中消息及其上下文）",
+    component: "InputNumber",
+    componentProps: {
+      min: 10,
+      max: 300,
+      placeholder: "请输入消息数 (10-300条)"
+    }
+  },
+  {
+    field: "groupManager.askChat.context_window",
+    label: "上下文条数",
+    helpMessage: "每条命中消息前后各附带的上下文消息数",
+    component: "InputNumber",
+    componentProps: {
+      min: 0,
+      max: 10,
+      placeholder: "请输入条数 (0-10条)"
+    }
+  }
+]
@@ -0,0 +1,34 @@
+export default [
+  {
+    component: "SOFT_GROUP_BEGIN",
+    label: "消息补课配置"
+  },
+  {
+    field: "groupManager.catchUp.enabled",
+    label: "启用消息补课",
+    helpMessage: "是否启用 #我错过了什么 功能（AI 不可用时仅展示统计与艾特提醒）",
+    component: "Switch"
+  },
+  {
+    field: "groupManager.catchUp.max_messages",
+    label: "最多总结消息数",
+    helpMessage: "交给 AI 总结的最多消息数，超出时只总结最新的部分",
+    component: "InputNumber",
+    componentProps: {
+      min: 50,
+      max: 1000,
+      placeholder: "请输入消息数 (50-1000条)"
+    }
+  },
+  {
+    field: "groupManager.catchUp.min_messages",
+    label: "AI 摘要最少消息数",
+    helpMessage: "错过的消息少于该条数时直接列出消息，不调用 AI",
+    component: "InputNumber",
+    componentProps: {
+      min: 1,
+      max: 50,
+      placeholder: "请输入消息数 (1-50条)"
+    }
+  }
+]
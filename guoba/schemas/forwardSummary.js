@@ -0,0 +1,29 @@
+export default [
+  {
+    component: "SOFT_GROUP_BEGIN",
+    label: "合并转发总结配置"
+  },
+  {
+    field: "groupManager.forwardSummary.enabled",
+    label: "启用转发总结",
+    helpMessage: "回复合并转发消息发送 #总结这段 时生成话题与金句总结（需要配置 AI 服务）",
+    component: "Switch"
+  },
+  {
+    field: "groupManager.forwardSummary.private_auto",
+    label: "私聊自动总结",
+    helpMessage: "私聊直接发送合并转发给机器人时自动总结",
+    component: "Switch"
+  },
+  {
+    field: "groupManager.forwardSummary.max_nodes",
+    label: "最多总结消息数",
+    helpMessage: "超出时只总结最新的部分",
+    component: "InputNumber",
+    componentProps: {
+      min: 10,
+      max: 2000,
+      placeholder: "请输入消息数 (10-2000条)"
+    }
+  }
+]
@@ -1,6 +1,10 @@
 import basic from "./basic.js"
 import ai from "./ai.js"
 import wordCloud from "./wordCloud.js"
+import askChat from "./askChat.js"
+import catchUp from "./catchUp.js"
+import forwardSummary from "./forwardSummary.js"
+import usage from "./usage.js"
 import messageCollection from "./messageCollection.js"
 import schedule from "./schedule.js"
 import summary from "./summary.js"
@@ -13,6 +17,10 @@ export const schemas = [
   basic,
   ai,
   wordCloud,
+  askChat,
+  catchUp,
+  forwardSummary,
+  usage,
   messageCollection,
   schedule,
   summary
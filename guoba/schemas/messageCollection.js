@@ -33,6 +33,23 @@ export default [
     helpMessage: "是否收集群聊中的视频消息",
     component: "Switch"
   },
+  {
+    field: "groupManager.messageCollection.collectForwards",
+    label: "收集合并转发",
+    helpMessage: "是否展开并记录群聊中的合并转发内容",
+    component: "Switch"
+  },
+  {
+    field: "groupManager.messageCollection.maxForwardNodes",
+    label: "转发最多记录条数",
+    helpMessage: "每条合并转发最多记录的消息数",
+    component: "InputNumber",
+    componentProps: {
+      min: 1,
+      max: 500,
+      placeholder: "请输入条数 (1-500条)"
+    }
+  },
   {
     field: "groupManager.messageCollection.maxMessageLength",
     label: "最大消息长度",
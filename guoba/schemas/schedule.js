@@ -90,5 +90,64 @@ export default [
       max: 60,
       placeholder: "请输入冷却时长 (1-60分钟)"
     }
+  },
+  {
+    component: "Divider",
+    label: "后台任务队列"
+  },
+  {
+    field: "groupManager.jobQueue.concurrency",
+    label: "任务并发数",
+    helpMessage: "同时执行的后台任务总数（批次预分析、定时报告）",
+    component: "InputNumber",
+    componentProps: {
+      min: 1,
+      max: 20,
+      placeholder: "请输入任务并发数 (1-20个)"
+    }
+  },
+  {
+    field: "groupManager.jobQueue.max_attempts",
+    label: "最多尝试次数",
+    helpMessage: "任务失败后自动重试，达到该次数（含首次执行）后标记为失败",
+    component: "InputNumber",
+    componentProps: {
+      min: 1,
+      max: 10,
+      placeholder: "请输入最多尝试次数 (1-10次)"
+    }
+  },
+  {
+    field: "groupManager.jobQueue.backoff",
+    label: "重试间隔（秒）",
+    helpMessage: "第 n 次重试等待 重试间隔 × 2^(n-1) 秒",
+    component: "InputNumber",
+    componentProps: {
+      min: 0,
+      max: 3600,
+      placeholder: "请输入重试间隔 (0-3600秒)"
+    }
+  },
+  {
+    field: "groupManager.jobQueue.poll_interval",
+    label: "检查间隔（秒）",
+    helpMessage: "检查到期任务（包括待重试任务）的间隔",
+    component: "InputNumber",
+    componentProps: {
+      min: 1,
+      max: 60,
+      placeholder: "请输入检查间隔 (1-60秒)"
+    }
+  },
+  {
+    field: "groupManager.jobQueue.retention_hours",
+    label: "任务记录保留（小时）",
+    helpMessage: "已完成或失败的任务记录保留时长",
+    component: "InputNumber",
+    componentProps: {
+      min: 1,
+      max: 168,
+      placeholder: "请输入保留时长 (1-168小时)"
+    }
   }
 ]
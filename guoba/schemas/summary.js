@@ -44,6 +44,32 @@ export default [
       placeholder: "请输入质量 (1-100)"
     }
   },
+  {
+    component: "Divider",
+    label: "周报/月报"
+  },
+  {
+    field: "groupManager.summary.period.maxTopics",
+    label: "最多展示话题数",
+    helpMessage: "周报/月报中最多展示的话题数量（按出现天数排序）",
+    component: "InputNumber",
+    componentProps: {
+      min: 1,
+      max: 30,
+      placeholder: "请输入话题数量 (1-30个)"
+    }
+  },
+  {
+    field: "groupManager.summary.period.maxQuotes",
+    label: "最多展示金句数",
+    helpMessage: "周报/月报中最多展示的金句数量（按日期轮流挑选）",
+    component: "InputNumber",
+    componentProps: {
+      min: 1,
+      max: 30,
+      placeholder: "请输入金句数量 (1-30条)"
+    }
+  },
   {
     component: "Divider",
     label: "话题分析"
@@ -54,6 +80,41 @@ export default [
     helpMessage: "是否启用群聊话题分析功能",
     component: "Switch"
   },
+  {
+    field: "groupManager.analysis.topic.max_topics",
+    label: "最多保留话题数",
+    helpMessage: "分批次、分段或多日区间分析合并后最多保留的话题数量，参与人数多的话题优先",
+    component: "InputNumber",
+    componentProps: {
+      min: 1,
+      max: 30,
+      placeholder: "请输入话题数量 (1-30个)"
+    }
+  },
+  {
+    field: "groupManager.analysis.topic.merge.enabled",
+    label: "合并相似话题",
+    helpMessage: "分批次或多日区间分析时，合并各批次之间名称不同但内容相同的话题",
+    component: "Switch"
+  },
+  {
+    field: "groupManager.analysis.topic.merge.similarity",
+    label: "话题合并阈值",
+    helpMessage: "关键词相似度达到该值的话题合并，越小合并越积极",
+    component: "InputNumber",
+    componentProps: {
+      min: 0.1,
+      max: 1,
+      step: 0.05,
+      placeholder: "请输入相似度 (0.1-1)"
+    }
+  },
+  {
+    field: "groupManager.analysis.topic.merge.ai",
+    label: "AI 整理合并话题",
+    helpMessage: "关键词合并后再让 AI 找出讨论同一件事的话题并重写描述，会额外消耗一次 AI 调用",
+    component: "Switch"
+  },
   {
     component: "Divider",
     label: "金句提取"
@@ -67,7 +128,7 @@ export default [
   {
     field: "groupManager.analysis.goldenQuote.max_golden_quotes",
     label: "最多提取金句数",
-    helpMessage: "每次分析最多提取的金句数量",
+    helpMessage: "每次分析最多提取的金句数量，分段或多日区间分析合并后同样最多保留该数量",
     component: "InputNumber",
     componentProps: {
       min: 1,
@@ -97,6 +158,23 @@ export default [
       placeholder: "请输入最长长度 (10-500字符)"
     }
   },
+  {
+    field: "groupManager.analysis.goldenQuote.archive",
+    label: "收录群圣经",
+    helpMessage: "将每日报告的金句永久收录到群圣经，可通过 #群圣经 随机、搜索和查看排行",
+    component: "Switch"
+  },
+  {
+    field: "groupManager.analysis.goldenQuote.archive_list_size",
+    label: "群圣经列表条数",
+    helpMessage: "群圣经搜索和 @某人 查询时最多展示的条数，以及排行榜人数",
+    component: "InputNumber",
+    componentProps: {
+      min: 1,
+      max: 50,
+      placeholder: "请输入条数 (1-50条)"
+    }
+  },
   {
     component: "Divider",
     label: "用户称号"
@@ -129,6 +207,157 @@ export default [
       placeholder: "请输入最少消息数 (1-100条)"
     }
   },
+  {
+    field: "groupManager.analysis.userTitle.history",
+    label: "记录称号历史",
+    helpMessage: "跨天记录每位成员的称号与 MBTI，用于 #我的称号、#称号榜 和 MBTI 共识",
+    component: "Switch"
+  },
+  {
+    field: "groupManager.analysis.userTitle.history_prompt_count",
+    label: "带入过往称号数",
+    helpMessage: "分析时带入提示词的每位成员过往称号数，让称号延续演变（0 表示不带入）",
+    component: "InputNumber",
+    componentProps: {
+      min: 0,
+      max: 10,
+      placeholder: "请输入条数 (0-10条)"
+    }
+  },
+  {
+    field: "groupManager.analysis.userTitle.history_list_size",
+    label: "称号历史展示条数",
+    helpMessage: "#我的称号 最多展示的记录数，以及 #称号榜 的人数",
+    component: "InputNumber",
+    componentProps: {
+      min: 1,
+      max: 50,
+      placeholder: "请输入条数 (1-50条)"
+    }
+  },
+  {
+    component: "Divider",
+    label: "群聊情绪"
+  },
+  {
+    field: "groupManager.analysis.sentiment.enabled",
+    label: "启用情绪分析",
+    helpMessage: "分析 24 小时情绪曲线、最积极/最消极瞬间及群友情绪倾向，AI 不可用时使用情绪词典离线估算",
+    component: "Switch"
+  },
+  {
+    field: "groupManager.analysis.sentiment.max_users",
+    label: "最多展示用户数",
+    helpMessage: "最多展示多少位群友的情绪倾向",
+    component: "InputNumber",
+    componentProps: {
+      min: 1,
+      max: 20,
+      placeholder: "请输入用户数 (1-20个)"
+    }
+  },
+  {
+    field: "groupManager.analysis.sentiment.min_user_messages",
+    label: "情绪倾向最少消息数",
+    helpMessage: "群友至少发送多少条消息才会计算情绪倾向",
+    component: "InputNumber",
+    componentProps: {
+      min: 1,
+      max: 100,
+      placeholder: "请输入最少消息数 (1-100条)"
+    }
+  },
+  {
+    component: "Divider",
+    label: "待解答问题"
+  },
+  {
+    field: "groupManager.analysis.unansweredQuestions.enabled",
+    label: "启用待解答问题",
+    helpMessage: "在报告中列出群里没有得到有效回答的问题",
+    component: "Switch"
+  },
+  {
+    field: "groupManager.analysis.unansweredQuestions.max_questions",
+    label: "最多列出问题数",
+    helpMessage: "报告中最多列出多少个待解答问题",
+    component: "InputNumber",
+    componentProps: {
+      min: 1,
+      max: 20,
+      placeholder: "请输入问题数 (1-20个)"
+    }
+  },
+  {
+    field: "groupManager.analysis.unansweredQuestions.answer_window_minutes",
+    label: "回答窗口",
+    helpMessage: "提问后多少分钟内的消息视为对该问题的回应",
+    component: "InputNumber",
+    componentProps: {
+      min: 5,
+      max: 240,
+      placeholder: "请输入分钟数 (5-240分钟)"
+    }
+  },
+  {
+    field: "groupManager.analysis.unansweredQuestions.min_question_length",
+    label: "问题最短长度",
+    helpMessage: "少于此字数的疑问句不视为问题",
+    component: "InputNumber",
+    componentProps: {
+      min: 2,
+      max: 50,
+      placeholder: "请输入最短长度 (2-50字符)"
+    }
+  },
+  {
+    component: "Divider",
+    label: "决议与待办"
+  },
+  {
+    field: "groupManager.analysis.actionItems.enabled",
+    label: "启用决议与待办",
+    helpMessage: "从聊天中提取决定、计划、截止时间和待办事项，以清单形式展示在报告中",
+    component: "Switch"
+  },
+  {
+    field: "groupManager.analysis.actionItems.max_items",
+    label: "最多条目数",
+    helpMessage: "报告中最多列出多少条决议与待办",
+    component: "InputNumber",
+    componentProps: {
+      min: 1,
+      max: 30,
+      placeholder: "请输入条目数 (1-30条)"
+    }
+  },
+  {
+    component: "Divider",
+    label: "今日分享"
+  },
+  {
+    field: "groupManager.analysis.sharedLinks.enabled",
+    label: "启用今日分享",
+    helpMessage: "在报告中列出群里分享的链接与卡片，包括分享者、时间和是否为转发",
+    component: "Switch"
+  },
+  {
+    field: "groupManager.analysis.sharedLinks.max_items",
+    label: "最多分享数",
+    helpMessage: "报告中最多列出多少条分享",
+    component: "InputNumber",
+    componentProps: {
+      min: 1,
+      max: 50,
+      placeholder: "请输入分享数 (1-50条)"
+    }
+  },
+  {
+    field: "groupManager.analysis.sharedLinks.ai_blurb",
+    label: "AI 一句话简介",
+    helpMessage: "由 AI 根据标题为每条分享生成一句话简介",
+    component: "Switch"
+  },
   {
     component: "Divider",
     label: "活跃度可视化"
@@ -139,6 +368,38 @@ export default [
     helpMessage: "是否启用群聊活跃度热力图",
     component: "Switch"
   },
+  {
+    component: "Divider",
+    label: "较昨日对比"
+  },
+  {
+    field: "groupManager.analysis.comparison.enabled",
+    label: "启用较昨日对比",
+    helpMessage: "在报告中展示与上一份已保存报告的消息数、活跃人数、峰值时段及成员变化",
+    component: "Switch"
+  },
+  {
+    field: "groupManager.analysis.comparison.max_members",
+    label: "成员最多展示人数",
+    helpMessage: "新活跃成员和沉默成员各最多展示多少人",
+    component: "InputNumber",
+    componentProps: {
+      min: 1,
+      max: 20,
+      placeholder: "请输入人数 (1-20人)"
+    }
+  },
+  {
+    field: "groupManager.analysis.comparison.min_quiet_messages",
+    label: "沉默成员消息阈值",
+    helpMessage: "上一份报告中至少发言多少条、本期未发言的成员才算沉默成员",
+    component: "InputNumber",
+    componentProps: {
+      min: 1,
+      max: 100,
+      placeholder: "请输入消息数 (1-100条)"
+    }
+  },
   {
     component: "Divider",
     label: "分析阈值"
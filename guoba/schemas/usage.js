@@ -0,0 +1,154 @@
+export default [
+  {
+    component: "SOFT_GROUP_BEGIN",
+    label: "用量与预算配置"
+  },
+  {
+    field: "groupManager.usage.enabled",
+    label: "启用用量统计",
+    helpMessage: "按群、日期、分析器和模型记录 AI 用量，主人发送 #洞见用量 查看",
+    component: "Switch"
+  },
+  {
+    field: "groupManager.usage.prices",
+    label: "价格表",
+    helpMessage: "每百万 token 的价格，用于估算费用；模型填写 * 时匹配其他所有模型",
+    component: "GSubForm",
+    componentProps: {
+      multiple: true,
+      schemas: [
+        {
+          field: "model",
+          label: "模型名称",
+          component: "Input",
+          required: true,
+          componentProps: {
+            placeholder: "例如: gpt-4.1"
+          }
+        },
+        {
+          field: "prompt",
+          label: "输入价格",
+          component: "InputNumber",
+          componentProps: {
+            min: 0,
+            step: 0.01,
+            placeholder: "每百万输入 token 的价格"
+          }
+        },
+        {
+          field: "completion",
+          label: "输出价格",
+          component: "InputNumber",
+          componentProps: {
+            min: 0,
+            step: 0.01,
+            placeholder: "每百万输出 token 的价格"
+          }
+        }
+      ]
+    }
+  },
+  {
+    field: "groupManager.usage.currency",
+    label: "费用单位",
+    helpMessage: "费用显示时使用的货币符号",
+    component: "Input",
+    componentProps: {
+      placeholder: "例如: $ 或 ¥"
+    }
+  },
+  {
+    field: "groupManager.usage.budget_unit",
+    label: "预算单位",
+    helpMessage: "按估算费用还是 token 数计算预算",
+    component: "RadioGroup",
+    componentProps: {
+      options: [
+        { label: "费用", value: "cost" },
+        { label: "Token 数", value: "tokens" }
+      ]
+    }
+  },
+  {
+    field: "groupManager.usage.daily_budget",
+    label: "每群每日预算",
+    helpMessage: "0 表示不限制",
+    component: "InputNumber",
+    componentProps: {
+      min: 0,
+      placeholder: "请输入每日预算"
+    }
+  },
+  {
+    field: "groupManager.usage.monthly_budget",
+    label: "每群每月预算",
+    helpMessage: "0 表示不限制",
+    component: "InputNumber",
+    componentProps: {
+      min: 0,
+      placeholder: "请输入每月预算"
+    }
+  },
+  {
+    field: "groupManager.usage.group_budgets",
+    label: "单独设置预算的群",
+    helpMessage: "未填写的字段沿用上面的默认预算",
+    component: "GSubForm",
+    componentProps: {
+      multiple: true,
+      schemas: [
+        {
+          field: "group_id",
+          label: "群号",
+          component: "InputNumber",
+          required: true,
+          componentProps: {
+            placeholder: "请输入群号"
+          }
+        },
+        {
+          field: "daily_budget",
+          label: "每日预算",
+          component: "InputNumber",
+          componentProps: {
+            min: 0,
+            placeholder: "0 表示不限制"
+          }
+        },
+        {
+          field: "monthly_budget",
+          label: "每月预算",
+          component: "InputNumber",
+          componentProps: {
+            min: 0,
+            placeholder: "0 表示不限制"
+          }
+        }
+      ]
+    }
+  },
+  {
+    field: "groupManager.usage.over_budget",
+    label: "超出预算时",
+    helpMessage: "超出预算后的处理方式",
+    component: "RadioGroup",
+    componentProps: {
+      options: [
+        { label: "只生成基础统计", value: "stats_only" },
+        { label: "拒绝生成", value: "block" }
+      ]
+    }
+  },
+  {
+    field: "groupManager.usage.retention_months",
+    label: "记录保留月数",
+    helpMessage: "用量记录的保留时长",
+    component: "InputNumber",
+    componentProps: {
+      min: 1,
+      max: 60,
+      placeholder: "请输入保留月数 (1-60)"
+    }
+  }
+]
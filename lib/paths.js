@@ -35,6 +35,9 @@ export const COMPONENTS_DIR = join(PLUGIN_ROOT, 'components')
 /** Services 目录 - 业务服务层 */
 export const SERVICES_DIR = join(PLUGIN_ROOT, 'services')
 
+/** 自定义分析器目录 - 放入其中的 BaseAnalyzer 子类会被自动发现 */
+export const CUSTOM_ANALYZERS_DIR = join(SERVICES_DIR, 'analyzers', 'custom')
+
 /** Utils 目录 - 工具函数 */
 export const UTILS_DIR = join(PLUGIN_ROOT, 'utils')
 
@@ -64,6 +67,12 @@ export const STOPWORDS_PATH = join(CONFIG_DIR, 'stopwords.txt')
 /** 自定义词典文件路径 */
 export const USERDICT_PATH = join(CONFIG_DIR, 'userdict.txt')
 
+/** 默认提示词模板目录 */
+export const DEFAULT_PROMPTS_DIR = join(CONFIG_DIR, 'default_prompts')
+
+/** 用户提示词模板目录（可按群号建立子目录单独覆盖） */
+export const USER_PROMPTS_DIR = join(CONFIG_DIR, 'prompts')
+
 /** 配置模板路径（备份用） */
 export const CONFIG_TEMPLATE_PATH = join(CONFIG_DIR, 'config.template.yaml')
 
@@ -81,6 +90,12 @@ export const SUMMARY_TEMPLATE_PATH = join(SUMMARY_TEMPLATES_DIR, 'default', 'ind
 /** 词云HTML模板路径 */
 export const WORDCLOUD_TEMPLATE_PATH = join(WORDCLOUD_TEMPLATE_DIR, 'index.html')
 
+/** 个人报告模板目录 */
+export const PERSONAL_REPORT_TEMPLATE_DIR = join(RESOURCES_DIR, 'personal-report')
+
+/** 个人报告HTML模板路径 */
+export const PERSONAL_REPORT_TEMPLATE_PATH = join(PERSONAL_REPORT_TEMPLATE_DIR, 'index.html')
+
 // ========== 框架相关路径 ==========
 
 /** Yunzai 配置目录 */
@@ -200,6 +215,7 @@ export default {
   APPS_DIR,
   COMPONENTS_DIR,
   SERVICES_DIR,
+  CUSTOM_ANALYZERS_DIR,
   UTILS_DIR,
   CONFIG_DIR,
   RESOURCES_DIR,
@@ -210,9 +226,12 @@ export default {
   // 文件路径
   DEFAULT_CONFIG_PATH,
   USER_CONFIG_PATH,
+  DEFAULT_PROMPTS_DIR,
+  USER_PROMPTS_DIR,
   STOPWORDS_PATH,
   SUMMARY_TEMPLATE_PATH,
   WORDCLOUD_TEMPLATE_PATH,
+  PERSONAL_REPORT_TEMPLATE_PATH,
 
   // 工具函数
   getPluginPath,
@@ -11,9 +11,10 @@ export default class ActivityVisualizer {
   /**
    * 准备活跃度图表数据 
    * @param {Object} hourlyStats - 小时统计数据 (来自 StatisticsService)
+   * @param {Array} moodCurve - 每小时情绪分 (来自 SentimentAnalyzer，可选)
    * @returns {Object|null} 图表数据对象或 null
    */
-  prepareChartData(hourlyStats) {
+  prepareChartData(hourlyStats, moodCurve = null) {
     if (!hourlyStats || !hourlyStats.hourlyCount) {
       return null
     }
@@ -57,7 +58,53 @@ export default class ActivityVisualizer {
       hours,
       peakHour,
       peakCount,
-      peakNextHour: (peakHour + 1) % 24
+      peakNextHour: (peakHour + 1) % 24,
+      mood: this.prepareMoodOverlay(moodCurve)
+    }
+  }
+
+  /**
+   * 准备情绪曲线叠加层数据（SVG 折线）
+   * 横向坐标系 240x100 用于柱状图，纵向坐标系 100x240 用于逐行条形图
+   * 无消息的时段断开折线
+   * @param {Array} moodCurve - 24 小时情绪分 (-1~1，无数据为 null)
+   * @returns {Object|null} { horizontal: [points], vertical: [points], points: [] } 或 null
+   */
+  prepareMoodOverlay(moodCurve) {
+    if (!Array.isArray(moodCurve) || moodCurve.length !== 24 || moodCurve.every(score => score === null)) {
+      return null
+    }
+
+    const horizontal = []
+    const vertical = []
+    const points = []
+    let segment = null
+
+    moodCurve.forEach((score, hour) => {
+      if (score === null || score === undefined) {
+        segment = null
+        return
+      }
+
+      // 每小时占 10 个单位，取中点；情绪分映射到 5~95，留出边距
+      const offset = hour * 10 + 5
+      const level = 50 - score * 45
+      const point = { hour, score, x: offset, y: level }
+      points.push(point)
+
+      if (!segment) {
+        segment = { horizontal: [], vertical: [] }
+        horizontal.push(segment.horizontal)
+        vertical.push(segment.vertical)
+      }
+      segment.horizontal.push(`${offset},${level.toFixed(1)}`)
+      segment.vertical.push(`${(100 - level).toFixed(1)},${offset}`)
+    })
+
+    return {
+      horizontal: horizontal.map(segmentPoints => segmentPoints.join(' ')),
+      vertical: vertical.map(segmentPoints => segmentPoints.join(' ')),
+      points
     }
   }
 }
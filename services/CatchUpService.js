@@ -0,0 +1,103 @@
+/**
+ * 消息补课服务
+ * 为离开一段时间的群友总结其上次发言之后的群聊内容
+ */
+
+import moment from 'moment'
+import BaseAnalyzer from './analyzers/BaseAnalyzer.js'
+import { escapeContent } from '../utils/promptGuard.js'
+import { logger } from '#lib'
+
+export default class CatchUpService extends BaseAnalyzer {
+  constructor(aiService, config = {}) {
+    super(aiService, config)
+    // 交给 AI 总结的最多消息数（超出时只总结最新的部分）
+    this.maxMessages = config.max_messages || 300
+    // 少于该条数时直接列出消息，不调用 AI
+    this.minMessages = config.min_messages || 5
+  }
+
+  /**
+   * 汇总错过的消息
+   * @param {Array} messages - 上次发言之后的消息（时间正序）
+   * @param {Array} atRecords - 艾特记录（MessageCollector.getAtRecords）
+   * @param {number} sinceTime - 上次发言时间（秒）
+   * @returns {Object} { messageCount, userCount, topUsers, mentions }
+   */
+  collect(messages, atRecords, sinceTime) {
+    const userMap = new Map()
+    for (const msg of messages) {
+      const key = String(msg.user_id)
+      if (!userMap.has(key)) {
+        userMap.set(key, { nickname: msg.nickname, count: 0 })
+      }
+      userMap.get(key).count++
+    }
+
+    const topUsers = Array.from(userMap.values())
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 3)
+
+    const mentions = (atRecords || [])
+      .filter(record => record.time > sinceTime)
+      .sort((a, b) => a.time - b.time)
+      .map(record => ({
+        nickname: record.nickname,
+        message: record.message,
+        time: moment.unix(record.time).format('HH:mm')
+      }))
+
+    return {
+      messageCount: messages.length,
+      userCount: userMap.size,
+      topUsers,
+      mentions
+    }
+  }
+
+  /**
+   * 生成 AI 摘要
+   * @param {Array} messages - 错过的消息（时间正序）
+   * @param {string} nickname - 提问者昵称
+   * @returns {Promise<Object>} { digest, usage }，AI 不可用或消息太少时 digest 为 null
+   */
+  async summarize(messages, nickname) {
+    if (!this.aiService || messages.length < this.minMessages) {
+      return { digest: null, usage: null }
+    }
+
+    const recent = messages.length > this.maxMessages ? messages.slice(-this.maxMessages) : messages
+    const prompt = this.buildPrompt(recent, nickname, messages.length - recent.length)
+    const result = await this.callAI(prompt, 600, 0.5)
+
+    if (!result || !result.content) {
+      logger.warn('[CatchUpService] AI 摘要生成失败')
+      return { digest: null, usage: null }
+    }
+
+    return { digest: result.content.trim(), usage: result.usage || null }
+  }
+
+  /**
+   * 构建 AI 提示词
+   * @param {Array} messages - 需要总结的消息
+   * @param {string} nickname - 提问者昵称
+   * @param {number} skipped - 因数量上限被省略的较早消息数
+   */
+  buildPrompt(messages, nickname, skipped = 0) {
+    const { text: records } = this.formatRecords(messages, time => moment.unix(time).format('HH:mm'))
+    const name = escapeContent(nickname)
+
+    return `你是一个群聊助手。群友「${name}」离开了一段时间,想快速了解错过了什么。
+
+以下是 TA 离开期间的群聊记录 (格式: [时:分] 昵称: 内容)${skipped > 0 ? `,更早的 ${skipped} 条已省略` : ''}:
+${records}
+
+请用 3-5 条要点概括这段时间群里发生了什么:
+1. 按时间顺序,每条一行,以 "· " 开头,每条不超过 40 字
+2. 优先写讨论的话题、做出的决定和需要大家参与的事情,注明关键人物
+3. 与「${name}」相关的内容 (被提到、被询问) 放在最前面
+4. 忽略无意义的闲聊和表情
+5. 使用纯文本,不要使用 Markdown`
+  }
+}
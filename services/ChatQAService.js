@@ -0,0 +1,165 @@
+/**
+ * 群聊问答服务
+ * 通过关键词检索出与问题相关的聊天记录，只把这些记录交给 AI 作答，并注明出处
+ */
+
+import moment from 'moment'
+import BaseAnalyzer from './analyzers/BaseAnalyzer.js'
+import TextProcessor from '../utils/textProcessor.js'
+import { logger } from '#lib'
+
+// 疑问词、泛指词，对检索没有区分度
+const QUESTION_WORDS = new Set([
+  '什么', '怎么', '怎么样', '怎样', '为什么', '为啥', '哪里', '哪儿', '哪个', '哪些', '多少', '几点',
+  '是否', '是不是', '有没有', '能不能', '要不要', '大家', '群里', '有人', '谁说', '之前', '刚才', '说过'
+])
+
+// 问题中的相对日期 → 距今天数
+const DATE_WORDS = { 今天: 0, 昨天: 1, 前天: 2 }
+
+export default class ChatQAService extends BaseAnalyzer {
+  constructor(aiService, config = {}) {
+    super(aiService, config)
+    this.textProcessor = new TextProcessor()
+    // 默认检索最近几天的消息
+    this.days = config.days || 3
+    // 交给 AI 的最多消息条数（命中消息 + 上下文）
+    this.maxContextMessages = config.max_context_messages || 60
+    // 每条命中消息前后各带几条上下文
+    this.contextWindow = config.context_window ?? 2
+  }
+
+  /**
+   * 解析问题中的日期范围
+   * @param {string} question - 问题
+   * @returns {Object} { days, date } date 为 null 表示从今天往前 days 天
+   */
+  resolveScope(question) {
+    for (const [word, offset] of Object.entries(DATE_WORDS)) {
+      if (question.includes(word)) {
+        return { days: 1, date: moment().subtract(offset, 'days').format('YYYY-MM-DD') }
+      }
+    }
+    return { days: this.days, date: null }
+  }
+
+  /**
+   * 从问题中提取检索关键词（jieba 分词 + 英文/数字词）
+   * @param {string} question - 问题
+   * @returns {Promise<Array<string>>}
+   */
+  async extractKeywords(question) {
+    await this.textProcessor.init()
+
+    const chinese = this.textProcessor.cut(this.textProcessor.cleanText(question), 2)
+    const latin = question.match(/[a-zA-Z0-9]{2,}/g) || []
+
+    return [...new Set([...chinese, ...latin.map(word => word.toLowerCase())])]
+      .filter(word => !QUESTION_WORDS.has(word) && !(word in DATE_WORDS))
+  }
+
+  /**
+   * 检索与关键词相关的消息（按 IDF 加权打分，命中消息附带前后上下文）
+   * @param {Array} messages - 消息列表（时间正序）
+   * @param {Array<string>} keywords - 关键词
+   * @returns {Object} { context: Array, hitCount: number }
+   */
+  retrieve(messages, keywords) {
+    const texts = messages.map(msg => {
+      const text = msg.message || ''
+      // 排除命令消息，避免检索到提问本身
+      return text.startsWith('#') ? '' : text.toLowerCase()
+    })
+
+    // 关键词越少见权重越高
+    const weights = new Map()
+    for (const keyword of keywords) {
+      const df = texts.filter(text => text.includes(keyword)).length
+      weights.set(keyword, Math.log((texts.length + 1) / (df + 1)) + 1)
+    }
+
+    const hits = texts
+      .map((text, index) => ({
+        index,
+        score: keywords.reduce((sum, keyword) => sum + (text.includes(keyword) ? weights.get(keyword) : 0), 0)
+      }))
+      .filter(hit => hit.score > 0)
+      .sort((a, b) => b.score - a.score || b.index - a.index)
+
+    // 按得分从高到低纳入命中消息及其上下文（由近及远），达到上限即停止，保证高分命中不被截掉
+    const selected = new Set()
+    for (const hit of hits) {
+      for (let offset = 0; offset <= this.contextWindow; offset++) {
+        for (const i of offset === 0 ? [hit.index] : [hit.index - offset, hit.index + offset]) {
+          if (selected.size >= this.maxContextMessages) break
+          if (texts[i]) selected.add(i)
+        }
+      }
+      if (selected.size >= this.maxContextMessages) break
+    }
+
+    const context = Array.from(selected)
+      .sort((a, b) => a - b)
+      .map(index => messages[index])
+
+    return { context, hitCount: hits.length }
+  }
+
+  /**
+   * 回答关于群聊的问题
+   * @param {string} question - 问题
+   * @param {Array} messages - 检索范围内的消息
+   * @returns {Promise<Object>} { answer, keywords, hitCount, contextCount, usage }，检索不到时 answer 为 null
+   */
+  async ask(question, messages) {
+    const keywords = await this.extractKeywords(question)
+    if (keywords.length === 0) {
+      return { answer: null, keywords, hitCount: 0, contextCount: 0, usage: null }
+    }
+
+    const { context, hitCount } = this.retrieve(messages, keywords)
+    logger.info(`[ChatQAService] 关键词: ${keywords.join('、')}，命中 ${hitCount} 条，上下文 ${context.length} 条`)
+
+    if (context.length === 0) {
+      return { answer: null, keywords, hitCount, contextCount: 0, usage: null }
+    }
+
+    const prompt = this.buildPrompt(question, context)
+    const result = await this.callAI(prompt, 800, 0.3)
+
+    if (!result || !result.content) {
+      throw new Error('AI 回答失败')
+    }
+
+    return {
+      answer: result.content.trim(),
+      keywords,
+      hitCount,
+      contextCount: context.length,
+      usage: result.usage || null
+    }
+  }
+
+  /**
+   * 构建 AI 提示词
+   * @param {string} question - 问题
+   * @param {Array} context - 检索到的消息
+   */
+  buildPrompt(question, context) {
+    const { text: records } = this.formatRecords(context, time => moment.unix(time).format('MM-DD HH:mm'))
+
+    return `你是一个群聊记录助手,负责根据聊天记录回答群友的问题。
+
+以下是根据问题检索出的相关聊天记录 (格式: [月-日 时:分] 昵称: 内容):
+${records}
+
+群友的问题: ${question}
+
+回答要求:
+1. **只依据上面的聊天记录回答**,不要编造记录中没有的信息
+2. **注明出处**: 引用关键信息时在句末用括号标注时间和发言人,如 (10-18 21:30 小明)
+3. 如果记录中有不同意见或后来改变了决定,以最后的结论为准,并简要说明变化
+4. 如果记录中找不到答案,直接说明"聊天记录中没有找到相关内容"
+5. 简洁明了,控制在 200 字以内,使用纯文本,不要使用 Markdown`
+  }
+}
@@ -0,0 +1,123 @@
+/**
+ * 报告对比服务
+ * 对比两份统计结果（来自 StatisticsService），生成"较昨日"变化数据
+ */
+
+export default class ComparisonService {
+  constructor(config = {}) {
+    this.config = config
+    // 最多展示的新活跃/沉默成员数
+    this.maxMembers = config.max_members || 5
+    // 上一份报告中至少发言多少条，本期未发言才算沉默成员
+    this.minQuietMessages = config.min_quiet_messages || 3
+  }
+
+  /**
+   * 对比当前统计与上一份统计
+   * @param {Object} currentStats - 当前报告的统计结果
+   * @param {Object} previousStats - 上一份报告的统计结果
+   * @returns {Object|null} 对比结果，任一统计缺失时返回 null
+   */
+  compare(currentStats, previousStats) {
+    if (!currentStats?.basic || !previousStats?.basic) {
+      return null
+    }
+
+    const messages = this.diffValue(currentStats.basic.totalMessages, previousStats.basic.totalMessages)
+    const users = this.diffValue(currentStats.basic.totalUsers, previousStats.basic.totalUsers)
+    const peak = this.diffPeakHour(currentStats.hourly, previousStats.hourly)
+    const { newMembers, quietMembers } = this.diffMembers(currentStats.users || [], previousStats.users || [])
+
+    return {
+      messages,
+      users,
+      peak,
+      newMembers: newMembers.slice(0, this.maxMembers),
+      newMemberCount: newMembers.length,
+      quietMembers: quietMembers.slice(0, this.maxMembers),
+      quietMemberCount: quietMembers.length,
+      trend: this.getTrend(messages, users)
+    }
+  }
+
+  /**
+   * 计算单个数值的变化
+   * @param {number} current - 当前值
+   * @param {number} previous - 上一份的值
+   * @returns {Object} { current, previous, delta, percent, direction }
+   */
+  diffValue(current = 0, previous = 0) {
+    const delta = current - previous
+    const percent = previous > 0 ? Math.round((delta / previous) * 100) : null
+
+    return {
+      current,
+      previous,
+      delta,
+      percent,
+      direction: delta > 0 ? 'up' : (delta < 0 ? 'down' : 'flat')
+    }
+  }
+
+  /**
+   * 对比峰值时段
+   * @param {Object} currentHourly - 当前小时统计
+   * @param {Object} previousHourly - 上一份小时统计
+   * @returns {Object} { current, previous, shift, changed }
+   */
+  diffPeakHour(currentHourly = {}, previousHourly = {}) {
+    const current = currentHourly.peakHour ?? 0
+    const previous = previousHourly.peakHour ?? 0
+
+    // 取最短的环形距离，正数表示峰值推后
+    let shift = current - previous
+    if (shift > 12) shift -= 24
+    if (shift < -12) shift += 24
+
+    return {
+      current: currentHourly.peakPeriod || '',
+      previous: previousHourly.peakPeriod || '',
+      shift,
+      changed: shift !== 0
+    }
+  }
+
+  /**
+   * 对比成员名单，找出新活跃成员与沉默成员
+   * @param {Array} currentUsers - 当前用户统计列表
+   * @param {Array} previousUsers - 上一份用户统计列表
+   * @returns {Object} { newMembers, quietMembers }，均按消息数降序
+   */
+  diffMembers(currentUsers, previousUsers) {
+    const currentIds = new Set(currentUsers.map(user => String(user.user_id)))
+    const previousIds = new Set(previousUsers.map(user => String(user.user_id)))
+
+    const newMembers = currentUsers
+      .filter(user => !previousIds.has(String(user.user_id)))
+      .sort((a, b) => b.messageCount - a.messageCount)
+      .map(user => ({ user_id: user.user_id, nickname: user.nickname, messageCount: user.messageCount }))
+
+    const quietMembers = previousUsers
+      .filter(user => !currentIds.has(String(user.user_id)) && user.messageCount >= this.minQuietMessages)
+      .sort((a, b) => b.messageCount - a.messageCount)
+      .map(user => ({ user_id: user.user_id, nickname: user.nickname, messageCount: user.messageCount }))
+
+    return { newMembers, quietMembers }
+  }
+
+  /**
+   * 根据消息数与活跃人数变化给出整体趋势
+   * @param {Object} messages - 消息数变化
+   * @param {Object} users - 活跃人数变化
+   * @returns {Object} { level, text }
+   */
+  getTrend(messages, users) {
+    const messagePercent = messages.percent ?? (messages.delta > 0 ? 100 : 0)
+    const userPercent = users.percent ?? (users.delta > 0 ? 100 : 0)
+    const score = messagePercent + userPercent
+
+    if (score >= 30) return { level: 'up', text: '群聊正在升温' }
+    if (score <= -30) return { level: 'down', text: '群聊有些冷清' }
+    return { level: 'flat', text: '群聊热度平稳' }
+  }
+}
@@ -0,0 +1,381 @@
+/**
+ * 后台任务队列
+ * 任务持久化在 Redis 中，状态: pending（等待执行）→ running（执行中）→ done（完成）/ failed（最终失败）
+ * 失败后按指数退避重试；重启后将上次进程中断的 running 任务放回队列
+ */
+
+import { randomUUID } from 'node:crypto'
+import { logger } from '#lib'
+
+export const JobState = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed'
+}
+
+// 当前进程的标识：执行中的任务记录该标识，重启后据此识别被中断的任务
+const WORKER_ID = `${process.pid}:${randomUUID()}`
+
+export default class JobQueue {
+  constructor(config = {}) {
+    // 所有类型合计同时执行的任务数
+    this.concurrency = config.concurrency || 4
+    // 失败后最多尝试次数（含首次）
+    this.maxAttempts = config.max_attempts || 3
+    // 重试间隔基数（秒），第 n 次重试等待 backoff × 2^(n-1) 秒
+    this.backoff = config.backoff ?? 30
+    // 检查到期任务的间隔（秒）
+    this.pollInterval = config.poll_interval || 5
+    // 已完成/失败任务记录的保留时间（小时）
+    this.retentionHours = config.retention_hours || 24
+    this.keyPrefix = 'Yz:groupManager'
+
+    // 任务类型 → { handler, onFailed, concurrency, maxAttempts, running }
+    this.handlers = new Map()
+    this.running = 0
+    this.timer = null
+    this.stopped = true
+    this.polling = null
+    this.pollAgain = false
+  }
+
+  /**
+   * 获取任务记录键名 (String: JSON)
+   * @param {string} id - 任务ID
+   */
+  getJobKey(id) {
+    return `${this.keyPrefix}:job:${id}`
+  }
+
+  /**
+   * 获取待执行任务键名 (Sorted Set: 任务ID → 可执行时间戳)
+   * @param {string} type - 任务类型
+   */
+  getPendingKey(type) {
+    return `${this.keyPrefix}:jobs:pending:${type}`
+  }
+
+  /**
+   * 获取执行中任务键名 (Sorted Set: 任务ID → 开始时间戳)
+   */
+  getRunningKey() {
+    return `${this.keyPrefix}:jobs:running`
+  }
+
+  /**
+   * 注册任务处理器
+   * @param {string} type - 任务类型
+   * @param {Function} handler - async (payload, job) => result，抛出异常视为失败
+   * @param {Object} options - 选项
+   * @param {number} options.concurrency - 该类型同时执行的任务数（默认不单独限制）
+   * @param {number} options.maxAttempts - 该类型的最多尝试次数（默认使用队列配置）
+   * @param {Function} options.onFailed - async (payload, error, job)，重试用尽后调用
+   */
+  register(type, handler, options = {}) {
+    // 重复注册时原地更新，执行中的任务仍计入同一处理器
+    const entry = this.handlers.get(type) || { running: 0 }
+    Object.assign(entry, {
+      handler,
+      onFailed: options.onFailed || null,
+      concurrency: options.concurrency || Infinity,
+      maxAttempts: options.maxAttempts || null
+    })
+    this.handlers.set(type, entry)
+  }
+
+  /**
+   * 启动队列：恢复中断的任务并开始定时检查
+   */
+  async start() {
+    if (!this.stopped) return
+    this.stopped = false
+
+    await this.recover()
+
+    this.timer = setInterval(() => this.poll(), this.pollInterval * 1000)
+    this.timer.unref?.()
+    this.poll()
+    logger.debug(`[任务队列] 已启动 (并发数: ${this.concurrency}, 检查间隔: ${this.pollInterval}秒)`)
+  }
+
+  /**
+   * 停止队列：不再领取新任务，执行中的任务继续完成
+   */
+  async stop() {
+    this.stopped = true
+    if (this.timer) {
+      clearInterval(this.timer)
+      this.timer = null
+    }
+  }
+
+  /**
+   * 添加任务
+   * 同一 ID 的任务尚在等待或执行中时不重复添加，已完成或失败的任务会被新任务替换
+   * @param {string} type - 任务类型
+   * @param {Object} payload - 任务参数（需可 JSON 序列化）
+   * @param {Object} options - 选项
+   * @param {string} options.id - 任务ID（用于去重），默认随机生成
+   * @param {number} options.delay - 延迟执行（秒）
+   * @returns {Promise<Object>} 任务记录
+   */
+  async enqueue(type, payload = {}, options = {}) {
+    const id = options.id || `${type}:${randomUUID()}`
+
+    const existing = await this.getJob(id)
+    if (existing && (existing.state === JobState.PENDING || existing.state === JobState.RUNNING)) {
+      logger.debug(`[任务队列] 任务 ${id} 已在队列中 (${existing.state})，跳过`)
+      return existing
+    }
+
+    const now = Date.now()
+    const job = {
+      id,
+      type,
+      payload,
+      state: JobState.PENDING,
+      attempts: 0,
+      maxAttempts: this.handlers.get(type)?.maxAttempts || this.maxAttempts,
+      runAt: now + (options.delay || 0) * 1000,
+      createdAt: now,
+      updatedAt: now,
+      error: null,
+      result: null
+    }
+
+    await this.saveJob(job)
+    await redis.zAdd(this.getPendingKey(type), { score: job.runAt, value: id })
+    logger.debug(`[任务队列] 添加任务 ${id}`)
+
+    this.poll()
+    return job
+  }
+
+  /**
+   * 获取任务记录
+   * @param {string} id - 任务ID
+   * @returns {Promise<Object|null>}
+   */
+  async getJob(id) {
+    const data = await redis.get(this.getJobKey(id))
+    if (!data) return null
+    try {
+      return JSON.parse(data)
+    } catch (err) {
+      logger.error(`[任务队列] 任务 ${id} 记录解析失败: ${err}`)
+      return null
+    }
+  }
+
+  /**
+   * 保存任务记录（已完成/失败的任务按保留时间过期）
+   * @param {Object} job - 任务记录
+   */
+  async saveJob(job) {
+    job.updatedAt = Date.now()
+    const finished = job.state === JobState.DONE || job.state === JobState.FAILED
+    if (finished) {
+      await redis.set(this.getJobKey(job.id), JSON.stringify(job), 'EX', this.retentionHours * 3600)
+    } else {
+      await redis.set(this.getJobKey(job.id), JSON.stringify(job))
+    }
+  }
+
+  /**
+   * 估算一批任务从加入队列到全部结束的最长时间（全部尝试的执行时间 + 各次重试的退避时间）
+   * @param {string} type - 任务类型（按该类型的最多尝试次数计算）
+   * @param {number} attemptSeconds - 单次执行的最长时间（秒）
+   * @param {number} count - 任务数量（按该类型的并发数分轮执行）
+   * @returns {number} 秒
+   */
+  getMaxWaitTime(type, attemptSeconds, count = 1) {
+    const entry = this.handlers.get(type)
+    const maxAttempts = entry?.maxAttempts || this.maxAttempts
+    const rounds = Math.ceil(count / Math.min(entry?.concurrency || Infinity, this.concurrency))
+    const retryDelay = this.backoff * (2 ** (maxAttempts - 1) - 1)
+    return rounds * maxAttempts * (attemptSeconds + this.pollInterval) + retryDelay
+  }
+
+  /**
+   * 等待任务结束（完成或最终失败）
+   * @param {Array<string>} ids - 任务ID列表
+   * @param {number} timeout - 超时时间（秒），0 表示不限
+   * @returns {Promise<Array<Object|null>>} 任务记录（超时时为当时的状态，记录已过期时为 null）
+   */
+  async waitFor(ids, timeout = 0) {
+    const deadline = timeout > 0 ? Date.now() + timeout * 1000 : Infinity
+
+    while (true) {
+      const jobs = await Promise.all(ids.map(id => this.getJob(id)))
+      const finished = jobs.every(job => !job || job.state === JobState.DONE || job.state === JobState.FAILED)
+      if (finished || Date.now() >= deadline) {
+        return jobs
+      }
+      await new Promise(resolve => setTimeout(resolve, this.pollInterval * 1000))
+    }
+  }
+
+  /**
+   * 将上次进程中断的任务放回队列（尝试次数已用完的标记为失败）
+   */
+  async recover() {
+    const ids = await redis.zRange(this.getRunningKey(), 0, -1)
+    let recovered = 0
+
+    for (const id of ids) {
+      const job = await this.getJob(id)
+      if (job?.worker === WORKER_ID && job.state === JobState.RUNNING) continue
+
+      await redis.zRem(this.getRunningKey(), id)
+      // 已领取但未开始执行的任务状态仍为 pending，同样放回队列
+      if (!job || (job.state !== JobState.RUNNING && job.state !== JobState.PENDING)) continue
+
+      if (job.attempts < job.maxAttempts) {
+        job.state = JobState.PENDING
+        job.runAt = Date.now()
+        job.error = '执行中断（进程重启）'
+        await this.saveJob(job)
+        await redis.zAdd(this.getPendingKey(job.type), { score: job.runAt, value: id })
+        recovered++
+      } else {
+        await this.fail(job, new Error('执行中断（进程重启），已达最大尝试次数'))
+      }
+    }
+
+    if (recovered > 0) {
+      logger.mark(`[任务队列] 已恢复 ${recovered} 个中断的任务`)
+    }
+  }
+
+  /**
+   * 检查并执行到期任务（同一时间只有一轮检查，检查期间的请求在本轮结束后再检查一次）
+   */
+  poll() {
+    if (this.stopped) return Promise.resolve()
+    if (this.polling) {
+      this.pollAgain = true
+      return this.polling
+    }
+
+    this.pollAgain = false
+    this.polling = this.processDue()
+      .catch(err => logger.error(`[任务队列] 检查任务失败: ${err}`))
+      .finally(() => {
+        this.polling = null
+        if (this.pollAgain) this.poll()
+      })
+    return this.polling
+  }
+
+  /**
+   * 领取并执行到期任务，受队列和各类型的并发数限制
+   * 只处理已注册处理器的任务类型，未注册的任务保留在队列中
+   */
+  async processDue() {
+    for (const [type, entry] of this.handlers) {
+      const free = Math.min(this.concurrency - this.running, entry.concurrency - entry.running)
+      if (free <= 0) continue
+
+      const ids = await redis.zRangeByScore(this.getPendingKey(type), 0, Date.now())
+      let started = 0
+      for (const id of ids) {
+        if (this.stopped || started >= free) break
+        // 从待执行集合中移除成功才算领取到任务
+        if (await redis.zRem(this.getPendingKey(type), id)) {
+          started++
+          this.run(type, id, entry)
+        }
+      }
+    }
+  }
+
+  /**
+   * 执行任务
+   * @param {string} type - 任务类型
+   * @param {string} id - 任务ID
+   * @param {Object} entry - 处理器
+   */
+  async run(type, id, entry) {
+    this.running++
+    entry.running++
+
+    try {
+      // 先记入执行中集合，领取后进程退出也能在重启时恢复
+      await redis.zAdd(this.getRunningKey(), { score: Date.now(), value: id })
+
+      const job = await this.getJob(id)
+      if (!job) {
+        logger.warn(`[任务队列] 任务 ${id} 记录不存在，跳过`)
+        await redis.zRem(this.getRunningKey(), id)
+        return
+      }
+
+      job.state = JobState.RUNNING
+      job.attempts++
+      job.worker = WORKER_ID
+      await this.saveJob(job)
+
+      try {
+        job.result = (await entry.handler(job.payload, job)) ?? null
+        job.state = JobState.DONE
+        job.error = null
+        await this.saveJob(job)
+        logger.debug(`[任务队列] 任务 ${id} 完成 (第${job.attempts}次尝试)`)
+      } catch (err) {
+        job.error = err.message || String(err)
+
+        if (job.attempts < job.maxAttempts) {
+          const delay = this.backoff * 2 ** (job.attempts - 1)
+          job.state = JobState.PENDING
+          job.runAt = Date.now() + delay * 1000
+          await this.saveJob(job)
+          await redis.zAdd(this.getPendingKey(type), { score: job.runAt, value: id })
+          logger.warn(`[任务队列] 任务 ${id} 第${job.attempts}次执行失败，${delay}秒后重试: ${job.error}`)
+        } else {
+          await this.fail(job, err, entry)
+        }
+      } finally {
+        await redis.zRem(this.getRunningKey(), id)
+      }
+    } catch (err) {
+      logger.error(`[任务队列] 任务 ${id} 状态更新失败: ${err}`)
+    } finally {
+      this.running--
+      entry.running--
+      // 空出并发名额后立即领取下一个任务
+      this.poll()
+    }
+  }
+
+  /**
+   * 标记任务最终失败并调用失败回调
+   * @param {Object} job - 任务记录
+   * @param {Error} err - 失败原因
+   * @param {Object} entry - 处理器（可选）
+   */
+  async fail(job, err, entry = this.handlers.get(job.type)) {
+    job.state = JobState.FAILED
+    job.error = err.message || String(err)
+    await this.saveJob(job)
+    logger.error(`[任务队列] 任务 ${job.id} 失败 (已尝试${job.attempts}次): ${job.error}`)
+
+    try {
+      await entry?.onFailed?.(job.payload, err, job)
+    } catch (callbackErr) {
+      logger.error(`[任务队列] 任务 ${job.id} 失败回调出错: ${callbackErr}`)
+    }
+  }
+
+  /**
+   * 获取队列概况
+   * @returns {Promise<Object>} { pending: { 类型: 数量 }, running, active }
+   */
+  async getStats() {
+    const pending = {}
+    for (const type of this.handlers.keys()) {
+      pending[type] = await redis.zCard(this.getPendingKey(type))
+    }
+    return { pending, running: await redis.zCard(this.getRunningKey()), active: this.running }
+  }
+}
@@ -0,0 +1,402 @@
+/**
+ * 离线模拟 AI 服务
+ * 在本地启动一个兼容 OpenAI 格式的 HTTP 服务，按提示词规则生成话题、金句和称号结果，不消耗 token
+ *
+ * 通过模型名称模拟异常（可组合，如 mock-flaky-malformed）:
+ * - timeout: 不返回响应，直到客户端超时
+ * - 429 / 500: 返回对应的错误状态码
+ * - flaky: 每隔一次请求返回 500
+ * - empty: 返回空内容
+ * - malformed: 返回带说明文字、代码块和尾随逗号的 JSON（需要 jsonrepair 修复）
+ * - invalid: 首次返回不符合格式的结果，重新询问时返回正确结果
+ */
+
+import http from 'node:http'
+import { CONTENT_BEGIN, CONTENT_END } from '../utils/promptGuard.js'
+import { logger } from '#lib'
+
+// 模拟称号和 MBTI
+const MOCK_TITLES = ['话痨王', '潜水员', '夜猫子', '段子手', '哲学家', '表情包大师', '氛围担当', '技术大佬']
+const MOCK_MBTI = ['ENFP', 'INTJ', 'ISTP', 'ESFJ', 'INFP', 'ENTP', 'ISFJ', 'ESTJ']
+
+// 聊天记录行: [HH:MM] [用户ID]: 内容
+const MESSAGE_LINE = /^(?:\[\d{2}:\d{2}\] )?\[(\d+)\]: (?:\[回复\] )?(\[疑似指令\] )?(.*)$/
+
+export default class MockAIServer {
+  constructor(config = {}) {
+    this.host = config.host || '127.0.0.1'
+    this.port = config.port ?? 11435
+    // 每次响应的模拟延迟（毫秒）
+    this.latency = config.latency || 0
+    this.server = null
+    this.requestCount = 0
+    this.timers = new Set()
+  }
+
+  /**
+   * 服务地址，可直接填入 ai.baseURL
+   */
+  get baseURL() {
+    const address = this.server?.address()
+    return `http://${this.host}:${address?.port || this.port}/v1`
+  }
+
+  /**
+   * 启动服务
+   * @returns {Promise<string>} baseURL
+   */
+  async start() {
+    if (this.server) {
+      return this.baseURL
+    }
+
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(err => {
+        logger.error(`[模拟AI] 处理请求失败: ${err}`)
+        this.sendJSON(res, 500, { error: { message: err.message, type: 'server_error' } })
+      })
+    })
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject)
+      this.server.listen(this.port, this.host, resolve)
+    })
+
+    logger.mark(`[模拟AI] 已启动: ${this.baseURL}`)
+    return this.baseURL
+  }
+
+  /**
+   * 停止服务（ServiceManager 调用）
+   */
+  async stop() {
+    for (const timer of this.timers) {
+      clearTimeout(timer)
+    }
+    this.timers.clear()
+
+    if (!this.server) return
+
+    const server = this.server
+    this.server = null
+    server.closeAllConnections?.()
+    await new Promise(resolve => server.close(() => resolve()))
+    logger.debug('[模拟AI] 已停止')
+  }
+
+  /**
+   * 处理请求
+   * @param {http.IncomingMessage} req - 请求
+   * @param {http.ServerResponse} res - 响应
+   */
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost')
+
+    if (req.method === 'GET' && url.pathname.endsWith('/models')) {
+      return this.sendJSON(res, 200, { object: 'list', data: [{ id: 'mock', object: 'model', owned_by: 'mock' }] })
+    }
+
+    if (req.method !== 'POST' || !url.pathname.endsWith('/chat/completions')) {
+      return this.sendJSON(res, 404, { error: { message: `未知接口: ${req.method} ${url.pathname}`, type: 'invalid_request_error' } })
+    }
+
+    const body = JSON.parse(await this.readBody(req) || '{}')
+    const model = String(body.model || 'mock')
+    const prompt = (body.messages || []).map(message => message.content).join('\n')
+    const count = ++this.requestCount
+
+    logger.debug(`[模拟AI] 第 ${count} 次请求 (模型: ${model}, 提示词 ${prompt.length} 字)`)
+
+    if (model.includes('timeout')) {
+      // 不响应，等待客户端超时断开
+      return
+    }
+
+    await this.delay(this.latency)
+
+    if (model.includes('429')) {
+      res.setHeader('retry-after', '1')
+      return this.sendJSON(res, 429, { error: { message: 'Rate limit reached (mock)', type: 'rate_limit_error' } })
+    }
+    if (model.includes('500') || (model.includes('flaky') && count % 2 === 1)) {
+      return this.sendJSON(res, 500, { error: { message: 'Internal server error (mock)', type: 'server_error' } })
+    }
+
+    const jsonSchema = body.response_format?.json_schema || null
+    let content = this.generate(prompt, jsonSchema?.schema, jsonSchema?.name)
+
+    if (model.includes('empty')) {
+      content = ''
+    } else if (model.includes('invalid') && !prompt.includes('没有通过格式校验')) {
+      content = JSON.stringify([{ mock: true }])
+    } else if (model.includes('malformed')) {
+      content = this.malform(content)
+    }
+
+    return this.sendJSON(res, 200, {
+      id: `mock-${count}`,
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model,
+      choices: [{
+        index: 0,
+        message: { role: 'assistant', content },
+        finish_reason: 'stop'
+      }],
+      usage: this.estimateUsage(prompt, content)
+    })
+  }
+
+  /**
+   * 按提示词生成模拟结果
+   * 优先按结构化输出的 Schema 名称（分析器类名）判断类型，否则按提示词中聊天记录以外的关键词判断
+   * @param {string} prompt - 提示词
+   * @param {Object} schema - response_format 中的 Schema（可选）
+   * @param {string} name - response_format 中的 Schema 名称（可选）
+   * @returns {string} 返回内容
+   */
+  generate(prompt, schema = null, name = null) {
+    const instructions = this.stripMessages(prompt)
+    const kind = name
+      ? { TopicAnalyzer: 'topic', GoldenQuoteAnalyzer: 'quote', UserTitleAnalyzer: 'title', TopicMergeService: 'merge' }[name] || null
+      : (instructions.includes('称号') && instructions.includes('MBTI') && 'title') ||
+        (instructions.includes('金句') && 'quote') ||
+        (instructions.includes('合并') && instructions.includes('话题列表') && 'merge') ||
+        (instructions.includes('话题') && 'topic') ||
+        null
+    let data
+
+    if (kind === 'quote') {
+      data = this.generateQuotes(prompt)
+    } else if (kind === 'title') {
+      data = this.generateTitles(prompt)
+    } else if (kind === 'topic') {
+      data = this.generateTopics(prompt)
+    } else if (kind === 'merge') {
+      data = this.generateTopicMerges(prompt)
+    } else if (schema) {
+      data = this.generateFromSchema(schema)
+    } else {
+      return `（模拟回复）共收到 ${this.parseMessages(prompt).length} 条聊天记录，这是离线模拟服务生成的内容。`
+    }
+
+    // 结构化输出时数组结果包装在 items 字段中
+    if (Array.isArray(data) && schema?.properties?.items) {
+      data = { items: data }
+    }
+
+    return JSON.stringify(data, null, 2)
+  }
+
+  /**
+   * 去除提示词中的聊天记录，避免聊天内容影响类型判断
+   * @param {string} prompt - 提示词
+   */
+  stripMessages(prompt) {
+    return prompt.split(CONTENT_BEGIN)
+      .map((part, index) => index === 0 ? part : part.split(CONTENT_END).slice(1).join(CONTENT_END))
+      .join('')
+  }
+
+  /**
+   * 从提示词中解析聊天记录
+   * @param {string} prompt - 提示词
+   * @returns {Array<Object>} [{ user_id, message, flagged }]
+   */
+  parseMessages(prompt) {
+    const begin = prompt.indexOf(CONTENT_BEGIN)
+    const end = prompt.indexOf(CONTENT_END)
+    const text = begin >= 0 && end > begin ? prompt.slice(begin + CONTENT_BEGIN.length, end) : prompt
+
+    return text.split('\n')
+      .map(line => line.match(MESSAGE_LINE))
+      .filter(Boolean)
+      .map(match => ({ user_id: match[1], message: match[3].trim(), flagged: !!match[2] }))
+  }
+
+  /**
+   * 生成话题：将聊天记录按顺序分为最多 3 段，每段一个话题
+   */
+  generateTopics(prompt) {
+    const messages = this.parseMessages(prompt)
+    if (messages.length === 0) return []
+
+    const segmentCount = Math.min(3, Math.ceil(messages.length / 5))
+    const size = Math.ceil(messages.length / segmentCount)
+    const topics = []
+
+    for (let i = 0; i < segmentCount; i++) {
+      const segment = messages.slice(i * size, (i + 1) * size)
+      if (segment.length === 0) continue
+
+      const contributors = this.rankUsers(segment).slice(0, 5)
+      const longest = segment.reduce((a, b) => b.message.length > a.message.length ? b : a)
+      const excerpt = longest.message.length > 30 ? longest.message.substring(0, 30) + '...' : longest.message
+
+      topics.push({
+        topic: longest.message.substring(0, 8) || `模拟话题${i + 1}`,
+        contributors,
+        detail: `[${contributors[0]}] 等 ${contributors.length} 人围绕「${excerpt}」聊了 ${segment.length} 条消息`
+      })
+    }
+
+    return topics
+  }
+
+  /**
+   * 生成话题合并结果：名称前两个字相同的话题归为一组
+   */
+  generateTopicMerges(prompt) {
+    const groups = new Map()
+    for (const [, index, title] of prompt.matchAll(/^\[(\d+)\] (.+?)：/gm)) {
+      const key = title.substring(0, 2)
+      if (!groups.has(key)) groups.set(key, { members: [], titles: [] })
+      groups.get(key).members.push(Number(index))
+      groups.get(key).titles.push(title)
+    }
+
+    return [...groups.values()]
+      .filter(group => group.members.length > 1)
+      .map(group => ({
+        members: group.members,
+        topic: group.titles[0],
+        detail: `合并了 ${group.members.length} 个相关话题：${group.titles.join('、')}`
+      }))
+  }
+
+  /**
+   * 生成金句：选择最长的几条消息
+   */
+  generateQuotes(prompt) {
+    const max = parseInt(prompt.match(/最多 (\d+) 条/)?.[1]) || 3
+
+    return this.parseMessages(prompt)
+      .filter(msg => !msg.flagged && msg.message.length >= 5 && !msg.message.includes('['))
+      .sort((a, b) => b.message.length - a.message.length)
+      .slice(0, max)
+      .map(msg => ({
+        quote: msg.message,
+        sender: msg.user_id,
+        reason: '模拟数据：本段聊天中最长的发言'
+      }))
+  }
+
+  /**
+   * 生成称号：按提示词中的用户列表依次分配
+   */
+  generateTitles(prompt) {
+    const max = parseInt(prompt.match(/最多选择 (\d+) 位/)?.[1]) || 8
+    const userIds = [...prompt.matchAll(/用户ID: (\d+)/g)].map(match => match[1])
+
+    return userIds.slice(0, max).map((userId, index) => ({
+      user_id: userId,
+      title: MOCK_TITLES[index % MOCK_TITLES.length],
+      mbti: MOCK_MBTI[index % MOCK_MBTI.length],
+      reason: '模拟数据：按发言排名分配'
+    }))
+  }
+
+  /**
+   * 按 Schema 生成满足必填字段的最小结果（其他分析器使用）
+   * @param {Object} schema - JSON Schema
+   */
+  generateFromSchema(schema) {
+    if (!schema || typeof schema !== 'object') return null
+    if (schema.enum) return schema.enum[0]
+
+    const type = [].concat(schema.type)[0]
+    switch (type) {
+      case 'object': {
+        const result = {}
+        for (const key of schema.required || []) {
+          result[key] = this.generateFromSchema(schema.properties?.[key])
+        }
+        return result
+      }
+      case 'array':
+        return Array.from({ length: schema.minItems || 0 }, () => this.generateFromSchema(schema.items))
+      case 'integer':
+      case 'number':
+        return schema.minimum ?? 0
+      case 'boolean':
+        return false
+      case 'null':
+        return null
+      default:
+        return '模拟数据'
+    }
+  }
+
+  /**
+   * 将 JSON 改写为需要修复的格式（说明文字 + 代码块 + 尾随逗号）
+   * @param {string} content - 合法的 JSON 文本
+   */
+  malform(content) {
+    const broken = content.replace(/(["\d\]}])(\n\s*[\]}])/g, '$1,$2')
+    return `好的，以下是分析结果：\n\`\`\`json\n${broken}\n\`\`\`\n以上结果仅供参考。`
+  }
+
+  /**
+   * 按发言数排序用户
+   * @param {Array} messages - parseMessages 的结果
+   * @returns {Array<string>} user_id 列表
+   */
+  rankUsers(messages) {
+    const counts = new Map()
+    for (const msg of messages) {
+      counts.set(msg.user_id, (counts.get(msg.user_id) || 0) + 1)
+    }
+    return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([userId]) => userId)
+  }
+
+  /**
+   * 估算 token 用量（按 2 字 1 token 粗略计算）
+   */
+  estimateUsage(prompt, content) {
+    const promptTokens = Math.ceil(prompt.length / 2)
+    const completionTokens = Math.ceil(content.length / 2)
+    return {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens
+    }
+  }
+
+  /**
+   * 读取请求体
+   * @param {http.IncomingMessage} req - 请求
+   * @returns {Promise<string>}
+   */
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = []
+      req.on('data', chunk => chunks.push(chunk))
+      req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')))
+      req.on('error', reject)
+    })
+  }
+
+  /**
+   * 发送 JSON 响应
+   */
+  sendJSON(res, status, data) {
+    if (res.headersSent) return
+    res.writeHead(status, { 'content-type': 'application/json' })
+    res.end(JSON.stringify(data))
+  }
+
+  /**
+   * 模拟延迟（停止服务时会清除）
+   * @param {number} ms - 毫秒
+   */
+  delay(ms) {
+    if (!ms) return Promise.resolve()
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.timers.delete(timer)
+        resolve()
+      }, ms)
+      this.timers.add(timer)
+    })
+  }
+}
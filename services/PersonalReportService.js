@@ -0,0 +1,105 @@
+/**
+ * 个人报告服务
+ * 从群聊统计与已保存报告中汇总单个成员的数据，生成个人报告卡片
+ */
+
+import moment from 'moment'
+import puppeteer from '../../../lib/puppeteer/puppeteer.js'
+import { PERSONAL_REPORT_TEMPLATE_PATH, RESOURCES_DIR } from '#paths'
+import { logger } from '#lib'
+
+export default class PersonalReportService {
+  constructor(config = {}) {
+    this.config = config
+    // 个人词云最少需要的消息数
+    this.minWordCloudMessages = config.min_wordcloud_messages || 5
+  }
+
+  /**
+   * 汇总个人报告数据
+   * @param {string|number} userId - 用户 QQ
+   * @param {Object} sources - { stats: 群聊统计, report: 已保存的报告 (可选) }
+   * @returns {Object|null} 个人报告数据，用户当天未发言时返回 null
+   */
+  build(userId, { stats, report = null }) {
+    const targetId = String(userId)
+    const users = stats?.topUsers || []
+    const user = users.find(item => String(item.user_id) === targetId)
+
+    if (!user) {
+      return null
+    }
+
+    const totalMessages = stats.basic?.totalMessages || 0
+    const hourly = user.hourlyDistribution || new Array(24).fill(0)
+    const peakCount = Math.max(...hourly)
+    const peakHour = hourly.indexOf(peakCount)
+
+    // 参与的话题（以 contributors 中的 user_id 匹配）
+    const topics = (report?.topics || [])
+      .filter(topic => (topic.contributors || []).some(contributor => String(contributor.user_id) === targetId))
+      .map(topic => ({ topic: topic.topic }))
+
+    // 入选的金句
+    const goldenQuotes = (report?.goldenQuotes || [])
+      .filter(quote => String(quote.sender?.user_id) === targetId)
+      .map(quote => ({ quote: quote.quote, reason: quote.reason }))
+
+    // 获得的称号
+    const title = (report?.userTitles || []).find(item => String(item.user_id) === targetId) || null
+
+    return {
+      userId: targetId,
+      nickname: user.nickname || targetId,
+      messageCount: user.messageCount,
+      charCount: user.charCount,
+      avgLength: user.avgLength,
+      emojiCount: user.emojiCount,
+      replyCount: user.replyCount,
+      rank: user.rank,
+      totalUsers: users.length,
+      messageShare: totalMessages > 0 ? Math.round((user.messageCount / totalMessages) * 100) : 0,
+      nightPercent: Math.round(Number(user.nightRatio || 0) * 100),
+      peakHour,
+      peakPeriod: `${peakHour.toString().padStart(2, '0')}:00-${((peakHour + 1) % 24).toString().padStart(2, '0')}:00`,
+      hourly: hourly.map((count, hour) => ({
+        hour,
+        count,
+        heightPercent: peakCount > 0 ? Math.round((count / peakCount) * 100) : 0,
+        isPeak: count > 0 && hour === peakHour
+      })),
+      topics,
+      goldenQuotes,
+      title: title ? { title: title.title, mbti: title.mbti, reason: title.reason } : null
+    }
+  }
+
+  /**
+   * 渲染个人报告卡片
+   * @param {Object} data - build() 生成的个人报告数据
+   * @param {Object} options - { groupName, dateLabel, wordList }
+   * @returns {Promise<Object|null>} 图片，失败返回 null
+   */
+  async render(data, options = {}) {
+    const renderConfig = this.config.render || {}
+    const wordList = options.wordList || []
+
+    try {
+      return await puppeteer.screenshot('group-insight-personal', {
+        tplFile: PERSONAL_REPORT_TEMPLATE_PATH,
+        imgType: renderConfig.imgType || 'png',
+        quality: renderConfig.quality || 100,
+        ...data,
+        groupName: options.groupName || '未知群聊',
+        dateLabel: options.dateLabel || '今天',
+        hasWordCloud: wordList.length > 0,
+        wordListJson: JSON.stringify(wordList),
+        createTime: moment().format('YYYY-MM-DD HH:mm:ss'),
+        pluResPath: RESOURCES_DIR + '/'
+      })
+    } catch (err) {
+      logger.error(`[个人报告] 渲染失败: ${err}`)
+      return null
+    }
+  }
+}
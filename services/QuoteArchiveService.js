@@ -0,0 +1,201 @@
+/**
+ * 群圣经归档服务
+ * 将每日报告中的金句永久收录到群圣经，不受消息保留天数影响
+ */
+
+import { createHash } from 'node:crypto'
+import moment from 'moment'
+import { logger } from '#lib'
+
+export default class QuoteArchiveService {
+  constructor(config = {}) {
+    this.enabled = config.archive !== false
+    // 搜索/列表最多返回的条数
+    this.listSize = config.archive_list_size || 10
+    this.keyPrefix = 'Yz:groupManager'
+  }
+
+  /**
+   * 获取群圣经键名 (Hash: 金句ID → 金句 JSON)
+   * @param {number} groupId - 群号
+   */
+  getArchiveKey(groupId) {
+    return `${this.keyPrefix}:quotes:${groupId}`
+  }
+
+  /**
+   * 生成金句ID（忽略空白和标点，内容相同的金句只收录一次）
+   * @param {string} text - 金句内容
+   */
+  getQuoteId(text) {
+    const normalized = String(text)
+      .toLowerCase()
+      .replace(/[\s\p{P}\p{S}]+/gu, '')
+    return createHash('md5').update(normalized || String(text)).digest('hex').slice(0, 16)
+  }
+
+  /**
+   * 收录金句
+   * @param {number} groupId - 群号
+   * @param {string} date - 报告日期 (YYYY-MM-DD)
+   * @param {Array} quotes - GoldenQuoteAnalyzer 输出的金句
+   * @returns {Promise<number>} 新收录的条数
+   */
+  async archive(groupId, date, quotes = []) {
+    if (!this.enabled || !quotes?.length) {
+      return 0
+    }
+
+    const key = this.getArchiveKey(groupId)
+    let added = 0
+
+    try {
+      for (const quote of quotes) {
+        if (!quote?.quote) continue
+
+        const id = this.getQuoteId(quote.quote)
+        const entry = {
+          id,
+          quote: quote.quote,
+          sender: {
+            user_id: quote.sender?.user_id ? String(quote.sender.user_id) : null,
+            nickname: quote.sender?.nickname || '未知'
+          },
+          reason: quote.reason || '',
+          date,
+          archivedAt: Date.now()
+        }
+
+        // 已收录的金句保留最早的记录
+        if (await redis.hSetNX(key, id, JSON.stringify(entry))) {
+          added++
+        }
+      }
+
+      if (added > 0) {
+        logger.info(`[群圣经] 群 ${groupId} ${date} 新收录 ${added} 条金句`)
+      }
+    } catch (err) {
+      logger.error(`[群圣经] 收录金句失败: ${err}`)
+    }
+
+    return added
+  }
+
+  /**
+   * 获取群圣经全部金句
+   * @param {number} groupId - 群号
+   * @returns {Promise<Array>} 金句列表（按日期倒序）
+   */
+  async getAll(groupId) {
+    try {
+      const data = await redis.hGetAll(this.getArchiveKey(groupId))
+      const quotes = []
+
+      for (const value of Object.values(data || {})) {
+        try {
+          quotes.push(JSON.parse(value))
+        } catch (err) {
+          logger.error(`[群圣经] 解析金句失败: ${err}`)
+        }
+      }
+
+      return quotes.sort((a, b) => b.date.localeCompare(a.date) || b.archivedAt - a.archivedAt)
+    } catch (err) {
+      logger.error(`[群圣经] 读取群圣经失败: ${err}`)
+      return []
+    }
+  }
+
+  /**
+   * 随机抽取一条金句
+   * @param {number} groupId - 群号
+   * @param {string|null} userId - 只从该成员的金句中抽取
+   * @returns {Promise<Object|null>}
+   */
+  async random(groupId, userId = null) {
+    const quotes = await this.getByUser(groupId, userId)
+    if (quotes.length === 0) {
+      return null
+    }
+    return quotes[Math.floor(Math.random() * quotes.length)]
+  }
+
+  /**
+   * 获取某个成员的全部金句
+   * @param {number} groupId - 群号
+   * @param {string|null} userId - 用户 QQ，为空时返回全部
+   */
+  async getByUser(groupId, userId = null) {
+    const quotes = await this.getAll(groupId)
+    if (!userId) {
+      return quotes
+    }
+    return quotes.filter(quote => quote.sender?.user_id === String(userId))
+  }
+
+  /**
+   * 搜索金句（匹配内容、入选理由和发送者昵称）
+   * @param {number} groupId - 群号
+   * @param {string} keyword - 关键词
+   * @returns {Promise<Array>} 匹配的金句（按日期倒序）
+   */
+  async search(groupId, keyword) {
+    const needle = String(keyword).trim().toLowerCase()
+    if (!needle) {
+      return []
+    }
+
+    const quotes = await this.getAll(groupId)
+    return quotes.filter(quote =>
+      quote.quote.toLowerCase().includes(needle) ||
+      quote.reason.toLowerCase().includes(needle) ||
+      (quote.sender?.nickname || '').toLowerCase().includes(needle)
+    )
+  }
+
+  /**
+   * 群圣经排行榜（按成员入选金句数排序）
+   * @param {number} groupId - 群号
+   * @returns {Promise<Object>} { total, ranking: [{ user_id, nickname, count, lastDate }] }
+   */
+  async ranking(groupId) {
+    const quotes = await this.getAll(groupId)
+    const rankMap = new Map()
+
+    for (const quote of quotes) {
+      const key = quote.sender?.user_id || quote.sender?.nickname
+      if (!key) continue
+
+      if (!rankMap.has(key)) {
+        // getAll 按日期倒序，首次出现的即为最新昵称
+        rankMap.set(key, {
+          user_id: quote.sender.user_id,
+          nickname: quote.sender.nickname,
+          count: 0,
+          lastDate: quote.date
+        })
+      }
+      rankMap.get(key).count++
+    }
+
+    const ranking = Array.from(rankMap.values())
+      .sort((a, b) => b.count - a.count || b.lastDate.localeCompare(a.lastDate))
+      .slice(0, this.listSize)
+
+    return { total: quotes.length, ranking }
+  }
+
+  /**
+   * 格式化单条金句为文本
+   * @param {Object} quote - 归档的金句
+   */
+  formatQuote(quote) {
+    const date = moment(quote.date, 'YYYY-MM-DD').format('YYYY年MM月DD日')
+    const lines = [`「${quote.quote}」`, `—— ${quote.sender?.nickname || '未知'} · ${date}`]
+    if (quote.reason) {
+      lines.push(`📖 ${quote.reason}`)
+    }
+    return lines.join('\n')
+  }
+}
@@ -0,0 +1,272 @@
+/**
+ * 报告导出服务
+ * 将已保存的报告导出为 Markdown / HTML / JSON 文件，便于归档到 Wiki
+ */
+
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import template from 'art-template'
+import { marked } from 'marked'
+import { logger } from '#lib'
+
+// 支持的导出格式 → 文件扩展名
+const EXPORT_FORMATS = {
+  md: 'md',
+  markdown: 'md',
+  html: 'html',
+  json: 'json'
+}
+
+export default class ReportExporter {
+  /**
+   * 解析导出格式
+   * @param {string} name - 用户输入的格式（md/markdown/html/json），为空时默认 md
+   * @returns {string} 文件扩展名
+   */
+  resolveFormat(name) {
+    return EXPORT_FORMATS[String(name || 'md').toLowerCase()] || 'md'
+  }
+
+  /**
+   * 导出为 JSON（原始 analysisData）
+   * @param {Object} report - RedisHelper.getReport 返回的报告
+   * @returns {string} JSON 文本
+   */
+  toJSON(report) {
+    return JSON.stringify({
+      stats: report.stats || {},
+      topics: report.topics || [],
+      goldenQuotes: report.goldenQuotes || [],
+      userTitles: report.userTitles || [],
+      extensions: report.extensions || {}
+    }, null, 2)
+  }
+
+  /**
+   * 导出为 Markdown，章节顺序与报告模板一致
+   * @param {Object} data - 报告模板数据（ReportPlugin.buildTemplateData 生成）
+   * @param {AnalyzerRegistry} analyzerRegistry - 扩展分析器注册表，用于转换扩展章节
+   * @returns {string} Markdown 文本
+   */
+  toMarkdown(data, analyzerRegistry = null) {
+    const lines = []
+
+    lines.push(`# ${data.groupName} 群聊报告`, '')
+    lines.push(`> 日期: ${data.dateRange}`, '')
+
+    // 基础统计
+    lines.push('## 📊 基础统计', '')
+    lines.push('| 指标 | 数值 |', '| --- | --- |')
+    lines.push(`| 消息总数 | ${data.totalMessages} |`)
+    lines.push(`| 参与人数 | ${data.totalUsers} |`)
+    lines.push(`| 总字符数 | ${data.totalChars} |`)
+    lines.push(`| 表情数量 | ${data.totalEmojis} |`)
+    lines.push(`| 平均消息长度 | ${data.avgLength} 字 |`)
+    lines.push(`| 最活跃时段 | ${data.peakPeriod} |`)
+    if (data.totalLinks > 0) {
+      const sources = Object.entries(data.linksBySource || {}).map(([source, count]) => `${source} ${count}`).join('、')
+      lines.push(`| 分享链接 | ${data.totalLinks}${sources ? `（${sources}）` : ''} |`)
+    }
+    if (data.totalVideos > 0) {
+      lines.push(`| 视频数量 | ${data.totalVideos} |`)
+    }
+    lines.push('')
+
+    // 较上一份报告的变化
+    const comparison = data.comparison
+    if (comparison) {
+      const formatDelta = (diff) => `${diff.delta > 0 ? '+' : ''}${diff.delta}${diff.percent !== null ? ` (${diff.percent > 0 ? '+' : ''}${diff.percent}%)` : ''}`
+      const formatMembers = (members, count) => `${count} 人${members.length > 0 ? `：${members.map(member => member.nickname).join('、')}${count > members.length ? ' 等' : ''}` : ''}`
+
+      lines.push(`## 🔀 ${comparison.label}`, '')
+      lines.push(`- 消息数: ${comparison.messages.current}（${formatDelta(comparison.messages)}）`)
+      lines.push(`- 活跃人数: ${comparison.users.current}（${formatDelta(comparison.users)}）`)
+      lines.push(`- 峰值时段: ${comparison.peak.current}${comparison.peak.changed ? `（此前 ${comparison.peak.previous}）` : '（与此前一致）'}`)
+      lines.push(`- 新活跃成员 ${formatMembers(comparison.newMembers, comparison.newMemberCount)}`)
+      lines.push(`- 沉默成员 ${formatMembers(comparison.quietMembers, comparison.quietMemberCount)}`)
+      lines.push(`- ${comparison.trend.text}`, '')
+    }
+
+    // 周报/月报每日趋势
+    if (data.period?.trend?.length > 0) {
+      lines.push('## 📅 每日趋势', '')
+      lines.push('| 日期 | 消息数 |', '| --- | --- |')
+      for (const day of data.period.trend) {
+        lines.push(`| ${day.label} | ${day.hasReport ? day.messageCount : '无日报'} |`)
+      }
+      lines.push('')
+      lines.push(`- 日报覆盖: ${data.period.reportDays}/${data.period.totalDays} 天`)
+      lines.push(`- 日均消息: ${data.period.avgMessages} 条`)
+      lines.push(`- 最热闹的一天: ${data.period.busiestDay}`, '')
+    }
+
+    // 24 小时活跃度
+    if (data.enableActivityChart && data.activityChart) {
+      const activeHours = data.activityChart.hours.filter(hour => hour.count > 0)
+      lines.push('## 📈 24小时活跃度分布', '')
+      lines.push(`峰值: ${data.activityChart.peakHour}:00-${data.activityChart.peakNextHour}:00（${data.activityChart.peakCount}条）`, '')
+      if (activeHours.length > 0) {
+        lines.push('| 时段 | 消息数 |', '| --- | --- |')
+        for (const hour of activeHours) {
+          lines.push(`| ${hour.hour}:00 | ${hour.count} |`)
+        }
+        lines.push('')
+      }
+    }
+
+    // 热门话题
+    if (data.topics?.length > 0) {
+      lines.push('## 🔥 热门话题', '')
+      data.topics.forEach((topic, index) => {
+        lines.push(`### ${index + 1}. ${topic.topic}`, '')
+        if (topic.contributors?.length > 0) {
+          lines.push(`主要参与者: ${topic.contributors.map(contributor => contributor.nickname).join('、')}`, '')
+        }
+        lines.push(this.htmlToMarkdown(topic.detail), '')
+      })
+    }
+
+    // 群友称号
+    if (data.userTitles?.length > 0) {
+      lines.push('## 🏆 群友称号', '')
+      lines.push('| 群友 | 称号 | MBTI | 理由 |', '| --- | --- | --- | --- |')
+      for (const item of data.userTitles) {
+        lines.push(`| ${this.escapeCell(item.user)} | ${this.escapeCell(item.title)} | ${this.escapeCell(item.mbti)} | ${this.escapeCell(item.reason)} |`)
+      }
+      lines.push('')
+    }
+
+    // 群圣经
+    if (data.goldenQuotes?.length > 0) {
+      lines.push('## 💎 群圣经', '')
+      for (const quote of data.goldenQuotes) {
+        lines.push(`> ${quote.quote}`, '>', `> —— ${quote.sender?.nickname || ''}｜${quote.reason}`, '')
+      }
+    }
+
+    // 扩展分析器：优先使用分析器的 toMarkdown，否则从渲染好的章节提取文本
+    for (const section of data.extensionSections || []) {
+      const AnalyzerClass = analyzerRegistry?.get(section.name)?.AnalyzerClass
+      const result = data.extensions?.[section.name]
+      const markdown = typeof AnalyzerClass?.toMarkdown === 'function'
+        ? AnalyzerClass.toMarkdown(result)
+        : section.html
+
+      lines.push(`## 🧩 ${section.title}`, '')
+      lines.push(this.htmlToMarkdown(markdown), '')
+    }
+
+    // 页脚
+    lines.push('---', '')
+    lines.push(`报告生成时间: ${data.createTime}`)
+    if (data.tokenUsage) {
+      lines.push('', `Token 使用: Prompt ${data.tokenUsage.prompt} + Completion ${data.tokenUsage.completion} = Total ${data.tokenUsage.total}`)
+    }
+    if (data.coverage) {
+      lines.push('', `AI 分析覆盖: ${data.coverage.analyzed}/${data.coverage.total} 条消息 (${data.coverage.percent}%)`)
+      for (const item of data.coverage.extensions || []) {
+        lines.push(`${item.title}仅分析最新 ${item.analyzed} 条消息`)
+      }
+    }
+
+    return lines.join('\n') + '\n'
+  }
+
+  /**
+   * 导出为独立 HTML（渲染报告模板并内联本地样式与图片）
+   * 模板渲染失败时，回退为由 Markdown 转换的简易页面
+   * @param {string} templatePath - 报告模板路径
+   * @param {Object} data - 报告模板数据
+   * @param {string} markdown - 回退用的 Markdown 内容
+   * @returns {Promise<string>} HTML 文本
+   */
+  async toHTML(templatePath, data, markdown = '') {
+    try {
+      const html = template(templatePath, data)
+      return await this.inlineAssets(html)
+    } catch (err) {
+      logger.error(`[报告导出] 模板渲染失败，改用 Markdown 生成 HTML: ${err.message}`)
+      return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="UTF-8">
+<title>${data.groupName} 群聊报告</title>
+</head>
+<body>
+${marked.parse(markdown)}
+</body>
+</html>
+`
+    }
+  }
+
+  /**
+   * 内联 HTML 中引用的本地样式表与图片
+   * 远程资源（CDN 字体、图标、头像）保持原样
+   * @param {string} html - 渲染后的 HTML
+   * @returns {Promise<string>} 内联后的 HTML
+   */
+  async inlineAssets(html) {
+    const isLocal = (ref) => path.isAbsolute(ref) && !ref.startsWith('//')
+
+    // 本地样式表 → <style>
+    const styleLinks = [...html.matchAll(/<link[^>]+rel="stylesheet"[^>]*href="([^"]+)"[^>]*>/g)]
+    for (const [tag, href] of styleLinks) {
+      if (!isLocal(href)) continue
+      try {
+        const css = await fs.readFile(href, 'utf8')
+        html = html.replace(tag, () => `<style>\n${css}\n</style>`)
+      } catch (err) {
+        logger.warn(`[报告导出] 无法内联样式表: ${href}, ${err.message}`)
+      }
+    }
+
+    // 本地图片 → data URI
+    const imageSources = [...new Set([...html.matchAll(/<img[^>]+src="([^"]+)"/g)].map(match => match[1]))]
+    for (const src of imageSources) {
+      if (!isLocal(src)) continue
+      try {
+        const buffer = await fs.readFile(src)
+        const ext = path.extname(src).slice(1).toLowerCase()
+        const mime = ext === 'svg' ? 'image/svg+xml' : `image/${ext === 'jpg' ? 'jpeg' : ext}`
+        html = html.split(`src="${src}"`).join(`src="data:${mime};base64,${buffer.toString('base64')}"`)
+      } catch (err) {
+        logger.warn(`[报告导出] 无法内联图片: ${src}, ${err.message}`)
+      }
+    }
+
+    return html
+  }
+
+  /**
+   * 将报告中的 HTML 片段（用户胶囊、模板片段）转换为 Markdown 文本
+   * @param {string} html - HTML 片段
+   * @returns {string} Markdown 文本
+   */
+  htmlToMarkdown(html = '') {
+    return String(html)
+      // 用户胶囊 → 加粗昵称
+      .replace(/<span class="user-capsule">[\s\S]*?<span class="user-capsule-name">([\s\S]*?)<\/span>\s*<\/span>/g, '**$1**')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/(div|p|li)>/gi, '\n')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&amp;/g, '&')
+      .split('\n')
+      .map(line => line.trim())
+      .filter((line, index, all) => line || (index > 0 && all[index - 1]))
+      .join('\n')
+      .trim()
+  }
+
+  /**
+   * 转义 Markdown 表格单元格中的竖线与换行
+   * @param {string} text - 单元格文本
+   */
+  escapeCell(text = '') {
+    return String(text ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ')
+  }
+}
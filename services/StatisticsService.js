@@ -33,7 +33,9 @@ export default class StatisticsService {
     // 链接和视频统计
     const linkStats = {
       total: 0,
-      bySource: new Map()  // source -> count
+      bySource: new Map(),  // source -> count
+      items: [],            // 每一条分享明细
+      seen: new Set()       // 已出现过的链接标识，用于判断重复分享
     }
     let totalVideos = 0
 
@@ -73,6 +75,20 @@ export default class StatisticsService {
         for (const link of msg.links) {
           const source = link.source || '未知来源'
           linkStats.bySource.set(source, (linkStats.bySource.get(source) || 0) + 1)
+
+          // 以 URL（无 URL 时用来源+标题）识别同一分享，之前出现过即视为转发
+          const key = link.url || `${source}|${link.title || ''}`
+          linkStats.items.push({
+            type: link.type,
+            source,
+            title: link.title || '',
+            url: link.url || null,
+            user_id: userId,
+            nickname: msg.nickname,
+            time: msg.time,
+            reshared: linkStats.seen.has(key)
+          })
+          linkStats.seen.add(key)
         }
       }
 
@@ -193,7 +209,8 @@ export default class StatisticsService {
     // 转换链接统计的 Map 为对象
     const linkStatsOutput = {
       total: linkStats.total,
-      bySource: Object.fromEntries(linkStats.bySource)
+      bySource: Object.fromEntries(linkStats.bySource),
+      items: linkStats.items
     }
 
     return {
@@ -289,7 +306,8 @@ export default class StatisticsService {
       },
       links: {
         total: 0,
-        bySource: {}
+        bySource: {},
+        items: []
       },
       videos: 0,
       topUsers: []
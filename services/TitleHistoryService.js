@@ -0,0 +1,202 @@
+/**
+ * 称号历史服务
+ * 跨天记录每位成员获得的称号与 MBTI，用于称号历程、称号榜与 MBTI 共识
+ */
+
+import { logger } from '#lib'
+
+// 每位成员最多保留的称号记录数（约一年）
+const MAX_HISTORY_PER_USER = 366
+
+export default class TitleHistoryService {
+  constructor(config = {}) {
+    this.enabled = config.history !== false
+    // 分析时带入提示词的过往称号数
+    this.promptCount = config.history_prompt_count ?? 3
+    // 称号历程、称号榜最多展示的条数
+    this.listSize = config.history_list_size || 10
+    this.keyPrefix = 'Yz:groupManager'
+  }
+
+  /**
+   * 获取称号历史键名 (Hash: user_id → 称号历史 JSON)
+   * @param {number} groupId - 群号
+   */
+  getHistoryKey(groupId) {
+    return `${this.keyPrefix}:titles:${groupId}`
+  }
+
+  /**
+   * 记录一天的称号（同一天重复生成报告时覆盖当天记录）
+   * @param {number} groupId - 群号
+   * @param {string} date - 报告日期 (YYYY-MM-DD)
+   * @param {Array} userTitles - UserTitleAnalyzer 输出的称号
+   * @returns {Promise<number>} 记录的成员数
+   */
+  async record(groupId, date, userTitles = []) {
+    if (!this.enabled || !userTitles?.length) {
+      return 0
+    }
+
+    const key = this.getHistoryKey(groupId)
+    let recorded = 0
+
+    try {
+      for (const item of userTitles) {
+        // 未能匹配到 user_id 的称号无法归属到成员，跳过
+        if (!item?.user_id || !item.title) continue
+
+        const userId = String(item.user_id)
+        const entry = await this.getUser(groupId, userId) || { user_id: userId, nickname: item.user, history: [] }
+
+        entry.nickname = item.user || entry.nickname
+        entry.history = entry.history
+          .filter(record => record.date !== date)
+          .concat({ date, title: item.title, mbti: item.mbti || '', reason: item.reason || '' })
+          .sort((a, b) => a.date.localeCompare(b.date))
+          .slice(-MAX_HISTORY_PER_USER)
+
+        await redis.hSet(key, userId, JSON.stringify({
+          user_id: entry.user_id,
+          nickname: entry.nickname,
+          history: entry.history
+        }))
+        recorded++
+      }
+
+      logger.debug(`[称号历史] 群 ${groupId} ${date} 记录 ${recorded} 位成员的称号`)
+    } catch (err) {
+      logger.error(`[称号历史] 记录称号失败: ${err}`)
+    }
+
+    return recorded
+  }
+
+  /**
+   * 获取成员的称号历史
+   * @param {number} groupId - 群号
+   * @param {string} userId - 用户 QQ
+   * @returns {Promise<Object|null>} { user_id, nickname, history, mbti }，history 按日期正序
+   */
+  async getUser(groupId, userId) {
+    try {
+      const value = await redis.hGet(this.getHistoryKey(groupId), String(userId))
+      if (!value) {
+        return null
+      }
+
+      const entry = JSON.parse(value)
+      return { ...entry, mbti: this.getMbtiConsensus(entry.history) }
+    } catch (err) {
+      logger.error(`[称号历史] 读取称号历史失败: ${err}`)
+      return null
+    }
+  }
+
+  /**
+   * 获取群内所有成员的称号历史
+   * @param {number} groupId - 群号
+   * @returns {Promise<Array>}
+   */
+  async getAll(groupId) {
+    try {
+      const data = await redis.hGetAll(this.getHistoryKey(groupId))
+      const entries = []
+
+      for (const value of Object.values(data || {})) {
+        try {
+          const entry = JSON.parse(value)
+          entries.push({ ...entry, mbti: this.getMbtiConsensus(entry.history) })
+        } catch (err) {
+          logger.error(`[称号历史] 解析称号历史失败: ${err}`)
+        }
+      }
+
+      return entries
+    } catch (err) {
+      logger.error(`[称号历史] 读取称号历史失败: ${err}`)
+      return []
+    }
+  }
+
+  /**
+   * MBTI 共识：取被分配次数最多的类型，次数相同时取最近一次出现的
+   * @param {Array} history - 称号历史（按日期正序）
+   * @returns {Object|null} { type, count, total }
+   */
+  getMbtiConsensus(history = []) {
+    const counts = new Map()
+    const lastSeen = new Map()
+
+    history.forEach((record, index) => {
+      if (!record.mbti) return
+      counts.set(record.mbti, (counts.get(record.mbti) || 0) + 1)
+      lastSeen.set(record.mbti, index)
+    })
+
+    if (counts.size === 0) {
+      return null
+    }
+
+    const [type, count] = Array.from(counts.entries())
+      .sort((a, b) => b[1] - a[1] || lastSeen.get(b[0]) - lastSeen.get(a[0]))[0]
+    const total = Array.from(counts.values()).reduce((sum, value) => sum + value, 0)
+
+    return { type, count, total }
+  }
+
+  /**
+   * 称号榜（按获得称号的天数排序）
+   * @param {number} groupId - 群号
+   * @returns {Promise<Array>} [{ user_id, nickname, count, uniqueCount, latest, mbti }]
+   */
+  async ranking(groupId) {
+    const entries = await this.getAll(groupId)
+
+    return entries
+      .filter(entry => entry.history?.length > 0)
+      .map(entry => ({
+        user_id: entry.user_id,
+        nickname: entry.nickname,
+        count: entry.history.length,
+        uniqueCount: new Set(entry.history.map(record => record.title)).size,
+        latest: entry.history[entry.history.length - 1],
+        mbti: entry.mbti
+      }))
+      .sort((a, b) => b.count - a.count || b.latest.date.localeCompare(a.latest.date))
+      .slice(0, this.listSize)
+  }
+
+  /**
+   * 获取成员在指定日期之前的最近称号（供称号分析提示词使用）
+   * @param {number} groupId - 群号
+   * @param {Array<string>} userIds - 用户 QQ 列表
+   * @param {string} beforeDate - 只取该日期之前的记录 (YYYY-MM-DD)
+   * @returns {Promise<Object>} { [user_id]: [{ date, title, mbti }] }
+   */
+  async getPastTitles(groupId, userIds, beforeDate) {
+    const pastTitles = {}
+    if (!this.enabled || this.promptCount <= 0 || !userIds?.length) {
+      return pastTitles
+    }
+
+    try {
+      const values = await redis.hmGet(this.getHistoryKey(groupId), userIds.map(String))
+
+      values.forEach((value, index) => {
+        if (!value) return
+        const history = JSON.parse(value).history
+          .filter(record => record.date < beforeDate)
+          .slice(-this.promptCount)
+          .map(({ date, title, mbti }) => ({ date, title, mbti }))
+        if (history.length > 0) {
+          pastTitles[String(userIds[index])] = history
+        }
+      })
+    } catch (err) {
+      logger.error(`[称号历史] 读取过往称号失败: ${err}`)
+    }
+
+    return pastTitles
+  }
+}
@@ -0,0 +1,317 @@
+/**
+ * 话题合并服务
+ * 分批次、多日区间分析时各次分析得到的话题会有重复（如 "原神新版本" 与 "原神4.2更新讨论"），
+ * 按关键词相似度合并为一个话题；可选再让 AI 整理一遍
+ */
+
+import BaseAnalyzer from './analyzers/BaseAnalyzer.js'
+import TextProcessor from '../utils/textProcessor.js'
+import { escapeContent } from '../utils/promptGuard.js'
+import { logger } from '#lib'
+
+// 话题名称和描述中常见但与主题无关的词
+const TOPIC_STOPWORDS = new Set([
+  '讨论', '话题', '分享', '交流', '吐槽', '闲聊', '聊天', '日常', '群友', '大家', '成员',
+  '问题', '相关', '事情', '情况', '内容', '表示', '认为', '觉得', '提到', '提出', '询问',
+  '回复', '建议', '消息'
+])
+
+// 话题名称中的词在相似度计算中的权重（相对描述中的词）
+const TITLE_WEIGHT = 3
+
+// 报告中的用户头像胶囊（BaseAnalyzer.processDetailUserReferences 生成）
+const USER_CAPSULE = /<span class="user-capsule">.*?nk=(\d+)&.*?<span class="user-capsule-name">(.*?)<\/span><\/span>/g
+
+// AI 整理的返回格式
+const RESPONSE_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      members: { type: 'array', items: { type: 'integer' }, minItems: 1 },
+      topic: { type: 'string', minLength: 1 },
+      detail: { type: 'string', minLength: 1 }
+    },
+    required: ['members', 'topic', 'detail']
+  }
+}
+
+export default class TopicMergeService extends BaseAnalyzer {
+  constructor(aiService, config = {}) {
+    super(aiService, config)
+    this.textProcessor = new TextProcessor()
+    // 相似度达到该值的话题合并（0-1）
+    this.similarity = config.similarity ?? 0.25
+    // 关键词合并后是否再让 AI 整理
+    this.useAI = config.ai === true
+  }
+
+  /**
+   * 合并相似话题
+   * @param {Array} topics - 话题列表 [{ topic, contributors, detail }]（按出现顺序）
+   * @param {Object} options - { groupId } 群号，用于读取群专属提示词模板
+   * @returns {Promise<Object>} { topics, usage }
+   */
+  async merge(topics, options = {}) {
+    if (!Array.isArray(topics) || topics.length < 2) {
+      return { topics: topics || [], usage: null }
+    }
+
+    const merged = await this.mergeByKeywords(topics)
+    if (merged.length < topics.length) {
+      logger.info(`[话题合并] 关键词合并: ${topics.length} → ${merged.length} 个话题`)
+    }
+
+    if (!this.useAI || !this.aiService || merged.length < 2) {
+      return { topics: merged, usage: null }
+    }
+
+    try {
+      return await this.mergeByAI(merged, options.groupId)
+    } catch (err) {
+      logger.error(`[话题合并] AI 整理失败，使用关键词合并结果: ${err}`)
+      return { topics: merged, usage: null }
+    }
+  }
+
+  /**
+   * 按关键词相似度合并（离线，不调用 AI）
+   * 依次将话题并入与之最相似的已有分组，相似度低于阈值时单独成组
+   * @param {Array} topics - 话题列表
+   * @returns {Promise<Array>} 合并后的话题
+   */
+  async mergeByKeywords(topics) {
+    await this.textProcessor.init()
+
+    const vectors = this.buildVectors(topics)
+    const groups = []
+
+    topics.forEach((topic, index) => {
+      let best = null
+      let bestScore = 0
+
+      for (const group of groups) {
+        const score = this.isSameTitle(topic.topic, group.title)
+          ? 1
+          : this.cosine(vectors[index], group.vector)
+        if (score > bestScore) {
+          best = group
+          bestScore = score
+        }
+      }
+
+      if (best && bestScore >= this.similarity) {
+        best.members.push(topic)
+        for (const [word, weight] of vectors[index]) {
+          best.vector.set(word, (best.vector.get(word) || 0) + weight)
+        }
+      } else {
+        groups.push({ title: topic.topic, members: [topic], vector: new Map(vectors[index]) })
+      }
+    })
+
+    return groups.map(group => this.combine(group.members))
+  }
+
+  /**
+   * 计算各话题的 TF-IDF 关键词向量（话题名称中的词加权）
+   * @param {Array} topics - 话题列表
+   * @returns {Array<Map<string, number>>}
+   */
+  buildVectors(topics) {
+    const counts = topics.map(topic => {
+      const tf = new Map()
+      const add = (words, weight) => {
+        for (const word of words) {
+          tf.set(word, (tf.get(word) || 0) + weight)
+        }
+      }
+      add(this.extractKeywords(topic.topic), TITLE_WEIGHT)
+      // 用户胶囊还原为 [用户ID] 后由 extractKeywords 去掉，昵称不参与相似度计算
+      add(this.extractKeywords(this.toPlainText(topic.detail, true)), 1)
+      return tf
+    })
+
+    // 与 TextProcessor.calculateTFIDF 相同的平滑 IDF
+    const docFreq = new Map()
+    for (const tf of counts) {
+      for (const word of tf.keys()) {
+        docFreq.set(word, (docFreq.get(word) || 0) + 1)
+      }
+    }
+
+    return counts.map(tf => {
+      const vector = new Map()
+      for (const [word, count] of tf) {
+        vector.set(word, count * (Math.log((topics.length + 1) / (docFreq.get(word) + 1)) + 1))
+      }
+      return vector
+    })
+  }
+
+  /**
+   * 提取关键词（jieba 分词 + 英文/数字/版本号）
+   * @param {string} text - 文本
+   * @returns {Array<string>}
+   */
+  extractKeywords(text) {
+    if (!text) return []
+
+    const cleaned = text.replace(/\[\d+\]/g, ' ')
+    const chinese = this.textProcessor.cut(this.textProcessor.cleanText(cleaned), 2)
+    const latin = cleaned.match(/[a-zA-Z0-9][a-zA-Z0-9.]*[a-zA-Z0-9]/g) || []
+
+    return [...chinese, ...latin.map(word => word.toLowerCase())]
+      .filter(word => !TOPIC_STOPWORDS.has(word) && !/^\d+$/.test(word))
+  }
+
+  /**
+   * 余弦相似度
+   * @param {Map<string, number>} a - 关键词向量
+   * @param {Map<string, number>} b - 关键词向量
+   * @returns {number} 0-1
+   */
+  cosine(a, b) {
+    let dot = 0
+    for (const [word, weight] of a) {
+      if (b.has(word)) dot += weight * b.get(word)
+    }
+    if (dot === 0) return 0
+
+    const norm = vector => Math.sqrt([...vector.values()].reduce((sum, weight) => sum + weight * weight, 0))
+    return dot / (norm(a) * norm(b))
+  }
+
+  /**
+   * 话题名称相同或互相包含（忽略空白和标点）
+   */
+  isSameTitle(a, b) {
+    const normalize = title => String(title || '').replace(/[\s\p{P}\p{S}]/gu, '').toLowerCase()
+    const x = normalize(a)
+    const y = normalize(b)
+    if (x.length < 2 || y.length < 2) return false
+    return x === y || x.includes(y) || y.includes(x)
+  }
+
+  /**
+   * 合并一组话题
+   * 名称取参与者最多的话题（相同时取最早出现的），描述按出现顺序拼接，参与者去重合并
+   * @param {Array} members - 同一组的话题（按出现顺序）
+   * @param {Object} overrides - 覆盖合并结果的字段（AI 整理时使用）
+   * @returns {Object} 新的话题对象（不修改原话题）
+   */
+  combine(members, overrides = {}) {
+    if (members.length === 1 && Object.keys(overrides).length === 0) {
+      return members[0]
+    }
+
+    const primary = members.reduce((best, topic) =>
+      (topic.contributors?.length || 0) > (best.contributors?.length || 0) ? topic : best
+    )
+
+    const contributors = []
+    const seen = new Set()
+    for (const topic of members) {
+      for (const contributor of topic.contributors || []) {
+        const key = String(contributor.user_id || contributor.nickname)
+        if (!seen.has(key)) {
+          seen.add(key)
+          contributors.push(contributor)
+        }
+      }
+    }
+
+    return {
+      ...primary,
+      contributors,
+      detail: members.map(topic => topic.detail).filter(Boolean).join('\n\n[后续]: '),
+      ...overrides
+    }
+  }
+
+  /**
+   * 让 AI 找出讨论同一件事的话题并重写合并后的名称和描述
+   * @param {Array} topics - 关键词合并后的话题
+   * @param {number|string} groupId - 群号
+   * @returns {Promise<Object>} { topics, usage }
+   */
+  async mergeByAI(topics, groupId = null) {
+    const list = topics
+      .map((topic, index) => {
+        const detail = this.toPlainText(topic.detail, true)
+        const excerpt = detail.length > 200 ? detail.substring(0, 200) + '...' : detail
+        return `[${index + 1}] ${escapeContent(topic.topic)}：${escapeContent(excerpt)}`
+      })
+      .join('\n')
+
+    const prompt = this.renderPrompt('topicMerge', { topics: list }, groupId)
+    const result = await this.callAIForJSON(prompt, 2000, 0.3, RESPONSE_SCHEMA)
+
+    if (!result || !Array.isArray(result.data)) {
+      logger.warn('[话题合并] AI 未返回有效结果，使用关键词合并结果')
+      return { topics, usage: result?.usage || null }
+    }
+
+    // 每个话题只能归入一组，序号越界或重复的忽略
+    const used = new Set()
+    const groups = []
+    for (const group of result.data) {
+      const members = [...new Set(group.members)]
+        .filter(member => Number.isInteger(member) && member >= 1 && member <= topics.length && !used.has(member))
+        .sort((a, b) => a - b)
+      if (members.length < 2) continue
+
+      members.forEach(member => used.add(member))
+      groups.push({ ...group, members })
+    }
+
+    const replaced = new Map()
+    for (const group of groups) {
+      const members = group.members.map(member => topics[member - 1])
+      replaced.set(group.members[0] - 1, this.combine(members, {
+        topic: group.topic.trim(),
+        detail: this.processDetailUserReferences(group.detail.trim(), this.collectUsers(members))
+      }))
+    }
+
+    const merged = topics
+      .map((topic, index) => replaced.get(index) || (used.has(index + 1) ? null : topic))
+      .filter(Boolean)
+
+    logger.info(`[话题合并] AI 整理: ${topics.length} → ${merged.length} 个话题`)
+    return { topics: merged, usage: result.usage || null }
+  }
+
+  /**
+   * 收集话题中出现的用户（用于还原描述中的 [用户ID] 引用）
+   * @param {Array} topics - 话题列表
+   * @returns {Map<string, string>} user_id → 昵称
+   */
+  collectUsers(topics) {
+    const users = new Map()
+    for (const topic of topics) {
+      for (const contributor of topic.contributors || []) {
+        if (contributor.user_id && contributor.nickname) {
+          users.set(String(contributor.user_id), contributor.nickname)
+        }
+      }
+      for (const [, userId, nickname] of String(topic.detail || '').matchAll(USER_CAPSULE)) {
+        users.set(userId, nickname)
+      }
+    }
+    return users
+  }
+
+  /**
+   * 将话题描述转为纯文本
+   * @param {string} detail - 话题描述（可能包含用户头像胶囊 HTML）
+   * @param {boolean} keepUserIds - 用户胶囊还原为 [用户ID]（交给 AI 时使用），否则替换为昵称
+   * @returns {string}
+   */
+  toPlainText(detail, keepUserIds = false) {
+    return String(detail || '')
+      .replace(USER_CAPSULE, (match, userId, nickname) => keepUserIds ? `[${userId}]` : nickname)
+      .replace(/<[^>]+>/g, '')
+      .trim()
+  }
+}
@@ -0,0 +1,285 @@
+/**
+ * AI 用量统计服务
+ * 按群、日期、分析器和模型持久化记录 token 用量，按价格表估算费用，并检查每群的日/月预算
+ */
+
+import moment from 'moment'
+import { logger } from '#lib'
+
+// 单条记录的字段分隔符: 日期|分析器|模型|指标
+const FIELD_SEPARATOR = '|'
+const METRICS = ['calls', 'prompt', 'completion']
+
+export default class UsageService {
+  constructor(config = {}) {
+    this.enabled = config.enabled !== false
+    // 价格表: [{ model, prompt, completion }]，单位为每百万 token 的价格，model 为 * 时匹配所有模型
+    this.prices = Array.isArray(config.prices) ? config.prices : []
+    this.currency = config.currency || '$'
+    // 预算单位: cost (按价格表估算的费用) / tokens
+    this.budgetUnit = config.budget_unit === 'tokens' ? 'tokens' : 'cost'
+    this.dailyBudget = Number(config.daily_budget) || 0
+    this.monthlyBudget = Number(config.monthly_budget) || 0
+    // 单独设置预算的群: [{ group_id, daily_budget, monthly_budget }]
+    this.groupBudgets = Array.isArray(config.group_budgets) ? config.group_budgets : []
+    // 超出预算时的处理方式: stats_only (只生成基础统计) / block (拒绝执行)
+    this.overBudget = config.over_budget === 'block' ? 'block' : 'stats_only'
+    // 用量记录保留月数
+    this.retentionMonths = config.retention_months || 13
+    this.keyPrefix = 'Yz:groupManager'
+  }
+
+  /**
+   * 获取群月度用量键名 (Hash: 日期|分析器|模型|指标 → 数值)
+   * @param {string} month - 月份 (YYYY-MM)
+   * @param {number} groupId - 群号
+   */
+  getUsageKey(month, groupId) {
+    return `${this.keyPrefix}:usage:${month}:${groupId}`
+  }
+
+  /**
+   * 获取月度群索引键名 (Hash: 群号 → 当月 token 总量)
+   * @param {string} month - 月份 (YYYY-MM)
+   */
+  getGroupIndexKey(month) {
+    return `${this.keyPrefix}:usage:${month}:groups`
+  }
+
+  /**
+   * 记录一次分析的用量
+   * @param {number} groupId - 群号
+   * @param {string} analyzer - 分析器/功能名称
+   * @param {Object} usage - AIService 返回的 usage 或 addTokenUsage 汇总结果
+   * @param {string} date - 日期 (YYYY-MM-DD)，默认今天
+   */
+  async record(groupId, analyzer, usage, date = moment().format('YYYY-MM-DD')) {
+    if (!this.enabled || !groupId || !usage || !(usage.total_tokens > 0)) {
+      return
+    }
+
+    // 按模型拆分（旧数据或未经过 AIService 的 usage 没有模型信息）
+    const byModel = new Map()
+    const breakdown = usage.providers
+      ? Object.values(usage.providers)
+      : [{ ...usage, model: usage.model || 'unknown', calls: usage.calls || 1 }]
+
+    for (const item of breakdown) {
+      const model = item.model || 'unknown'
+      const entry = byModel.get(model) || { calls: 0, prompt: 0, completion: 0 }
+      entry.calls += item.calls || 0
+      entry.prompt += item.prompt_tokens || 0
+      entry.completion += item.completion_tokens || 0
+      byModel.set(model, entry)
+    }
+
+    const month = date.slice(0, 7)
+    const key = this.getUsageKey(month, groupId)
+    const indexKey = this.getGroupIndexKey(month)
+    const expireSeconds = this.retentionMonths * 31 * 86400
+
+    try {
+      for (const [model, entry] of byModel) {
+        const prefix = [date, analyzer, model].join(FIELD_SEPARATOR)
+        for (const metric of METRICS) {
+          if (entry[metric] > 0) {
+            await redis.hIncrBy(key, `${prefix}${FIELD_SEPARATOR}${metric}`, entry[metric])
+          }
+        }
+      }
+
+      await redis.hIncrBy(indexKey, String(groupId), usage.total_tokens)
+      await redis.expire(key, expireSeconds)
+      await redis.expire(indexKey, expireSeconds)
+    } catch (err) {
+      logger.error(`[用量统计] 记录群 ${groupId} 用量失败: ${err}`)
+    }
+  }
+
+  /**
+   * 批量记录多个分析器的用量
+   * @param {number} groupId - 群号
+   * @param {Object} usages - { 分析器名称: usage }
+   */
+  async recordAll(groupId, usages = {}) {
+    for (const [analyzer, usage] of Object.entries(usages)) {
+      await this.record(groupId, analyzer, usage)
+    }
+  }
+
+  /**
+   * 读取群某月的用量明细
+   * @param {number} groupId - 群号
+   * @param {string} month - 月份 (YYYY-MM)
+   * @returns {Promise<Array>} [{ date, analyzer, model, calls, prompt_tokens, completion_tokens, total_tokens, cost }]
+   */
+  async getMonthRows(groupId, month) {
+    const hash = await redis.hGetAll(this.getUsageKey(month, groupId)) || {}
+    const rows = new Map()
+
+    for (const [field, value] of Object.entries(hash)) {
+      const parts = field.split(FIELD_SEPARATOR)
+      const metric = parts.pop()
+      const id = parts.join(FIELD_SEPARATOR)
+      if (!rows.has(id)) {
+        const [date, analyzer, ...model] = parts
+        rows.set(id, { date, analyzer, model: model.join(FIELD_SEPARATOR), calls: 0, prompt_tokens: 0, completion_tokens: 0 })
+      }
+      const row = rows.get(id)
+      const amount = parseInt(value) || 0
+      if (metric === 'calls') row.calls += amount
+      else if (metric === 'prompt') row.prompt_tokens += amount
+      else if (metric === 'completion') row.completion_tokens += amount
+    }
+
+    return Array.from(rows.values()).map(row => ({
+      ...row,
+      total_tokens: row.prompt_tokens + row.completion_tokens,
+      cost: this.estimateCost(row.model, row.prompt_tokens, row.completion_tokens)
+    }))
+  }
+
+  /**
+   * 按维度汇总用量明细
+   * @param {Array} rows - getMonthRows 返回的明细
+   * @param {string} dimension - date / analyzer / model，为空时汇总全部
+   * @returns {Array|Object} 按维度汇总时返回按费用/用量降序的数组
+   */
+  summarize(rows, dimension = null) {
+    const empty = () => ({ calls: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, cost: 0 })
+    const add = (target, row) => {
+      target.calls += row.calls
+      target.prompt_tokens += row.prompt_tokens
+      target.completion_tokens += row.completion_tokens
+      target.total_tokens += row.total_tokens
+      target.cost += row.cost
+      return target
+    }
+
+    if (!dimension) {
+      return rows.reduce(add, empty())
+    }
+
+    const groups = new Map()
+    for (const row of rows) {
+      const key = row[dimension]
+      if (!groups.has(key)) groups.set(key, { [dimension]: key, ...empty() })
+      add(groups.get(key), row)
+    }
+
+    const result = Array.from(groups.values())
+    return dimension === 'date'
+      ? result.sort((a, b) => a.date.localeCompare(b.date))
+      : result.sort((a, b) => b.cost - a.cost || b.total_tokens - a.total_tokens)
+  }
+
+  /**
+   * 获取某月所有群的用量概览
+   * @param {string} month - 月份 (YYYY-MM)
+   * @returns {Promise<Array>} [{ groupId, ...汇总, rows }]，按费用/用量降序
+   */
+  async getMonthOverview(month) {
+    const index = await redis.hGetAll(this.getGroupIndexKey(month)) || {}
+    const overview = []
+
+    for (const groupId of Object.keys(index)) {
+      const rows = await this.getMonthRows(groupId, month)
+      overview.push({ groupId, ...this.summarize(rows), rows })
+    }
+
+    return overview.sort((a, b) => b.cost - a.cost || b.total_tokens - a.total_tokens)
+  }
+
+  /**
+   * 按价格表估算费用
+   * @param {string} model - 模型名称
+   * @param {number} promptTokens - 输入 token
+   * @param {number} completionTokens - 输出 token
+   * @returns {number}
+   */
+  estimateCost(model, promptTokens, completionTokens) {
+    const price = this.prices.find(item => item?.model === model) || this.prices.find(item => item?.model === '*')
+    if (!price) return 0
+    return ((Number(price.prompt) || 0) * promptTokens + (Number(price.completion) || 0) * completionTokens) / 1000000
+  }
+
+  /**
+   * 获取群的日/月预算（0 表示不限制）
+   * @param {number} groupId - 群号
+   * @returns {Object} { daily, monthly }
+   */
+  getBudget(groupId) {
+    const override = this.groupBudgets.find(item => String(item?.group_id) === String(groupId))
+    return {
+      daily: Number(override?.daily_budget ?? this.dailyBudget) || 0,
+      monthly: Number(override?.monthly_budget ?? this.monthlyBudget) || 0
+    }
+  }
+
+  /**
+   * 检查群是否已用完预算
+   * @param {number} groupId - 群号
+   * @returns {Promise<Object>} { exceeded, action, message, daily: { used, limit }, monthly: { used, limit } }
+   */
+  async checkBudget(groupId) {
+    const budget = this.getBudget(groupId)
+    const result = {
+      exceeded: false,
+      action: this.overBudget,
+      message: '',
+      daily: { used: 0, limit: budget.daily },
+      monthly: { used: 0, limit: budget.monthly }
+    }
+
+    if (!this.enabled || !groupId || (!budget.daily && !budget.monthly)) {
+      return result
+    }
+
+    try {
+      const today = moment().format('YYYY-MM-DD')
+      const rows = await this.getMonthRows(groupId, today.slice(0, 7))
+      const measure = row => this.budgetUnit === 'tokens' ? row.total_tokens : row.cost
+
+      result.monthly.used = rows.reduce((sum, row) => sum + measure(row), 0)
+      result.daily.used = rows.filter(row => row.date === today).reduce((sum, row) => sum + measure(row), 0)
+
+      if (budget.daily && result.daily.used >= budget.daily) {
+        result.exceeded = true
+        result.message = `本群今日 AI 预算已用完 (${this.formatAmount(result.daily.used)} / ${this.formatAmount(budget.daily)})`
+      } else if (budget.monthly && result.monthly.used >= budget.monthly) {
+        result.exceeded = true
+        result.message = `本群本月 AI 预算已用完 (${this.formatAmount(result.monthly.used)} / ${this.formatAmount(budget.monthly)})`
+      }
+    } catch (err) {
+      logger.error(`[用量统计] 检查群 ${groupId} 预算失败: ${err}`)
+    }
+
+    return result
+  }
+
+  /**
+   * 按预算单位格式化数值
+   * @param {number} value - 费用或 token 数
+   */
+  formatAmount(value) {
+    return this.budgetUnit === 'tokens' ? `${this.formatTokens(value)} tokens` : this.formatCost(value)
+  }
+
+  /**
+   * 格式化费用
+   * @param {number} cost - 费用
+   */
+  formatCost(cost) {
+    return `${this.currency}${cost < 1 ? cost.toFixed(4) : cost.toFixed(2)}`
+  }
+
+  /**
+   * 格式化 token 数
+   * @param {number} tokens - token 数
+   */
+  formatTokens(tokens) {
+    if (tokens >= 1000000) return `${(tokens / 1000000).toFixed(2)}M`
+    if (tokens >= 1000) return `${(tokens / 1000).toFixed(1)}k`
+    return String(tokens)
+  }
+}
@@ -1,22 +1,60 @@
 /**
  * AI 服务层
  * 使用 OpenAI SDK，兼容所有提供 OpenAI 格式 API 的服务商
+ * 支持配置多个服务商，按顺序故障转移
  */
 
 import { logger } from '#lib'
 
+// 触发故障转移的 HTTP 状态码（限流 + 服务端错误）
+const FAILOVER_STATUS = status => status === 429 || status >= 500
+
 export default class AIService {
   constructor(config) {
     this.config = config || {}
-    this.apiKey = config.apiKey
-    this.model = config.model || 'gpt-4.1'
-    this.baseURL = config.baseURL || 'https://api.openai.com/v1'
-    this.timeout = config.timeout || 60000
-    this.maxTokens = config.maxTokens || 2000
+    this.maxTokens = this.config.maxTokens || 2000
+    // 服务商失败后的冷却时间（秒），冷却期内优先使用其他服务商
+    this.cooldown = this.config.provider_cooldown ?? 300
+    this.providers = AIService.resolveProviders(this.config)
+
+    // 主服务商信息（兼容旧字段）
+    const primary = this.providers[0] || {}
+    this.apiKey = primary.apiKey
+    this.model = primary.model || 'gpt-4.1'
+    this.baseURL = primary.baseURL || 'https://api.openai.com/v1'
+    this.timeout = primary.timeout || 60000
+
     this.client = null
     this.initialized = false
   }
 
+  /**
+   * 解析服务商列表
+   * 配置了 ai.providers 时按列表顺序使用，否则使用 apiKey/baseURL/model 作为唯一服务商
+   * @param {Object} config - ai 配置
+   * @returns {Array<Object>} [{ name, apiKey, baseURL, model, timeout, structuredOutput }]
+   */
+  static resolveProviders(config = {}) {
+    const list = Array.isArray(config.providers) && config.providers.length > 0
+      ? config.providers
+      : [{ name: 'default', apiKey: config.apiKey, baseURL: config.baseURL, model: config.model, timeout: config.timeout }]
+
+    return list
+      .filter(provider => provider && typeof provider.apiKey === 'string' && provider.apiKey.trim() !== '')
+      .map((provider, index) => ({
+        name: provider.name || `provider${index + 1}`,
+        apiKey: provider.apiKey.trim(),
+        baseURL: provider.baseURL || config.baseURL || 'https://api.openai.com/v1',
+        model: provider.model || config.model || 'gpt-4.1',
+        timeout: provider.timeout || config.timeout || 60000,
+        // 是否使用 response_format: json_schema（服务商不支持时会自动关闭）
+        structuredOutput: provider.structuredOutput ?? config.structuredOutput ?? true,
+        client: null,
+        // 冷却截止时间戳（毫秒），0 表示健康
+        unhealthyUntil: 0
+      }))
+  }
+
   /**
    * 初始化 AI 客户端
    */
@@ -26,7 +64,7 @@ export default class AIService {
       return true
     }
 
-    if (!this.apiKey) {
+    if (this.providers.length === 0) {
       logger.warn('AI API Key 未配置，请在 config/config/group-insight.yaml 中配置')
       this.initialized = false
       return false
@@ -36,14 +74,19 @@ export default class AIService {
       const OpenAI = await import('openai')
       const OpenAIClass = OpenAI.default || OpenAI
 
-      this.client = new OpenAIClass({
-        apiKey: this.apiKey,
-        baseURL: this.baseURL || undefined,
-        timeout: this.timeout
-      })
+      for (const provider of this.providers) {
+        provider.client = new OpenAIClass({
+          apiKey: provider.apiKey,
+          baseURL: provider.baseURL || undefined,
+          timeout: provider.timeout,
+          // 不使用 SDK 内置重试：限流/服务端错误立即切换到下一个服务商，重试由 BaseAnalyzer 负责
+          maxRetries: 0
+        })
+      }
 
+      this.client = this.providers[0].client
       this.initialized = true
-      logger.debug(`AI 服务初始化成功，模型: ${this.model}`)
+      logger.debug(`AI 服务初始化成功，服务商: ${this.providers.map(p => `${p.name}(${p.model})`).join(' → ')}`)
       return true
     } catch (err) {
       logger.error('openai SDK 未安装')
@@ -55,13 +98,16 @@ export default class AIService {
 
   /**
    * 通用聊天接口 (供分析器使用)
+   * 按顺序尝试服务商，超时、429 或 5xx 时标记为不健康并切换到下一个
    * @param {string} prompt - 提示词
    * @param {number} maxTokens - 最大 Token 数
    * @param {number} temperature - 温度参数
    * @param {number} timeout - 超时时间 (秒)
-   * @returns {Promise<Object>} 返回 { content, usage }
+   * @param {Object} options - 可选项
+   * @param {Object} options.schema - 结构化输出 { name, schema }，服务商支持时使用 response_format: json_schema
+   * @returns {Promise<Object>} 返回 { content, usage }，usage 中包含 provider 和 model
    */
-  async chat(prompt, maxTokens = 2000, temperature = 0.7, timeout = 100) {
+  async chat(prompt, maxTokens = 2000, temperature = 0.7, timeout = 100, options = {}) {
     if (!this.client) {
       const initialized = await this.init()
       if (!initialized) {
@@ -69,29 +115,105 @@ export default class AIService {
       }
     }
 
-    try {
-      // 创建超时 Promise
-      const timeoutMs = timeout * 1000
-      const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => {
-          reject(new Error(`AI 请求超时 (${timeout}秒)`))
-        }, timeoutMs)
-      })
+    const candidates = this.getCandidates()
+    let lastError = null
 
-      // 创建请求 Promise
-      const requestPromise = this._makeRequest(prompt, maxTokens, temperature)
+    for (let i = 0; i < candidates.length; i++) {
+      const provider = candidates[i]
 
-      // 使用 Promise.race 实现超时控制
-      const result = await Promise.race([requestPromise, timeoutPromise])
+      try {
+        const result = await this._requestWithTimeout(provider, prompt, maxTokens, temperature, timeout, options)
+        provider.unhealthyUntil = 0
+        return result
+      } catch (err) {
+        lastError = err
 
-      return result
-    } catch (err) {
-      if (err.message.includes('超时')) {
-        logger.error(`[AIService] AI 请求超时 (${timeout}秒): ${prompt.substring(0, 100)}...`)
-      } else {
-        logger.error(`[AIService] Chat 调用失败: ${err.message}`)
+        // 服务商不支持结构化输出时关闭该选项，并用普通模式重试同一服务商
+        if (options.schema && provider.structuredOutput && (err.status === 400 || err.status === 422)) {
+          provider.structuredOutput = false
+          logger.warn(`[AIService] ${provider.name} 不支持结构化输出，已改用普通模式: ${err.message}`)
+          i--
+          continue
+        }
+
+        if (err.message.includes('超时')) {
+          logger.error(`[AIService] ${provider.name} 请求超时 (${timeout}秒): ${prompt.substring(0, 100)}...`)
+        } else {
+          logger.error(`[AIService] ${provider.name} Chat 调用失败: ${err.message}`)
+        }
+
+        if (!this.shouldFailover(err)) {
+          throw err
+        }
+
+        provider.unhealthyUntil = Date.now() + this.cooldown * 1000
+        if (i < candidates.length - 1) {
+          logger.warn(`[AIService] ${provider.name} 已标记为不可用 ${this.cooldown} 秒，切换到 ${candidates[i + 1].name}`)
+        }
       }
-      throw err
+    }
+
+    throw lastError
+  }
+
+  /**
+   * 获取本次请求的服务商尝试顺序
+   * 健康的服务商按配置顺序在前，冷却中的按恢复时间排在最后（全部冷却时仍会尝试）
+   * @returns {Array<Object>}
+   */
+  getCandidates() {
+    const now = Date.now()
+    const healthy = this.providers.filter(provider => provider.unhealthyUntil <= now)
+    const cooling = this.providers
+      .filter(provider => provider.unhealthyUntil > now)
+      .sort((a, b) => a.unhealthyUntil - b.unhealthyUntil)
+    return [...healthy, ...cooling]
+  }
+
+  /**
+   * 判断错误是否应切换到下一个服务商
+   * @param {Error} err - 请求错误
+   * @returns {boolean}
+   */
+  shouldFailover(err) {
+    if (err.message?.includes('超时')) return true
+    // OpenAI SDK 的连接超时/连接错误没有 status
+    if (err.name === 'APIConnectionTimeoutError' || err.name === 'APIConnectionError') return true
+    return typeof err.status === 'number' && FAILOVER_STATUS(err.status)
+  }
+
+  /**
+   * 获取服务商健康状态
+   * @returns {Array<Object>} [{ name, model, healthy, unhealthyUntil }]
+   */
+  getProviderStatus() {
+    const now = Date.now()
+    return this.providers.map(provider => ({
+      name: provider.name,
+      model: provider.model,
+      healthy: provider.unhealthyUntil <= now,
+      unhealthyUntil: provider.unhealthyUntil
+    }))
+  }
+
+  /**
+   * 带超时控制的单个服务商请求（内部方法）
+   * @private
+   */
+  async _requestWithTimeout(provider, prompt, maxTokens, temperature, timeout, options) {
+    let timer = null
+    // 创建超时 Promise
+    const timeoutPromise = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        reject(new Error(`AI 请求超时 (${timeout}秒)`))
+      }, timeout * 1000)
+    })
+
+    try {
+      // 使用 Promise.race 实现超时控制
+      return await Promise.race([this._makeRequest(provider, prompt, maxTokens, temperature, options), timeoutPromise])
+    } finally {
+      clearTimeout(timer)
     }
   }
 
@@ -99,24 +221,73 @@ export default class AIService {
    * 执行实际的 AI 请求（内部方法）
    * @private
    */
-  async _makeRequest(prompt, maxTokens, temperature) {
-    const response = await this.client.chat.completions.create({
-      model: this.model,
+  async _makeRequest(provider, prompt, maxTokens, temperature, options = {}) {
+    const request = {
+      model: provider.model,
       max_tokens: maxTokens,
       temperature,
       messages: [{
         role: 'user',
         content: prompt
       }]
-    })
+    }
+
+    if (options.schema && provider.structuredOutput) {
+      request.response_format = {
+        type: 'json_schema',
+        json_schema: {
+          name: options.schema.name,
+          schema: options.schema.schema,
+          strict: false
+        }
+      }
+    }
+
+    const response = await provider.client.chat.completions.create(request)
 
     const content = response.choices[0].message.content
     const usage = {
       prompt_tokens: response.usage?.prompt_tokens || 0,
       completion_tokens: response.usage?.completion_tokens || 0,
-      total_tokens: response.usage?.total_tokens || 0
+      total_tokens: response.usage?.total_tokens || 0,
+      provider: provider.name,
+      model: provider.model
     }
 
     return { content, usage }
   }
 }
+
+/**
+ * 累加 token 使用量，并按服务商分别统计
+ * @param {Object} target - 累加目标 { prompt_tokens, completion_tokens, total_tokens, providers? }
+ * @param {Object} usage - 单次调用的 usage（含 provider）或已汇总的 tokenUsage（含 providers）
+ * @returns {Object} target
+ */
+export function addTokenUsage(target, usage) {
+  if (!usage) return target
+
+  target.prompt_tokens = (target.prompt_tokens || 0) + (usage.prompt_tokens || 0)
+  target.completion_tokens = (target.completion_tokens || 0) + (usage.completion_tokens || 0)
+  target.total_tokens = (target.total_tokens || 0) + (usage.total_tokens || 0)
+
+  const breakdown = usage.providers || (usage.provider ? { [usage.provider]: { ...usage, calls: 1 } } : null)
+  if (breakdown) {
+    target.providers = target.providers || {}
+    for (const [name, item] of Object.entries(breakdown)) {
+      const entry = target.providers[name] || (target.providers[name] = {
+        model: item.model,
+        calls: 0,
+        prompt_tokens: 0,
+        completion_tokens: 0,
+        total_tokens: 0
+      })
+      entry.calls += item.calls || 0
+      entry.prompt_tokens += item.prompt_tokens || 0
+      entry.completion_tokens += item.completion_tokens || 0
+      entry.total_tokens += item.total_tokens || 0
+    }
+  }
+
+  return target
+}
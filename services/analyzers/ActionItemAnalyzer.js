@@ -0,0 +1,202 @@
+/**
+ * 决议与待办分析器
+ * 从群聊中提取明确的决定、计划、截止时间以及"谁来做什么"的承诺，作为会议纪要
+ */
+
+import BaseAnalyzer from './BaseAnalyzer.js'
+import { logger } from '#lib'
+
+// 条目类型 → 显示名称
+const ITEM_TYPES = {
+  decision: '决定',
+  todo: '待办',
+  plan: '计划',
+  deadline: '截止'
+}
+
+// 返回格式
+const RESPONSE_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      type: { type: 'string', enum: Object.keys(ITEM_TYPES) },
+      content: { type: 'string', minLength: 1 },
+      owner: { type: ['string', 'integer'] },
+      time: { type: 'string' },
+      deadline: { type: 'string' }
+    },
+    required: ['type', 'content']
+  }
+}
+
+export default class ActionItemAnalyzer extends BaseAnalyzer {
+  static analyzerName = 'actionItems'
+  static title = '决议与待办'
+
+  constructor(aiService, config = {}) {
+    super(aiService, config)
+    this.maxItems = config.max_items || 10
+  }
+
+  /**
+   * 执行决议与待办提取
+   * @param {Array} messages - 消息列表
+   * @param {Object} stats - 统计信息 (可选)
+   * @returns {Promise<Object>} { actionItems: Array, usage: Object }
+   */
+  async analyze(messages, stats = null) {
+    if (!messages || messages.length === 0) {
+      logger.warn('[ActionItemAnalyzer] 消息列表为空')
+      return { actionItems: [], usage: null }
+    }
+
+    // 排除命令消息
+    const filteredMessages = messages.filter(msg => {
+      const text = (msg.message || '').trim()
+      return text && !text.startsWith('#') && !text.startsWith('/')
+    })
+
+    if (filteredMessages.length === 0) {
+      logger.warn('[ActionItemAnalyzer] 过滤后无可用消息')
+      return { actionItems: [], usage: null }
+    }
+
+    // 格式化消息（返回 { text, userMap }）
+    const { text: formattedMessages, userMap } = this.formatMessages(filteredMessages, {
+      includeTime: true
+    })
+
+    const prompt = this.buildPrompt(formattedMessages)
+    const result = await this.callAIForJSON(prompt, 1500, 0.3, RESPONSE_SCHEMA)
+
+    if (!result) {
+      logger.error('[ActionItemAnalyzer] AI 调用失败')
+      return { actionItems: [], usage: null }
+    }
+
+    const items = result.data
+
+    if (!Array.isArray(items)) {
+      logger.error('[ActionItemAnalyzer] 返回格式错误,期望数组')
+      return { actionItems: [], usage: result.usage || null }
+    }
+
+    // 验证和清理数据，使用 user_id 直接匹配昵称
+    const validItems = items
+      .filter(item => item && item.content)
+      .map(item => {
+        const ownerId = String(item.owner ?? '').trim()
+        const type = ITEM_TYPES[item.type] ? item.type : 'todo'
+        return {
+          type,
+          typeLabel: ITEM_TYPES[type],
+          content: String(item.content).trim(),
+          owner: ownerId
+            ? {
+                user_id: userMap.has(ownerId) ? ownerId : null,
+                nickname: userMap.get(ownerId) || ownerId // 如果找不到，使用原值
+              }
+            : null,
+          time: item.time ? String(item.time).trim() : '',
+          deadline: item.deadline ? String(item.deadline).trim() : ''
+        }
+      })
+      .slice(0, this.maxItems)
+
+    logger.info(`[ActionItemAnalyzer] 提取到 ${validItems.length} 条决议与待办`)
+
+    return { actionItems: validItems, usage: result.usage || null }
+  }
+
+  /**
+   * 合并长聊天记录分段提取的结果
+   * 同一内容只保留一条；超出上限时各段轮流入选，入选条目保持时间顺序
+   * @param {Array} parts - 按时间顺序排列的各段结果 [{ messages, result }]
+   * @returns {Array} 决议与待办列表
+   */
+  reduce(parts) {
+    const seen = new Set()
+    const queues = parts.map(part => part.result.filter(item => {
+      const key = `${item.type}:${item.content}`
+      if (seen.has(key)) return false
+      seen.add(key)
+      return true
+    }))
+
+    const selected = new Set()
+    while (selected.size < this.maxItems && queues.some(queue => queue.length > 0)) {
+      for (const queue of queues) {
+        if (queue.length > 0 && selected.size < this.maxItems) {
+          selected.add(queue.shift())
+        }
+      }
+    }
+
+    return parts.flatMap(part => part.result.filter(item => selected.has(item)))
+  }
+
+  /**
+   * 导出为 Markdown 清单（供报告导出使用）
+   * @param {Array} result - 决议与待办列表
+   * @returns {string} Markdown 文本
+   */
+  static toMarkdown(result) {
+    return result
+      .map(item => {
+        const meta = [item.owner && `@${item.owner.nickname}`, item.time, item.deadline && `截止 ${item.deadline}`].filter(Boolean)
+        return `- [ ] 【${item.typeLabel}】${item.content}${meta.length > 0 ? `（${meta.join(' · ')}）` : ''}`
+      })
+      .join('\n')
+  }
+
+  /**
+   * 构建 AI 提示词
+   * @param {string} formattedMessages - 格式化后的消息
+   */
+  buildPrompt(formattedMessages) {
+    return `你是一个会议纪要整理专家,负责从群聊记录中整理出明确的决议与待办事项。
+
+请从以下群聊记录中提取最多 ${this.maxItems} 条具体的:
+1. **决定** (decision): 群里达成一致或由负责人拍板的结论
+2. **待办** (todo): 某人承诺或被指派去做的事情 ("我来弄"、"你负责..."、"明天我提交...")
+3. **计划** (plan): 约定好的安排、活动或后续步骤
+4. **截止** (deadline): 明确提到的截止时间或时间节点
+
+请注意:
+- 只提取明确、具体、可执行的内容,忽略闲聊、玩笑和假设性讨论
+- 同一件事只保留一条,以最终结论为准
+- owner 填写负责人或做出决定者的用户ID;没有明确负责人时填空字符串
+- time 填写该条目在群聊中出现的时间 (HH:MM)
+- deadline 填写提到的截止时间原文 (如"周五前"、"3月1日"),没有则填空字符串
+- 如果没有任何决议或待办,返回空数组 []
+
+群聊记录格式: [HH:MM] [用户ID]: 消息内容
+
+群聊记录:
+${formattedMessages}
+
+---
+
+**重要：你必须只返回一个 JSON 数组，不要包含任何说明文字、代码块标记或其他内容。直接输出 JSON，从 [ 开始，以 ] 结束。**
+**重要：owner 字段必须填写用户ID（纯数字），不要填写昵称！**
+
+返回格式（直接输出，不要用 \`\`\`json 包裹）:
+[
+  {
+    "type": "todo",
+    "content": "整理接口文档并发到群里 (30字内)",
+    "owner": "用户ID（如 123456789，必须是纯数字）",
+    "time": "14:23",
+    "deadline": "周五前"
+  },
+  {
+    "type": "decision",
+    "content": "下周版本改用新的部署流程",
+    "owner": "",
+    "time": "15:10",
+    "deadline": ""
+  }
+]`
+  }
+}
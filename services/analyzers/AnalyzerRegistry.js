@@ -0,0 +1,196 @@
+/**
+ * 分析器注册表
+ * 自动发现 services/analyzers/custom/ 下的 BaseAnalyzer 子类，统一管理扩展分析器
+ *
+ * 扩展分析器约定（均为可选的静态属性）：
+ * - analyzerName: 分析器名称，对应配置 analysis.<name> 及报告中的结果键（默认由类名推导，如 SentimentAnalyzer → sentiment）
+ * - title: 报告中的章节标题（默认同 analyzerName）
+ * - partial: 模板片段文件名（默认 <name>.html）
+ * - requiresAI: 是否依赖 AI 服务（默认 true，AI 不可用时不启用）
+ * - fullInput: 消息数超过 ai.maxMessages 时是否仍整体分析（默认 false，分析器需自行控制发送给 AI 的内容量）
+ *
+ * analyze(messages, stats) 需返回 { [analyzerName]: 结果, usage }
+ * 可选静态方法 toMarkdown(result)：导出 Markdown 报告时输出该章节
+ * 可选实例方法 reduce(parts)：消息数超过 ai.maxMessages 时按段分别分析，再由该方法合并各段结果；
+ * 既未声明 fullInput 也未提供 reduce 的分析器只分析最新的 maxMessages 条消息
+ */
+
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { pathToFileURL } from 'node:url'
+import template from 'art-template'
+import BaseAnalyzer from './BaseAnalyzer.js'
+import { CUSTOM_ANALYZERS_DIR, getSummaryTemplateDir } from '#paths'
+import { logger } from '#lib'
+
+export default class AnalyzerRegistry {
+  constructor(dir = CUSTOM_ANALYZERS_DIR) {
+    this.dir = dir
+    this.analyzers = new Map()
+    this.discoverPromise = null
+    // 模板片段缓存：partialPath → 文件内容
+    this.partialCache = new Map()
+  }
+
+  /**
+   * 由类名推导分析器名称（SentimentAnalyzer → sentiment）
+   * @param {Function} AnalyzerClass - 分析器类
+   * @returns {string} 分析器名称
+   */
+  static resolveName(AnalyzerClass) {
+    if (AnalyzerClass.analyzerName) return AnalyzerClass.analyzerName
+    const base = AnalyzerClass.name.replace(/Analyzer$/, '')
+    return base.charAt(0).toLowerCase() + base.slice(1)
+  }
+
+  /**
+   * 注册分析器
+   * @param {Function} AnalyzerClass - BaseAnalyzer 子类
+   * @param {string} baseDir - 分析器文件所在目录（用于查找模板片段）
+   * @returns {Object|null} 注册信息，类不合法或重名时返回 null
+   */
+  register(AnalyzerClass, baseDir = this.dir) {
+    if (typeof AnalyzerClass !== 'function' || !(AnalyzerClass.prototype instanceof BaseAnalyzer)) {
+      logger.warn(`[分析器注册] ${AnalyzerClass?.name || '未知导出'} 不是 BaseAnalyzer 子类，已跳过`)
+      return null
+    }
+
+    const name = AnalyzerRegistry.resolveName(AnalyzerClass)
+    if (this.analyzers.has(name)) {
+      logger.warn(`[分析器注册] 分析器 "${name}" 已存在，跳过重复注册`)
+      return null
+    }
+
+    const entry = {
+      name,
+      title: AnalyzerClass.title || name,
+      partial: AnalyzerClass.partial || `${name}.html`,
+      requiresAI: AnalyzerClass.requiresAI !== false,
+      baseDir,
+      AnalyzerClass
+    }
+
+    this.analyzers.set(name, entry)
+    logger.debug(`[分析器注册] 已注册分析器: ${name} (${AnalyzerClass.name})`)
+    return entry
+  }
+
+  /**
+   * 扫描自定义分析器目录并注册（只执行一次）
+   * @returns {Promise<Array>} 所有已注册的分析器
+   */
+  async discover() {
+    if (!this.discoverPromise) {
+      this.discoverPromise = this.scanDirectory()
+    }
+    await this.discoverPromise
+    return this.list()
+  }
+
+  /**
+   * 扫描目录中的 .js 文件，注册其默认导出及具名导出的分析器类
+   */
+  async scanDirectory() {
+    let entries = []
+    try {
+      entries = await fs.readdir(this.dir, { withFileTypes: true })
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        logger.error(`[分析器注册] 扫描目录失败: ${this.dir}, ${err.message}`)
+      }
+      return
+    }
+
+    const files = entries
+      .filter(entry => entry.isFile() && entry.name.endsWith('.js'))
+      .map(entry => path.join(this.dir, entry.name))
+      .sort()
+
+    for (const filePath of files) {
+      try {
+        const moduleExports = await import(pathToFileURL(filePath).href)
+        for (const value of new Set(Object.values(moduleExports))) {
+          if (typeof value === 'function' && value.prototype instanceof BaseAnalyzer) {
+            this.register(value, path.dirname(filePath))
+          }
+        }
+      } catch (err) {
+        logger.error(`[分析器注册] 加载分析器失败: ${path.basename(filePath)}, ${err.message}`)
+      }
+    }
+  }
+
+  /**
+   * 获取单个分析器注册信息
+   * @param {string} name - 分析器名称
+   */
+  get(name) {
+    return this.analyzers.get(name) || null
+  }
+
+  /**
+   * 获取全部分析器注册信息
+   * @returns {Array}
+   */
+  list() {
+    return Array.from(this.analyzers.values())
+  }
+
+  /**
+   * 查找分析器的模板片段
+   * 优先使用当前报告模板下的 partials/<partial>，其次使用分析器目录下的同名文件
+   * @param {Object} entry - 分析器注册信息
+   * @param {string} templateName - 报告模板名称
+   * @returns {Promise<string|null>} 模板片段内容，不存在返回 null
+   */
+  async loadPartial(entry, templateName) {
+    const candidates = [
+      path.join(getSummaryTemplateDir(templateName), 'partials', entry.partial),
+      path.join(entry.baseDir, entry.partial)
+    ]
+
+    for (const partialPath of candidates) {
+      if (this.partialCache.has(partialPath)) {
+        return this.partialCache.get(partialPath)
+      }
+      try {
+        const content = await fs.readFile(partialPath, 'utf8')
+        this.partialCache.set(partialPath, content)
+        return content
+      } catch (err) {
+        // 文件不存在，尝试下一个位置
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * 渲染扩展分析器的报告章节
+   * @param {Object} extensions - 报告中的扩展分析结果 { name: result }
+   * @param {string} templateName - 报告模板名称
+   * @returns {Promise<Array>} [{ name, title, html }]，空结果或没有模板片段的结果不渲染
+   */
+  async renderSections(extensions, templateName) {
+    const sections = []
+    if (!extensions) return sections
+
+    for (const [name, result] of Object.entries(extensions)) {
+      const entry = this.get(name)
+      if (!entry || result === null || result === undefined) continue
+      if (Array.isArray(result) && result.length === 0) continue
+
+      const partial = await this.loadPartial(entry, templateName)
+      if (!partial) continue
+
+      try {
+        const html = template.render(partial, { result, templateName })
+        sections.push({ name, title: entry.title, html })
+      } catch (err) {
+        logger.error(`[分析器注册] 渲染 ${name} 模板片段失败: ${err.message}`)
+      }
+    }
+
+    return sections
+  }
+}
@@ -1,4 +1,8 @@
 import { jsonrepair } from 'jsonrepair'
+import { addTokenUsage } from '../aiService.js'
+import { validateSchema, toResponseSchema } from '../../utils/schemaValidator.js'
+import Config from '../../components/Config.js'
+import { detectInjection, escapeContent, delimitContent } from '../../utils/promptGuard.js'
 import { logger } from '#lib'
 
 /**
@@ -20,16 +24,17 @@ export default class BaseAnalyzer {
    * @param {string} prompt - 提示词
    * @param {number} maxTokens - 最大 token 数
    * @param {number} temperature - 温度参数
+   * @param {Object} options - 透传给 AIService.chat 的选项（如结构化输出 schema）
    * @returns {Promise<Object>} AI 响应结果
    */
-  async callAI(prompt, maxTokens = 2000, temperature = 0.7) {
+  async callAI(prompt, maxTokens = 2000, temperature = 0.7, options = {}) {
     let lastError = null
 
     for (let attempt = 1; attempt <= this.retries + 1; attempt++) {
       try {
         logger.debug(`[${this.constructor.name}] AI 调用 - 尝试 ${attempt}/${this.retries + 1}`)
 
-        const result = await this.aiService.chat(prompt, maxTokens, temperature, this.timeout)
+        const result = await this.aiService.chat(prompt, maxTokens, temperature, this.timeout, options)
 
         if (result && result.content) {
           logger.info(`[${this.constructor.name}] AI 调用成功 - Tokens: ${result.usage?.total_tokens || 'N/A'}`)
@@ -55,6 +60,115 @@ export default class BaseAnalyzer {
     return null
   }
 
+  /**
+   * 渲染提示词模板
+   * 模板中的 {{变量名}} 替换为对应的值，未提供的变量保持原样
+   * @param {string} name - 模板名称 (config/prompts/<name>.md)
+   * @param {Object} variables - 模板变量
+   * @param {number|string} groupId - 群号（可选，优先使用群专属模板）
+   * @returns {string}
+   */
+  renderPrompt(name, variables = {}, groupId = null) {
+    const template = Config.getPrompt(name, groupId)
+    if (template === null) {
+      throw new Error(`提示词模板 ${name}.md 不存在`)
+    }
+
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, key) =>
+      variables[key] === undefined ? placeholder : String(variables[key])
+    )
+  }
+
+  /**
+   * 调用 AI 并按 JSON Schema 校验结果
+   * 支持的服务商使用 response_format: json_schema；校验失败时携带错误信息重新询问一次
+   * @param {string} prompt - 提示词
+   * @param {number} maxTokens - 最大 token 数
+   * @param {number} temperature - 温度参数
+   * @param {Object} schema - 期望的返回格式
+   * @returns {Promise<Object|null>} { data, usage, errors }，AI 调用失败时返回 null
+   */
+  async callAIForJSON(prompt, maxTokens, temperature, schema) {
+    const options = {
+      schema: { name: this.constructor.name, schema: toResponseSchema(schema) }
+    }
+
+    const result = await this.callAI(prompt, maxTokens, temperature, options)
+    if (!result || !result.content) {
+      return null
+    }
+
+    let { data, errors } = this.validateJSON(result.content, schema)
+    if (errors.length === 0) {
+      return { data, usage: result.usage || null, errors }
+    }
+
+    logger.warn(`[${this.constructor.name}] 返回结果未通过校验，重新询问: ${errors.slice(0, 3).join('; ')}`)
+
+    const usage = addTokenUsage({ prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }, result.usage)
+    const retry = await this.callAI(this.buildReaskPrompt(prompt, result.content, errors), maxTokens, temperature, options)
+
+    if (retry && retry.content) {
+      addTokenUsage(usage, retry.usage)
+      const second = this.validateJSON(retry.content, schema)
+      // 重问结果可解析且错误更少时采用
+      if (second.data !== null && (data === null || second.errors.length <= errors.length)) {
+        data = second.data
+        errors = second.errors
+      }
+    }
+
+    if (errors.length > 0) {
+      logger.error(`[${this.constructor.name}] 重新询问后仍未通过校验 (${errors.length} 处): ${errors.slice(0, 3).join('; ')}`)
+    } else {
+      logger.mark(`[${this.constructor.name}] 重新询问后校验通过`)
+    }
+
+    return { data, usage, errors }
+  }
+
+  /**
+   * 解析并校验 AI 返回的 JSON
+   * @param {string} content - AI 返回的文本
+   * @param {Object} schema - 期望的返回格式
+   * @returns {Object} { data, errors }，无法解析时 data 为 null
+   */
+  validateJSON(content, schema) {
+    let data = this.parseJSON(content)
+    if (data === null) {
+      return { data: null, errors: ['无法解析为 JSON'] }
+    }
+
+    // 结构化输出时数组结果包装在 items 字段中
+    if (schema.type === 'array' && data && !Array.isArray(data) && Array.isArray(data.items)) {
+      data = data.items
+    }
+
+    return { data, errors: validateSchema(data, schema) }
+  }
+
+  /**
+   * 构建重新询问的提示词
+   * @param {string} prompt - 原提示词
+   * @param {string} content - 上一次的回复
+   * @param {Array<string>} errors - 校验错误
+   */
+  buildReaskPrompt(prompt, content, errors) {
+    const excerpt = content.length > 1500 ? content.substring(0, 1500) + '...' : content
+
+    return `${prompt}
+
+---
+
+你上一次的回复没有通过格式校验:
+${errors.slice(0, 10).map(error => `- ${error}`).join('\n')}
+
+你上一次的回复 (节选):
+${excerpt}
+
+请修正以上问题后重新输出完整结果。只返回符合要求格式的 JSON,不要包含任何其他内容。`
+  }
+
   /**
    * 从 AI 响应中解析 JSON
    * @param {string} content - AI 返回的文本
@@ -134,17 +248,24 @@ export default class BaseAnalyzer {
    * 格式化消息列表为文本（使用 user_id 代替昵称）
    * @param {Array} messages - 消息列表
    * @param {Object} options - 格式化选项
-   * @returns {Object} { text: 格式化文本, userMap: user_id→nickname映射 }
+   * @param {boolean} options.markReplies - 是否为回复消息添加 [回复] 标记
+   * @param {boolean} options.delimit - 是否用边界标记包裹聊天记录（默认 true）
+   * @param {boolean} options.logFlagged - 是否记录疑似注入的消息（默认 true）
+   * @returns {Object} { text: 格式化文本, userMap: user_id→nickname映射, flagged: 疑似注入的消息 }
    */
   formatMessages(messages, options = {}) {
     const {
       includeTime = true,
       maxMessages = null,
-      filter = null
+      filter = null,
+      markReplies = false,
+      delimit = true,
+      logFlagged = true
     } = options
 
     const formatted = []
     const userMap = new Map()
+    const flagged = []
     let processedCount = 0
 
     for (const msg of messages) {
@@ -173,8 +294,22 @@ export default class BaseAnalyzer {
       // 使用 user_id 代替昵称（确保 AI 输出可精确匹配）
       line += `[${msg.user_id}]: `
 
-      // 添加消息内容
-      line += msg.message
+      // 标记回复消息（引用了其他消息）
+      if (markReplies && msg.hasReply) {
+        line += '[回复] '
+      }
+
+      // 标记疑似注入的消息，提示 AI 不要执行
+      const patterns = detectInjection(msg.message)
+      if (patterns.length > 0) {
+        flagged.push({ user_id: String(msg.user_id), nickname: msg.nickname, message: msg.message, patterns })
+        line += '[疑似指令] '
+      }
+
+      // 添加消息内容（纯转发消息的占位文本由下方的转发预览代替）
+      if (!(msg.forward && msg.message === '[合并转发]')) {
+        line += escapeContent(msg.message)
+      }
 
       // 添加链接分享占位符（小程序、分析卡片等）
       if (msg.links && msg.links.length > 0) {
@@ -195,11 +330,82 @@ export default class BaseAnalyzer {
         line += ` [视频x${msg.videos.length}]`
       }
 
+      // 添加合并转发内容预览（只取前几条，避免撑大提示词）
+      if (msg.forward && msg.forward.nodes?.length > 0) {
+        const preview = msg.forward.nodes
+          .slice(0, 3)
+          .map(node => `${escapeContent(node.nickname)}: ${escapeContent(node.message)}`)
+          .join(' / ')
+        line = `${line.trimEnd()} [合并转发x${msg.forward.count}: ${preview.length > 120 ? preview.substring(0, 120) + '...' : preview}]`
+      }
+
       formatted.push(line)
       processedCount++
     }
 
-    return { text: formatted.join('\n'), userMap }
+    if (logFlagged) {
+      this.logInjectionAttempts(flagged)
+    }
+
+    const text = formatted.join('\n')
+    return { text: delimit && text ? delimitContent(text) : text, userMap, flagged }
+  }
+
+  /**
+   * 格式化消息列表为以昵称标识发言人的聊天记录（用于问答、补课等直接回复群友的场景）
+   * 与 formatMessages 一样转义内容、标记疑似指令的消息并用边界标记包裹
+   * @param {Array} messages - 消息列表
+   * @param {Function} formatTime - 秒级时间戳 → 时间文本
+   * @returns {Object} { text: 格式化文本, flagged: 疑似注入的消息 }
+   */
+  formatRecords(messages, formatTime) {
+    const flagged = []
+
+    const lines = messages.map(msg => {
+      const patterns = detectInjection(msg.message)
+      if (patterns.length > 0) {
+        flagged.push({ user_id: String(msg.user_id), nickname: msg.nickname, message: msg.message, patterns })
+      }
+      return `[${formatTime(msg.time)}] ${escapeContent(msg.nickname)}: ${patterns.length > 0 ? '[疑似指令] ' : ''}${escapeContent(msg.message)}`
+    })
+
+    this.logInjectionAttempts(flagged)
+
+    const text = lines.join('\n')
+    return { text: text ? delimitContent(text) : text, flagged }
+  }
+
+  /**
+   * 记录疑似提示词注入的消息
+   * @param {Array} flagged - formatMessages 返回的 flagged
+   */
+  logInjectionAttempts(flagged) {
+    if (!flagged || flagged.length === 0) return
+
+    logger.warn(`[${this.constructor.name}] 检测到 ${flagged.length} 条疑似提示词注入的消息，已标记`)
+    for (const item of flagged.slice(0, 10)) {
+      const excerpt = item.message.length > 60 ? item.message.substring(0, 60) + '...' : item.message
+      logger.warn(`[${this.constructor.name}]   ${item.nickname}(${item.user_id}) [${item.patterns.join('/')}]: ${excerpt}`)
+    }
+  }
+
+  /**
+   * 处理文本中的用户引用，将 [user_id] 替换为带头像的 HTML 胶囊
+   * @param {string} detail - 原始描述文本
+   * @param {Map} userMap - user_id → nickname 映射
+   * @returns {string} 处理后的描述文本
+   */
+  processDetailUserReferences(detail, userMap) {
+    // 匹配 [数字] 格式的用户ID引用
+    return detail.replace(/\[(\d+)\]/g, (match, userId) => {
+      const nickname = userMap.get(userId)
+      if (nickname) {
+        // 返回带头像的 HTML 胶囊组件
+        return `<span class="user-capsule"><img class="user-capsule-avatar" src="https://q1.qlogo.cn/g?b=qq&nk=${userId}&s=100" alt="${nickname}" onerror="this.style.display='none'"><span class="user-capsule-name">${nickname}</span></span>`
+      }
+      // 如果找不到对应昵称，保持原样
+      return match
+    })
   }
 
   /**
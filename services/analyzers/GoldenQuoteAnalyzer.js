@@ -4,8 +4,23 @@
  */
 
 import BaseAnalyzer from './BaseAnalyzer.js'
+import { normalizeForMatch } from '../../utils/promptGuard.js'
 import { logger } from '#lib'
 
+// 返回格式
+const RESPONSE_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      quote: { type: 'string', minLength: 1 },
+      sender: { type: ['string', 'integer'] },
+      reason: { type: 'string', minLength: 1 }
+    },
+    required: ['quote', 'sender', 'reason']
+  }
+}
+
 export default class GoldenQuoteAnalyzer extends BaseAnalyzer {
   constructor(aiService, config = {}) {
     super(aiService, config)
@@ -18,9 +33,11 @@ export default class GoldenQuoteAnalyzer extends BaseAnalyzer {
    * 执行金句提取
    * @param {Array} messages - 消息列表
    * @param {Object} stats - 统计信息 (可选)
+   * @param {Object} options - 额外选项
+   * @param {number} options.groupId - 群号，用于读取群专属提示词模板
    * @returns {Promise<Object>} { goldenQuotes: Array, usage: Object }
    */
-  async analyze(messages, stats = null) {
+  async analyze(messages, stats = null, options = {}) {
     if (!messages || messages.length === 0) {
       logger.warn('[GoldenQuoteAnalyzer] 消息列表为空')
       return { goldenQuotes: [], usage: null }
@@ -61,24 +78,24 @@ export default class GoldenQuoteAnalyzer extends BaseAnalyzer {
 
     logger.info(`[GoldenQuoteAnalyzer] 过滤后剩余 ${filteredMessages.length} 条消息`)
 
-    // 格式化消息（返回 { text, userMap }）
-    const { text: formattedMessages, userMap } = this.formatMessages(filteredMessages, {
+    // 格式化消息（返回 { text, userMap, flagged }）
+    const { text: formattedMessages, userMap, flagged } = this.formatMessages(filteredMessages, {
       includeTime: false
     })
 
     // 构建提示词
-    const prompt = this.buildPrompt(formattedMessages)
+    const prompt = this.buildPrompt(formattedMessages, options.groupId)
 
     // 调用 AI
-    const result = await this.callAI(prompt, 1500, 0.8)
+    const result = await this.callAIForJSON(prompt, 1500, 0.8, RESPONSE_SCHEMA)
 
-    if (!result || !result.content) {
+    if (!result) {
       logger.error('[GoldenQuoteAnalyzer] AI 调用失败')
       return { goldenQuotes: [], usage: null }
     }
 
-    // 解析 JSON 响应
-    const quotes = this.parseJSON(result.content)
+    // 已按 RESPONSE_SCHEMA 校验（未通过时已重新询问一次）
+    const quotes = result.data
 
     if (!Array.isArray(quotes)) {
       logger.error('[GoldenQuoteAnalyzer] 返回格式错误,期望数组')
@@ -88,6 +105,8 @@ export default class GoldenQuoteAnalyzer extends BaseAnalyzer {
     // 验证和清理数据，使用 user_id 直接匹配昵称
     const validQuotes = quotes
       .filter(quote => quote && quote.quote && quote.sender && quote.reason)
+      .map(quote => this.verifyQuote(quote, filteredMessages, flagged))
+      .filter(Boolean)
       .map(quote => {
         const senderId = String(quote.sender).trim()
         const nickname = userMap.get(senderId) || senderId // 如果找不到，使用原值
@@ -107,49 +126,52 @@ export default class GoldenQuoteAnalyzer extends BaseAnalyzer {
     return { goldenQuotes: validQuotes, usage: result.usage || null }
   }
 
+  /**
+   * 校验金句确实出自聊天记录
+   * 金句需出现在某条消息中（忽略空白和标点）；发言人不符时按原文更正，出自疑似注入消息的金句丢弃
+   * @param {Object} quote - AI 返回的金句 { quote, sender, reason }
+   * @param {Array} messages - 发送给 AI 的消息
+   * @param {Array} flagged - 疑似注入的消息
+   * @returns {Object|null} 校验通过的金句，不通过时返回 null
+   */
+  verifyQuote(quote, messages, flagged) {
+    const target = normalizeForMatch(quote.quote)
+    if (!target) {
+      return null
+    }
+
+    const senderId = String(quote.sender).trim()
+    const sources = messages.filter(msg => normalizeForMatch(msg.message).includes(target))
+
+    if (sources.length === 0) {
+      logger.warn(`[GoldenQuoteAnalyzer] 金句未在聊天记录中找到，已丢弃: ${quote.quote}`)
+      return null
+    }
+
+    const source = sources.find(msg => String(msg.user_id) === senderId) || sources[0]
+
+    if (flagged.some(item => item.user_id === String(source.user_id) && item.message === source.message)) {
+      logger.warn(`[GoldenQuoteAnalyzer] 金句出自疑似提示词注入的消息，已丢弃: ${source.nickname}(${source.user_id}) ${quote.quote}`)
+      return null
+    }
+
+    if (String(source.user_id) !== senderId) {
+      logger.warn(`[GoldenQuoteAnalyzer] 金句发言人不符 (${senderId} → ${source.user_id})，已按原文更正: ${quote.quote}`)
+      return { ...quote, sender: String(source.user_id) }
+    }
+
+    return quote
+  }
+
   /**
    * 构建 AI 提示词
    * @param {string} formattedMessages - 格式化后的消息
+   * @param {number|string} groupId - 群号（用于读取群专属模板）
    */
-  buildPrompt(formattedMessages) {
-    return `你是一个群聊金句识别专家,负责从群聊记录中挑选出最有价值的语句。
-
-请从以下群聊记录中选出最多 ${this.maxQuotes} 条"群圣经"(金句),这些语句应该符合以下标准:
-1. **有趣幽默**: 让人会心一笑的段子、梗、神回复
-2. **富有哲理**: 发人深省、有深度的思考和观点
-3. **震撼力强**: 出人意料、一针见血的评论
-4. **情感共鸣**: 能引起大家共鸣的感慨或吐槽
-5. **高度凝练**: 用简洁的语言表达深刻的含义
-
-请注意:
-- 优先选择完整、独立、有上下文的语句
-- 避免选择需要太多背景才能理解的内容
-- 排除无意义的闲聊、单纯的表情、命令等
-- 每条金句要说明为什么选择它 (理由简洁,20字内)
-- 如果实在没有符合标准的语句,可以返回空数组 []
-
-群聊记录格式: [用户ID]: 消息内容
-
-群聊记录:
-${formattedMessages}
-
----
-
-**重要：你必须只返回一个 JSON 数组，不要包含任何说明文字、代码块标记或其他内容。直接输出 JSON，从 [ 开始，以 ] 结束。**
-**重要：sender 字段必须填写用户ID（纯数字），不要填写昵称！**
-
-返回格式（直接输出，不要用 \`\`\`json 包裹）:
-[
-  {
-    "quote": "金句内容",
-    "sender": "用户ID（如 123456789，必须是纯数字）",
-    "reason": "选择理由 (简短说明为什么这句话有价值)"
-  },
-  {
-    "quote": "另一条金句",
-    "sender": "另一个发言人的用户ID",
-    "reason": "选择理由..."
-  }
-]`
+  buildPrompt(formattedMessages, groupId = null) {
+    return this.renderPrompt('goldenQuote', {
+      messages: formattedMessages,
+      maxQuotes: this.maxQuotes
+    }, groupId)
   }
 }
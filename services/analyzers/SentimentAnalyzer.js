@@ -0,0 +1,483 @@
+/**
+ * 群聊情绪分析器
+ * 生成 24 小时情绪曲线、最积极/最消极的瞬间以及群友情绪倾向
+ * AI 不可用或调用失败时，回退到基于情绪词典的离线打分
+ */
+
+import BaseAnalyzer from './BaseAnalyzer.js'
+import {
+  POSITIVE_WORDS,
+  NEGATIVE_WORDS,
+  NEGATION_WORDS,
+  POSITIVE_EMOJIS,
+  NEGATIVE_EMOJIS
+} from '../../constants/sentimentLexicon.js'
+import { logger } from '#lib'
+
+// 情绪瞬间（最积极/最消极的一条消息）
+const MOMENT_SCHEMA = {
+  type: ['object', 'null'],
+  properties: {
+    time: { type: 'string' },
+    user_id: { type: ['string', 'integer'] },
+    content: { type: 'string' },
+    score: { type: 'number' },
+    reason: { type: 'string' }
+  },
+  required: ['user_id', 'content', 'score']
+}
+
+// 返回格式
+const RESPONSE_SCHEMA = {
+  type: 'object',
+  properties: {
+    hourly: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          hour: { type: 'integer', minimum: 0, maximum: 23 },
+          score: { type: 'number' }
+        },
+        required: ['hour', 'score']
+      }
+    },
+    positive: MOMENT_SCHEMA,
+    negative: MOMENT_SCHEMA,
+    users: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          user_id: { type: ['string', 'integer'] },
+          score: { type: 'number' },
+          label: { type: 'string' }
+        },
+        required: ['user_id', 'score']
+      }
+    }
+  },
+  required: ['hourly', 'users']
+}
+
+export default class SentimentAnalyzer extends BaseAnalyzer {
+  static analyzerName = 'sentiment'
+  static title = '群聊情绪'
+  static requiresAI = false
+
+  constructor(aiService, config = {}) {
+    super(aiService, config)
+    this.maxUsers = config.max_users || 6
+    this.minUserMessages = config.min_user_messages || 5
+  }
+
+  /**
+   * 执行情绪分析
+   * @param {Array} messages - 消息列表
+   * @param {Object} stats - 统计信息 (可选)
+   * @returns {Promise<Object>} { sentiment: Object|null, usage: Object }
+   */
+  async analyze(messages, stats = null) {
+    if (!messages || messages.length === 0) {
+      logger.warn('[SentimentAnalyzer] 消息列表为空')
+      return { sentiment: null, usage: null }
+    }
+
+    // 词典打分始终计算：作为离线结果，也用于补全 AI 未覆盖的时段
+    const lexiconResult = this.analyzeWithLexicon(messages)
+
+    if (!this.aiService) {
+      logger.info('[SentimentAnalyzer] AI 服务不可用，使用词典进行离线情绪分析')
+      return { sentiment: lexiconResult, usage: null }
+    }
+
+    const { text: formattedMessages, userMap } = this.formatMessages(messages, {
+      includeTime: true
+    })
+
+    const prompt = this.buildPrompt(formattedMessages)
+    const result = await this.callAIForJSON(prompt, 1500, 0.3, RESPONSE_SCHEMA)
+
+    if (!result) {
+      logger.warn('[SentimentAnalyzer] AI 调用失败，回退到词典分析')
+      return { sentiment: lexiconResult, usage: null }
+    }
+
+    const parsed = result.data
+
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      logger.warn('[SentimentAnalyzer] 返回格式错误,期望对象，回退到词典分析')
+      return { sentiment: lexiconResult, usage: result.usage || null }
+    }
+
+    const sentiment = this.mergeAIResult(parsed, lexiconResult, messages, userMap)
+    logger.info(`[SentimentAnalyzer] 情绪分析完成 - 整体: ${sentiment.overall.label} (${sentiment.overall.score})`)
+
+    return { sentiment, usage: result.usage || null }
+  }
+
+  /**
+   * 计算单条消息的情绪分
+   * @param {string} text - 消息文本
+   * @returns {Object} { score: -1~1, hits: 命中情绪词数 }
+   */
+  scoreText(text = '') {
+    const content = String(text).toLowerCase()
+    let positive = 0
+    let negative = 0
+
+    const countWord = (word, polarity) => {
+      let index = content.indexOf(word)
+      while (index !== -1) {
+        // 情绪词前紧跟否定词时反转极性
+        const prefix = content.slice(Math.max(0, index - 4), index)
+        const negated = NEGATION_WORDS.some(neg => prefix.endsWith(neg))
+        if ((polarity > 0) !== negated) {
+          positive++
+        } else {
+          negative++
+        }
+        index = content.indexOf(word, index + word.length)
+      }
+    }
+
+    POSITIVE_WORDS.forEach(word => countWord(word, 1))
+    NEGATIVE_WORDS.forEach(word => countWord(word, -1))
+    POSITIVE_EMOJIS.forEach(emoji => { if (content.includes(emoji)) positive++ })
+    NEGATIVE_EMOJIS.forEach(emoji => { if (content.includes(emoji)) negative++ })
+
+    const hits = positive + negative
+    return {
+      score: hits > 0 ? (positive - negative) / hits : 0,
+      hits
+    }
+  }
+
+  /**
+   * 基于情绪词典的离线分析
+   * @param {Array} messages - 消息列表
+   * @returns {Object} 情绪分析结果
+   */
+  analyzeWithLexicon(messages) {
+    const hourlySum = new Array(24).fill(0)
+    const hourlyCount = new Array(24).fill(0)
+    const userMap = new Map()
+    let positive = null
+    let negative = null
+
+    for (const msg of messages) {
+      const hour = msg.hour !== undefined ? msg.hour : new Date(msg.time * 1000).getHours()
+      const { score, hits } = this.scoreText(msg.message)
+
+      hourlySum[hour] += score
+      hourlyCount[hour]++
+
+      const userId = String(msg.user_id)
+      if (!userMap.has(userId)) {
+        userMap.set(userId, { user_id: userId, nickname: msg.nickname, sum: 0, scored: 0, messageCount: 0 })
+      }
+      const user = userMap.get(userId)
+      user.nickname = msg.nickname
+      user.messageCount++
+      if (hits > 0) {
+        user.sum += score
+        user.scored++
+      }
+
+      if (hits === 0) continue
+
+      // 记录最积极/最消极的瞬间（同分时取命中情绪词更多的）
+      const candidate = { msg, score, hits }
+      if (score > 0 && (!positive || score > positive.score || (score === positive.score && hits > positive.hits))) {
+        positive = candidate
+      }
+      if (score < 0 && (!negative || score < negative.score || (score === negative.score && hits > negative.hits))) {
+        negative = candidate
+      }
+    }
+
+    const hourly = hourlySum.map((sum, hour) => hourlyCount[hour] > 0 ? this.round(sum / hourlyCount[hour]) : null)
+
+    const users = Array.from(userMap.values())
+      .filter(user => user.messageCount >= this.minUserMessages && user.scored > 0)
+      .map(user => {
+        const score = this.round(user.sum / user.scored)
+        return {
+          user_id: user.user_id,
+          nickname: user.nickname,
+          score,
+          label: this.getMoodLabel(score),
+          messageCount: user.messageCount
+        }
+      })
+      .sort((a, b) => b.messageCount - a.messageCount)
+      .slice(0, this.maxUsers)
+
+    return {
+      source: 'lexicon',
+      overall: this.getOverall(hourly, hourlyCount),
+      hourly,
+      positive: positive ? this.formatMoment(positive.msg, positive.score) : null,
+      negative: negative ? this.formatMoment(negative.msg, negative.score) : null,
+      users
+    }
+  }
+
+  /**
+   * 合并 AI 分析结果，AI 未给出的时段/字段使用词典结果补全
+   * @param {Object} parsed - AI 返回的 JSON
+   * @param {Object} lexiconResult - 词典分析结果
+   * @param {Array} messages - 消息列表
+   * @param {Map} userMap - user_id → nickname 映射
+   * @returns {Object} 情绪分析结果
+   */
+  mergeAIResult(parsed, lexiconResult, messages, userMap) {
+    const hourlyCount = this.countHourly(messages)
+
+    // 只采纳有消息的时段，分数限制在 -1~1
+    const hourly = [...lexiconResult.hourly]
+    if (Array.isArray(parsed.hourly)) {
+      for (const item of parsed.hourly) {
+        const hour = parseInt(item?.hour)
+        const score = Number(item?.score)
+        if (hour >= 0 && hour < 24 && hourlyCount[hour] > 0 && Number.isFinite(score)) {
+          hourly[hour] = this.round(Math.max(-1, Math.min(1, score)))
+        }
+      }
+    }
+
+    const toMoment = (item) => {
+      if (!item || !item.content) return null
+      const userId = String(item.user_id ?? '').trim()
+      return {
+        time: String(item.time || '').trim(),
+        user_id: userMap.has(userId) ? userId : null,
+        nickname: userMap.get(userId) || userId,
+        message: String(item.content).trim(),
+        score: Number.isFinite(Number(item.score)) ? this.round(Number(item.score)) : null,
+        reason: item.reason ? String(item.reason).trim() : ''
+      }
+    }
+
+    const messageCounts = new Map(lexiconResult.users.map(user => [user.user_id, user.messageCount]))
+    const aiUsers = Array.isArray(parsed.users)
+      ? parsed.users
+        .filter(user => user && userMap.has(String(user.user_id).trim()) && Number.isFinite(Number(user.score)))
+        .map(user => {
+          const userId = String(user.user_id).trim()
+          const score = this.round(Math.max(-1, Math.min(1, Number(user.score))))
+          return {
+            user_id: userId,
+            nickname: userMap.get(userId),
+            score,
+            label: user.label ? String(user.label).trim() : this.getMoodLabel(score),
+            messageCount: messageCounts.get(userId) || messages.filter(msg => String(msg.user_id) === userId).length
+          }
+        })
+        .slice(0, this.maxUsers)
+      : []
+
+    return {
+      source: 'ai',
+      overall: this.getOverall(hourly, hourlyCount),
+      hourly,
+      positive: toMoment(parsed.positive) || lexiconResult.positive,
+      negative: toMoment(parsed.negative) || lexiconResult.negative,
+      users: aiUsers.length > 0 ? aiUsers : lexiconResult.users
+    }
+  }
+
+  /**
+   * 合并长聊天记录分段分析的结果
+   * 各时段与各群友的情绪分按消息数加权平均，最积极/最消极的瞬间取各段中的极值
+   * @param {Array} parts - 按时间顺序排列的各段结果 [{ messages, result }]
+   * @returns {Object} 情绪分析结果
+   */
+  reduce(parts) {
+    const hourlySum = new Array(24).fill(0)
+    const hourlyCount = new Array(24).fill(0)
+    const userMap = new Map()
+    let positive = null
+    let negative = null
+
+    for (const { messages, result } of parts) {
+      const counts = this.countHourly(messages)
+      result.hourly.forEach((score, hour) => {
+        if (score === null) return
+        hourlySum[hour] += score * counts[hour]
+        hourlyCount[hour] += counts[hour]
+      })
+
+      if (result.positive && (!positive || (result.positive.score ?? 0) > (positive.score ?? 0))) {
+        positive = result.positive
+      }
+      if (result.negative && (!negative || (result.negative.score ?? 0) < (negative.score ?? 0))) {
+        negative = result.negative
+      }
+
+      for (const user of result.users) {
+        const weight = user.messageCount || 1
+        if (!userMap.has(user.user_id)) {
+          userMap.set(user.user_id, { ...user, sum: 0, weight: 0, messageCount: 0, topWeight: 0 })
+        }
+        const entry = userMap.get(user.user_id)
+        entry.nickname = user.nickname
+        entry.sum += user.score * weight
+        entry.weight += weight
+        entry.messageCount += user.messageCount || 0
+        // 情绪倾向描述取该群友发言最多的一段
+        if (weight > entry.topWeight) {
+          entry.label = user.label
+          entry.topWeight = weight
+        }
+      }
+    }
+
+    const source = parts.some(part => part.result.source === 'ai') ? 'ai' : 'lexicon'
+    const hourly = hourlySum.map((sum, hour) => hourlyCount[hour] > 0 ? this.round(sum / hourlyCount[hour]) : null)
+    const users = Array.from(userMap.values())
+      .map(entry => {
+        const score = this.round(entry.sum / entry.weight)
+        return {
+          user_id: entry.user_id,
+          nickname: entry.nickname,
+          score,
+          label: source === 'ai' ? entry.label : this.getMoodLabel(score),
+          messageCount: entry.messageCount
+        }
+      })
+      .sort((a, b) => b.messageCount - a.messageCount)
+      .slice(0, this.maxUsers)
+
+    return {
+      source,
+      overall: this.getOverall(hourly, hourlyCount),
+      hourly,
+      positive,
+      negative,
+      users
+    }
+  }
+
+  /**
+   * 统计每小时消息数
+   * @param {Array} messages - 消息列表
+   * @returns {Array} 长度为 24 的消息数数组
+   */
+  countHourly(messages) {
+    const hourlyCount = new Array(24).fill(0)
+    for (const msg of messages) {
+      const hour = msg.hour !== undefined ? msg.hour : new Date(msg.time * 1000).getHours()
+      hourlyCount[hour]++
+    }
+    return hourlyCount
+  }
+
+  /**
+   * 按消息数加权计算整体情绪
+   * @param {Array} hourly - 每小时情绪分
+   * @param {Array} hourlyCount - 每小时消息数
+   * @returns {Object} { score, label }
+   */
+  getOverall(hourly, hourlyCount) {
+    let sum = 0
+    let total = 0
+    hourly.forEach((score, hour) => {
+      if (score === null) return
+      sum += score * hourlyCount[hour]
+      total += hourlyCount[hour]
+    })
+
+    const score = total > 0 ? this.round(sum / total) : 0
+    return { score, label: this.getMoodLabel(score) }
+  }
+
+  /**
+   * 情绪分转换为描述
+   * @param {number} score - 情绪分 (-1~1)
+   */
+  getMoodLabel(score) {
+    if (score >= 0.4) return '阳光开朗'
+    if (score >= 0.1) return '积极乐观'
+    if (score > -0.1) return '情绪平稳'
+    if (score > -0.4) return '略显低落'
+    return '怨气冲天'
+  }
+
+  /**
+   * 格式化情绪瞬间
+   * @param {Object} msg - 消息对象
+   * @param {number} score - 情绪分
+   */
+  formatMoment(msg, score) {
+    const time = new Date(msg.time * 1000)
+    return {
+      time: `${time.getHours().toString().padStart(2, '0')}:${time.getMinutes().toString().padStart(2, '0')}`,
+      user_id: String(msg.user_id),
+      nickname: msg.nickname,
+      message: String(msg.message || '').slice(0, 100),
+      score: this.round(score),
+      reason: ''
+    }
+  }
+
+  /**
+   * 保留两位小数
+   * @param {number} value - 数值
+   */
+  round(value) {
+    return Math.round(value * 100) / 100
+  }
+
+  /**
+   * 导出为 Markdown（供报告导出使用）
+   * @param {Object} result - 情绪分析结果
+   * @returns {string} Markdown 文本
+   */
+  static toMarkdown(result) {
+    const lines = [`整体情绪: **${result.overall.label}**（情绪指数 ${result.overall.score}，${result.source === 'ai' ? '由 AI 分析' : '由情绪词典离线估算'}）`]
+    const formatMoment = (title, item) => item
+      ? `- ${title}: ${item.message}（${item.nickname} · ${item.time}${item.reason ? ` · ${item.reason}` : ''}）`
+      : null
+    lines.push('', ...[formatMoment('☀️ 最积极的瞬间', result.positive), formatMoment('🌧️ 最消极的瞬间', result.negative)].filter(Boolean))
+    if (result.users?.length > 0) {
+      lines.push('', ...result.users.map(user => `- ${user.nickname}: ${user.label}（${user.score}）`))
+    }
+    return lines.join('\n')
+  }
+
+  /**
+   * 构建 AI 提示词
+   * @param {string} formattedMessages - 格式化后的消息
+   */
+  buildPrompt(formattedMessages) {
+    return `你是一个群聊情绪分析专家,负责分析群聊一天中的情绪变化。
+
+请分析以下群聊记录,完成:
+1. 为每个有消息的小时给出群体情绪分 (score 取值 -1 到 1,-1 为非常消极,0 为中性,1 为非常积极)
+2. 找出最积极的一条消息和最消极的一条消息,并简要说明理由 (15字内)
+3. 为发言较多的群友 (最多 ${this.maxUsers} 位) 给出情绪分和 4 字以内的情绪倾向描述 (如"阳光开朗"、"爱吐槽")
+
+群聊记录格式: [HH:MM] [用户ID]: 消息内容
+
+群聊记录:
+${formattedMessages}
+
+---
+
+**重要：你必须只返回一个 JSON 对象，不要包含任何说明文字、代码块标记或其他内容。直接输出 JSON，从 { 开始，以 } 结束。**
+**重要：user_id 字段必须填写用户ID（纯数字），不要填写昵称！**
+
+返回格式（直接输出，不要用 \`\`\`json 包裹）:
+{
+  "hourly": [
+    { "hour": 14, "score": 0.6 }
+  ],
+  "positive": { "time": "14:23", "user_id": "123456789", "content": "原消息内容", "score": 0.9, "reason": "理由" },
+  "negative": { "time": "22:10", "user_id": "987654321", "content": "原消息内容", "score": -0.8, "reason": "理由" },
+  "users": [
+    { "user_id": "123456789", "score": 0.5, "label": "阳光开朗" }
+  ]
+}`
+  }
+}
@@ -0,0 +1,169 @@
+/**
+ * 今日分享分析器
+ * 汇总群里分享的链接与卡片（新闻、小程序、音乐等），可选由 AI 为每条分享生成一句话简介
+ */
+
+import BaseAnalyzer from './BaseAnalyzer.js'
+import { logger } from '#lib'
+
+// 卡片类型 → 显示名称
+const LINK_TYPES = {
+  link: '链接',
+  miniapp: '小程序',
+  music: '音乐',
+  json_other: '卡片'
+}
+
+// 返回格式
+const RESPONSE_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer', minimum: 1 },
+      blurb: { type: 'string', minLength: 1 }
+    },
+    required: ['id', 'blurb']
+  }
+}
+
+export default class SharedLinkAnalyzer extends BaseAnalyzer {
+  static analyzerName = 'sharedLinks'
+  static title = '今日分享'
+  static requiresAI = false
+  // 分享明细来自统计数据，长聊天记录也整体分析
+  static fullInput = true
+
+  constructor(aiService, config = {}) {
+    super(aiService, config)
+    this.maxItems = config.max_items || 20
+    this.aiBlurb = config.ai_blurb !== false
+  }
+
+  /**
+   * 生成分享清单
+   * @param {Array} messages - 消息列表
+   * @param {Object} stats - 统计信息（使用 stats.links.items 分享明细）
+   * @returns {Promise<Object>} { sharedLinks: Array, usage: Object }
+   */
+  async analyze(messages, stats = null) {
+    const items = stats?.links?.items || []
+
+    if (items.length === 0) {
+      logger.info('[SharedLinkAnalyzer] 没有链接分享')
+      return { sharedLinks: [], usage: null }
+    }
+
+    // 优先保留首次分享，超出上限时舍弃较晚的转发
+    const firstShares = items.filter(item => !item.reshared)
+    const reshares = items.filter(item => item.reshared)
+    const selected = [...firstShares, ...reshares]
+      .slice(0, this.maxItems)
+      .sort((a, b) => a.time - b.time)
+
+    const sharedLinks = selected.map(item => ({
+      type: item.type,
+      typeLabel: LINK_TYPES[item.type] || LINK_TYPES.json_other,
+      source: item.source,
+      title: item.title || '（无标题）',
+      url: item.url,
+      sharer: {
+        user_id: String(item.user_id),
+        nickname: item.nickname
+      },
+      time: this.formatTime(item.time),
+      reshared: item.reshared,
+      blurb: ''
+    }))
+
+    if (!this.aiService || !this.aiBlurb) {
+      return { sharedLinks, usage: null }
+    }
+
+    // 只为首次分享且有标题的条目生成简介
+    const targets = sharedLinks.filter(item => !item.reshared && item.title !== '（无标题）')
+    if (targets.length === 0) {
+      return { sharedLinks, usage: null }
+    }
+
+    const prompt = this.buildPrompt(targets)
+    const result = await this.callAIForJSON(prompt, 1000, 0.5, RESPONSE_SCHEMA)
+
+    if (!result) {
+      logger.warn('[SharedLinkAnalyzer] AI 简介生成失败，仅展示分享清单')
+      return { sharedLinks, usage: null }
+    }
+
+    const blurbs = result.data
+
+    if (!Array.isArray(blurbs)) {
+      logger.warn('[SharedLinkAnalyzer] 返回格式错误,期望数组')
+      return { sharedLinks, usage: result.usage || null }
+    }
+
+    for (const item of blurbs) {
+      const target = targets[Number(item?.id) - 1]
+      if (target && item.blurb) {
+        target.blurb = String(item.blurb).trim()
+      }
+    }
+
+    logger.info(`[SharedLinkAnalyzer] 汇总 ${sharedLinks.length} 条分享，生成简介 ${blurbs.length} 条`)
+
+    return { sharedLinks, usage: result.usage || null }
+  }
+
+  /**
+   * 格式化时间为 HH:MM
+   * @param {number} time - 秒级时间戳
+   */
+  formatTime(time) {
+    const date = new Date(time * 1000)
+    return `${date.getHours().toString().padStart(2, '0')}:${date.getMinutes().toString().padStart(2, '0')}`
+  }
+
+  /**
+   * 导出为 Markdown（供报告导出使用）
+   * @param {Array} result - 分享清单
+   * @returns {string} Markdown 文本
+   */
+  static toMarkdown(result) {
+    return result
+      .map(item => {
+        const title = item.url ? `[${item.title}](${item.url})` : item.title
+        const blurb = item.blurb ? ` —— ${item.blurb}` : ''
+        return `- [${item.source}] ${title}${blurb}（${item.sharer.nickname} · ${item.time}${item.reshared ? ' · 转发' : ''}）`
+      })
+      .join('\n')
+  }
+
+  /**
+   * 构建 AI 提示词
+   * @param {Array} items - 需要生成简介的分享
+   */
+  buildPrompt(items) {
+    const list = items
+      .map((item, index) => `${index + 1}. [${item.source}] ${item.title}`)
+      .join('\n')
+
+    return `你是一个内容编辑,负责为群友分享的链接写一句话简介。
+
+以下是群聊中分享的链接和卡片 (格式: 编号. [来源] 标题):
+${list}
+
+请为每一条写一句简短的简介 (20字内),说明它大概讲什么或为什么值得一看。
+只根据标题和来源推断,不要编造具体细节;无法判断的条目可以跳过。
+
+---
+
+**重要：你必须只返回一个 JSON 数组，不要包含任何说明文字、代码块标记或其他内容。直接输出 JSON，从 [ 开始，以 ] 结束。**
+
+返回格式（直接输出，不要用 \`\`\`json 包裹）:
+[
+  {
+    "id": 1,
+    "blurb": "一句话简介"
+  }
+]`
+  }
+}
@@ -0,0 +1,235 @@
+/**
+ * 待解答问题分析器
+ * 找出群里提出后没有得到有效回答的问题
+ */
+
+import BaseAnalyzer from './BaseAnalyzer.js'
+import { delimitContent } from '../../utils/promptGuard.js'
+import { logger } from '#lib'
+
+// 疑问句特征：问号结尾或包含常见疑问/求助词
+const QUESTION_PATTERN = /[?？]\s*$|请问|求助|求教|有没有人|有人知道|怎么办|怎么(?:弄|做|搞|用|回事|解决)|如何|为什么|为啥|能不能|可不可以|是不是|吗[?？。!！~～]*$/
+
+// 返回格式
+const RESPONSE_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer', minimum: 1 },
+      question: { type: 'string' },
+      reason: { type: 'string' }
+    },
+    required: ['id']
+  }
+}
+
+export default class UnansweredQuestionAnalyzer extends BaseAnalyzer {
+  static analyzerName = 'unansweredQuestions'
+  static title = '待解答问题'
+  // 只把筛选出的候选问题发送给 AI，长聊天记录也整体分析
+  static fullInput = true
+
+  constructor(aiService, config = {}) {
+    super(aiService, config)
+    this.maxQuestions = config.max_questions || 5
+    this.answerWindowMinutes = config.answer_window_minutes || 30
+    this.minQuestionLength = config.min_question_length || 6
+    // 发送给 AI 的候选问题上限及每个问题附带的后续消息数
+    this.maxCandidates = 30
+    this.contextSize = 15
+  }
+
+  /**
+   * 执行待解答问题分析
+   * @param {Array} messages - 消息列表
+   * @param {Object} stats - 统计信息 (可选)
+   * @returns {Promise<Object>} { unansweredQuestions: Array, usage: Object }
+   */
+  async analyze(messages, stats = null) {
+    if (!messages || messages.length === 0) {
+      logger.warn('[UnansweredQuestionAnalyzer] 消息列表为空')
+      return { unansweredQuestions: [], usage: null }
+    }
+
+    const candidates = this.findCandidates(messages)
+
+    if (candidates.length === 0) {
+      logger.info('[UnansweredQuestionAnalyzer] 未发现候选问题')
+      return { unansweredQuestions: [], usage: null }
+    }
+
+    logger.info(`[UnansweredQuestionAnalyzer] 发现 ${candidates.length} 个候选问题`)
+
+    // 用全部消息建立 user_id → nickname 映射，回答者也可能在理由中被引用
+    const { userMap } = this.formatMessages(messages, { includeTime: false, logFlagged: false })
+
+    const prompt = this.buildPrompt(this.formatCandidates(candidates))
+    const result = await this.callAIForJSON(prompt, 1500, 0.3, RESPONSE_SCHEMA)
+
+    if (!result) {
+      logger.error('[UnansweredQuestionAnalyzer] AI 调用失败')
+      return { unansweredQuestions: [], usage: null }
+    }
+
+    const questions = result.data
+
+    if (!Array.isArray(questions)) {
+      logger.error('[UnansweredQuestionAnalyzer] 返回格式错误,期望数组')
+      return { unansweredQuestions: [], usage: result.usage || null }
+    }
+
+    // 以候选编号回查原消息，提问者与时间以原消息为准
+    const seen = new Set()
+    const validQuestions = questions
+      .filter(item => item && Number.isInteger(Number(item.id)) && candidates[Number(item.id) - 1])
+      .filter(item => {
+        const id = Number(item.id)
+        if (seen.has(id)) return false
+        seen.add(id)
+        return true
+      })
+      .map(item => {
+        const { msg, followUps, replies } = candidates[Number(item.id) - 1]
+        const askerId = String(msg.user_id)
+        return {
+          question: (item.question ? String(item.question) : msg.message).trim(),
+          asker: {
+            user_id: askerId,
+            nickname: userMap.get(askerId) || msg.nickname || askerId
+          },
+          time: this.formatTime(msg.time),
+          followUps,
+          replies,
+          reason: item.reason ? this.processDetailUserReferences(String(item.reason).trim(), userMap) : ''
+        }
+      })
+      .slice(0, this.maxQuestions)
+
+    logger.info(`[UnansweredQuestionAnalyzer] 识别到 ${validQuestions.length} 个待解答问题`)
+
+    return { unansweredQuestions: validQuestions, usage: result.usage || null }
+  }
+
+  /**
+   * 根据疑问句特征和后续回应情况筛选候选问题
+   * @param {Array} messages - 消息列表（按时间正序）
+   * @returns {Array} [{ msg, context, followUps, replies }]，回应越少越靠前
+   */
+  findCandidates(messages) {
+    const windowSeconds = this.answerWindowMinutes * 60
+    const candidates = []
+
+    messages.forEach((msg, index) => {
+      const text = (msg.message || '').trim()
+      if (text.length < this.minQuestionLength) return
+      if (text.startsWith('#') || text.startsWith('/') || text.startsWith('.')) return
+      if (!QUESTION_PATTERN.test(text)) return
+
+      // 统计回答窗口内其他人的发言及其中的回复消息
+      const context = []
+      let followUps = 0
+      let replies = 0
+      for (let i = index + 1; i < messages.length; i++) {
+        const next = messages[i]
+        if (next.time - msg.time > windowSeconds) break
+        if (context.length < this.contextSize) context.push(next)
+        if (String(next.user_id) === String(msg.user_id)) continue
+        followUps++
+        if (next.hasReply) replies++
+      }
+
+      candidates.push({ msg, context, followUps, replies })
+    })
+
+    // 优先保留回应最少的问题
+    return candidates
+      .sort((a, b) => (a.replies - b.replies) || (a.followUps - b.followUps) || (a.msg.time - b.msg.time))
+      .slice(0, this.maxCandidates)
+      .sort((a, b) => a.msg.time - b.msg.time)
+  }
+
+  /**
+   * 将候选问题及其后续消息格式化为文本
+   * @param {Array} candidates - 候选问题
+   * @returns {string} 格式化文本
+   */
+  formatCandidates(candidates) {
+    // 候选问题的上下文可能重叠，疑似注入的消息去重后统一记录
+    const flaggedMessages = new Map()
+    const options = { includeTime: true, delimit: false, logFlagged: false }
+
+    const text = candidates.map((candidate, index) => {
+      const { text: question, flagged } = this.formatMessages([candidate.msg], options)
+      const { text: context, flagged: contextFlagged } = this.formatMessages(candidate.context, { ...options, markReplies: true })
+      for (const item of [...flagged, ...contextFlagged]) {
+        flaggedMessages.set(`${item.user_id}:${item.message}`, item)
+      }
+      return `### 候选问题 ${index + 1}（之后 ${this.answerWindowMinutes} 分钟内他人发言 ${candidate.followUps} 条，其中回复消息 ${candidate.replies} 条）
+${question}
+后续消息:
+${context || '（无）'}`
+    }).join('\n\n')
+
+    this.logInjectionAttempts(Array.from(flaggedMessages.values()))
+    return delimitContent(text)
+  }
+
+  /**
+   * 格式化时间为 HH:MM
+   * @param {number} time - 秒级时间戳
+   */
+  formatTime(time) {
+    const date = new Date(time * 1000)
+    return `${date.getHours().toString().padStart(2, '0')}:${date.getMinutes().toString().padStart(2, '0')}`
+  }
+
+  /**
+   * 导出为 Markdown（供报告导出使用）
+   * @param {Array} result - 待解答问题列表
+   * @returns {string} Markdown 文本
+   */
+  static toMarkdown(result) {
+    return result
+      .map(item => `- **${item.question}**（${item.asker.nickname} · ${item.time} · ${item.followUps} 条跟帖 / ${item.replies} 条回复）${item.reason ? ` —— ${item.reason}` : ''}`)
+      .join('\n')
+  }
+
+  /**
+   * 构建 AI 提示词
+   * @param {string} formattedCandidates - 格式化后的候选问题
+   */
+  buildPrompt(formattedCandidates) {
+    return `你是一个群聊答疑助手,负责找出群里没有得到有效回答的问题。
+
+下面是从群聊中筛选出的候选问题,每个问题后附有之后一段时间内的消息。请判断哪些问题**没有得到有效回答**:
+- 没有人回应,或回应只是表情、附和、跑题、玩笑
+- 有人回应但没有给出实质性的答案或解决方向
+- 提问者后续仍在追问,说明问题没有解决
+
+请排除:
+- 反问句、感叹句、玩笑性质的问题,以及不需要回答的自言自语
+- 已经得到有效回答或提问者表示已解决的问题
+
+最多返回 ${this.maxQuestions} 个最值得群友关注的问题,按重要程度排序。
+
+消息格式: [HH:MM] [用户ID]: 消息内容,[回复] 表示该消息引用回复了其他消息
+
+${formattedCandidates}
+
+---
+
+**重要：你必须只返回一个 JSON 数组，不要包含任何说明文字、代码块标记或其他内容。直接输出 JSON，从 [ 开始，以 ] 结束。**
+**重要：id 字段填写候选问题编号（数字）；reason 中提及用户时使用 [用户ID] 格式！**
+如果所有问题都已得到有效回答,返回空数组 []
+
+返回格式（直接输出，不要用 \`\`\`json 包裹）:
+[
+  {
+    "id": 3,
+    "question": "问题内容的简要概括 (30字内)",
+    "reason": "为什么认为没有得到有效回答 (20字内)"
+  }
+]`
+  }
+}
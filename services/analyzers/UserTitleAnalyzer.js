@@ -4,8 +4,24 @@
  */
 
 import BaseAnalyzer from './BaseAnalyzer.js'
+import { detectInjection, normalizeForMatch } from '../../utils/promptGuard.js'
 import { logger } from '#lib'
 
+// 返回格式
+const RESPONSE_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      user_id: { type: ['string', 'integer'] },
+      title: { type: 'string', minLength: 1 },
+      mbti: { type: 'string', pattern: '^\\s*[EIei][NSns][TFtf][JPjp]\\s*$' },
+      reason: { type: 'string', minLength: 1 }
+    },
+    required: ['user_id', 'title', 'mbti', 'reason']
+  }
+}
+
 export default class UserTitleAnalyzer extends BaseAnalyzer {
   constructor(aiService, config = {}) {
     super(aiService, config)
@@ -17,9 +33,12 @@ export default class UserTitleAnalyzer extends BaseAnalyzer {
    * 执行用户称号分析
    * @param {Array} messages - 消息列表
    * @param {Object} stats - 统计信息 (必需)
+   * @param {Object} options - 额外选项
+   * @param {Object} options.pastTitles - 成员过往称号 { [user_id]: [{ date, title, mbti }] }，用于让称号延续演变
+   * @param {number} options.groupId - 群号，用于读取群专属提示词模板
    * @returns {Promise<Object>} { userTitles: Array, usage: Object }
    */
-  async analyze(messages, stats) {
+  async analyze(messages, stats, options = {}) {
     if (!stats || !stats.users || stats.users.length === 0) {
       logger.warn('[UserTitleAnalyzer] 无用户统计信息')
       return { userTitles: [], usage: null }
@@ -38,7 +57,7 @@ export default class UserTitleAnalyzer extends BaseAnalyzer {
     logger.info(`[UserTitleAnalyzer] 分析 ${activeUsers.length} 位活跃用户`)
 
     // 构建用户行为描述（包含 user_id）
-    const userDescriptions = this.buildUserDescriptions(activeUsers)
+    const userDescriptions = this.buildUserDescriptions(activeUsers, options.pastTitles)
 
     // 构建 user_id → nickname 映射表
     const userIdToNickname = new Map()
@@ -47,18 +66,18 @@ export default class UserTitleAnalyzer extends BaseAnalyzer {
     }
 
     // 构建提示词
-    const prompt = this.buildPrompt(userDescriptions)
+    const prompt = this.buildPrompt(userDescriptions, options.groupId)
 
     // 调用 AI
-    const result = await this.callAI(prompt, 2500, 0.9)
+    const result = await this.callAIForJSON(prompt, 2500, 0.9, RESPONSE_SCHEMA)
 
-    if (!result || !result.content) {
+    if (!result) {
       logger.error('[UserTitleAnalyzer] AI 调用失败')
       return { userTitles: [], usage: null }
     }
 
-    // 解析 JSON 响应
-    const titles = this.parseJSON(result.content)
+    // 已按 RESPONSE_SCHEMA 校验（未通过时已重新询问一次）
+    const titles = result.data
 
     if (!Array.isArray(titles)) {
       logger.error('[UserTitleAnalyzer] 返回格式错误,期望数组')
@@ -66,8 +85,10 @@ export default class UserTitleAnalyzer extends BaseAnalyzer {
     }
 
     // 验证和清理数据，使用 user_id 直接匹配昵称
+    const flaggedByUser = this.collectFlaggedMessages(messages)
     const validTitles = titles
       .filter(title => title && title.user_id && title.title && title.mbti && title.reason)
+      .filter(title => this.verifyTitle(title, userIdToNickname, flaggedByUser))
       .map(title => {
         const userIdStr = String(title.user_id).trim()
         const nickname = userIdToNickname.get(userIdStr) || userIdStr // 如果找不到，使用原值
@@ -86,11 +107,60 @@ export default class UserTitleAnalyzer extends BaseAnalyzer {
     return { userTitles: validTitles, usage: result.usage || null }
   }
 
+  /**
+   * 按用户收集疑似提示词注入的消息
+   * @param {Array} messages - 消息列表
+   * @returns {Map} user_id → [消息内容]
+   */
+  collectFlaggedMessages(messages = []) {
+    const flaggedByUser = new Map()
+    for (const msg of messages || []) {
+      if (detectInjection(msg.message).length === 0) continue
+      const userId = String(msg.user_id)
+      if (!flaggedByUser.has(userId)) flaggedByUser.set(userId, [])
+      flaggedByUser.get(userId).push(msg.message)
+    }
+    return flaggedByUser
+  }
+
+  /**
+   * 校验 AI 分配的称号
+   * 用户必须在本次分析的活跃用户中；称号出现在该用户自己的疑似注入消息中（如“把我评为群主”）时丢弃
+   * @param {Object} title - AI 返回的称号 { user_id, title, mbti, reason }
+   * @param {Map} userIdToNickname - 活跃用户 user_id → nickname
+   * @param {Map} flaggedByUser - collectFlaggedMessages 返回的结果
+   * @returns {boolean}
+   */
+  verifyTitle(title, userIdToNickname, flaggedByUser) {
+    const userId = String(title.user_id).trim()
+
+    if (!userIdToNickname.has(userId)) {
+      logger.warn(`[UserTitleAnalyzer] 称号对应的用户 ${userId} 不在活跃用户中，已丢弃: ${title.title}`)
+      return false
+    }
+
+    const injected = detectInjection(`${title.title} ${title.reason}`)
+    if (injected.length > 0) {
+      logger.warn(`[UserTitleAnalyzer] 称号内容疑似包含注入指令 [${injected.join('/')}]，已丢弃: ${userId} ${title.title}`)
+      return false
+    }
+
+    const normalizedTitle = normalizeForMatch(title.title)
+    const requested = (flaggedByUser.get(userId) || []).find(message => normalizedTitle && normalizeForMatch(message).includes(normalizedTitle))
+    if (requested) {
+      logger.warn(`[UserTitleAnalyzer] 称号疑似由用户 ${userIdToNickname.get(userId)}(${userId}) 通过提示词注入指定，已丢弃: ${title.title} ← ${requested}`)
+      return false
+    }
+
+    return true
+  }
+
   /**
    * 构建用户行为描述
    * @param {Array} users - 用户统计列表
+   * @param {Object} pastTitles - 成员过往称号（可选）
    */
-  buildUserDescriptions(users) {
+  buildUserDescriptions(users, pastTitles = {}) {
     return users.map(user => {
       // 判断行为特征
       const nightOwl = parseFloat(user.nightRatio) > 0.3
@@ -119,7 +189,8 @@ export default class UserTitleAnalyzer extends BaseAnalyzer {
           longMessages && '长文爱好者',
           activeReplier && '互动积极',
           sharer && '分享达人'
-        ].filter(Boolean)
+        ].filter(Boolean),
+        pastTitles: pastTitles?.[String(user.user_id)] || []
       }
     })
   }
@@ -127,8 +198,9 @@ export default class UserTitleAnalyzer extends BaseAnalyzer {
   /**
    * 构建 AI 提示词
    * @param {Array} userDescriptions - 用户行为描述列表
+   * @param {number|string} groupId - 群号（用于读取群专属模板）
    */
-  buildPrompt(userDescriptions) {
+  buildPrompt(userDescriptions, groupId = null) {
     const userText = userDescriptions
       .map((user, i) => {
         return `${i + 1}. 用户ID: ${user.user_id}
@@ -141,62 +213,15 @@ export default class UserTitleAnalyzer extends BaseAnalyzer {
    - 分享链接: ${user.linkCount} 个
    - 分享视频: ${user.videoCount} 个
    - 分享率: ${user.shareRatio}
-   - 行为标签: ${user.tags.join('、') || '普通用户'}`
+   - 行为标签: ${user.tags.join('、') || '普通用户'}${user.pastTitles.length > 0
+          ? `\n   - 过往称号: ${user.pastTitles.map(item => `${item.title}(${item.mbti || '-'}, ${item.date.slice(5)})`).join('、')}`
+          : ''}`
       })
       .join('\n\n')
 
-    return `你是一个群聊行为分析专家,负责基于用户的聊天行为模式为他们分配有趣的称号和 MBTI 人格类型。
-
-请为以下用户分配创意称号和 MBTI 类型,最多选择 ${this.maxTitles} 位最有特色的用户。
-
-称号要求:
-1. **有趣且贴切**: 称号应该幽默、有创意,同时准确反映用户的行为特征
-2. **简洁明了**: 控制在 2-6 个字
-3. **多样化**: 避免重复的称号模式
-4. **正向友好**: 避免贬义或冒犯性的称号
-
-常见称号参考:
-- 话痨王、潜水员、夜猫子、早起鸟
-- 表情包大师、段子手、哲学家
-- 技术大佬、吃货、游戏王
-- 氛围担当、话题终结者
-- 沉默寡言、一鸣惊人
-
-MBTI 类型:
-- 根据用户的行为模式推测其性格类型 (INTJ, ENFP, ISTP 等 16 种)
-- 消息多、互动多 → E (外向)
-- 消息少、潜水多 → I (内向)
-- 长文、深度讨论 → N (直觉)
-- 简短、具体信息 → S (感觉)
-- 理性、逻辑性强 → T (思考)
-- 感性、情绪表达多 → F (情感)
-- 有规律、固定时间 → J (判断)
-- 随机、时间不定 → P (知觉)
-
-用户行为数据:
-${userText}
-
----
-
-请选择最多 ${this.maxTitles} 位最有特色的用户,为他们分配称号和 MBTI,并简要说明理由。
-
-**重要：你必须只返回一个 JSON 数组，不要包含任何说明文字、代码块标记或其他内容。直接输出 JSON，从 [ 开始，以 ] 结束。**
-**重要：user_id 字段必须填写用户ID（纯数字），不要填写昵称！**
-
-返回格式（直接输出，不要用 \`\`\`json 包裹）:
-[
-  {
-    "user_id": "用户ID（如 123456789，必须是纯数字）",
-    "title": "创意称号",
-    "mbti": "MBTI类型",
-    "reason": "授予理由 (30字内,说明为什么给这个称号和MBTI)"
-  },
-  {
-    "user_id": "另一个用户的用户ID",
-    "title": "另一个称号",
-    "mbti": "另一个MBTI",
-    "reason": "授予理由..."
-  }
-]`
+    return this.renderPrompt('userTitle', {
+      users: userText,
+      maxTitles: this.maxTitles
+    }, groupId)
   }
 }
@@ -7,6 +7,7 @@
 import RedisHelper from '../utils/redisHelper.js'
 import ImageRkeyManager from '../utils/imageRkeyManager.js'
 import moment from 'moment'
+import { addTokenUsage } from './aiService.js'
 import { logger } from '#lib'
 
 export default class MessageCollector {
@@ -23,6 +24,8 @@ export default class MessageCollector {
     this.collectFaces = msgConfig.collectFaces !== undefined ? msgConfig.collectFaces : false
     this.collectLinks = msgConfig.collectLinks !== undefined ? msgConfig.collectLinks : true
     this.collectVideos = msgConfig.collectVideos !== undefined ? msgConfig.collectVideos : true
+    this.collectForwards = msgConfig.collectForwards !== undefined ? msgConfig.collectForwards : true
+    this.maxForwardNodes = msgConfig.maxForwardNodes || 50
     this.contextMessageCount = config.contextMessageCount || 1  // 新增: 上下文消息数量
     this.nicknameMode = msgConfig.nicknameMode || 'nickname'
 
@@ -34,7 +37,7 @@ export default class MessageCollector {
     this.isCollecting = false
     this.handler = null  // 保存处理器引用，用于移除监听器
 
-    logger.debug(`消息收集配置 - 收集图片: ${this.collectImages}, 收集表情: ${this.collectFaces}, 收集链接: ${this.collectLinks}, 收集视频: ${this.collectVideos}, 上下文消息: ${this.contextMessageCount}, 昵称模式: ${this.nicknameMode}`)
+    logger.debug(`消息收集配置 - 收集图片: ${this.collectImages}, 收集表情: ${this.collectFaces}, 收集链接: ${this.collectLinks}, 收集视频: ${this.collectVideos}, 收集转发: ${this.collectForwards}, 上下文消息: ${this.contextMessageCount}, 昵称模式: ${this.nicknameMode}`)
     if (this.whitelist.length > 0) {
       logger.debug(`定时总结白名单: ${this.whitelist.length} 个群`)
     }
@@ -100,6 +103,9 @@ export default class MessageCollector {
     // 提取消息内容
     const message = this.extractMessage(e)
 
+    // 合并转发需要调用协议端接口展开（只记录第一条转发），在消息保存后进行
+    const forward = this.collectForwards ? message.forwards[0] : null
+
     // 更新图片、动画表情和视频的 rkey（异步执行，不阻塞消息处理）
     const allMediaUrls = [
       ...message.images,                    // 普通图片
@@ -119,10 +125,18 @@ export default class MessageCollector {
                       message.faces.total > 0 ||
                       message.images.length > 0 ||
                       message.links.length > 0 ||
-                      message.videos.length > 0
+                      message.videos.length > 0 ||
+                      forward
 
     if (hasContent) {
-      await this.saveMessage(e, message)
+      const saved = await this.saveMessage(e, message)
+
+      // 展开合并转发后补充到已保存的消息中（异步执行，协议端响应慢时不阻塞消息处理）
+      if (forward) {
+        this.expandForward(e, forward, saved).catch(err => {
+          logger.debug(`展开合并转发失败: ${err}`)
+        })
+      }
 
       // 检查是否有待更新的 @ 记录（收集下一条消息）
       await this.checkAndUpdatePendingAts(e, message)
@@ -147,6 +161,7 @@ export default class MessageCollector {
     const images = []
     const links = []     // 链接分享（JSON卡片）
     const videos = []    // 视频消息
+    const forwards = []  // 合并转发（仅记录 id / 内联内容，展开在 handleMessage 中进行）
     const faces = {
       face: [],      // 普通表情（从 raw 字段解析）
       mface: [],     // 动画表情（从 image 的 summary 判断）
@@ -216,7 +231,16 @@ export default class MessageCollector {
             logger.debug(`无法提取 face id，消息段结构: ${JSON.stringify(msg).substring(0, 200)}`)
           }
         }
+      } else if (msg.type === 'forward') {
+        forwards.push({ id: msg.id, content: msg.content })
       } else if (msg.type === 'json') {
+        // 部分协议端以 JSON 卡片形式下发合并转发
+        const forwardId = this.parseForwardCard(msg.data)
+        if (forwardId) {
+          forwards.push({ id: forwardId })
+          continue
+        }
+
         // JSON 卡片消息（链接分享、小程序等）
         if (this.collectLinks) {
           const linkData = this.parseJsonCard(msg.data)
@@ -260,6 +284,7 @@ export default class MessageCollector {
       images,
       links,
       videos,
+      forwards,
       faces,
       hasReply,
       atAll: e.atall || false
@@ -345,10 +370,99 @@ export default class MessageCollector {
     }
   }
 
+  /**
+   * 解析以 JSON 卡片形式下发的合并转发
+   * @param {string|object} data - JSON 字符串或对象
+   * @returns {string|null} 转发 resid，不是合并转发时返回 null
+   */
+  parseForwardCard(data) {
+    try {
+      const json = typeof data === 'string' ? JSON.parse(data) : data
+      if (json?.app !== 'com.tencent.multimsg') return null
+      return json.meta?.detail?.resid || null
+    } catch (err) {
+      return null
+    }
+  }
+
+  /**
+   * 展开合并转发消息
+   * 优先使用消息段内联的节点，否则通过协议端接口按 id 获取
+   * @param {object} e - 事件对象
+   * @param {object} forward - { id, content }
+   * @param {number} depth - 当前嵌套层数（嵌套转发最多展开一层）
+   * @returns {Promise<Array>} 转发节点 [{ user_id, nickname, message, time }]（时间正序）
+   */
+  async resolveForward(e, forward, depth = 0) {
+    let nodes = Array.isArray(forward?.content) ? forward.content : null
+
+    if (!nodes && forward?.id) {
+      const target = [e.group, e.friend, e.bot].find(item => typeof item?.getForwardMsg === 'function')
+      if (!target) {
+        logger.debug('当前协议端不支持获取合并转发内容')
+        return []
+      }
+      const result = await target.getForwardMsg(forward.id)
+      nodes = Array.isArray(result) ? result : (result?.messages || result?.message || [])
+    }
+
+    const messages = []
+    for (const node of nodes || []) {
+      const data = node?.data || node || {}
+      const content = data.message ?? data.content ?? data.raw_message ?? ''
+      const time = Number(data.time) || Math.floor(Date.now() / 1000)
+      const base = {
+        user_id: data.user_id ?? data.sender?.user_id ?? data.uin ?? null,
+        nickname: data.nickname || data.sender?.card || data.sender?.nickname || data.nick || '未知',
+        time
+      }
+
+      if (typeof content === 'string') {
+        // CQ 码 → 占位符
+        messages.push({ ...base, message: content.replace(/\[CQ:(\w+)[^\]]*\]/g, (match, type) => type === 'image' ? '[图片]' : '') })
+        continue
+      }
+
+      let text = ''
+      for (const segment of Array.isArray(content) ? content : [content]) {
+        const type = segment?.type
+        const segData = segment?.data || segment || {}
+
+        if (type === 'text') {
+          text += segData.text || ''
+        } else if (type === 'image') {
+          text += '[图片]'
+        } else if (type === 'face') {
+          text += '[表情]'
+        } else if (type === 'video') {
+          text += '[视频]'
+        } else if (type === 'json') {
+          const link = this.parseJsonCard(segData.data ?? segData)
+          text += link ? `[分享:${link.title || link.source}]` : '[卡片]'
+        } else if (type === 'forward') {
+          if (depth < 1) {
+            const nested = await this.resolveForward(e, { id: segData.id, content: segData.content }, depth + 1)
+            messages.push(...nested)
+          } else {
+            text += '[合并转发]'
+          }
+        }
+      }
+
+      text = text.trim()
+      if (text) {
+        messages.push({ ...base, message: text })
+      }
+    }
+
+    return messages.sort((a, b) => a.time - b.time)
+  }
+
   /**
    * 保存消息到 Redis
    * @param {object} e - 事件对象
    * @param {object} message - 消息数据
+   * @returns {Promise<Object>} { location, messageData }
    */
   async saveMessage(e, message) {
     // 获取消息时间的小时数
@@ -356,7 +470,7 @@ export default class MessageCollector {
     const hour = msgDate.getHours()
 
     // 如果没有文本但有表情，使用占位符（避免空消息导致统计异常）
-    const messageText = message.text || '[表情]'
+    const messageText = message.text || (message.forwards.length > 0 ? '[合并转发]' : '[表情]')
 
     const messageData = {
       user_id: e.user_id,
@@ -393,7 +507,32 @@ export default class MessageCollector {
       messageData.videos = message.videos
     }
 
-    await this.redisHelper.saveMessage(e.group_id, messageData)
+    const location = await this.redisHelper.saveMessage(e.group_id, messageData)
+    return { location, messageData }
+  }
+
+  /**
+   * 展开合并转发并写入已保存的消息
+   * @param {object} e - 事件对象
+   * @param {object} forward - { id, content }
+   * @param {object} saved - saveMessage 的返回值 { location, messageData }
+   */
+  async expandForward(e, forward, saved) {
+    const nodes = await this.resolveForward(e, forward)
+    if (nodes.length === 0) return
+
+    const messageData = {
+      ...saved.messageData,
+      forward: {
+        count: nodes.length,
+        nodes: nodes.slice(0, this.maxForwardNodes).map(node => ({
+          nickname: node.nickname,
+          message: node.message.substring(0, this.maxMessageLength),
+          time: node.time
+        }))
+      }
+    }
+    await this.redisHelper.updateMessage(e.group_id, saved.location, messageData)
   }
 
   /**
@@ -697,11 +836,13 @@ export default class MessageCollector {
         const exists = await redis.exists(cacheKey)
 
         if (!exists) {
-          logger.info(`群${groupId}达到${messageCount}条消息（批次${batchIndex}），触发部分分析`)
+          logger.info(`群${groupId}达到${messageCount}条消息（批次${batchIndex}），加入分析队列`)
 
-          // 异步触发部分分析（不阻塞消息处理）
-          this.triggerPartialAnalysis(groupId, batchIndex, today).catch(err => {
-            logger.error(`批次${batchIndex}自动触发分析失败: ${err}`)
+          // 交给后台任务队列执行（不阻塞消息处理，失败自动重试，重启后继续）
+          const { getJobQueue } = await import('../components/Services.js')
+          const jobQueue = await getJobQueue()
+          await jobQueue?.enqueue('batchAnalysis', { groupId, batchIndex, date: today }, {
+            id: `batch:${groupId}:${today}:${batchIndex}`
           })
         }
       }
@@ -728,15 +869,25 @@ export default class MessageCollector {
   }
 
   /**
-   * 触发部分分析（仅话题和金句）
+   * 触发部分分析（仅话题和金句），由任务队列的 batchAnalysis 任务执行
+   * 分析失败时抛出异常交由任务队列重试，重试用尽后由 markBatchFailed 记录失败标记
    * @param {number} groupId - 群号
    * @param {number} batchIndex - 批次索引（0-based: 0表示0-1000, 1表示1000-2000）
    * @param {string} date - 日期
+   * @returns {Promise<Object|undefined>} 分析概况 { topics, goldenQuotes, tokens }，跳过时无返回值
    */
   async triggerPartialAnalysis(groupId, batchIndex, date) {
     try {
       // 动态导入分析器（避免循环依赖）
-      const { getTopicAnalyzer, getGoldenQuoteAnalyzer } = await import('../components/Services.js')
+      const { getTopicAnalyzer, getGoldenQuoteAnalyzer, getUsageService } = await import('../components/Services.js')
+
+      // 群 AI 预算已用完时不再预分析
+      const usageService = await getUsageService()
+      const budget = await usageService.checkBudget(groupId)
+      if (budget.exceeded) {
+        logger.info(`批次${batchIndex}跳过分析: ${budget.message}`)
+        return
+      }
 
       const maxMessages = this.config.ai?.maxMessages || 1000
       const contextOverlap = 50 // 上下文重叠消息数
@@ -747,8 +898,8 @@ export default class MessageCollector {
 
       logger.info(`批次${batchIndex}: 准备分析消息 [${startIndex}-${endIndex}]`)
 
-      // 获取所有消息（正序：最早到最新）
-      const allMessages = await this.getMessages(groupId, 1)
+      // 获取该日期的所有消息（正序：最早到最新），任务可能在次日才执行
+      const allMessages = await this.getMessages(groupId, 1, date)
 
       // 提取该批次的消息，包含上下文
       // batch 0: [0, 1000]
@@ -785,10 +936,15 @@ export default class MessageCollector {
       const goldenQuoteAnalyzer = await getGoldenQuoteAnalyzer()
 
       const [topicResult, quoteResult] = await Promise.all([
-        topicAnalyzer?.analyze(messagesToAnalyze, stats),
-        goldenQuoteAnalyzer?.analyze(messagesToAnalyze, stats)
+        topicAnalyzer?.analyze(messagesToAnalyze, stats, { groupId }),
+        goldenQuoteAnalyzer?.analyze(messagesToAnalyze, stats, { groupId })
       ])
 
+      // 分析器调用 AI 失败时返回空结果且没有用量，视为本次分析失败
+      if ((topicAnalyzer || goldenQuoteAnalyzer) && !topicResult?.usage && !quoteResult?.usage) {
+        throw new Error('话题与金句分析均未得到 AI 响应')
+      }
+
       // 计算 token 使用情况
       const tokenUsage = {
         prompt_tokens: 0,
@@ -798,11 +954,10 @@ export default class MessageCollector {
 
       for (const usage of [topicResult?.usage, quoteResult?.usage]) {
         if (usage) {
-          tokenUsage.prompt_tokens += usage.prompt_tokens || 0
-          tokenUsage.completion_tokens += usage.completion_tokens || 0
-          tokenUsage.total_tokens += usage.total_tokens || 0
+          addTokenUsage(tokenUsage, usage)
         }
       }
+      await usageService.recordAll(groupId, { topic: topicResult?.usage, goldenQuote: quoteResult?.usage })
 
       // 缓存结果到Redis（使用批次索引作为key）
       const cacheKey = `Yz:groupManager:batch:${groupId}:${date}:${batchIndex}`
@@ -821,21 +976,36 @@ export default class MessageCollector {
       await redis.set(cacheKey, JSON.stringify(cacheData), 'EX', 86400) // 24小时过期
 
       logger.info(`批次${batchIndex}分析完成并缓存 [${startIndex}-${endIndex}]，话题: ${cacheData.topics.length}, 金句: ${cacheData.goldenQuotes.length}, Tokens: ${tokenUsage.total_tokens}`)
+
+      return {
+        topics: cacheData.topics.length,
+        goldenQuotes: cacheData.goldenQuotes.length,
+        tokens: tokenUsage.total_tokens
+      }
     } catch (err) {
       logger.error(`批次${batchIndex}触发分析失败: ${err.stack || err}`)
+      throw err
+    }
+  }
 
-      // 即使失败也记录一个标记，避免重复尝试
-      try {
-        const cacheKey = `Yz:groupManager:batch:${groupId}:${date}:${batchIndex}`
-        await redis.set(cacheKey, JSON.stringify({
-          batchIndex,
-          success: false,
-          error: err.message,
-          analyzedAt: Date.now()
-        }), 'EX', 86400)
-      } catch (cacheErr) {
-        logger.error(`保存失败标记失败: ${cacheErr}`)
-      }
+  /**
+   * 记录批次分析失败标记（任务队列重试用尽后调用），避免同一批次重复入队
+   * @param {number} groupId - 群号
+   * @param {number} batchIndex - 批次索引
+   * @param {string} date - 日期
+   * @param {Error} error - 失败原因
+   */
+  async markBatchFailed(groupId, batchIndex, date, error) {
+    try {
+      const cacheKey = `Yz:groupManager:batch:${groupId}:${date}:${batchIndex}`
+      await redis.set(cacheKey, JSON.stringify({
+        batchIndex,
+        success: false,
+        error: error?.message || String(error),
+        analyzedAt: Date.now()
+      }), 'EX', 86400)
+    } catch (cacheErr) {
+      logger.error(`保存失败标记失败: ${cacheErr}`)
     }
   }
 }
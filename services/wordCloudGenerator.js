@@ -41,59 +41,15 @@ export default class WordCloudGenerator {
     const quality = renderConfig.quality || 100
 
     try {
-      // 处理消息并生成词频统计或 TF-IDF 关键词
       logger.info(`开始生成词云，消息数: ${messages.length}，提取方式: ${extractMethod}`)
 
-      const wordData = await this.textProcessor.processMessages(messages, {
-        minLength,
-        minFrequency,
-        maxWords,
-        extractMethod
-      })
+      const wordList = await this.buildWordList(messages, { minLength, minFrequency, maxWords, extractMethod })
 
-      if (wordData.length === 0) {
+      if (wordList.length === 0) {
         logger.warn('没有足够的词汇生成词云')
         return null
       }
 
-      logger.info(`统计到 ${wordData.length} 个词汇`)
-
-      // 根据提取方式准备词云数据
-      let wordList
-
-      if (extractMethod === 'tfidf') {
-        // TF-IDF 模式：wordData 格式为 [{word, weight}, ...]，weight 范围 0-1
-        // 缩放到 1-10 范围供 wordcloud2.js 使用
-        wordList = wordData.map(item => {
-          const scaledWeight = 1 + item.weight * 9  // 映射 0-1 到 1-10
-          return [item.word, scaledWeight]
-        })
-        logger.debug(`TF-IDF 权重范围: ${wordData[wordData.length - 1]?.weight?.toFixed(4) || 0} - ${wordData[0]?.weight?.toFixed(4) || 1}`)
-      } else {
-        // 词频模式：wordData 格式为 [{word, count}, ...]
-        // 使用对数缩放归一化
-        const frequencies = wordData.map(item => item.count)
-        const maxFreq = Math.max(...frequencies)
-        const minFreq = Math.min(...frequencies)
-        const freqRange = maxFreq - minFreq
-
-        logger.info(`频率范围: ${minFreq} - ${maxFreq}`)
-
-        wordList = wordData.map(item => {
-          let normalizedWeight
-          if (freqRange === 0) {
-            normalizedWeight = 5
-          } else {
-            const logFreq = Math.log(item.count)
-            const logMin = Math.log(minFreq)
-            const logMax = Math.log(maxFreq)
-            const logRange = logMax - logMin
-            normalizedWeight = 1 + ((logFreq - logMin) / logRange) * 9
-          }
-          return [item.word, normalizedWeight]
-        })
-      }
-
       // 准备模板数据
       const templateData = {
         groupName,
@@ -126,6 +82,73 @@ export default class WordCloudGenerator {
     }
   }
 
+  /**
+   * 统计词频并生成 wordcloud2.js 使用的词表（权重归一化到 1-10）
+   * @param {array} messages - 消息列表
+   * @param {object} options - { minLength, minFrequency, maxWords, extractMethod }
+   * @returns {Promise<array>} [[word, weight], ...]，词汇不足时为空数组
+   */
+  async buildWordList(messages, options = {}) {
+    const {
+      maxWords = this.config.maxWords || 100,
+      minLength = this.config.minLength || 2,
+      minFrequency = this.config.minFrequency || 2,
+      extractMethod = this.config.extractMethod || 'frequency'
+    } = options
+
+    // 处理消息并生成词频统计或 TF-IDF 关键词
+    const wordData = await this.textProcessor.processMessages(messages, {
+      minLength,
+      minFrequency,
+      maxWords,
+      extractMethod
+    })
+
+    if (wordData.length === 0) {
+      return []
+    }
+
+    logger.info(`统计到 ${wordData.length} 个词汇`)
+
+    // 根据提取方式准备词云数据
+    let wordList
+
+    if (extractMethod === 'tfidf') {
+      // TF-IDF 模式：wordData 格式为 [{word, weight}, ...]，weight 范围 0-1
+      // 缩放到 1-10 范围供 wordcloud2.js 使用
+      wordList = wordData.map(item => {
+        const scaledWeight = 1 + item.weight * 9  // 映射 0-1 到 1-10
+        return [item.word, scaledWeight]
+      })
+      logger.debug(`TF-IDF 权重范围: ${wordData[wordData.length - 1]?.weight?.toFixed(4) || 0} - ${wordData[0]?.weight?.toFixed(4) || 1}`)
+    } else {
+      // 词频模式：wordData 格式为 [{word, count}, ...]
+      // 使用对数缩放归一化
+      const frequencies = wordData.map(item => item.count)
+      const maxFreq = Math.max(...frequencies)
+      const minFreq = Math.min(...frequencies)
+      const freqRange = maxFreq - minFreq
+
+      logger.info(`频率范围: ${minFreq} - ${maxFreq}`)
+
+      wordList = wordData.map(item => {
+        let normalizedWeight
+        if (freqRange === 0) {
+          normalizedWeight = 5
+        } else {
+          const logFreq = Math.log(item.count)
+          const logMin = Math.log(minFreq)
+          const logMax = Math.log(maxFreq)
+          const logRange = logMax - logMin
+          normalizedWeight = 1 + ((logFreq - logMin) / logRange) * 9
+        }
+        return [item.word, normalizedWeight]
+      })
+    }
+
+    return wordList
+  }
+
   /**
    * 获取时间范围文本
    * @param {number} days - 天数
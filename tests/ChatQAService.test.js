@@ -0,0 +1,27 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import ChatQAService from '../services/ChatQAService.js'
+import { makeMessage } from './helpers.js'
+
+describe('ChatQAService.retrieve', () => {
+  const texts = ['早上好', '今天好热', '周末有空吗', '在加班', '下班了', '吃了吗', '刚到家', '好困', '睡了', '周末去吃火锅吗']
+  const messages = texts.map((message, index) => makeMessage({ user_id: 10001 + index, message }))
+
+  it('上下文不超过上限，按得分保留命中消息', () => {
+    const service = new ChatQAService(null, { max_context_messages: 4, context_window: 1 })
+
+    const { context, hitCount } = service.retrieve(messages, ['周末', '火锅'])
+
+    assert.equal(hitCount, 2)
+    // 得分最高的最后一条不会因为时间靠后被截掉，结果按时间排序
+    assert.deepEqual(context.map(msg => msg.message), ['今天好热', '周末有空吗', '睡了', '周末去吃火锅吗'])
+  })
+
+  it('达到上限时优先保留离命中消息近的上下文', () => {
+    const service = new ChatQAService(null, { max_context_messages: 3, context_window: 2 })
+
+    const { context } = service.retrieve(messages, ['火锅'])
+
+    assert.deepEqual(context.map(msg => msg.message), ['好困', '睡了', '周末去吃火锅吗'])
+  })
+})
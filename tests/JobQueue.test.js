@@ -0,0 +1,300 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import MockAIServer from '../services/MockAIServer.js'
+import JobQueue, { JobState } from '../services/JobQueue.js'
+import { ReportPlugin } from '../apps/report.js'
+import { getMessageCollector, getJobQueue, getTopicAnalyzer, getGoldenQuoteAnalyzer } from '../components/index.js'
+import { useConfig, resetEnvironment, today, makeConversation } from './helpers.js'
+
+const GROUP_ID = 900001
+const RUNNING_KEY = 'Yz:groupManager:jobs:running'
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+describe('JobQueue', () => {
+  let queue
+
+  const createQueue = (config = {}) => {
+    queue = new JobQueue({ poll_interval: 0.01, backoff: 0.05, ...config })
+    return queue
+  }
+
+  beforeEach(async () => {
+    useConfig()
+    await resetEnvironment()
+  })
+
+  afterEach(async () => {
+    await queue?.stop()
+    queue = null
+  })
+
+  it('执行任务并记录结果，完成后移出执行中集合', async () => {
+    createQueue()
+    queue.register('echo', async payload => ({ doubled: payload.value * 2 }))
+    await queue.start()
+
+    const job = await queue.enqueue('echo', { value: 21 })
+    const [done] = await queue.waitFor([job.id], 5)
+
+    assert.equal(done.state, JobState.DONE)
+    assert.equal(done.attempts, 1)
+    assert.deepEqual(done.result, { doubled: 42 })
+    assert.equal(await redis.zCard(RUNNING_KEY), 0)
+    // 已完成的任务记录按保留时间过期
+    assert.equal(await redis.ttl(`Yz:groupManager:job:${job.id}`), 24 * 3600)
+  })
+
+  it('同一 ID 的任务等待中时不重复添加，完成后可再次添加', async () => {
+    createQueue()
+    const first = await queue.enqueue('echo', { value: 1 }, { id: 'echo:1' })
+    const second = await queue.enqueue('echo', { value: 2 }, { id: 'echo:1' })
+
+    assert.deepEqual(second, first)
+    assert.equal(await redis.zCard('Yz:groupManager:jobs:pending:echo'), 1)
+
+    queue.register('echo', async payload => payload.value)
+    await queue.start()
+    assert.equal((await queue.waitFor(['echo:1'], 5))[0].result, 1)
+
+    await queue.enqueue('echo', { value: 3 }, { id: 'echo:1' })
+    assert.equal((await queue.waitFor(['echo:1'], 5))[0].result, 3)
+  })
+
+  it('未注册处理器的任务保留在队列中', async () => {
+    createQueue()
+    await queue.start()
+
+    const job = await queue.enqueue('unknown', {})
+    await sleep(50)
+
+    assert.equal((await queue.getJob(job.id)).state, JobState.PENDING)
+    assert.deepEqual(await queue.getStats(), { pending: {}, running: 0, active: 0 })
+  })
+
+  it('失败后按指数退避重试，成功后不再重试', async () => {
+    createQueue()
+    const attempts = []
+    queue.register('flaky', async () => {
+      attempts.push(Date.now())
+      if (attempts.length < 3) throw new Error('暂时失败')
+      return 'ok'
+    })
+    await queue.start()
+
+    const job = await queue.enqueue('flaky', {})
+    const [done] = await queue.waitFor([job.id], 5)
+
+    assert.equal(done.state, JobState.DONE)
+    assert.equal(done.attempts, 3)
+    assert.equal(done.error, null)
+    // 第1次重试等待 backoff，第2次等待 backoff × 2
+    assert.ok(attempts[1] - attempts[0] >= 50)
+    assert.ok(attempts[2] - attempts[1] >= 100)
+  })
+
+  it('重试用尽后标记为失败并调用失败回调', async () => {
+    createQueue({ backoff: 0 })
+    let calls = 0
+    const failures = []
+    queue.register('broken', async () => {
+      calls++
+      throw new Error('一直失败')
+    }, {
+      maxAttempts: 2,
+      onFailed: async (payload, err) => failures.push([payload, err.message])
+    })
+    await queue.start()
+
+    const job = await queue.enqueue('broken', { groupId: GROUP_ID })
+    const [failed] = await queue.waitFor([job.id], 5)
+
+    assert.equal(failed.state, JobState.FAILED)
+    assert.equal(failed.attempts, 2)
+    assert.equal(failed.error, '一直失败')
+    assert.equal(calls, 2)
+    assert.deepEqual(failures, [[{ groupId: GROUP_ID }, '一直失败']])
+  })
+
+  it('同时执行的任务数不超过类型和队列的并发上限', async () => {
+    createQueue({ concurrency: 3 })
+    let running = 0
+    const peaks = { a: 0, total: 0 }
+    const active = { a: 0 }
+    const slow = type => async () => {
+      running++
+      if (type === 'a') active.a++
+      peaks.total = Math.max(peaks.total, running)
+      peaks.a = Math.max(peaks.a, active.a)
+      await sleep(20)
+      running--
+      if (type === 'a') active.a--
+    }
+    queue.register('a', slow('a'), { concurrency: 2 })
+    queue.register('b', slow('b'))
+    await queue.start()
+
+    const jobs = []
+    for (let i = 0; i < 5; i++) {
+      jobs.push(await queue.enqueue('a', { i }))
+      jobs.push(await queue.enqueue('b', { i }))
+    }
+    const finished = await queue.waitFor(jobs.map(job => job.id), 5)
+
+    assert.ok(finished.every(job => job.state === JobState.DONE))
+    assert.equal(peaks.a, 2)
+    assert.equal(peaks.total, 3)
+  })
+
+  it('启动时恢复上次进程中断的任务', async () => {
+    const interrupted = (id, attempts) => ({
+      id,
+      type: 'echo',
+      payload: { id },
+      state: JobState.RUNNING,
+      attempts,
+      maxAttempts: 3,
+      runAt: Date.now(),
+      worker: 'old-process'
+    })
+    await redis.set('Yz:groupManager:job:resume', JSON.stringify(interrupted('resume', 1)))
+    await redis.set('Yz:groupManager:job:exhausted', JSON.stringify(interrupted('exhausted', 3)))
+    await redis.zAdd(RUNNING_KEY, [{ score: 1, value: 'resume' }, { score: 1, value: 'exhausted' }])
+
+    createQueue()
+    const failures = []
+    queue.register('echo', async payload => payload.id, {
+      onFailed: async payload => failures.push(payload.id)
+    })
+    await queue.start()
+
+    const [resumed, exhausted] = await queue.waitFor(['resume', 'exhausted'], 5)
+    assert.equal(resumed.state, JobState.DONE)
+    assert.equal(resumed.attempts, 2)
+    assert.equal(exhausted.state, JobState.FAILED)
+    assert.deepEqual(failures, ['exhausted'])
+    assert.equal(await redis.zCard(RUNNING_KEY), 0)
+  })
+
+  it('按尝试次数、退避时间和并发轮数估算等待上限', () => {
+    createQueue({ concurrency: 4, max_attempts: 3, backoff: 30, poll_interval: 5 })
+    queue.register('report', async () => null, { concurrency: 2 })
+
+    // 3 轮 × 3 次 × (600 + 5) 秒 + 退避 30 + 60 秒
+    assert.equal(queue.getMaxWaitTime('report', 600, 5), 5535)
+    // 未注册的类型按队列配置计算
+    assert.equal(queue.getMaxWaitTime('other', 60), 285)
+  })
+})
+
+describe('任务队列接入', () => {
+  const server = new MockAIServer({ port: 0 })
+
+  const configure = (overrides = {}) => useConfig({
+    ai: { apiKey: 'mock', baseURL: server.baseURL, model: 'mock', maxMessages: 30, llm_retries: 1, llm_backoff: 0.01 },
+    jobQueue: { poll_interval: 0.01, backoff: 0 },
+    ...overrides
+  })
+
+  const pushMessages = async (count) => {
+    const messageCollector = await getMessageCollector()
+    const key = messageCollector.redisHelper.getMessageKey(GROUP_ID, today())
+    for (const message of makeConversation(count)) {
+      await redis.rPush(key, JSON.stringify(message))
+    }
+  }
+
+  before(async () => {
+    await server.start()
+  })
+
+  after(async () => {
+    await resetEnvironment()
+    await server.stop()
+  })
+
+  beforeEach(async () => {
+    configure()
+    await resetEnvironment()
+  })
+
+  afterEach(() => {
+    mock.restoreAll()
+  })
+
+  it('消息数达到阈值时加入批次分析任务并缓存结果', async () => {
+    const messageCollector = await getMessageCollector()
+    await pushMessages(30)
+
+    await messageCollector.checkThresholdTrigger(GROUP_ID)
+    // 重复触发不会重复添加
+    await messageCollector.checkThresholdTrigger(GROUP_ID)
+
+    const jobQueue = await getJobQueue()
+    const [job] = await jobQueue.waitFor([`batch:${GROUP_ID}:${today()}:0`], 5)
+    assert.equal(job.state, JobState.DONE)
+    assert.equal(job.attempts, 1)
+
+    const cache = JSON.parse(await redis.get(`Yz:groupManager:batch:${GROUP_ID}:${today()}:0`))
+    assert.equal(cache.success, true)
+    assert.equal(cache.topics.length, job.result.topics)
+  })
+
+  it('批次分析重试用尽后记录失败标记', async () => {
+    const messageCollector = await getMessageCollector()
+    await pushMessages(30)
+    // AI 调用失败时分析器返回空结果且没有用量
+    for (const analyzer of [await getTopicAnalyzer(), await getGoldenQuoteAnalyzer()]) {
+      mock.method(analyzer, 'analyze', async () => ({ topics: [], goldenQuotes: [], usage: null }))
+    }
+
+    await messageCollector.checkThresholdTrigger(GROUP_ID)
+
+    const jobQueue = await getJobQueue()
+    const [job] = await jobQueue.waitFor([`batch:${GROUP_ID}:${today()}:0`], 5)
+    assert.equal(job.state, JobState.FAILED)
+    assert.equal(job.attempts, 3)
+
+    const cache = JSON.parse(await redis.get(`Yz:groupManager:batch:${GROUP_ID}:${today()}:0`))
+    assert.equal(cache.success, false)
+  })
+
+  it('定时报告为每个白名单群执行一个任务', async () => {
+    configure({ schedule: { enabled: true, whitelist: [GROUP_ID, GROUP_ID + 1], minMessages: 10 } })
+    await pushMessages(20)
+
+    await new ReportPlugin().scheduledReport()
+
+    const jobQueue = await getJobQueue()
+    const [generated, skipped] = await Promise.all([
+      jobQueue.getJob(`report:${GROUP_ID}:${today()}`),
+      jobQueue.getJob(`report:${GROUP_ID + 1}:${today()}`)
+    ])
+    assert.equal(generated.state, JobState.DONE)
+    assert.equal(generated.result.status, 'success')
+    assert.equal(skipped.result.status, 'skipped')
+
+    const messageCollector = await getMessageCollector()
+    const report = await messageCollector.redisHelper.getReport(GROUP_ID, today())
+    assert.equal(report.messageCount, 20)
+  })
+
+  it('定时报告等待超时后统计未完成的任务', async () => {
+    configure({ schedule: { enabled: true, whitelist: [GROUP_ID], minMessages: 10 } })
+    const jobQueue = await getJobQueue()
+    const getMaxWaitTime = mock.method(jobQueue, 'getMaxWaitTime', () => 0.05)
+    const plugin = new ReportPlugin()
+    mock.method(plugin, 'generateScheduledReport', async groupId => {
+      await sleep(300)
+      return { groupId, status: 'success' }
+    })
+
+    const summary = await plugin.scheduledReport()
+
+    assert.deepEqual(getMaxWaitTime.mock.calls[0].arguments, ['scheduledReport', 15 * 60, 1])
+    assert.deepEqual(summary, { total: 1, success: 0, failed: 0, skipped: 0, unfinished: 1 })
+    // 任务留在队列中继续执行
+    const [job] = await jobQueue.waitFor([`report:${GROUP_ID}:${today()}`], 5)
+    assert.equal(job.state, JobState.DONE)
+  })
+})
@@ -0,0 +1,128 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import moment from 'moment'
+import StatisticsService from '../services/StatisticsService.js'
+import { makeMessage } from './helpers.js'
+
+const at = (hour, minute = 0) => moment().startOf('day').add(hour, 'hours').add(minute, 'minutes').unix()
+
+describe('StatisticsService.analyze', () => {
+  const service = new StatisticsService({ night_start_hour: 0, night_end_hour: 6 })
+
+  it('空消息列表返回空统计', () => {
+    const stats = service.analyze([])
+    assert.equal(stats.basic.totalMessages, 0)
+    assert.deepEqual(stats.users, [])
+    assert.deepEqual(stats.topUsers, [])
+    assert.equal(stats.hourly.hourlyCount.length, 24)
+    assert.equal(stats.hourly.peakPeriod, '00:00-01:00')
+  })
+
+  it('统计消息数、人数、字数和回复率', () => {
+    const stats = service.analyze([
+      makeMessage({ user_id: 1, nickname: 'A', message: '12345', time: at(9) }),
+      makeMessage({ user_id: 1, nickname: 'A', message: '123', time: at(9, 5), hasReply: true }),
+      makeMessage({ user_id: 2, nickname: 'B', message: '1', time: at(10) }),
+      makeMessage({ user_id: 3, nickname: 'C', message: '12', time: at(10, 1), hasReply: true })
+    ])
+
+    assert.equal(stats.basic.totalMessages, 4)
+    assert.equal(stats.basic.totalUsers, 3)
+    assert.equal(stats.basic.totalChars, 11)
+    assert.equal(stats.basic.totalReplies, 2)
+    assert.equal(stats.basic.replyRatio, 0.5)
+    assert.equal(stats.basic.avgCharsPerMsg, '2.8')
+  })
+
+  it('按小时分布并找出峰值时段', () => {
+    const stats = service.analyze([
+      makeMessage({ time: at(8) }),
+      makeMessage({ time: at(21) }),
+      makeMessage({ time: at(21, 10) }),
+      makeMessage({ time: at(21, 20) }),
+      makeMessage({ time: at(22) }),
+      makeMessage({ time: at(22, 30) })
+    ])
+
+    assert.equal(stats.hourly.hourlyCount[8], 1)
+    assert.equal(stats.hourly.hourlyCount[21], 3)
+    assert.equal(stats.hourly.peakHour, 21)
+    assert.equal(stats.hourly.peakCount, 3)
+    assert.equal(stats.hourly.peakPeriod, '21:00-22:00')
+    assert.equal(stats.hourly.hourlyActivity[21], 'high')
+    assert.equal(stats.hourly.hourlyActivity[22], 'medium')
+    assert.equal(stats.hourly.hourlyActivity[8], 'low')
+    assert.equal(stats.hourly.hourlyActivity[0], 'none')
+  })
+
+  it('优先使用消息中保存的 hour 字段', () => {
+    const stats = service.analyze([makeMessage({ time: at(12), hour: 3 })])
+    assert.equal(stats.hourly.hourlyCount[3], 1)
+    assert.equal(stats.hourly.hourlyCount[12], 0)
+  })
+
+  it('计算成员夜间发言比例和最活跃时段', () => {
+    const stats = service.analyze([
+      makeMessage({ user_id: 1, time: at(1) }),
+      makeMessage({ user_id: 1, time: at(2) }),
+      makeMessage({ user_id: 1, time: at(2, 30) }),
+      makeMessage({ user_id: 1, time: at(14) }),
+      makeMessage({ user_id: 2, time: at(6) })
+    ])
+
+    const night = stats.users.find(user => user.user_id === 1)
+    assert.equal(night.nightCount, 3)
+    assert.equal(night.nightRatio, '0.75')
+    assert.equal(night.mostActiveHour, 2)
+
+    // 夜间区间不含结束小时
+    const early = stats.users.find(user => user.user_id === 2)
+    assert.equal(early.nightCount, 0)
+  })
+
+  it('汇总表情并计算成员表情比例', () => {
+    const stats = service.analyze([
+      makeMessage({ user_id: 1, faces: { face: ['178', '14'], mface: ['https://gchat.qpic.cn/x'], emoji: [3], total: 6 } }),
+      makeMessage({ user_id: 1, faces: { face: [], mface: [], emoji: [1], total: 1 } }),
+      makeMessage({ user_id: 2 })
+    ])
+
+    assert.deepEqual(stats.emoji, { face: 2, mface: 1, emoji: 4, total: 7 })
+    assert.equal(stats.basic.totalEmojis, 7)
+    assert.equal(stats.users.find(user => user.user_id === 1).emojiRatio, '3.50')
+  })
+
+  it('按来源统计链接分享并标记重复分享', () => {
+    const link = { type: 'miniapp', source: '哔哩哔哩', title: '这才是真正的夏天', url: 'https://b23.tv/AbCdEfG' }
+    const stats = service.analyze([
+      makeMessage({ user_id: 1, nickname: 'A', links: [link] }),
+      makeMessage({ user_id: 2, nickname: 'B', links: [{ ...link }, { type: 'music', source: 'QQ音乐', title: '晴天', url: null }] }),
+      makeMessage({ user_id: 3, nickname: 'C', links: [{ type: 'music', source: 'QQ音乐', title: '晴天', url: null }] }),
+      makeMessage({ user_id: 3, nickname: 'C', videos: [{ url: 'https://v' }] })
+    ])
+
+    assert.equal(stats.links.total, 4)
+    assert.deepEqual(stats.links.bySource, { 哔哩哔哩: 2, QQ音乐: 2 })
+    assert.deepEqual(stats.links.items.map(item => item.reshared), [false, true, false, true])
+    assert.equal(stats.links.items[1].nickname, 'B')
+    assert.equal(stats.videos, 1)
+
+    const user3 = stats.users.find(user => user.user_id === 3)
+    assert.equal(user3.linkCount, 1)
+    assert.equal(user3.videoCount, 1)
+    assert.equal(user3.shareRatio, '1.00')
+  })
+
+  it('按消息数排名成员', () => {
+    const stats = service.analyze([
+      makeMessage({ user_id: 1 }),
+      makeMessage({ user_id: 2 }),
+      makeMessage({ user_id: 2 }),
+      makeMessage({ user_id: 3 }),
+      makeMessage({ user_id: 3 }),
+      makeMessage({ user_id: 3 })
+    ])
+
+    assert.deepEqual(stats.topUsers.map(user => [user.user_id, user.rank]), [[3, 1], [2, 2], [1, 3]])
+  })
+})
@@ -0,0 +1,168 @@
+import { describe, it, before, after, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import MockAIServer from '../services/MockAIServer.js'
+import TopicMergeService from '../services/TopicMergeService.js'
+import { getTopicMergeService } from '../components/index.js'
+import { useConfig, resetEnvironment } from './helpers.js'
+
+const user = (user_id, nickname) => ({ user_id: String(user_id), nickname })
+
+const capsule = (userId, nickname) =>
+  `<span class="user-capsule"><img class="user-capsule-avatar" src="https://q1.qlogo.cn/g?b=qq&nk=${userId}&s=100" alt="${nickname}" onerror="this.style.display='none'"><span class="user-capsule-name">${nickname}</span></span>`
+
+const makeTopics = () => [
+  {
+    topic: '原神新版本',
+    contributors: [user(10001, '阿猫'), user(10002, '阿狗')],
+    detail: `${capsule(10001, '阿猫')} 和 ${capsule(10002, '阿狗')} 聊原神新版本的新角色和剧情`
+  },
+  {
+    topic: '周末爬山计划',
+    contributors: [user(10003, '小明')],
+    detail: '小明约大家周末去香山爬山，顺便拍照'
+  },
+  {
+    topic: '原神4.2更新讨论',
+    contributors: [user(10002, '阿狗'), user(10004, '小红'), user(10005, '老王')],
+    detail: '4.2 更新后的卡池和新角色强度，原神玩家各有看法'
+  },
+  {
+    topic: '午饭吃什么',
+    contributors: [user(10005, '老王')],
+    detail: '老王纠结中午点黄焖鸡还是麻辣烫'
+  },
+  {
+    topic: '香山爬山',
+    contributors: [user(10003, '小明'), user(10001, '阿猫')],
+    detail: '确定周六早上八点在香山脚下集合爬山'
+  }
+]
+
+describe('TopicMergeService 关键词合并', () => {
+  const service = new TopicMergeService(null)
+
+  before(() => {
+    useConfig()
+  })
+
+  it('名称不同但内容相同的话题合并，无关话题保持不变', async () => {
+    const topics = makeTopics()
+    const { topics: merged, usage } = await service.merge(topics)
+
+    assert.equal(usage, null)
+    assert.equal(merged.length, 3)
+    // 合并后的话题位于组内最早出现的位置，名称取参与者最多的话题
+    assert.deepEqual(merged.map(topic => topic.topic), ['原神4.2更新讨论', '香山爬山', '午饭吃什么'])
+    assert.equal(merged[2], topics[3])
+  })
+
+  it('参与者去重合并，描述按出现顺序拼接', async () => {
+    const topics = makeTopics()
+    const [genshin, hiking] = (await service.merge(topics)).topics
+
+    assert.deepEqual(genshin.contributors.map(c => c.nickname), ['阿猫', '阿狗', '小红', '老王'])
+    assert.equal(genshin.detail, `${topics[0].detail}\n\n[后续]: ${topics[2].detail}`)
+    assert.deepEqual(hiking.contributors.map(c => c.nickname), ['小明', '阿猫'])
+    assert.equal(hiking.detail, `${topics[1].detail}\n\n[后续]: ${topics[4].detail}`)
+  })
+
+  it('不修改传入的话题对象', async () => {
+    const topics = makeTopics()
+    const snapshot = structuredClone(topics)
+    await service.merge(topics)
+    assert.deepEqual(topics, snapshot)
+  })
+
+  it('名称相同或互相包含的话题直接合并', async () => {
+    const { topics } = await service.merge([
+      { topic: '周末爬山', contributors: [user(1, '甲')], detail: '第一批' },
+      { topic: '周末爬山！', contributors: [user(2, '乙')], detail: '第二批' }
+    ])
+    assert.equal(topics.length, 1)
+    assert.equal(topics[0].detail, '第一批\n\n[后续]: 第二批')
+  })
+
+  it('阈值越高合并越保守', async () => {
+    const strict = new TopicMergeService(null, { similarity: 0.9 })
+    const { topics } = await strict.merge(makeTopics())
+    assert.equal(topics.length, 5)
+  })
+
+  it('少于两个话题时原样返回', async () => {
+    const single = [{ topic: '原神', contributors: [], detail: '' }]
+    assert.deepEqual(await service.merge(single), { topics: single, usage: null })
+    assert.deepEqual(await service.merge(null), { topics: [], usage: null })
+  })
+})
+
+describe('TopicMergeService AI 整理', () => {
+  const server = new MockAIServer({ port: 0 })
+  let baseURL
+
+  before(async () => {
+    baseURL = await server.start()
+  })
+
+  after(async () => {
+    await resetEnvironment()
+    await server.stop()
+  })
+
+  beforeEach(async () => {
+    await resetEnvironment()
+  })
+
+  it('关键词合并后由 AI 合并同一件事的话题并重写描述', async () => {
+    useConfig({
+      ai: { apiKey: 'mock', baseURL, model: 'mock', llm_retries: 1, llm_backoff: 0.01 },
+      analysis: { topic: { merge: { similarity: 0.9, ai: true } } }
+    })
+    const service = await getTopicMergeService()
+
+    // 模拟服务按名称前两个字分组：两个原神话题合并，其余保持不变
+    const { topics, usage } = await service.merge(makeTopics(), { groupId: 900001 })
+
+    assert.deepEqual(topics.map(topic => topic.topic), ['原神新版本', '周末爬山计划', '午饭吃什么', '香山爬山'])
+    assert.deepEqual(topics[0].contributors.map(c => c.nickname), ['阿猫', '阿狗', '小红', '老王'])
+    assert.match(topics[0].detail, /合并了 2 个相关话题/)
+    assert.ok(usage.total_tokens > 0)
+  })
+
+  it('AI 返回的越界、重复序号被忽略，描述中的用户ID还原为头像胶囊', async () => {
+    const service = new TopicMergeService({}, { ai: true, similarity: 0.9 })
+    service.callAIForJSON = async prompt => {
+      // 发给 AI 的描述不包含 HTML，用户胶囊还原为 [用户ID]
+      assert.ok(!prompt.includes('<span'))
+      assert.ok(prompt.includes('[10001] 和 [10002] 聊原神新版本'))
+      return {
+        data: [
+          { members: [1, 3, 3, 9], topic: ' 原神4.2版本 ', detail: '[10001] 开了个头，[10004] 补充了卡池' },
+          { members: [3, 5], topic: '重复使用的序号', detail: '应被忽略' },
+          { members: [4], topic: '单个话题', detail: '应被忽略' }
+        ],
+        usage: { prompt_tokens: 1, completion_tokens: 1, total_tokens: 2 }
+      }
+    }
+
+    const { topics } = await service.merge(makeTopics())
+
+    assert.deepEqual(topics.map(topic => topic.topic), ['原神4.2版本', '周末爬山计划', '午饭吃什么', '香山爬山'])
+    assert.equal(topics[0].detail, `${capsule(10001, '阿猫')} 开了个头，${capsule(10004, '小红')} 补充了卡池`)
+  })
+
+  it('AI 调用失败时使用关键词合并结果', async () => {
+    const service = new TopicMergeService({}, { ai: true })
+    service.callAIForJSON = async () => {
+      throw new Error('超时')
+    }
+
+    const { topics, usage } = await service.merge(makeTopics())
+    assert.equal(topics.length, 3)
+    assert.equal(usage, null)
+  })
+
+  it('禁用后不创建服务', async () => {
+    useConfig({ analysis: { topic: { merge: { enabled: false } } } })
+    assert.equal(await getTopicMergeService(), null)
+  })
+})
@@ -0,0 +1,33 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import MockAIServer from '../services/MockAIServer.js'
+import AIService from '../services/aiService.js'
+
+describe('AIService 故障转移', () => {
+  const server = new MockAIServer({ port: 0 })
+
+  before(async () => {
+    await server.start()
+  })
+
+  after(async () => {
+    await server.stop()
+  })
+
+  it('限流的服务商只请求一次就切换到下一个服务商', async () => {
+    const service = new AIService({
+      providers: [
+        { name: 'limited', apiKey: 'mock', baseURL: server.baseURL, model: 'mock-429' },
+        { name: 'backup', apiKey: 'mock', baseURL: server.baseURL, model: 'mock' }
+      ]
+    })
+    await service.init()
+
+    const before = server.requestCount
+    const result = await service.chat('你好', 100, 0.7, 10)
+
+    assert.ok(result)
+    assert.equal(server.requestCount - before, 2)
+    assert.equal(service.providers[0].unhealthyUntil > Date.now(), true)
+  })
+})
@@ -0,0 +1,67 @@
+/**
+ * Bot / segment 替身
+ * 记录发送到群和好友的消息，供测试断言
+ */
+import { EventEmitter } from 'node:events'
+
+/**
+ * 创建 Bot 替身
+ * @param {Object} options - { uin, groups: { 群号: 群名 } }
+ */
+export function createBot(options = {}) {
+  const { uin = 10000, groups = {} } = options
+  const emitter = new EventEmitter()
+  const sent = []
+
+  const makeForwardMsg = msgList => ({ type: 'node', data: msgList })
+
+  const bot = {
+    uin,
+    // 发送记录：[{ target: 'group' | 'friend', id, message }]
+    sent,
+    groups: { ...groups },
+    on: (event, handler) => emitter.on(event, handler),
+    off: (event, handler) => emitter.off(event, handler),
+    emit: (event, data) => emitter.emit(event, data),
+    listenerCount: event => emitter.listenerCount(event),
+    makeForwardMsg,
+
+    pickGroup(groupId) {
+      if (!(groupId in bot.groups)) return null
+      return {
+        group_id: groupId,
+        getInfo: async () => ({ group_id: groupId, group_name: bot.groups[groupId] }),
+        sendMsg: async message => {
+          sent.push({ target: 'group', id: groupId, message })
+          return { message_id: `${groupId}_${sent.length}` }
+        },
+        makeForwardMsg
+      }
+    },
+
+    pickFriend(userId) {
+      return {
+        user_id: userId,
+        sendMsg: async message => {
+          sent.push({ target: 'friend', id: userId, message })
+          return { message_id: `${userId}_${sent.length}` }
+        },
+        makeForwardMsg
+      }
+    }
+  }
+
+  return bot
+}
+
+/**
+ * segment 替身（只构造消息段对象）
+ */
+export const segment = {
+  text: text => ({ type: 'text', text }),
+  image: file => ({ type: 'image', file }),
+  video: file => ({ type: 'video', file }),
+  file: (file, name) => ({ type: 'file', file, name }),
+  at: qq => ({ type: 'at', qq }),
+  reply: id => ({ type: 'reply', id })
+}
@@ -0,0 +1,15 @@
+/**
+ * Yunzai plugin 基类替身
+ * 测试时替换 ../../../lib/plugins/plugin.js，reply 的内容记录在 replies 中
+ */
+export default class plugin {
+  constructor(options = {}) {
+    Object.assign(this, options)
+    this.replies = []
+  }
+
+  async reply(message, quote = false) {
+    this.replies.push(message)
+    return { message_id: this.replies.length }
+  }
+}
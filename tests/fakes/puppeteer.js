@@ -0,0 +1,15 @@
+/**
+ * puppeteer 渲染替身
+ * 测试时替换 ../../../lib/puppeteer/puppeteer.js，不启动浏览器，只记录渲染参数
+ */
+const puppeteer = {
+  // 渲染记录：[{ name, data }]
+  renders: [],
+
+  async screenshot(name, data) {
+    puppeteer.renders.push({ name, data })
+    return { type: 'image', file: `${name}-${puppeteer.renders.length}.jpg` }
+  }
+}
+
+export default puppeteer
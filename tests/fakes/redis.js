@@ -0,0 +1,357 @@
+/**
+ * 内存版 Redis（模拟 node-redis v4 的常用命令）
+ * 支持字符串、列表、哈希、有序集合和过期时间
+ * 过期判断基于 Date.now()，测试中可用 node:test 的 mock.timers 推进时钟
+ */
+
+const TYPES = {
+  string: 'string',
+  list: 'list',
+  hash: 'hash',
+  zset: 'zset'
+}
+
+export default class FakeRedis {
+  constructor() {
+    this.store = new Map()
+    this.expiresAt = new Map()
+  }
+
+  /**
+   * 清空所有数据
+   */
+  async flushAll() {
+    this.store.clear()
+    this.expiresAt.clear()
+    return 'OK'
+  }
+
+  // ===== 内部方法 =====
+
+  /**
+   * 读取键（已过期时删除）
+   * @param {string} key - 键名
+   * @param {string} type - 期望类型
+   */
+  read(key, type) {
+    const expiresAt = this.expiresAt.get(key)
+    if (expiresAt !== undefined && expiresAt <= Date.now()) {
+      this.store.delete(key)
+      this.expiresAt.delete(key)
+    }
+
+    const entry = this.store.get(key)
+    if (!entry) return null
+    if (type && entry.type !== type) {
+      throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value')
+    }
+    return entry.value
+  }
+
+  /**
+   * 读取或创建键
+   * @param {string} key - 键名
+   * @param {string} type - 类型
+   * @param {Function} create - 创建初始值
+   */
+  ensure(key, type, create) {
+    const value = this.read(key, type)
+    if (value !== null) return value
+    const created = create()
+    this.store.set(key, { type, value: created })
+    return created
+  }
+
+  /**
+   * 写入字符串值
+   */
+  write(key, value) {
+    this.store.set(key, { type: TYPES.string, value: String(value) })
+    this.expiresAt.delete(key)
+  }
+
+  /**
+   * 集合为空时删除键（与 Redis 行为一致）
+   */
+  cleanup(key) {
+    const entry = this.store.get(key)
+    if (!entry) return
+    const size = entry.value instanceof Map ? entry.value.size : entry.value.length
+    if (entry.type !== TYPES.string && size === 0) {
+      this.store.delete(key)
+      this.expiresAt.delete(key)
+    }
+  }
+
+  // ===== 通用命令 =====
+
+  async exists(keys) {
+    return [].concat(keys).filter(key => this.read(key) !== null).length
+  }
+
+  async del(keys) {
+    let count = 0
+    for (const key of [].concat(keys)) {
+      if (this.read(key) !== null) count++
+      this.store.delete(key)
+      this.expiresAt.delete(key)
+    }
+    return count
+  }
+
+  async expire(key, seconds) {
+    if (this.read(key) === null) return false
+    this.expiresAt.set(key, Date.now() + seconds * 1000)
+    return true
+  }
+
+  async ttl(key) {
+    if (this.read(key) === null) return -2
+    const expiresAt = this.expiresAt.get(key)
+    if (expiresAt === undefined) return -1
+    return Math.ceil((expiresAt - Date.now()) / 1000)
+  }
+
+  async keys(pattern) {
+    const regex = new RegExp('^' + pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.') + '$')
+    return [...this.store.keys()].filter(key => this.read(key) !== null && regex.test(key))
+  }
+
+  // ===== 字符串 =====
+
+  async get(key) {
+    return this.read(key, TYPES.string)
+  }
+
+  /**
+   * 支持 node-redis 的 { EX, NX } 选项，也支持 ioredis 风格的位置参数 ('EX', 60, 'NX')
+   */
+  async set(key, value, ...args) {
+    const options = typeof args[0] === 'object' && args[0] !== null ? { ...args[0] } : {}
+    for (let i = 0; i < args.length; i++) {
+      const arg = typeof args[i] === 'string' ? args[i].toUpperCase() : null
+      if (arg === 'EX' || arg === 'PX') options[arg] = Number(args[++i])
+      else if (arg === 'NX' || arg === 'XX') options[arg] = true
+    }
+
+    const exists = this.read(key) !== null
+    if ((options.NX && exists) || (options.XX && !exists)) {
+      return null
+    }
+
+    this.write(key, value)
+    if (options.EX) this.expiresAt.set(key, Date.now() + options.EX * 1000)
+    if (options.PX) this.expiresAt.set(key, Date.now() + options.PX)
+    return 'OK'
+  }
+
+  async setEx(key, seconds, value) {
+    return this.set(key, value, { EX: seconds })
+  }
+
+  async incr(key) {
+    const value = (parseInt(this.read(key, TYPES.string)) || 0) + 1
+    const expiresAt = this.expiresAt.get(key)
+    this.write(key, value)
+    if (expiresAt !== undefined) this.expiresAt.set(key, expiresAt)
+    return value
+  }
+
+  // ===== 列表 =====
+
+  async rPush(key, values) {
+    const list = this.ensure(key, TYPES.list, () => [])
+    list.push(...[].concat(values).map(String))
+    return list.length
+  }
+
+  async lPush(key, values) {
+    const list = this.ensure(key, TYPES.list, () => [])
+    list.unshift(...[].concat(values).map(String).reverse())
+    return list.length
+  }
+
+  async lRange(key, start, stop) {
+    const list = this.read(key, TYPES.list) || []
+    const from = start < 0 ? Math.max(0, list.length + start) : start
+    const to = stop < 0 ? list.length + stop : stop
+    return list.slice(from, to + 1)
+  }
+
+  async lLen(key) {
+    return (this.read(key, TYPES.list) || []).length
+  }
+
+  async lSet(key, index, value) {
+    const list = this.read(key, TYPES.list)
+    const position = index < 0 ? (list?.length ?? 0) + index : index
+    if (!list || position < 0 || position >= list.length) {
+      throw new Error('ERR index out of range')
+    }
+    list[position] = String(value)
+    return 'OK'
+  }
+
+  async lTrim(key, start, stop) {
+    const list = await this.lRange(key, start, stop)
+    if (list.length === 0) {
+      await this.del(key)
+    } else {
+      this.store.get(key).value = list
+    }
+    return 'OK'
+  }
+
+  // ===== 哈希 =====
+
+  async hSet(key, field, value) {
+    const hash = this.ensure(key, TYPES.hash, () => new Map())
+    const entries = typeof field === 'object' ? Object.entries(field) : [[field, value]]
+    let added = 0
+    for (const [name, val] of entries) {
+      if (!hash.has(name)) added++
+      hash.set(name, String(val))
+    }
+    return added
+  }
+
+  async hSetNX(key, field, value) {
+    const hash = this.ensure(key, TYPES.hash, () => new Map())
+    if (hash.has(field)) return false
+    hash.set(field, String(value))
+    return true
+  }
+
+  async hGet(key, field) {
+    return this.read(key, TYPES.hash)?.get(field) ?? null
+  }
+
+  async hmGet(key, fields) {
+    const hash = this.read(key, TYPES.hash)
+    return [].concat(fields).map(field => hash?.get(field) ?? null)
+  }
+
+  async hGetAll(key) {
+    return Object.fromEntries(this.read(key, TYPES.hash) || [])
+  }
+
+  async hDel(key, fields) {
+    const hash = this.read(key, TYPES.hash)
+    if (!hash) return 0
+    let count = 0
+    for (const field of [].concat(fields)) {
+      if (hash.delete(field)) count++
+    }
+    this.cleanup(key)
+    return count
+  }
+
+  async hIncrBy(key, field, increment) {
+    const hash = this.ensure(key, TYPES.hash, () => new Map())
+    const value = (parseInt(hash.get(field)) || 0) + Number(increment)
+    hash.set(field, String(value))
+    return value
+  }
+
+  async hLen(key) {
+    return this.read(key, TYPES.hash)?.size || 0
+  }
+
+  // ===== 有序集合 =====
+
+  async zAdd(key, members) {
+    const zset = this.ensure(key, TYPES.zset, () => new Map())
+    let added = 0
+    for (const { score, value } of [].concat(members)) {
+      if (!zset.has(String(value))) added++
+      zset.set(String(value), Number(score))
+    }
+    return added
+  }
+
+  /**
+   * 按分数升序排列的成员
+   */
+  sorted(key) {
+    const zset = this.read(key, TYPES.zset)
+    if (!zset) return []
+    return [...zset.entries()]
+      .sort((a, b) => a[1] - b[1] || a[0].localeCompare(b[0]))
+  }
+
+  async zRange(key, start, stop) {
+    const members = this.sorted(key).map(([value]) => value)
+    const from = start < 0 ? Math.max(0, members.length + start) : start
+    const to = stop < 0 ? members.length + stop : stop
+    return members.slice(from, to + 1)
+  }
+
+  async zRangeByScore(key, min, max) {
+    const low = parseScore(min)
+    const high = parseScore(max)
+    return this.sorted(key)
+      .filter(([, score]) => score >= low && score <= high)
+      .map(([value]) => value)
+  }
+
+  async zRem(key, members) {
+    const zset = this.read(key, TYPES.zset)
+    if (!zset) return 0
+    let count = 0
+    for (const member of [].concat(members)) {
+      if (zset.delete(String(member))) count++
+    }
+    this.cleanup(key)
+    return count
+  }
+
+  async zRemRangeByScore(key, min, max) {
+    const members = await this.zRangeByScore(key, min, max)
+    return this.zRem(key, members)
+  }
+
+  async zCard(key) {
+    return this.read(key, TYPES.zset)?.size || 0
+  }
+
+  async zScore(key, member) {
+    return this.read(key, TYPES.zset)?.get(String(member)) ?? null
+  }
+
+  // ===== 事务 =====
+
+  /**
+   * 简化的 MULTI：收集命令，exec 时按顺序执行
+   */
+  multi() {
+    const commands = []
+    const proxy = new Proxy({}, {
+      get: (target, name) => {
+        if (name === 'exec') {
+          return async () => {
+            const results = []
+            for (const [command, args] of commands) {
+              results.push(await this[command](...args))
+            }
+            return results
+          }
+        }
+        if (typeof this[name] !== 'function') return undefined
+        return (...args) => {
+          commands.push([name, args])
+          return proxy
+        }
+      }
+    })
+    return proxy
+  }
+}
+
+/**
+ * 解析分数范围参数（支持 -inf / +inf）
+ */
+function parseScore(value) {
+  if (value === '-inf') return -Infinity
+  if (value === '+inf' || value === 'inf') return Infinity
+  return Number(value)
+}
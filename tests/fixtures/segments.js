@@ -0,0 +1,125 @@
+/**
+ * 真实协议端（NapCat / Lagrange / ICQQ）下发的消息段样本
+ * 字段保留原样（含 HTML 实体转义、rkey、raw.faceType 等），用于测试 MessageCollector.extractMessage
+ */
+
+export const text = { type: 'text', text: '今晚开黑吗' }
+
+export const textWithEmoji = { type: 'text', text: '冲冲冲😂😂🔥' }
+
+// QQ 客户端会把部分表情转成 [xxx] 文本
+export const textWithBracket = { type: 'text', text: '笑死[doge]我了' }
+
+export const at = { type: 'at', qq: '123456789', text: '@阿猫' }
+
+export const image = {
+  type: 'image',
+  file: 'B4C1E6A0F3D2E7C8A9B0C1D2E3F4A5B6.jpg',
+  url: 'https://multimedia.nt.qq.com.cn/download?appid=1407&fileid=EhSvqZ1xJ4t6h2pV&spec=0&rkey=CAQSKAB6JWENi5LMtWVWVxS2RfZbDwvOdlkneNX9iQFbjGK7q7lqRTTbmt0',
+  summary: '',
+  sub_type: 0,
+  file_size: '48213'
+}
+
+export const mface = {
+  type: 'image',
+  file: '6D1E8A4C2B0F9E7D5C3A1B8F6E4D2C0A.gif',
+  url: 'https://gchat.qpic.cn/gchatpic_new/0/0-0-6D1E8A4C2B0F9E7D5C3A1B8F6E4D2C0A/0',
+  summary: '[动画表情]',
+  sub_type: 1
+}
+
+export const face = {
+  type: 'face',
+  id: 178,
+  raw: { faceIndex: 178, faceText: '/斜眼笑', faceType: 2, packId: null, stickerId: null }
+}
+
+export const animatedFace = {
+  type: 'face',
+  id: 392,
+  raw: { faceIndex: 392, faceText: '/龙年快乐', faceType: 3, packId: '1', stickerId: '38', resultId: '' }
+}
+
+export const reply = { type: 'reply', id: '-2147480243' }
+
+// 哔哩哔哩小程序（字符串形式，逗号被转义为 &#44;）
+export const bilibiliMiniapp = {
+  type: 'json',
+  data: '{"app":"com.tencent.miniapp_01"&#44;"bizsrc":""&#44;"desc":""&#44;"prompt":"&#91;QQ小程序&#93;【4K】这才是真正的夏天"&#44;"ver":"1.0.0.19"&#44;"view":"view_8C8E89B49BE609866298ADDFF2DBABA4"&#44;"meta":{"detail_1":{"appid":"1109937557"&#44;"desc":"【4K】这才是真正的夏天"&#44;"icon":"https://open.gtimg.cn/open/app_icon/00/95/17/76/100951776_100_m.png?t=1715063436"&#44;"preview":"pubminishare-30161.picsz.qpic.cn/2b1d0c25-3d6a-4c6b-9a5e-1f2e3d4c5b6a"&#44;"qqdocurl":"https://b23.tv/AbCdEfG?share_medium=android&amp;share_source=qq"&#44;"title":"哔哩哔哩"&#44;"url":"m.q.qq.com/a/s/0b1c2d3e4f5a6b7c8d9e0f1a2b3c4d5e"}}&#44;"config":{"type":"normal"&#44;"width":0&#44;"height":0&#44;"forward":1&#44;"autoSize":0&#44;"ctime":1718001234&#44;"token":"0a1b2c3d4e5f"}}'
+}
+
+// 图文分享卡片（对象形式）
+export const newsCard = {
+  type: 'json',
+  data: {
+    app: 'com.tencent.tuwen.lua',
+    view: 'news',
+    prompt: '[分享]Node.js 22 发布',
+    meta: {
+      news: {
+        tag: '知乎',
+        title: 'Node.js 22 发布',
+        desc: 'require(esm) 终于来了',
+        jumpUrl: 'https://zhuanlan.zhihu.com/p/123456'
+      }
+    }
+  }
+}
+
+export const musicCard = {
+  type: 'json',
+  data: JSON.stringify({
+    app: 'com.tencent.structmsg',
+    view: 'music',
+    prompt: '[分享]晴天',
+    meta: {
+      music: {
+        tag: 'QQ音乐',
+        title: '晴天',
+        desc: '周杰伦',
+        jumpUrl: 'https://i.y.qq.com/v8/playsong.html?songmid=0039MnYb0qxYhV',
+        musicUrl: 'https://isure.stream.qqmusic.qq.com/C400.m4a'
+      }
+    }
+  })
+}
+
+// 以 JSON 卡片形式下发的合并转发
+export const forwardCard = {
+  type: 'json',
+  data: JSON.stringify({
+    app: 'com.tencent.multimsg',
+    config: { autosize: 1, forward: 1, round: 1, type: 'normal', width: 300 },
+    desc: '[聊天记录]',
+    meta: {
+      detail: {
+        news: [{ text: '阿猫: 这个bug复现了' }, { text: '阿狗: 我看看' }],
+        resid: 'Vq2bXx5n3Yk9mZpR7t1WcQ',
+        source: '群聊的聊天记录',
+        summary: '查看2条转发消息',
+        uniseq: '7a1b2c3d-4e5f-6a7b-8c9d-0e1f2a3b4c5d'
+      }
+    },
+    prompt: '[聊天记录]',
+    ver: '0.0.0.5',
+    view: 'contact'
+  })
+}
+
+// 协议端直接内联节点的合并转发
+export const inlineForward = {
+  type: 'forward',
+  id: '7412345678901234567',
+  content: [
+    { user_id: 111111, nickname: '阿猫', time: 1718000000, message: [{ type: 'text', text: '明天几点集合' }] },
+    { user_id: 222222, nickname: '阿狗', time: 1718000060, message: [{ type: 'text', text: '九点吧' }] }
+  ]
+}
+
+export const video = {
+  type: 'video',
+  file: '3f2e1d0c9b8a7f6e5d4c3b2a1f0e9d8c.mp4',
+  url: 'https://multimedia.nt.qq.com.cn/download?appid=1415&fileid=CgkxMjM0NTY3ODk&rkey=CAMSKLmxA',
+  name: '3f2e1d0c9b8a7f6e5d4c3b2a1f0e9d8c.mp4'
+}
@@ -0,0 +1,49 @@
+import { describe, it, before, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { ForwardSummaryPlugin } from '../apps/forward-summary.js'
+import * as seg from './fixtures/segments.js'
+import { useConfig, makeEvent } from './helpers.js'
+
+describe('ForwardSummaryPlugin 私聊自动总结', () => {
+  let plugin
+
+  const privateEvent = message => makeEvent(message, { message_type: 'private', isPrivate: true, group_id: undefined })
+
+  before(() => {
+    useConfig()
+    plugin = new ForwardSummaryPlugin()
+  })
+
+  afterEach(() => {
+    mock.restoreAll()
+  })
+
+  it('只对私聊消息匹配', () => {
+    const rule = plugin.rule.find(item => item.fnc === 'summarizePrivateForward')
+    assert.equal(rule.event, 'message.private')
+  })
+
+  it('识别转发消息段和合并转发卡片', () => {
+    assert.equal(plugin.hasForward([seg.inlineForward]), true)
+    assert.equal(plugin.hasForward([seg.forwardCard]), true)
+    assert.equal(plugin.hasForward([seg.bilibiliMiniapp]), false)
+    assert.equal(plugin.hasForward([{ type: 'text', text: '你好' }]), false)
+    assert.equal(plugin.hasForward(undefined), false)
+  })
+
+  it('没有合并转发的私聊消息直接放行', async () => {
+    const summarize = mock.method(plugin, 'summarize', async () => true)
+
+    assert.equal(await plugin.summarizePrivateForward(privateEvent([{ type: 'text', text: '你好' }])), false)
+    assert.equal(summarize.mock.callCount(), 0)
+  })
+
+  it('私聊收到合并转发时总结', async () => {
+    const summarize = mock.method(plugin, 'summarize', async () => true)
+
+    await plugin.summarizePrivateForward(privateEvent([seg.inlineForward]))
+
+    assert.equal(summarize.mock.callCount(), 1)
+    assert.equal(summarize.mock.calls[0].arguments[1].id, seg.inlineForward.id)
+  })
+})
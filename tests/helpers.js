@@ -0,0 +1,94 @@
+/**
+ * 测试辅助函数
+ */
+import fs from 'node:fs'
+import YAML from 'yaml'
+import moment from 'moment'
+import { Config } from '../components/index.js'
+import { SingletonServiceManager } from '../components/ServiceManager.js'
+import { DEFAULT_CONFIG_PATH } from '#paths'
+
+const defaults = YAML.parse(fs.readFileSync(DEFAULT_CONFIG_PATH, 'utf8')).groupManager
+
+/**
+ * 以默认配置为基础设置测试配置（不读写 config.yaml，也不启动文件监听）
+ * @param {Object} overrides - 覆盖项，结构与 groupManager 配置一致
+ * @returns {Object} 生效的配置
+ */
+export function useConfig(overrides = {}) {
+  Config.config = Config.deepMerge(structuredClone(overrides), structuredClone(defaults))
+  return Config.config
+}
+
+/**
+ * 重置测试环境：重置所有单例服务（下次获取时按当前配置重新初始化）并清空 Redis、Bot 发送记录
+ */
+export async function resetEnvironment() {
+  await SingletonServiceManager.resetAll()
+  await redis.flushAll()
+  Bot.sent.length = 0
+}
+
+/**
+ * 今天的日期 (YYYY-MM-DD)
+ */
+export function today() {
+  return moment().format('YYYY-MM-DD')
+}
+
+/**
+ * 构造 MessageCollector 保存格式的消息
+ * @param {Object} fields - 覆盖字段
+ */
+export function makeMessage(fields = {}) {
+  const time = fields.time ?? moment().startOf('day').add(10, 'hours').unix()
+  const message = fields.message ?? '随便聊聊'
+  return {
+    user_id: 10001,
+    nickname: '阿猫',
+    message,
+    time,
+    hour: new Date(time * 1000).getHours(),
+    length: message.length,
+    hasReply: false,
+    faces: { face: [], mface: [], emoji: [], total: 0 },
+    links: [],
+    videos: [],
+    ...fields
+  }
+}
+
+/**
+ * 构造多名成员轮流发言的消息列表（内容各不相同，便于追踪哪些消息被送去分析）
+ * @param {number} count - 消息数
+ * @param {Object} options - { users: 成员数, startTime: 起始时间戳(秒), interval: 间隔(秒) }
+ */
+export function makeConversation(count, options = {}) {
+  const { users = 4, startTime = moment().startOf('day').add(9, 'hours').unix(), interval = 30 } = options
+  return Array.from({ length: count }, (_, i) => {
+    const userIndex = i % users
+    return makeMessage({
+      user_id: 10001 + userIndex,
+      nickname: `成员${userIndex + 1}`,
+      message: `第${i}条消息：聊聊周末去哪里爬山顺便拍照`,
+      time: startTime + i * interval
+    })
+  })
+}
+
+/**
+ * 构造群消息事件
+ * @param {Array} message - 消息段
+ * @param {Object} fields - 覆盖字段
+ */
+export function makeEvent(message, fields = {}) {
+  return {
+    message_type: 'group',
+    group_id: 900001,
+    user_id: 10001,
+    sender: { user_id: 10001, nickname: '阿猫', card: '' },
+    time: moment().unix(),
+    message,
+    ...fields
+  }
+}
@@ -0,0 +1,20 @@
+/**
+ * 模块解析钩子
+ * 插件通过相对路径引用 Yunzai 的 plugin 和 puppeteer，测试环境中没有宿主框架，替换为 tests/fakes 下的替身
+ */
+
+const FAKES = {
+  'lib/plugins/plugin.js': new URL('./fakes/plugin.js', import.meta.url).href,
+  'lib/puppeteer/puppeteer.js': new URL('./fakes/puppeteer.js', import.meta.url).href
+}
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier.startsWith('../../../')) {
+    for (const [suffix, url] of Object.entries(FAKES)) {
+      if (specifier.endsWith(suffix)) {
+        return { url, shortCircuit: true }
+      }
+    }
+  }
+  return nextResolve(specifier, context)
+}
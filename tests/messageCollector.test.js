@@ -0,0 +1,129 @@
+import { describe, it, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import MessageCollector from '../services/messageCollector.js'
+import * as seg from './fixtures/segments.js'
+import { makeEvent, resetEnvironment } from './helpers.js'
+
+const createCollector = (messageCollection = {}) => new MessageCollector({
+  messageCollection: {
+    collectImages: true,
+    collectFaces: true,
+    collectLinks: true,
+    collectVideos: true,
+    ...messageCollection
+  }
+})
+
+describe('MessageCollector.extractMessage', () => {
+  const collector = createCollector()
+
+  it('拼接文本并移除 [xxx] 占位符', () => {
+    const result = collector.extractMessage(makeEvent([seg.at, seg.textWithBracket, seg.text]))
+    assert.equal(result.text, '笑死我了今晚开黑吗')
+    assert.deepEqual(result.atUsers, ['123456789'])
+    assert.equal(result.atAll, false)
+  })
+
+  it('区分普通图片和动画表情', () => {
+    const result = collector.extractMessage(makeEvent([seg.image, seg.mface]))
+    assert.deepEqual(result.images, [seg.image.url])
+    assert.deepEqual(result.faces.mface, [seg.mface.url])
+    assert.equal(result.faces.total, 1)
+  })
+
+  it('统计 QQ 表情和文本中的 Emoji', () => {
+    const result = collector.extractMessage(makeEvent([seg.face, seg.animatedFace, seg.textWithEmoji]))
+    assert.deepEqual(result.faces.face, ['178', '392'])
+    assert.deepEqual(result.faces.emoji, [3])
+    assert.equal(result.faces.total, 5)
+    assert.equal(result.text, '冲冲冲😂😂🔥')
+  })
+
+  it('识别回复消息', () => {
+    assert.equal(collector.extractMessage(makeEvent([seg.reply, seg.text])).hasReply, true)
+    assert.equal(collector.extractMessage(makeEvent([seg.text])).hasReply, false)
+  })
+
+  it('解析转义过的小程序卡片', () => {
+    const { links } = collector.extractMessage(makeEvent([seg.bilibiliMiniapp]))
+    assert.deepEqual(links, [{
+      type: 'miniapp',
+      source: '哔哩哔哩',
+      title: '【4K】这才是真正的夏天',
+      url: 'https://b23.tv/AbCdEfG?share_medium=android&share_source=qq'
+    }])
+  })
+
+  it('解析图文和音乐分享卡片', () => {
+    const { links } = collector.extractMessage(makeEvent([seg.newsCard, seg.musicCard]))
+    assert.deepEqual(links, [
+      { type: 'link', source: '知乎', title: 'Node.js 22 发布', url: 'https://zhuanlan.zhihu.com/p/123456' },
+      { type: 'music', source: 'QQ音乐', title: '晴天', url: 'https://i.y.qq.com/v8/playsong.html?songmid=0039MnYb0qxYhV' }
+    ])
+  })
+
+  it('合并转发卡片和内联转发记为转发而不是链接', () => {
+    const result = collector.extractMessage(makeEvent([seg.forwardCard, seg.inlineForward]))
+    assert.deepEqual(result.links, [])
+    assert.deepEqual(result.forwards, [
+      { id: 'Vq2bXx5n3Yk9mZpR7t1WcQ' },
+      { id: seg.inlineForward.id, content: seg.inlineForward.content }
+    ])
+  })
+
+  it('收集视频', () => {
+    const { videos } = collector.extractMessage(makeEvent([seg.video]))
+    assert.deepEqual(videos, [{ url: seg.video.url, file: seg.video.file, name: seg.video.name }])
+  })
+
+  it('按配置关闭图片、表情、链接和视频收集', () => {
+    const quiet = createCollector({ collectImages: false, collectFaces: false, collectLinks: false, collectVideos: false })
+    const result = quiet.extractMessage(makeEvent([seg.image, seg.mface, seg.face, seg.textWithEmoji, seg.bilibiliMiniapp, seg.video, seg.forwardCard]))
+
+    assert.deepEqual(result.images, [])
+    assert.deepEqual(result.faces, { face: [], mface: [], emoji: [], total: 0 })
+    assert.deepEqual(result.links, [])
+    assert.deepEqual(result.videos, [])
+    // 转发不受链接开关影响
+    assert.equal(result.forwards.length, 1)
+  })
+
+  it('超长文本按 maxMessageLength 截断', () => {
+    const short = createCollector({ maxMessageLength: 10 })
+    const result = short.extractMessage(makeEvent([{ type: 'text', text: '一二三四五六七八九十十一' }]))
+    assert.equal(result.text, '一二三四五六七八九十...')
+  })
+
+  it('@全体成员', () => {
+    assert.equal(collector.extractMessage(makeEvent([seg.text], { atall: true })).atAll, true)
+  })
+})
+
+describe('MessageCollector.handleMessage 合并转发', () => {
+  const collector = createCollector({ collectForwards: true })
+
+  beforeEach(async () => {
+    await resetEnvironment()
+  })
+
+  it('先保存消息，展开合并转发后再补充到记录中', async () => {
+    let resolveForward
+    const bot = {
+      getForwardMsg: () => new Promise(resolve => { resolveForward = resolve })
+    }
+
+    await collector.handleMessage(makeEvent([seg.forwardCard], { bot }))
+
+    // 协议端尚未返回时消息已经保存
+    let [saved] = await collector.redisHelper.getMessages(900001)
+    assert.equal(saved.message, '[合并转发]')
+    assert.equal(saved.forward, undefined)
+
+    resolveForward(seg.inlineForward.content)
+    await new Promise(resolve => setImmediate(resolve))
+
+    ;[saved] = await collector.redisHelper.getMessages(900001)
+    assert.equal(saved.forward.count, 2)
+    assert.deepEqual(saved.forward.nodes.map(node => node.message), ['明天几点集合', '九点吧'])
+  })
+})
@@ -0,0 +1,157 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import moment from 'moment'
+import RedisHelper from '../utils/redisHelper.js'
+import { resetEnvironment } from './helpers.js'
+
+const HOUR = 3600
+
+describe('RedisHelper 艾特记录过期', () => {
+  const helper = new RedisHelper(7, 24)
+  const groupId = 900001
+  const userId = '20001'
+  let now
+
+  beforeEach(async () => {
+    await resetEnvironment()
+    now = moment().startOf('minute').valueOf()
+    mock.timers.enable({ apis: ['Date'], now })
+  })
+
+  afterEach(() => {
+    mock.timers.reset()
+  })
+
+  const atData = (time, message = '@你 看群公告') => ({
+    user_id: 10001,
+    nickname: '阿猫',
+    message,
+    time,
+    images: [],
+    faces: {},
+    messageId: 'msg1'
+  })
+
+  it('已超过保留时间的艾特不保存', async () => {
+    const time = moment(now).subtract(25, 'hours').unix()
+    assert.equal(await helper.saveAtRecord(groupId, userId, atData(time)), null)
+    assert.equal(await redis.exists(helper.getAtIndexKey(groupId, userId)), 0)
+  })
+
+  it('按消息发送时间计算过期，索引比数据多保留 1 小时', async () => {
+    const time = moment(now).subtract(23, 'hours').unix()
+    const recordId = await helper.saveAtRecord(groupId, userId, atData(time))
+
+    assert.equal(recordId, `${groupId}_${userId}_${time}`)
+    assert.equal(await redis.ttl(helper.getAtDataKey(recordId)), HOUR)
+    assert.equal(await redis.ttl(helper.getAtIndexKey(groupId, userId)), 2 * HOUR)
+
+    const records = await helper.getAtRecords(groupId, userId)
+    assert.equal(records.length, 1)
+    assert.equal(records[0].user_id, 10001)
+    assert.equal(records[0].message, '@你 看群公告')
+    assert.deepEqual(records[0].contextMessages, [])
+  })
+
+  it('数据过期后查询为空并清理索引', async () => {
+    const older = moment(now).subtract(23, 'hours').unix()
+    const newer = moment(now).subtract(1, 'hours').unix()
+    await helper.saveAtRecord(groupId, userId, atData(older, '旧的'))
+    await helper.saveAtRecord(groupId, userId, atData(newer, '新的'))
+
+    // 新记录延长了索引过期时间
+    assert.equal(await redis.ttl(helper.getAtIndexKey(groupId, userId)), 24 * HOUR)
+
+    mock.timers.tick((HOUR + 1) * 1000)
+    const records = await helper.getAtRecords(groupId, userId)
+    assert.deepEqual(records.map(record => record.message), ['新的'])
+
+    // 旧记录已超出查询窗口，不会被误删；只有窗口内数据已消失的 ID 才会从索引中清理
+    await redis.zAdd(helper.getAtIndexKey(groupId, userId), { score: newer, value: 'ghost' })
+    await helper.getAtRecords(groupId, userId)
+    assert.equal(await redis.zScore(helper.getAtIndexKey(groupId, userId), 'ghost'), null)
+
+    mock.timers.tick(23 * HOUR * 1000)
+    assert.equal(await helper.getAtRecords(groupId, userId), null)
+  })
+
+  it('清除艾特记录会删除索引和所有数据键', async () => {
+    const first = await helper.saveAtRecord(groupId, userId, atData(moment(now).subtract(2, 'hours').unix()))
+    const second = await helper.saveAtRecord(groupId, userId, atData(moment(now).subtract(1, 'hours').unix()))
+
+    assert.equal(await helper.clearAtRecords(groupId, userId), 2)
+    assert.equal(await redis.exists([helper.getAtIndexKey(groupId, userId), helper.getAtDataKey(first), helper.getAtDataKey(second)]), 0)
+  })
+})
+
+describe('RedisHelper 群消息存储', () => {
+  const helper = new RedisHelper(7, 24)
+
+  beforeEach(async () => {
+    await resetEnvironment()
+    mock.timers.enable({ apis: ['Date'], now: moment().startOf('day').add(12, 'hours').valueOf() })
+  })
+
+  afterEach(() => {
+    mock.timers.reset()
+  })
+
+  it('只在首次写入时设置过期时间', async () => {
+    const key = helper.getMessageKey(900001)
+    await helper.saveMessage(900001, { message: '第一条' })
+    assert.equal(await redis.ttl(key), 7 * 24 * HOUR)
+
+    mock.timers.tick(HOUR * 1000)
+    await helper.saveMessage(900001, { message: '第二条' })
+    assert.equal(await redis.ttl(key), 7 * 24 * HOUR - HOUR)
+  })
+
+  it('多日查询按日期正序返回', async () => {
+    const yesterday = moment().subtract(1, 'days').format('YYYY-MM-DD')
+    await redis.rPush(helper.getMessageKey(900001, yesterday), JSON.stringify({ message: '昨天' }))
+    await helper.saveMessage(900001, { message: '今天' })
+
+    const messages = await helper.getMessages(900001, 2)
+    assert.deepEqual(messages.map(msg => msg.message), ['昨天', '今天'])
+  })
+
+  it('按保存时的位置更新消息，跨日后仍写回原日期', async () => {
+    const location = await helper.saveMessage(900001, { message: '第一条' })
+    await helper.saveMessage(900001, { message: '第二条' })
+
+    mock.timers.tick(24 * HOUR * 1000)
+    assert.equal(await helper.updateMessage(900001, location, { message: '第一条', forward: { count: 2 } }), true)
+
+    const messages = await helper.getMessages(900001, 1, moment().subtract(1, 'days').format('YYYY-MM-DD'))
+    assert.deepEqual(messages, [{ message: '第一条', forward: { count: 2 } }, { message: '第二条' }])
+  })
+
+  it('消息已过期时不再更新', async () => {
+    const location = await helper.saveMessage(900001, { message: '第一条' })
+    await redis.del(helper.getMessageKey(900001))
+
+    assert.equal(await helper.updateMessage(900001, location, { message: '第一条' }), false)
+    assert.equal(await redis.exists(helper.getMessageKey(900001)), 0)
+  })
+})
+
+describe('RedisHelper 报告存储', () => {
+  const helper = new RedisHelper(7, 24)
+
+  beforeEach(async () => {
+    await resetEnvironment()
+  })
+
+  it('不保存分享明细，保留分享统计', async () => {
+    const items = Array.from({ length: 500 }, (_, i) => ({ source: 'B站', title: `视频${i}`, url: `https://b23.tv/${i}` }))
+    await helper.saveReport(900001, '2024-01-01', {
+      stats: { basic: { totalMessages: 600 }, links: { total: 500, bySource: { B站: 500 }, items } },
+      extensions: { sharedLinks: items.slice(0, 20) }
+    })
+
+    const report = await helper.getReport(900001, '2024-01-01')
+    assert.deepEqual(report.stats.links, { total: 500, bySource: { B站: 500 } })
+    assert.equal(report.stats.basic.totalMessages, 600)
+    assert.equal(report.extensions.sharedLinks.length, 20)
+  })
+})
@@ -0,0 +1,227 @@
+/**
+ * 批次缓存回归测试
+ * 消息达到 maxMessages 的整数倍时预先分析并缓存该批次，生成报告时只需分析剩余的增量消息
+ */
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import MockAIServer from '../services/MockAIServer.js'
+import { ReportPlugin } from '../apps/report.js'
+import { getMessageCollector, getTopicAnalyzer, getGoldenQuoteAnalyzer } from '../components/index.js'
+import { useConfig, resetEnvironment, today, makeConversation } from './helpers.js'
+
+const GROUP_ID = 900001
+const MAX_MESSAGES = 60
+const TOTAL = 130
+
+const batchKey = (date, index) => `Yz:groupManager:batch:${GROUP_ID}:${date}:${index}`
+
+describe('批次缓存', () => {
+  const server = new MockAIServer({ port: 0 })
+  let messageCollector
+  let report
+  let messages
+  let date
+  let requests
+
+  /**
+   * 使用模拟 AI 服务的测试配置
+   * 模拟话题内容几乎相同，默认关闭相似话题合并以便核对各批次的话题
+   */
+  const configure = (merge = false) => useConfig({
+    ai: { apiKey: 'mock', baseURL: server.baseURL, model: 'mock', maxMessages: MAX_MESSAGES, llm_retries: 1, llm_backoff: 0.01 },
+    analysis: { min_messages_threshold: 10, topic: { merge: { enabled: merge } } }
+  })
+
+  before(async () => {
+    await server.start()
+  })
+
+  after(async () => {
+    await resetEnvironment()
+    await server.stop()
+  })
+
+  beforeEach(async () => {
+    configure()
+    await resetEnvironment()
+    date = today()
+    messageCollector = await getMessageCollector()
+    report = new ReportPlugin()
+    for (const message of makeConversation(TOTAL)) {
+      await messageCollector.redisHelper.saveMessage(GROUP_ID, message)
+    }
+    messages = await messageCollector.getMessages(GROUP_ID, 1, date)
+
+    // 记录送去做话题/金句分析的消息序号
+    requests = []
+    const generate = server.generate.bind(server)
+    mock.method(server, 'generate', (prompt, schema, name) => {
+      if (name === 'TopicAnalyzer' || name === 'GoldenQuoteAnalyzer') {
+        const indexes = [...prompt.matchAll(/第(\d+)条消息/g)].map(match => Number(match[1]))
+        requests.push({ name, indexes })
+      }
+      return generate(prompt, schema, name)
+    })
+  })
+
+  afterEach(() => {
+    mock.restoreAll()
+  })
+
+  /**
+   * 本次请求中被分析过的消息序号（去重）
+   */
+  const analyzedIndexes = () => [...new Set(requests.flatMap(request => request.indexes))].sort((a, b) => a - b)
+
+  const range = (start, end) => Array.from({ length: end - start }, (_, i) => start + i)
+
+  it('预分析写入批次缓存，后续批次带 50 条上下文', async () => {
+    await messageCollector.triggerPartialAnalysis(GROUP_ID, 0, date)
+    await messageCollector.triggerPartialAnalysis(GROUP_ID, 1, date)
+
+    const batch0 = JSON.parse(await redis.get(batchKey(date, 0)))
+    const batch1 = JSON.parse(await redis.get(batchKey(date, 1)))
+
+    assert.equal(batch0.success, true)
+    assert.equal(batch0.batchIndex, 0)
+    assert.equal(batch0.startIndex, 0)
+    assert.equal(batch0.endIndex, MAX_MESSAGES)
+    assert.equal(batch0.messageCount, MAX_MESSAGES)
+    assert.ok(batch0.topics.length > 0)
+    assert.ok(batch0.goldenQuotes.length > 0)
+    assert.ok(batch0.tokenUsage.total_tokens > 0)
+    assert.equal(typeof batch0.analyzedAt, 'number')
+
+    assert.equal(batch1.startIndex, MAX_MESSAGES)
+    assert.equal(batch1.endIndex, MAX_MESSAGES * 2)
+    assert.equal(batch1.messageCount, MAX_MESSAGES + 50)
+    assert.equal(await redis.ttl(batchKey(date, 1)), 86400)
+
+    assert.deepEqual(analyzedIndexes(), range(0, MAX_MESSAGES * 2))
+  })
+
+  it('生成报告时复用批次缓存，只分析增量消息', async () => {
+    await messageCollector.triggerPartialAnalysis(GROUP_ID, 0, date)
+    await messageCollector.triggerPartialAnalysis(GROUP_ID, 1, date)
+    const batch0 = JSON.parse(await redis.get(batchKey(date, 0)))
+    const batch1 = JSON.parse(await redis.get(batchKey(date, 1)))
+    requests.length = 0
+
+    const result = await report.performAnalysis(messages, 1, GROUP_ID, date)
+
+    assert.equal(result.useIncrementalAnalysis, true)
+    // 增量部分：最后一个完整批次末尾的 50 条上下文 + 剩余消息
+    assert.deepEqual(analyzedIndexes(), range(MAX_MESSAGES * 2 - 50, TOTAL))
+    assert.deepEqual(requests.map(request => request.name).sort(), ['GoldenQuoteAnalyzer', 'TopicAnalyzer'])
+
+    // 缓存中的话题和金句都保留在最终结果里
+    const topicNames = result.topics.map(topic => topic.topic)
+    for (const topic of [...batch0.topics, ...batch1.topics]) {
+      assert.ok(topicNames.includes(topic.topic), `缺少批次话题 ${topic.topic}`)
+    }
+    // 金句由各批次与增量部分轮流入选，每个批次最精彩的金句都保留在最终结果里
+    const quoteTexts = result.goldenQuotes.map(quote => quote.quote)
+    assert.equal(quoteTexts.length, 5)
+    for (const batch of [batch0, batch1]) {
+      assert.ok(quoteTexts.includes(batch.goldenQuotes[0].quote), `缺少批次金句 ${batch.goldenQuotes[0].quote}`)
+    }
+
+    // 总用量包含批次缓存的用量
+    assert.ok(result.tokenUsage.total_tokens > batch0.tokenUsage.total_tokens + batch1.tokenUsage.total_tokens)
+  })
+
+  it('开启话题合并时合并各批次的相似话题', async () => {
+    configure(true)
+    await messageCollector.triggerPartialAnalysis(GROUP_ID, 0, date)
+    await messageCollector.triggerPartialAnalysis(GROUP_ID, 1, date)
+    const batch0 = JSON.parse(await redis.get(batchKey(date, 0)))
+    const batch1 = JSON.parse(await redis.get(batchKey(date, 1)))
+
+    const result = await report.performAnalysis(messages, 1, GROUP_ID, date)
+
+    // 模拟话题都围绕同一句话，合并为一个话题，参与者合并去重
+    assert.equal(result.topics.length, 1)
+    const contributors = new Set([...batch0.topics, ...batch1.topics].flatMap(topic => topic.contributors.map(c => c.user_id)))
+    assert.deepEqual(new Set(result.topics[0].contributors.map(c => c.user_id)), contributors)
+  })
+
+  it('缺失的批次在生成报告时补全并写入缓存', async () => {
+    await messageCollector.triggerPartialAnalysis(GROUP_ID, 0, date)
+    requests.length = 0
+
+    const result = await report.performAnalysis(messages, 1, GROUP_ID, date)
+
+    assert.equal(result.useIncrementalAnalysis, true)
+    assert.deepEqual(analyzedIndexes(), range(MAX_MESSAGES - 50, TOTAL))
+
+    const batch1 = JSON.parse(await redis.get(batchKey(date, 1)))
+    assert.equal(batch1.success, true)
+    assert.equal(batch1.messageCount, MAX_MESSAGES + 50)
+  })
+
+  it('失败的批次在生成报告时重新分析并计入覆盖范围', async () => {
+    await messageCollector.triggerPartialAnalysis(GROUP_ID, 0, date)
+    // 旧版本写入的 retried 标记同样重新分析
+    await redis.set(batchKey(date, 1), JSON.stringify({ batchIndex: 1, success: false, error: '超时', retried: true }), 'EX', 86400)
+    requests.length = 0
+
+    const result = await report.performAnalysis(messages, 1, GROUP_ID, date)
+
+    assert.deepEqual(analyzedIndexes(), range(MAX_MESSAGES - 50, TOTAL))
+    assert.deepEqual(result.coverage, { analyzed: TOTAL, total: TOTAL, chunks: 3, days: 0 })
+    assert.equal(JSON.parse(await redis.get(batchKey(date, 1))).success, true)
+  })
+
+  it('补全时 AI 无响应的批次记录为失败，下次生成报告时再次补全', async () => {
+    await messageCollector.triggerPartialAnalysis(GROUP_ID, 0, date)
+    // AI 调用失败时分析器返回空结果且没有用量
+    let failing = true
+    for (const analyzer of [await getTopicAnalyzer(), await getGoldenQuoteAnalyzer()]) {
+      const analyze = analyzer.analyze.bind(analyzer)
+      mock.method(analyzer, 'analyze', async (...args) => failing ? { topics: [], goldenQuotes: [], usage: null } : analyze(...args))
+    }
+
+    const first = await report.performAnalysis(messages, 1, GROUP_ID, date)
+    assert.equal(JSON.parse(await redis.get(batchKey(date, 1))).success, false)
+    assert.equal(first.coverage.analyzed, MAX_MESSAGES)
+
+    failing = false
+    const second = await report.performAnalysis(messages, 1, GROUP_ID, date)
+    assert.equal(JSON.parse(await redis.get(batchKey(date, 1))).success, true)
+    assert.deepEqual(second.coverage, { analyzed: TOTAL, total: TOTAL, chunks: 3, days: 0 })
+  })
+
+  it('强制重新生成时忽略已有缓存', async () => {
+    await messageCollector.triggerPartialAnalysis(GROUP_ID, 0, date)
+    await messageCollector.triggerPartialAnalysis(GROUP_ID, 1, date)
+    const before = JSON.parse(await redis.get(batchKey(date, 0)))
+    requests.length = 0
+
+    await report.performAnalysis(messages, 1, GROUP_ID, date, { forceRegenerate: true })
+
+    assert.deepEqual(analyzedIndexes(), range(0, TOTAL))
+    const after = JSON.parse(await redis.get(batchKey(date, 0)))
+    assert.equal(after.success, true)
+    assert.ok(after.analyzedAt >= before.analyzedAt)
+  })
+
+  it('没有指定群号和日期时不使用批次缓存，分段分析全部消息', async () => {
+    await messageCollector.triggerPartialAnalysis(GROUP_ID, 0, date)
+    requests.length = 0
+
+    const result = await report.performAnalysis(messages)
+
+    assert.equal(result.useIncrementalAnalysis, false)
+    assert.deepEqual(analyzedIndexes(), range(0, TOTAL))
+    assert.deepEqual(result.coverage, { analyzed: TOTAL, total: TOTAL, chunks: 3, days: 0 })
+  })
+
+  it('批次缓存与增量分析的覆盖范围', async () => {
+    await messageCollector.triggerPartialAnalysis(GROUP_ID, 0, date)
+    await messageCollector.triggerPartialAnalysis(GROUP_ID, 1, date)
+
+    const result = await report.performAnalysis(messages, 1, GROUP_ID, date)
+
+    assert.deepEqual(result.coverage, { analyzed: TOTAL, total: TOTAL, chunks: 3, days: 0 })
+  })
+})
@@ -0,0 +1,88 @@
+/**
+ * 报告对比测试
+ * 日报与上一份已保存的日报对比；报告区间包含今天时当天尚未结束，与上一期截至同一时刻的消息对比
+ */
+import { describe, it, before, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import moment from 'moment'
+import { ReportPlugin } from '../apps/report.js'
+import { getMessageCollector, getStatisticsService } from '../components/index.js'
+import { useConfig, resetEnvironment, today, makeMessage } from './helpers.js'
+
+const GROUP_ID = 900001
+
+describe('报告对比', () => {
+  let report
+  let messageCollector
+  let statisticsService
+  const yesterday = () => moment().subtract(1, 'days').format('YYYY-MM-DD')
+
+  /**
+   * 构造指定成员在若干时刻的发言
+   * @param {number} userId - 成员 user_id
+   * @param {Array<number>} times - 秒级时间戳
+   */
+  const speak = (userId, times) => times.map(time => makeMessage({ user_id: userId, nickname: `成员${userId}`, time }))
+
+  before(() => {
+    useConfig()
+    report = new ReportPlugin()
+  })
+
+  beforeEach(async () => {
+    await resetEnvironment()
+    messageCollector = await getMessageCollector()
+    statisticsService = await getStatisticsService()
+
+    // 昨天：成员1、2在当前时刻之前发言，成员3只在当前时刻之后发言
+    const sameTimeYesterday = moment().subtract(1, 'days').unix()
+    const messages = [
+      ...speak(10001, [1, 2, 3, 4, 5, 6].map(i => sameTimeYesterday - i * 60)),
+      ...speak(10002, [7, 8, 9, 10].map(i => sameTimeYesterday - i * 60)),
+      ...speak(10003, [1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map(i => sameTimeYesterday + i * 60))
+    ]
+    const key = messageCollector.redisHelper.getMessageKey(GROUP_ID, yesterday())
+    for (const message of messages) {
+      await redis.rPush(key, JSON.stringify(message))
+    }
+    await messageCollector.redisHelper.saveReport(GROUP_ID, yesterday(), {
+      stats: statisticsService.analyze(messages),
+      messageCount: messages.length
+    })
+  })
+
+  it('今天的日报与昨天截至同一时刻的消息对比', async () => {
+    const now = moment().unix()
+    const stats = statisticsService.analyze(speak(10001, [now - 60, now - 120, now - 180, now - 240, now - 300, now - 360, now - 420, now - 480, now - 540, now - 600]))
+
+    const comparison = await report.buildComparison(GROUP_ID, today(), stats)
+
+    assert.equal(comparison.label, '较昨日同时段')
+    assert.equal(comparison.messages.previous, 10)
+    assert.equal(comparison.messages.current, 10)
+    // 成员3昨天在这个时刻之后才发言，不算沉默成员
+    assert.deepEqual(comparison.quietMembers.map(user => user.user_id), [10002])
+  })
+
+  it('上一期的消息已过期时不展示今天的对比', async () => {
+    await redis.del(messageCollector.redisHelper.getMessageKey(GROUP_ID, yesterday()))
+    const stats = statisticsService.analyze(speak(10001, [moment().unix() - 60]))
+
+    assert.equal(await report.buildComparison(GROUP_ID, today(), stats), null)
+  })
+
+  it('历史日报与已保存的完整日报对比', async () => {
+    const dayBefore = moment().subtract(2, 'days')
+    const previousMessages = speak(10002, [dayBefore.unix(), dayBefore.unix() + 60, dayBefore.unix() + 120])
+    await messageCollector.redisHelper.saveReport(GROUP_ID, dayBefore.format('YYYY-MM-DD'), {
+      stats: statisticsService.analyze(previousMessages),
+      messageCount: previousMessages.length
+    })
+    const stats = statisticsService.analyze(speak(10001, [moment().subtract(1, 'days').unix()]))
+
+    const comparison = await report.buildComparison(GROUP_ID, yesterday(), stats)
+
+    assert.equal(comparison.label, '较昨日')
+    assert.equal(comparison.messages.previous, 3)
+  })
+})
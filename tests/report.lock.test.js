@@ -0,0 +1,228 @@
+import { describe, it, before, beforeEach, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import moment from 'moment'
+import { ReportPlugin } from '../apps/report.js'
+import { getMessageCollector } from '../components/index.js'
+import puppeteer from './fakes/puppeteer.js'
+import { useConfig, resetEnvironment, today, makeConversation } from './helpers.js'
+
+const GROUP_ID = 900001
+
+describe('ReportPlugin 生成锁', () => {
+  let report
+
+  before(() => {
+    useConfig()
+    report = new ReportPlugin()
+  })
+
+  beforeEach(async () => {
+    await resetEnvironment()
+    mock.timers.enable({ apis: ['Date'], now: Date.now() })
+  })
+
+  afterEach(() => {
+    mock.timers.reset()
+  })
+
+  it('同一群同一天只能有一个生成任务', async () => {
+    const date = today()
+    assert.equal(await report.acquireGeneratingLock(GROUP_ID, date), true)
+    assert.equal(await report.acquireGeneratingLock(GROUP_ID, date), false)
+
+    // 其他群、其他日期不受影响
+    assert.equal(await report.acquireGeneratingLock(GROUP_ID + 1, date), true)
+    assert.equal(await report.acquireGeneratingLock(GROUP_ID, '2024-01-01'), true)
+
+    await report.releaseGeneratingLock(GROUP_ID, date)
+    assert.equal(await report.acquireGeneratingLock(GROUP_ID, date), true)
+  })
+
+  it('锁超时后自动释放', async () => {
+    const date = today()
+    assert.equal(await report.acquireGeneratingLock(GROUP_ID, date, 300), true)
+    assert.equal(await redis.ttl(`Yz:groupManager:generating:${GROUP_ID}:${date}`), 300)
+
+    mock.timers.tick(299 * 1000)
+    assert.equal(await report.acquireGeneratingLock(GROUP_ID, date, 300), false)
+
+    mock.timers.tick(1000)
+    assert.equal(await report.acquireGeneratingLock(GROUP_ID, date, 300), true)
+  })
+})
+
+describe('ReportPlugin 冷却', () => {
+  let report
+
+  before(() => {
+    useConfig({ schedule: { cooldownMinutes: 30 } })
+    report = new ReportPlugin()
+  })
+
+  beforeEach(async () => {
+    await resetEnvironment()
+    mock.timers.enable({ apis: ['Date'], now: Date.now() })
+  })
+
+  afterEach(() => {
+    mock.timers.reset()
+  })
+
+  it('没有生成记录时不在冷却期', async () => {
+    const cooldown = await report.checkCooldown(GROUP_ID)
+    assert.deepEqual(cooldown, { inCooldown: false, remainingMinutes: 0, lastGenerated: null })
+  })
+
+  it('生成后进入冷却，按配置的分钟数结束', async () => {
+    await report.setCooldown(GROUP_ID, 'scheduled', 321)
+
+    mock.timers.tick(10 * 60 * 1000)
+    const cooldown = await report.checkCooldown(GROUP_ID)
+    assert.equal(cooldown.inCooldown, true)
+    assert.equal(cooldown.remainingMinutes, 20)
+    assert.equal(cooldown.lastGenerated.generatedBy, 'scheduled')
+    assert.equal(cooldown.lastGenerated.messageCount, 321)
+    assert.equal(cooldown.lastGenerated.elapsedMinutes, 10)
+
+    mock.timers.tick(20 * 60 * 1000)
+    assert.equal((await report.checkCooldown(GROUP_ID)).inCooldown, false)
+  })
+
+  it('主人和定时任务可以忽略冷却', async () => {
+    await report.setCooldown(GROUP_ID)
+    assert.equal((await report.checkCooldown(GROUP_ID, true)).inCooldown, false)
+  })
+
+  it('冷却记录 24 小时后过期', async () => {
+    await report.setCooldown(GROUP_ID)
+    assert.equal(await redis.ttl(`Yz:groupManager:cooldown:${GROUP_ID}:${today()}`), 86400)
+  })
+})
+
+describe('ReportPlugin.generateReport 今日报告', () => {
+  let report
+  let messageCollector
+
+  const event = () => ({
+    msg: '#群聊报告',
+    isGroup: true,
+    isMaster: false,
+    group_id: GROUP_ID,
+    user_id: 10001
+  })
+
+  before(() => {
+    useConfig({ schedule: { cooldownMinutes: 60 } })
+  })
+
+  beforeEach(async () => {
+    await resetEnvironment()
+    Bot.groups[GROUP_ID] = '测试群'
+    puppeteer.renders.length = 0
+    report = new ReportPlugin()
+    messageCollector = await getMessageCollector()
+    for (const message of makeConversation(30)) {
+      await messageCollector.redisHelper.saveMessage(GROUP_ID, message)
+    }
+  })
+
+  afterEach(() => {
+    mock.restoreAll()
+  })
+
+  it('生成成功后保存报告、设置冷却并释放锁', async () => {
+    const performAnalysis = mock.method(report, 'performAnalysis')
+
+    await report.generateReport(event())
+
+    assert.equal(performAnalysis.mock.callCount(), 1)
+    assert.equal(report.replies[0], '正在生成今天的群聊报告（30条消息），请稍候...')
+    assert.equal(report.replies.at(-1).type, 'image')
+    assert.equal(puppeteer.renders.length, 1)
+
+    const saved = await messageCollector.redisHelper.getReport(GROUP_ID, today())
+    assert.equal(saved.messageCount, 30)
+    assert.equal((await report.checkCooldown(GROUP_ID)).inCooldown, true)
+    assert.equal(await redis.exists(`Yz:groupManager:generating:${GROUP_ID}:${today()}`), 0)
+  })
+
+  it('正在生成时拒绝重复请求', async () => {
+    const performAnalysis = mock.method(report, 'performAnalysis')
+    await report.acquireGeneratingLock(GROUP_ID, today())
+
+    await report.generateReport(event())
+
+    assert.equal(performAnalysis.mock.callCount(), 0)
+    assert.deepEqual(report.replies, ['报告正在生成中，请稍后再试'])
+    // 不能释放别人持有的锁
+    assert.equal(await redis.exists(`Yz:groupManager:generating:${GROUP_ID}:${today()}`), 1)
+  })
+
+  it('冷却期内直接渲染已缓存的报告', async () => {
+    await report.generateReport(event())
+    const performAnalysis = mock.method(report, 'performAnalysis')
+    report.replies.length = 0
+
+    await report.generateReport(event())
+
+    assert.equal(performAnalysis.mock.callCount(), 0)
+    assert.equal(report.replies.length, 1)
+    assert.equal(report.replies[0].type, 'image')
+    assert.equal(puppeteer.renders.length, 2)
+  })
+
+  it('冷却期内但没有缓存时重新生成', async () => {
+    await report.setCooldown(GROUP_ID)
+    const performAnalysis = mock.method(report, 'performAnalysis')
+
+    await report.generateReport(event())
+
+    assert.equal(performAnalysis.mock.callCount(), 1)
+  })
+
+  it('包含今天的区间报告不沿用缓存，生成后设置冷却', async () => {
+    const rangeKey = `${moment().subtract(2, 'days').format('YYYY-MM-DD')}~${today()}`
+    await messageCollector.redisHelper.saveReport(GROUP_ID, rangeKey, { messageCount: 30 })
+    const performAnalysis = mock.method(report, 'performAnalysis')
+
+    await report.generateReport({ ...event(), msg: '#群聊报告 最近3天' })
+
+    // 消息数与缓存相同也重新生成（今天的消息仍在增加）
+    assert.deepEqual(performAnalysis.mock.calls[0].arguments.slice(1), [3, GROUP_ID, today()])
+    assert.equal(report.replies[0], '正在生成最近3天的群聊报告（30条消息），请稍候...')
+    assert.equal((await report.checkCooldown(GROUP_ID, false, rangeKey)).inCooldown, true)
+    // 区间报告的冷却不影响今天的日报
+    assert.equal((await report.checkCooldown(GROUP_ID)).inCooldown, false)
+
+    // 冷却期内直接返回缓存
+    const callCount = performAnalysis.mock.callCount()
+    report.replies.length = 0
+    await report.generateReport({ ...event(), msg: '#群聊报告 最近3天' })
+    assert.equal(performAnalysis.mock.callCount(), callCount)
+    assert.equal(report.replies[0].type, 'image')
+  })
+
+  it('今天日报的冷却不影响包含今天的区间报告', async () => {
+    const rangeKey = `${moment().subtract(2, 'days').format('YYYY-MM-DD')}~${today()}`
+    await messageCollector.redisHelper.saveReport(GROUP_ID, rangeKey, { messageCount: 30 })
+    await report.generateReport(event())
+    const performAnalysis = mock.method(report, 'performAnalysis')
+
+    report.replies.length = 0
+    await report.generateReport({ ...event(), msg: '#群聊报告 最近3天' })
+
+    assert.ok(performAnalysis.mock.callCount() > 0)
+    assert.equal(report.replies[0], '正在生成最近3天的群聊报告（30条消息），请稍候...')
+  })
+
+  it('分析出错时也会释放锁', async () => {
+    mock.method(report, 'performAnalysis', async () => {
+      throw new Error('AI 服务异常')
+    })
+
+    await report.generateReport(event())
+
+    assert.equal(report.replies.at(-1), '查询报告失败: AI 服务异常')
+    assert.equal(await redis.exists(`Yz:groupManager:generating:${GROUP_ID}:${today()}`), 0)
+  })
+})
@@ -0,0 +1,209 @@
+/**
+ * 分段分析（map-reduce）测试
+ * 批次缓存不可用时，消息数超过 maxMessages 的聊天记录分段分析后合并，覆盖全部消息
+ */
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import moment from 'moment'
+import MockAIServer from '../services/MockAIServer.js'
+import { ReportPlugin } from '../apps/report.js'
+import { getMessageCollector, getTopicAnalyzer, getGoldenQuoteAnalyzer, getUsageService, getExtensionAnalyzers } from '../components/index.js'
+import { useConfig, resetEnvironment, today, makeConversation } from './helpers.js'
+
+const GROUP_ID = 900001
+const MAX_MESSAGES = 60
+
+describe('分段分析', () => {
+  const server = new MockAIServer({ port: 0 })
+  let report
+  let requests
+
+  const configure = (ai = {}, analysis = {}) => useConfig({
+    ai: { apiKey: 'mock', baseURL: server.baseURL, model: 'mock', maxMessages: MAX_MESSAGES, llm_retries: 1, llm_backoff: 0.01, ...ai },
+    analysis: { min_messages_threshold: 10, ...analysis, topic: { merge: { enabled: false }, ...analysis.topic } }
+  })
+
+  before(async () => {
+    await server.start()
+  })
+
+  after(async () => {
+    await resetEnvironment()
+    await server.stop()
+  })
+
+  beforeEach(async () => {
+    configure()
+    await resetEnvironment()
+    report = new ReportPlugin()
+
+    // 记录每次话题分析请求中的消息序号
+    requests = []
+    const generate = server.generate.bind(server)
+    mock.method(server, 'generate', (prompt, schema, name) => {
+      if (name === 'TopicAnalyzer') {
+        requests.push([...prompt.matchAll(/第(\d+)条消息/g)].map(match => Number(match[1])))
+      }
+      return generate(prompt, schema, name)
+    })
+  })
+
+  afterEach(() => {
+    mock.restoreAll()
+  })
+
+  it('按 maxMessages 分段，后一段带上一段末尾 50 条上下文', async () => {
+    const messages = makeConversation(150)
+
+    const result = await report.performAnalysis(messages)
+
+    const ranges = requests.map(indexes => [Math.min(...indexes), Math.max(...indexes)]).sort((a, b) => a[0] - b[0])
+    assert.deepEqual(ranges, [[0, 59], [10, 119], [70, 149]])
+    assert.deepEqual(result.coverage, { analyzed: 150, total: 150, chunks: 3, days: 0 })
+    assert.ok(result.topics.length > 0)
+    assert.ok(result.goldenQuotes.length > 0)
+  })
+
+  it('不超过 maxMessages 时整体分析一次', async () => {
+    const result = await report.performAnalysis(makeConversation(MAX_MESSAGES))
+
+    assert.equal(requests.length, 1)
+    assert.deepEqual(result.coverage, { analyzed: MAX_MESSAGES, total: MAX_MESSAGES, chunks: 1, days: 0 })
+  })
+
+  it('各段用量累加到话题与金句用量中', async () => {
+    const usageService = await getUsageService()
+    const recordAll = mock.method(usageService, 'recordAll')
+
+    await report.performAnalysis(makeConversation(150), 1, GROUP_ID)
+
+    const usages = recordAll.mock.calls[0].arguments[1]
+    assert.equal(usages.topic.providers.default.calls, 3)
+    assert.equal(usages.goldenQuote.providers.default.calls, 3)
+    assert.ok(usages.topic.total_tokens > 0)
+  })
+
+  it('同时分析的分段数不超过 mapConcurrency', async () => {
+    configure({ mapConcurrency: 2 })
+    const topicAnalyzer = await getTopicAnalyzer()
+    const analyze = topicAnalyzer.analyze.bind(topicAnalyzer)
+    let running = 0
+    let peak = 0
+    mock.method(topicAnalyzer, 'analyze', async (...args) => {
+      peak = Math.max(peak, ++running)
+      await new Promise(resolve => setTimeout(resolve, 20))
+      try {
+        return await analyze(...args)
+      } finally {
+        running--
+      }
+    })
+
+    const result = await report.performAnalysis(makeConversation(300))
+
+    assert.equal(result.coverage.chunks, 5)
+    assert.equal(topicAnalyzer.analyze.mock.callCount(), 5)
+    assert.equal(peak, 2)
+  })
+
+  it('分析失败的分段不计入覆盖范围', async () => {
+    const topicAnalyzer = await getTopicAnalyzer()
+    const goldenQuoteAnalyzer = await getGoldenQuoteAnalyzer()
+    const failFirst = analyzer => {
+      const analyze = analyzer.analyze.bind(analyzer)
+      mock.method(analyzer, 'analyze', async (messages, ...args) => {
+        if (messages[0].message.startsWith('第0条')) throw new Error('超时')
+        return analyze(messages, ...args)
+      })
+    }
+    failFirst(topicAnalyzer)
+    failFirst(goldenQuoteAnalyzer)
+
+    const result = await report.performAnalysis(makeConversation(150))
+
+    assert.deepEqual(result.coverage, { analyzed: 90, total: 150, chunks: 3, days: 0 })
+    assert.ok(result.topics.length > 0)
+  })
+
+  it('多日区间逐日分析，消息少的日子也会分析', async () => {
+    const messageCollector = await getMessageCollector()
+    const date = today()
+    const dayCounts = [130, 5, 40]
+
+    for (let i = 0; i < dayCounts.length; i++) {
+      const day = moment(date).subtract(dayCounts.length - 1 - i, 'days')
+      const key = messageCollector.redisHelper.getMessageKey(GROUP_ID, day.format('YYYY-MM-DD'))
+      for (const message of makeConversation(dayCounts[i], { startTime: day.startOf('day').add(9, 'hours').unix() })) {
+        await redis.rPush(key, JSON.stringify(message))
+      }
+    }
+    const messages = await messageCollector.getMessages(GROUP_ID, 3, date)
+
+    const result = await report.performAnalysis(messages, 3, GROUP_ID, date)
+
+    assert.equal(messages.length, 175)
+    assert.equal(result.useIncrementalAnalysis, true)
+    assert.deepEqual(result.coverage, { analyzed: 175, total: 175, chunks: 5, days: 3 })
+  })
+
+  it('合并后金句由各段轮流入选，话题数不超过 max_topics', async () => {
+    configure({}, { topic: { max_topics: 4 }, goldenQuote: { max_golden_quotes: 3 } })
+
+    const result = await report.performAnalysis(makeConversation(300))
+
+    // 模拟金句取各段最长的消息：前两段（带上下文）都是两位数序号，去重后第二段不再入选
+    const quoteIndexes = result.goldenQuotes.map(quote => Number(quote.quote.match(/第(\d+)条/)[1]))
+    assert.deepEqual(quoteIndexes, [10, 100, 130])
+    // 未开启话题合并时同样限制话题数
+    assert.equal(result.topics.length, 4)
+  })
+
+  it('扩展分析器分段分析后合并，自行控制输入的分析器整体分析一次', async () => {
+    configure({}, { actionItems: { max_items: 4 } })
+    const extensions = Object.fromEntries((await getExtensionAnalyzers()).map(({ name, analyzer }) => [name, analyzer]))
+    const calls = {}
+    for (const [name, analyzer] of Object.entries(extensions)) {
+      const analyze = analyzer.analyze.bind(analyzer)
+      calls[name] = []
+      mock.method(analyzer, 'analyze', async (messages, ...args) => {
+        calls[name].push(messages.length)
+        return analyze(messages, ...args)
+      })
+    }
+    // 每段提取出一条相同的决定和两条该段独有的待办
+    mock.method(extensions.actionItems, 'callAIForJSON', async prompt => {
+      const part = Math.floor(Math.min(...[...prompt.matchAll(/第(\d+)条消息/g)].map(match => Number(match[1]))) / MAX_MESSAGES)
+      return {
+        data: [
+          { type: 'decision', content: '周末去爬山' },
+          { type: 'todo', content: `第${part}段待办A` },
+          { type: 'todo', content: `第${part}段待办B` }
+        ],
+        usage: { prompt_tokens: 10, completion_tokens: 10, total_tokens: 20 }
+      }
+    })
+
+    const result = await report.performAnalysis(makeConversation(150))
+
+    assert.deepEqual(calls.actionItems.sort(), [30, 60, 60])
+    assert.deepEqual(calls.sentiment.sort(), [30, 60, 60])
+    assert.deepEqual(calls.unansweredQuestions, [150])
+    assert.deepEqual(calls.sharedLinks, [150])
+    // 重复的决定只保留一条，各段轮流入选后按时间顺序排列
+    assert.deepEqual(result.extensions.actionItems.map(item => item.content), ['周末去爬山', '第0段待办A', '第1段待办A', '第2段待办A'])
+    assert.ok(result.extensions.sentiment.hourly.some(score => score !== null))
+    assert.equal(result.coverage.extensions, undefined)
+  })
+
+  it('不支持分段合并的扩展分析器只分析最新消息，并记录实际覆盖的消息数', async () => {
+    const messages = makeConversation(150)
+    const analyzer = {
+      analyze: mock.fn(async input => ({ keyword: [input[0].message], usage: null }))
+    }
+
+    const output = await report.runExtensionAnalyzer({ name: 'keyword', analyzer }, messages, {}, { maxMessages: MAX_MESSAGES })
+
+    assert.equal(analyzer.analyze.mock.callCount(), 1)
+    assert.deepEqual(output, { result: [messages[90].message], usage: null, analyzed: MAX_MESSAGES })
+  })
+})
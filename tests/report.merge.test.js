@@ -0,0 +1,87 @@
+import { describe, it, before } from 'node:test'
+import assert from 'node:assert/strict'
+import { ReportPlugin } from '../apps/report.js'
+import { useConfig } from './helpers.js'
+
+const topic = (name, detail, contributors) => ({
+  topic: name,
+  detail,
+  contributors: contributors.map(([user_id, nickname]) => ({ user_id, nickname }))
+})
+
+const quote = (text, user_id, nickname = `成员${user_id}`) => ({
+  quote: text,
+  sender: { user_id, nickname },
+  reason: '有梗'
+})
+
+describe('ReportPlugin.mergeTopics', () => {
+  let report
+
+  before(() => {
+    useConfig()
+    report = new ReportPlugin()
+  })
+
+  it('同名话题追加后续描述并合并参与者', () => {
+    const merged = report.mergeTopics(
+      [topic('周末爬山', '约了周六早上出发', [[1, 'A'], [2, 'B']])],
+      [topic('周末爬山', '改成周日了', [[2, 'B'], [3, 'C']]), topic('午饭', '吃什么', [[4, 'D']])]
+    )
+
+    assert.equal(merged.length, 2)
+    assert.equal(merged[0].detail, '约了周六早上出发\n\n[后续]: 改成周日了')
+    assert.deepEqual(merged[0].contributors.map(c => c.user_id), [1, 2, 3])
+    assert.equal(merged[1].topic, '午饭')
+  })
+
+  it('没有 user_id 的参与者按昵称去重', () => {
+    const merged = report.mergeTopics(
+      [topic('游戏', '新赛季', [[undefined, 'A']])],
+      [topic('游戏', '上分', [[undefined, 'A'], [undefined, 'B']])]
+    )
+    assert.deepEqual(merged[0].contributors.map(c => c.nickname), ['A', 'B'])
+  })
+
+  it('批次依次合并保持首次出现的顺序', () => {
+    let merged = []
+    for (const batch of [
+      [topic('a', '1', [[1, 'A']])],
+      [topic('b', '2', [[2, 'B']]), topic('a', '3', [[3, 'C']])],
+      [topic('c', '4', [[1, 'A']])]
+    ]) {
+      merged = report.mergeTopics(merged, batch)
+    }
+    assert.deepEqual(merged.map(t => t.topic), ['a', 'b', 'c'])
+    assert.equal(merged[0].detail, '1\n\n[后续]: 3')
+  })
+})
+
+describe('ReportPlugin.mergeGoldenQuotes', () => {
+  let report
+
+  before(() => {
+    useConfig()
+    report = new ReportPlugin()
+  })
+
+  it('按发送者和内容去重', () => {
+    const merged = report.mergeGoldenQuotes(
+      [quote('代码能跑就别动', 1), quote('今天也是摸鱼的一天', 2)],
+      [quote('代码能跑就别动', 1), quote('代码能跑就别动', 3)]
+    )
+    assert.deepEqual(merged.map(q => `${q.sender.user_id}:${q.quote}`), [
+      '1:代码能跑就别动',
+      '2:今天也是摸鱼的一天',
+      '3:代码能跑就别动'
+    ])
+  })
+
+  it('缺少 user_id 时按昵称去重', () => {
+    const merged = report.mergeGoldenQuotes(
+      [{ quote: '好耶', sender: { nickname: 'A' } }],
+      [{ quote: '好耶', sender: { nickname: 'A' } }, { quote: '好耶', sender: { nickname: 'B' } }]
+    )
+    assert.equal(merged.length, 2)
+  })
+})
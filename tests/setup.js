@@ -0,0 +1,23 @@
+/**
+ * 测试环境初始化（通过 node --import 在测试文件之前加载）
+ * 注册模块替身，并安装 Yunzai 提供的全局对象：redis、Bot、segment、logger
+ * 必须在导入插件任何模块之前执行（lib/logger 在导入时读取全局 Bot 和 logger）
+ */
+import { register } from 'node:module'
+import FakeRedis from './fakes/redis.js'
+import { createBot, segment } from './fakes/bot.js'
+
+register('./loader.js', import.meta.url)
+
+// 默认静默，设置 DEBUG_TESTS=1 时输出插件日志
+const verbose = Boolean(process.env.DEBUG_TESTS)
+globalThis.logger = Object.fromEntries(
+  ['trace', 'debug', 'info', 'warn', 'error', 'fatal', 'mark'].map(level => [
+    level,
+    verbose ? (...args) => console.log(`[${level}]`, ...args) : () => {}
+  ])
+)
+
+globalThis.redis = new FakeRedis()
+globalThis.Bot = createBot()
+globalThis.segment = segment
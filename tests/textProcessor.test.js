@@ -0,0 +1,84 @@
+import { describe, it, before } from 'node:test'
+import assert from 'node:assert/strict'
+import TextProcessor from '../utils/textProcessor.js'
+import { useConfig } from './helpers.js'
+
+describe('TextProcessor.calculateTFIDF', () => {
+  const processor = new TextProcessor()
+
+  it('空文档返回空列表', () => {
+    assert.deepEqual(processor.calculateTFIDF([]), [])
+    assert.deepEqual(processor.calculateTFIDF(null), [])
+  })
+
+  it('按平滑 IDF 计算权重并归一化到 0-1', () => {
+    const docs = [
+      ['火锅', '火锅', '周末'],
+      ['周末', '爬山'],
+      ['周末', '加班']
+    ]
+    const result = processor.calculateTFIDF(docs)
+
+    // idf = ln((N + 1) / (df + 1)) + 1
+    const idf = df => Math.log(4 / (df + 1)) + 1
+    const raw = {
+      火锅: (2 / 3) * idf(1),
+      周末: (1 / 3) * idf(3) + (1 / 2) * idf(3) * 2,
+      爬山: (1 / 2) * idf(1),
+      加班: (1 / 2) * idf(1)
+    }
+    const max = Math.max(...Object.values(raw))
+
+    // 各文档得分累加，多人提到的词排在前面
+    assert.deepEqual(result.map(item => item.word), ['周末', '火锅', '爬山', '加班'])
+    assert.equal(result[0].weight, 1)
+    for (const { word, weight } of result) {
+      assert.ok(Math.abs(weight - raw[word] / max) < 1e-12, `${word} 权重 ${weight}`)
+    }
+  })
+
+  it('出现次数相同时，集中在少数人的词权重更高', () => {
+    const docs = [
+      ['原神', '原神'],
+      ['哈哈', '午饭'],
+      ['哈哈', '上班']
+    ]
+    const words = processor.calculateTFIDF(docs).map(item => item.word)
+    assert.ok(words.indexOf('原神') < words.indexOf('哈哈'))
+  })
+
+  it('只返回前 topK 个关键词', () => {
+    const docs = [['甲', '乙', '丙', '丁'], ['甲', '乙']]
+    assert.equal(processor.calculateTFIDF(docs, 2).length, 2)
+  })
+})
+
+describe('TextProcessor.processMessagesTFIDF', () => {
+  const processor = new TextProcessor()
+
+  before(async () => {
+    useConfig()
+    await processor.init()
+  })
+
+  it('清理 @、表情占位符后按用户聚合分词', async () => {
+    assert.equal(processor.cleanText('@阿猫 [图片]周末 一起去爬山吧'), '周末 一起去爬山吧')
+
+    const keywords = await processor.processMessagesTFIDF([
+      { user_id: 1, message: '@阿狗 周末火锅[图片]' },
+      { user_id: 1, message: '火锅火锅必须吃火锅' },
+      { user_id: 2, message: '周末要加班' },
+      { user_id: 3, message: '[动画表情]' }
+    ], { maxWords: 10 })
+
+    const words = keywords.map(item => item.word)
+    assert.equal(words[0], '火锅')
+    assert.equal(keywords[0].weight, 1)
+    assert.ok(!words.some(word => word.includes('图片') || word.includes('阿狗')))
+    assert.ok(keywords.every(item => item.weight > 0 && item.weight <= 1))
+  })
+
+  it('没有有效内容时返回空列表', async () => {
+    assert.deepEqual(await processor.processMessagesTFIDF([{ user_id: 1, message: '[图片]' }]), [])
+  })
+})
@@ -54,13 +54,15 @@ export default class RedisHelper {
    * 存储群消息
    * @param {number} groupId - 群号
    * @param {object} messageData - 消息数据
+   * @returns {Promise<Object>} 消息位置 { date, index }，用于之后补充消息内容
    */
   async saveMessage(groupId, messageData) {
-    const key = this.getMessageKey(groupId)
+    const date = moment().format('YYYY-MM-DD')
+    const key = this.getMessageKey(groupId, date)
     const data = JSON.stringify(messageData)
 
     // 添加到列表
-    await redis.rPush(key, data)
+    const length = await redis.rPush(key, data)
 
     // 只在首次创建 key 时设置过期时间，避免每次都重置导致消息永不过期
     const ttl = await redis.ttl(key)
@@ -70,6 +72,24 @@ export default class RedisHelper {
       await redis.expire(key, expireSeconds)
       logger.debug(`为消息 key 设置过期时间: ${key} (${this.retentionDays} 天)`)
     }
+
+    return { date, index: length - 1 }
+  }
+
+  /**
+   * 更新已存储的群消息（消息列表只追加，保存时的位置不会变化）
+   * @param {number} groupId - 群号
+   * @param {object} location - saveMessage 返回的 { date, index }
+   * @param {object} messageData - 完整的消息数据
+   * @returns {Promise<boolean>} 消息已过期时返回 false
+   */
+  async updateMessage(groupId, { date, index }, messageData) {
+    const key = this.getMessageKey(groupId, date)
+    if (index >= await redis.lLen(key)) {
+      return false
+    }
+    await redis.lSet(key, index, JSON.stringify(messageData))
+    return true
   }
 
   /**
@@ -84,7 +104,8 @@ export default class RedisHelper {
     // 使用固定的基准日期，避免跨日边界问题
     const baseDate = targetDate ? moment(targetDate) : moment()
 
-    for (let i = 0; i < days; i++) {
+    // 从最早的一天开始读取，多日查询时结果整体按时间正序
+    for (let i = days - 1; i >= 0; i--) {
       const date = baseDate.clone().subtract(i, 'days').format('YYYY-MM-DD')
       const key = this.getMessageKey(groupId, date)
 
@@ -342,16 +363,25 @@ export default class RedisHelper {
   async saveReport(groupId, date, reportData, retentionDays = 0) {
     const key = this.getReportKey(groupId, date)
 
+    // 分享明细（links.items）只供生成报告时的今日分享分析使用，结果已保存在 extensions 中，不随报告保存
+    const stats = { ...(reportData.stats || {}) }
+    if (stats.links?.items) {
+      const { items, ...links } = stats.links
+      stats.links = links
+    }
+
     // 使用 Hash 结构存储
     const fields = {
       analysisData: JSON.stringify({
-        stats: reportData.stats || {},
+        stats,
         topics: reportData.topics || [],
         goldenQuotes: reportData.goldenQuotes || [],
-        userTitles: reportData.userTitles || []
+        userTitles: reportData.userTitles || [],
+        extensions: reportData.extensions || {}
       }),
       messageCount: reportData.messageCount || 0,
       tokenUsage: JSON.stringify(reportData.tokenUsage || {}),
+      coverage: JSON.stringify(reportData.coverage || null),
       lastUpdateTime: Date.now(),
       savedAt: Date.now(),
       date: date
@@ -405,8 +435,10 @@ export default class RedisHelper {
         topics: analysisData.topics || [],
         goldenQuotes: analysisData.goldenQuotes || [],
         userTitles: analysisData.userTitles || [],
+        extensions: analysisData.extensions || {},
         messageCount: parseInt(data.messageCount) || 0,
         tokenUsage: tokenUsage,
+        coverage: data.coverage ? JSON.parse(data.coverage) : null,
         lastUpdateTime: parseInt(data.lastUpdateTime) || 0,
         savedAt: parseInt(data.savedAt) || 0,
         date: data.date || date || moment().format('YYYY-MM-DD')
@@ -417,6 +449,27 @@ export default class RedisHelper {
     }
   }
 
+  /**
+   * 获取日期范围内所有已保存的群聊报告
+   * @param {number} groupId - 群号
+   * @param {string} startDate - 开始日期 (YYYY-MM-DD)
+   * @param {string} endDate - 结束日期 (YYYY-MM-DD)
+   * @returns {Array} 报告数组（按日期正序，缺失的日期会被跳过）
+   */
+  async getReports(groupId, startDate, endDate) {
+    const reports = []
+    const end = moment(endDate, 'YYYY-MM-DD')
+
+    for (const date = moment(startDate, 'YYYY-MM-DD'); date.isSameOrBefore(end, 'day'); date.add(1, 'days')) {
+      const report = await this.getReport(groupId, date.format('YYYY-MM-DD'))
+      if (report) {
+        reports.push(report)
+      }
+    }
+
+    return reports
+  }
+
   /**
    * 获取 pending @ 记录键名 (Sorted Set)
    * @param {number} groupId - 群号
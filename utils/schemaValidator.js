@@ -0,0 +1,115 @@
+/**
+ * JSON Schema 校验工具
+ *
+ * 只实现分析器返回格式用到的关键字子集:
+ * type / properties / required / items / enum / pattern / minLength / maxLength / minItems / maxItems / minimum / maximum
+ */
+
+/**
+ * 获取值的 JSON Schema 类型名
+ * @param {*} value - 任意值
+ * @returns {string}
+ */
+function typeOf(value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  if (Number.isInteger(value)) return 'integer'
+  return typeof value
+}
+
+/**
+ * 判断值是否符合 type 声明（integer 也算 number）
+ * @param {*} value - 任意值
+ * @param {string|Array<string>} type - 声明的类型
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+  const actual = typeOf(value)
+  return [].concat(type).some(expected => expected === actual || (expected === 'number' && actual === 'integer'))
+}
+
+/**
+ * 按 JSON Schema 校验数据
+ * @param {*} value - 待校验的数据
+ * @param {Object} schema - JSON Schema
+ * @param {string} path - 当前路径（用于错误信息）
+ * @returns {Array<string>} 错误列表，为空表示通过
+ */
+export function validateSchema(value, schema, path = '$') {
+  if (!schema || typeof schema !== 'object') return []
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [`${path}: 应为 ${[].concat(schema.type).join('|')}，实际为 ${typeOf(value)}`]
+  }
+
+  const errors = []
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: 应为 ${schema.enum.map(item => JSON.stringify(item)).join('/')} 之一`)
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push(`${path}: 不能为空`)
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path}: 长度不能超过 ${schema.maxLength}`)
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path}: 格式不符合 ${schema.pattern}`)
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: 不能小于 ${schema.minimum}`)
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: 不能大于 ${schema.maximum}`)
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: 至少需要 ${schema.minItems} 项`)
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: 最多 ${schema.maxItems} 项`)
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, `${path}[${index}]`))
+      })
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key}: 缺少必填字段`)
+      }
+    }
+    for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(value[key], propSchema, `${path}.${key}`))
+      }
+    }
+  }
+
+  return errors
+}
+
+/**
+ * 转换为 response_format 可用的 Schema
+ * 结构化输出要求根节点为对象，数组结果包装在 items 字段中
+ * @param {Object} schema - 分析器声明的 Schema
+ * @returns {Object}
+ */
+export function toResponseSchema(schema) {
+  if (schema.type === 'object') return schema
+  return {
+    type: 'object',
+    properties: { items: schema },
+    required: ['items']
+  }
+}